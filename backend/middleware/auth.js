@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getEventRole, canAccessEvent } = require('../utils/eventAccess');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -51,10 +52,11 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// Middleware to check if user owns the event or is admin
-const requireEventOwnership = async (req, res, next) => {
+// Middleware factory to check the user's role on the event allows a
+// permission ('owner', 'manage', 'analytics' or 'check-in'); admins pass
+const requireEventRole = (permission) => async (req, res, next) => {
   try {
-    const { eventId } = req.params;
+    const eventId = req.params.eventId || req.params.id;
     const Event = require('../models/Event');
     
     const event = await Event.findById(eventId);
@@ -62,17 +64,21 @@ const requireEventOwnership = async (req, res, next) => {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    if (req.user.role === 'admin' || event.host.toString() === req.user._id.toString()) {
+    if (canAccessEvent(req.user, event, permission)) {
       req.event = event;
+      req.eventRole = req.user.role === 'admin' ? 'admin' : getEventRole(req.user, event);
       next();
     } else {
-      return res.status(403).json({ error: 'Access denied. You can only manage your own events.' });
+      return res.status(403).json({ error: 'Access denied. Your role on this event does not allow this.' });
     }
   } catch (error) {
-    return res.status(500).json({ error: 'Error checking event ownership' });
+    return res.status(500).json({ error: 'Error checking event access' });
   }
 };
 
+// Middleware to check if user owns or co-hosts the event as an editor, or is admin
+const requireEventOwnership = requireEventRole('manage');
+
 // Optional authentication middleware (for public routes that can work with or without auth)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -97,6 +103,7 @@ module.exports = {
   authenticateToken,
   requireHost,
   requireAdmin,
+  requireEventRole,
   requireEventOwnership,
   optionalAuth
 };
\ No newline at end of file
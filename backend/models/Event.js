@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { CO_HOST_ROLES } = require('../utils/eventAccess');
+const { toGeoPoint } = require('../utils/geo');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -17,6 +19,39 @@ const eventSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Event host is required']
   },
+  // Team members invited by the host; pending until the invitee responds
+  coHosts: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: {
+      type: String,
+      required: [true, 'Co-host email is required'],
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: CO_HOST_ROLES,
+      required: [true, 'Co-host role is required']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    respondedAt: Date
+  }],
   category: {
     type: String,
     required: [true, 'Event category is required'],
@@ -51,6 +86,11 @@ const eventSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
+    // GeoJSON copy of the coordinates for geo queries, set from them on every save
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
     isVirtual: {
       type: Boolean,
       default: false
@@ -109,11 +149,33 @@ const eventSchema = new mongoose.Schema({
     instagram: String,
     linkedin: String
   },
+  // Recurring events belong to a series; occurrenceDate is the slot the
+  // recurrence rule generated, which stays put if the occurrence is moved
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries',
+    default: null
+  },
+  occurrenceDate: Date,
+  // True once the occurrence has been edited on its own
+  isSeriesException: {
+    type: Boolean,
+    default: false
+  },
   analytics: {
     views: { type: Number, default: 0 },
     registrations: { type: Number, default: 0 },
     revenue: { type: Number, default: 0 },
     averageSessionDuration: { type: Number, default: 0 }
+  },
+  // Deleted events stay in the trash until restored or purged
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -121,9 +183,49 @@ const eventSchema = new mongoose.Schema({
 
 // Indexes for efficient queries
 eventSchema.index({ host: 1, status: 1 });
+eventSchema.index({ 'coHosts.user': 1, 'coHosts.status': 1 });
+eventSchema.index({ 'coHosts.email': 1, 'coHosts.status': 1 });
 eventSchema.index({ startDate: 1, status: 1 });
 eventSchema.index({ category: 1, status: 1 });
 eventSchema.index({ 'venue.city': 1, status: 1 });
+eventSchema.index({ series: 1, occurrenceDate: 1 });
+eventSchema.index({ host: 1, isDeleted: 1, deletedAt: -1 });
+eventSchema.index({ 'venue.location': '2dsphere' });
+eventSchema.index(
+  { title: 'text', tags: 'text', 'venue.name': 'text', description: 'text' },
+  { weights: { title: 10, tags: 5, 'venue.name': 2, description: 1 }, name: 'event_text_search' }
+);
+
+// Hide trashed events from every query that does not filter on isDeleted
+// itself. $ne also matches events saved before the field existed.
+const excludeDeleted = function() {
+  if (this.getFilter().isDeleted === undefined) {
+    this.where({ isDeleted: { $ne: true } });
+  }
+};
+
+eventSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'], excludeDeleted);
+
+eventSchema.pre('aggregate', function() {
+  const [firstStage] = this.pipeline();
+  if (!firstStage || !firstStage.$match || firstStage.$match.isDeleted === undefined) {
+    this.pipeline().unshift({ $match: { isDeleted: { $ne: true } } });
+  }
+});
+
+// Keep venue.location in step with the venue coordinates
+eventSchema.pre('validate', function(next) {
+  this.set('venue.location', toGeoPoint(this.venue && this.venue.coordinates));
+  next();
+});
+
+eventSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate();
+  const venue = update.venue || (update.$set && update.$set.venue);
+  if (venue) {
+    venue.location = toGeoPoint(venue.coordinates);
+  }
+});
 
 // Virtual for event duration
 eventSchema.virtual('duration').get(function() {
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const eventRevisionSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  // Numbered from 1 per event
+  version: {
+    type: Number,
+    required: [true, 'Revision version is required'],
+    min: [1, 'Revision version must be at least 1']
+  },
+  // 'baseline' records the state of an event created before history was kept
+  action: {
+    type: String,
+    enum: ['create', 'baseline', 'update', 'restore'],
+    required: [true, 'Revision action is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Field-level changes from the previous state, keyed by dot path
+  changes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Tracked fields of the event after this revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Revision snapshot is required']
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+eventRevisionSchema.index({ event: 1, version: -1 }, { unique: true });
+
+// Static method to store the next revision of an event. Retries when a
+// concurrent update took the same version number.
+eventRevisionSchema.statics.record = async function(eventId, data, attempts = 3) {
+  const latest = await this.findOne({ event: eventId }).sort({ version: -1 }).select('version');
+
+  try {
+    return await this.create({
+      ...data,
+      event: eventId,
+      version: latest ? latest.version + 1 : 1
+    });
+  } catch (error) {
+    if (error.code === 11000 && attempts > 1) {
+      return this.record(eventId, data, attempts - 1);
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('EventRevision', eventRevisionSchema);
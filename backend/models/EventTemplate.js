@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const eventTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Template description cannot exceed 500 characters']
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Template host is required']
+  },
+  // Length of events created from the template; it has no dates of its own
+  durationMinutes: {
+    type: Number,
+    min: [1, 'Events must last at least a minute']
+  },
+  // Event fields copied onto every event created from the template
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Event the template was saved from, if any
+  sourceEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+eventTemplateSchema.index({ host: 1, name: 1 });
+
+module.exports = mongoose.model('EventTemplate', eventTemplateSchema);
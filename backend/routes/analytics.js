@@ -2,7 +2,9 @@ const express = require('express');
 const { query, validationResult } = require('express-validator');
 const Event = require('../models/Event');
 const CursorLog = require('../models/CursorLog');
-const { authenticateToken, requireHost, requireEventOwnership } = require('../middleware/auth');
+const EventSeries = require('../models/EventSeries');
+const { authenticateToken, requireHost, requireEventRole } = require('../middleware/auth');
+const { accessibleEventsQuery } = require('../utils/eventAccess');
 
 const router = express.Router();
 
@@ -13,7 +15,8 @@ router.get('/overview', [
   authenticateToken,
   requireHost,
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
-  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date')
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('seriesId').optional().isMongoId().withMessage('Series ID must be a valid ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -22,7 +25,7 @@ router.get('/overview', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, seriesId } = req.query;
     const userId = req.user._id;
 
     // Build date filter
@@ -33,8 +36,13 @@ router.get('/overview', [
       if (endDate) dateFilter.startDate.$lte = new Date(endDate);
     }
 
-    // Get user's events
-    const events = await Event.find({ host: userId, ...dateFilter });
+    // Limit to one series when asked
+    if (seriesId) {
+      dateFilter.series = seriesId;
+    }
+
+    // Get events the user hosts or co-hosts with analytics access
+    const events = await Event.find({ ...accessibleEventsQuery(userId, 'analytics'), ...dateFilter });
 
     // Calculate overview statistics
     const overview = {
@@ -64,12 +72,44 @@ router.get('/overview', [
       return acc;
     }, {});
 
+    // Roll occurrences up into their series
+    const seriesGroups = events.reduce((acc, event) => {
+      if (!event.series) return acc;
+      const key = event.series.toString();
+      (acc[key] = acc[key] || []).push(event);
+      return acc;
+    }, {});
+
+    const seriesDocs = await EventSeries.find({ _id: { $in: Object.keys(seriesGroups) } })
+      .select('title status recurrence');
+    const seriesStats = seriesDocs.map(series => {
+      const occurrences = seriesGroups[series._id.toString()];
+      return {
+        seriesId: series._id,
+        title: series.title,
+        status: series.status,
+        rrule: series.rrule,
+        occurrences: occurrences.length,
+        upcomingOccurrences: occurrences.filter(e => e.isUpcoming()).length,
+        completedOccurrences: occurrences.filter(e => e.isCompleted()).length,
+        totalCapacity: occurrences.reduce((sum, e) => sum + e.capacity, 0),
+        totalAttendees: occurrences.reduce((sum, e) => sum + e.currentAttendees, 0),
+        totalRevenue: occurrences.reduce((sum, e) => sum + e.analytics.revenue, 0),
+        totalViews: occurrences.reduce((sum, e) => sum + e.analytics.views, 0),
+        averageRegistrationRate: Math.round(
+          occurrences.reduce((sum, e) => sum + e.registrationPercentage, 0) / occurrences.length
+        )
+      };
+    });
+
     res.json({
       overview,
       categoryStats,
       monthlyStats,
+      seriesStats,
       events: events.map(e => ({
         id: e._id,
+        series: e.series,
         title: e.title,
         status: e.status,
         startDate: e.startDate,
@@ -87,10 +127,10 @@ router.get('/overview', [
 
 // @route   GET /api/analytics/event/:id
 // @desc    Get detailed analytics for a specific event
-// @access  Private (Event owner or admin)
+// @access  Private (Event owner, editor or analyst co-host, or admin)
 router.get('/event/:id', [
   authenticateToken,
-  requireEventOwnership,
+  requireEventRole('analytics'),
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date')
 ], async (req, res) => {
@@ -206,10 +246,10 @@ router.get('/events/compare', [
     const { eventIds, startDate, endDate } = req.query;
     const userId = req.user._id;
 
-    // Verify user owns these events
+    // Verify user can see analytics for these events
     const events = await Event.find({
       _id: { $in: eventIds },
-      host: userId
+      ...accessibleEventsQuery(userId, 'analytics')
     }).populate('host', 'firstName lastName');
 
     if (events.length !== eventIds.length) {
@@ -273,10 +313,10 @@ router.get('/events/compare', [
 
 // @route   GET /api/analytics/export/:id
 // @desc    Export event analytics data as CSV
-// @access  Private (Event owner or admin)
+// @access  Private (Event owner, editor or analyst co-host, or admin)
 router.get('/export/:id', [
   authenticateToken,
-  requireEventOwnership,
+  requireEventRole('analytics'),
   query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date')
@@ -365,10 +405,10 @@ router.get('/export/:id', [
 
 // @route   GET /api/analytics/realtime/:id
 // @desc    Get real-time analytics for an ongoing event
-// @access  Private (Event owner or admin)
+// @access  Private (Event owner, editor or analyst co-host, or admin)
 router.get('/realtime/:id', [
   authenticateToken,
-  requireEventOwnership
+  requireEventRole('analytics')
 ], async (req, res) => {
   try {
     const event = req.event;
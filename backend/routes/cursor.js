@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const CursorLog = require('../models/CursorLog');
 const Event = require('../models/Event');
+const { authenticateToken, requireEventRole } = require('../middleware/auth');
+const { canAccessEvent } = require('../utils/eventAccess');
 
 const router = express.Router();
 
@@ -326,23 +328,29 @@ router.post('/end-session', [
 
 // @route   GET /api/cursor/session/:sessionId
 // @desc    Get session data
-// @access  Public
-router.get('/session/:sessionId', async (req, res) => {
+// @access  Private (Event owner, editor or analyst co-host, or admin)
+router.get('/session/:sessionId', authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
     const cursorLog = await CursorLog.findOne({ sessionId })
-      .populate('eventId', 'title category status');
+      .populate('eventId', 'title category status host coHosts');
 
     if (!cursorLog) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    if (!cursorLog.eventId || !canAccessEvent(req.user, cursorLog.eventId, 'analytics')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { _id, title, category, status } = cursorLog.eventId;
+
     res.json({
       session: {
         id: cursorLog._id,
         sessionId: cursorLog.sessionId,
-        eventId: cursorLog.eventId,
+        eventId: { _id, title, category, status },
         userId: cursorLog.userId,
         sessionStart: cursorLog.sessionStart,
         sessionEnd: cursorLog.sessionEnd,
@@ -363,18 +371,15 @@ router.get('/session/:sessionId', async (req, res) => {
 
 // @route   GET /api/cursor/event/:eventId/sessions
 // @desc    Get all sessions for an event
-// @access  Public
-router.get('/event/:eventId/sessions', async (req, res) => {
+// @access  Private (Event owner, editor or analyst co-host, or admin)
+router.get('/event/:eventId/sessions', [
+  authenticateToken,
+  requireEventRole('analytics')
+], async (req, res) => {
   try {
     const { eventId } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
-    // Verify event exists
-    const event = await Event.findById(eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const [sessions, total] = await Promise.all([
@@ -1,7 +1,35 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Event = require('../models/Event');
-const { authenticateToken, requireHost, requireEventOwnership } = require('../middleware/auth');
+const EventRevision = require('../models/EventRevision');
+const { authenticateToken, requireHost, requireEventRole, requireEventOwnership, optionalAuth } = require('../middleware/auth');
+const { getEventRole, accessibleEventsQuery } = require('../utils/eventAccess');
+const {
+  DEFAULT_RADIUS_KM,
+  toGeoPoint,
+  parseBoundingBox,
+  boundingBoxQuery,
+  nearQuery,
+  withinRadiusQuery,
+  distanceKm
+} = require('../utils/geo');
+const {
+  FUZZY_CANDIDATE_LIMIT,
+  parseTerms,
+  fuzzyScore,
+  highlight,
+  parseFacetFilters,
+  withFilters,
+  buildFacetPipeline,
+  formatFacets
+} = require('../utils/eventSearch');
+const {
+  TRACKED_FIELDS,
+  RESTORE_SKIPPED_FIELDS,
+  getRevisionSnapshot,
+  diffSnapshots,
+  recordEventRevision
+} = require('../utils/eventRevisions');
 
 const router = express.Router();
 
@@ -9,6 +37,7 @@ const router = express.Router();
 // @desc    Get all events with filtering and pagination
 // @access  Public (with optional auth)
 router.get('/', [
+  optionalAuth,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('status').optional().isIn(['draft', 'upcoming', 'ongoing', 'completed', 'cancelled']),
@@ -16,7 +45,11 @@ router.get('/', [
   query('city').optional().trim(),
   query('search').optional().trim(),
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
-  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date')
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('radius').optional().isFloat({ min: 0.1, max: 20000 }).withMessage('Radius must be between 0.1 and 20000 km'),
+  query('bbox').optional().trim()
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -33,7 +66,11 @@ router.get('/', [
       city,
       search,
       startDate,
-      endDate
+      endDate,
+      lat,
+      lng,
+      radius,
+      bbox
     } = req.query;
 
     // Build filter object
@@ -55,29 +92,64 @@ router.get('/', [
       ];
     }
 
-    // If user is authenticated and is a host, show their events regardless of public status
+    // If user is authenticated and is a host, show the events they host or
+    // co-host regardless of public status
     if (req.user && (req.user.role === 'host' || req.user.role === 'admin')) {
       delete filter.isPublic;
       if (req.user.role === 'host') {
         filter.$or = [
           { isPublic: true },
-          { host: req.user._id }
+          ...accessibleEventsQuery(req.user._id).$or
         ];
       }
     }
 
+    // Location: events within `radius` km of lat/lng, nearest first, or inside a map bounding box
+    let origin = null;
+    let countFilter = filter;
+    if (lat !== undefined || lng !== undefined) {
+      if (lat === undefined || lng === undefined) {
+        return res.status(400).json({ error: 'Both lat and lng are required for a near query' });
+      }
+      if (bbox) {
+        return res.status(400).json({ error: 'Use either a near query or a bounding box, not both' });
+      }
+
+      origin = toGeoPoint({ latitude: parseFloat(lat), longitude: parseFloat(lng) });
+      const radiusKm = radius ? parseFloat(radius) : DEFAULT_RADIUS_KM;
+      filter['venue.location'] = nearQuery(origin, radiusKm);
+      countFilter = { ...filter, 'venue.location': withinRadiusQuery(origin, radiusKm) };
+    } else if (bbox) {
+      try {
+        filter['venue.location'] = boundingBoxQuery(parseBoundingBox(bbox));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // A near query already returns the nearest events first
+    let eventsQuery = Event.find(filter)
+      .populate('host', 'firstName lastName company');
+    if (!origin) {
+      eventsQuery = eventsQuery.sort({ startDate: 1 });
+    }
+
     const [events, total] = await Promise.all([
-      Event.find(filter)
-        .populate('host', 'firstName lastName company')
-        .sort({ startDate: 1 })
+      eventsQuery
         .skip(skip)
         .limit(parseInt(limit))
         .lean(),
-      Event.countDocuments(filter)
+      Event.countDocuments(countFilter)
     ]);
 
+    if (origin) {
+      events.forEach(event => {
+        event.distanceKm = distanceKm(origin, event.venue.location);
+      });
+    }
+
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
@@ -96,10 +168,142 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/events/search
+// @desc    Search events by relevance, with highlights and facet counts
+// @access  Public (with optional auth)
+router.get('/search', [
+  optionalAuth,
+  query('q').optional().trim().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q = '', page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const terms = parseTerms(q);
+
+    let filters;
+    try {
+      filters = parseFacetFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Public events, plus the ones a host runs; isDeleted is spelled out so
+    // the trash filter does not add a stage in front of $text
+    const scope = { isDeleted: { $ne: true }, isPublic: true };
+    if (req.user && (req.user.role === 'host' || req.user.role === 'admin')) {
+      delete scope.isPublic;
+      if (req.user.role === 'host') {
+        scope.$or = [
+          { isPublic: true },
+          ...accessibleEventsQuery(req.user._id).$or
+        ];
+      }
+    }
+
+    let mode = terms.length ? 'text' : 'browse';
+    let match = terms.length ? { ...scope, $text: { $search: q } } : scope;
+    let [facetResult] = await Event.aggregate(buildFacetPipeline(match, filters));
+
+    // The text index has no typo tolerance, so when it finds nothing score
+    // recent events locally with fuzzy matching instead
+    let fuzzyScores = null;
+    if (mode === 'text' && facetResult.total.length === 0) {
+      mode = 'fuzzy';
+      const candidates = await Event.find(scope)
+        .select('title description tags')
+        .sort({ startDate: -1 })
+        .limit(FUZZY_CANDIDATE_LIMIT)
+        .lean();
+
+      fuzzyScores = new Map();
+      const matchedIds = [];
+      candidates.forEach(candidate => {
+        const score = fuzzyScore(candidate, terms);
+        if (score > 0) {
+          fuzzyScores.set(candidate._id.toString(), score);
+          matchedIds.push(candidate._id);
+        }
+      });
+
+      match = { ...scope, _id: { $in: matchedIds } };
+      [facetResult] = await Event.aggregate(buildFacetPipeline(match, filters));
+    }
+
+    const total = facetResult.total.length ? facetResult.total[0].count : 0;
+    const filter = withFilters(match, filters);
+
+    let events;
+    if (mode === 'text') {
+      events = await Event.find(filter)
+        .select({ score: { $meta: 'textScore' } })
+        .populate('host', 'firstName lastName company')
+        .sort({ score: { $meta: 'textScore' }, startDate: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean();
+    } else if (mode === 'fuzzy') {
+      const matching = await Event.find(filter).select('_id').lean();
+      const pageIds = matching
+        .map(event => event._id.toString())
+        .sort((a, b) => fuzzyScores.get(b) - fuzzyScores.get(a))
+        .slice(skip, skip + parseInt(limit));
+
+      const found = await Event.find({ _id: { $in: pageIds } })
+        .populate('host', 'firstName lastName company')
+        .lean();
+      events = pageIds
+        .map(id => found.find(event => event._id.toString() === id))
+        .filter(Boolean)
+        .map(event => ({ ...event, score: fuzzyScores.get(event._id.toString()) }));
+    } else {
+      events = await Event.find(filter)
+        .populate('host', 'firstName lastName company')
+        .sort({ startDate: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean();
+    }
+
+    if (terms.length) {
+      events.forEach(event => {
+        event.highlights = {
+          title: highlight(event.title, terms),
+          description: highlight(event.description, terms)
+        };
+      });
+    }
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      events,
+      facets: formatFacets(facetResult),
+      search: { q, terms, mode },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEvents: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Search events error:', error);
+    res.status(500).json({ error: 'Server error while searching events' });
+  }
+});
+
 // @route   GET /api/events/:id
 // @desc    Get single event by ID
 // @access  Public (with optional auth)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
       .populate('host', 'firstName lastName company email phone');
@@ -109,15 +313,25 @@ router.get('/:id', async (req, res) => {
     }
 
     // Check if user can view this event
-    if (!event.isPublic && (!req.user || event.host.toString() !== req.user._id.toString())) {
+    const role = getEventRole(req.user, event);
+    const isAdmin = req.user && req.user.role === 'admin';
+    if (!event.isPublic && !role && !isAdmin) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Increment view count
-    event.analytics.views += 1;
-    await event.save();
+    // Increment view count for visitors outside the event team
+    if (!role) {
+      event.analytics.views += 1;
+      await event.save();
+    }
 
-    res.json({ event });
+    // The team list is only shown to the team
+    const eventData = event.toObject();
+    if (!role && !isAdmin) {
+      delete eventData.coHosts;
+    }
+
+    res.json({ event: eventData, role });
   } catch (error) {
     console.error('Get event error:', error);
     res.status(500).json({ error: 'Server error while fetching event' });
@@ -155,6 +369,14 @@ router.post('/', [
     .trim()
     .notEmpty()
     .withMessage('City is required'),
+  body('venue.coordinates.latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('venue.coordinates.longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
   body('capacity')
     .isInt({ min: 1 })
     .withMessage('Capacity must be a positive integer'),
@@ -227,6 +449,7 @@ router.post('/', [
 
     const event = new Event(eventData);
     await event.save();
+    await recordEventRevision(event, { author: req.user._id, action: 'create' });
 
     const populatedEvent = await Event.findById(event._id)
       .populate('host', 'firstName lastName company');
@@ -243,7 +466,7 @@ router.post('/', [
 
 // @route   PUT /api/events/:id
 // @desc    Update an event
-// @access  Private (Event owner or admin)
+// @access  Private (Event owner, editor co-host or admin)
 router.put('/:id', [
   authenticateToken,
   requireEventOwnership,
@@ -269,6 +492,14 @@ router.put('/:id', [
     .optional()
     .isISO8601()
     .withMessage('End date must be a valid ISO date'),
+  body('venue.coordinates.latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('venue.coordinates.longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
   body('capacity')
     .optional()
     .isInt({ min: 1 })
@@ -292,6 +523,10 @@ router.put('/:id', [
     const event = req.event;
     const updateData = req.body;
 
+    // The host and team are changed through the team routes
+    delete updateData.host;
+    delete updateData.coHosts;
+
     // Prevent updating certain fields if event has started
     if (event.isOngoing() || event.isCompleted()) {
       delete updateData.startDate;
@@ -310,12 +545,16 @@ router.put('/:id', [
       }
     }
 
+    const before = getRevisionSnapshot(event);
+
     const updatedEvent = await Event.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
     ).populate('host', 'firstName lastName company');
 
+    await recordEventRevision(updatedEvent, { author: req.user._id, action: 'update', before });
+
     res.json({
       message: 'Event updated successfully',
       event: updatedEvent
@@ -327,9 +566,9 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/events/:id
-// @desc    Delete an event
+// @desc    Move an event to the trash
 // @access  Private (Event owner or admin)
-router.delete('/:id', [authenticateToken, requireEventOwnership], async (req, res) => {
+router.delete('/:id', [authenticateToken, requireEventRole('owner')], async (req, res) => {
   try {
     const event = req.event;
 
@@ -338,10 +577,13 @@ router.delete('/:id', [authenticateToken, requireEventOwnership], async (req, re
       return res.status(400).json({ error: 'Cannot delete ongoing or completed events' });
     }
 
-    await Event.findByIdAndDelete(req.params.id);
+    // Soft delete; the event can be restored from the trash
+    event.isDeleted = true;
+    event.deletedAt = new Date();
+    await event.save();
 
     res.json({
-      message: 'Event deleted successfully'
+      message: 'Event moved to trash'
     });
   } catch (error) {
     console.error('Delete event error:', error);
@@ -351,7 +593,7 @@ router.delete('/:id', [authenticateToken, requireEventOwnership], async (req, re
 
 // @route   PUT /api/events/:id/status
 // @desc    Update event status
-// @access  Private (Event owner or admin)
+// @access  Private (Event owner, editor co-host or admin)
 router.put('/:id/status', [
   authenticateToken,
   requireEventOwnership,
@@ -377,8 +619,10 @@ router.put('/:id/status', [
       return res.status(400).json({ error: 'Only ongoing events can be marked as completed' });
     }
 
+    const before = getRevisionSnapshot(event);
     event.status = status;
     await event.save();
+    await recordEventRevision(event, { author: req.user._id, action: 'update', before });
 
     res.json({
       message: 'Event status updated successfully',
@@ -390,4 +634,242 @@ router.put('/:id/status', [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Find a revision of an event by its version number
+const findRevision = (event, version) => (
+  Number.isInteger(Number(version))
+    ? EventRevision.findOne({ event: event._id, version: Number(version) })
+    : null
+);
+
+// @route   GET /api/events/:id/revisions
+// @desc    Get the revision history of an event
+// @access  Private (Event owner, editor co-host or admin)
+router.get('/:id/revisions', [authenticateToken, requireEventOwnership], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [revisions, total] = await Promise.all([
+      EventRevision.find({ event: req.event._id })
+        .select('-snapshot')
+        .populate('author', 'firstName lastName email')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EventRevision.countDocuments({ event: req.event._id })
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      revisions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRevisions: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Server error while fetching revisions' });
+  }
+});
+
+// @route   GET /api/events/:id/revisions/compare?from=&to=
+// @desc    Compare two revisions field by field; without `to`, compare with the current event
+// @access  Private (Event owner, editor co-host or admin)
+router.get('/:id/revisions/compare', [authenticateToken, requireEventOwnership], async (req, res) => {
+  try {
+    const from = await findRevision(req.event, req.query.from);
+    if (!from) {
+      return res.status(404).json({ error: `Revision ${req.query.from} not found` });
+    }
+
+    let to = null;
+    if (req.query.to !== undefined) {
+      to = await findRevision(req.event, req.query.to);
+      if (!to) {
+        return res.status(404).json({ error: `Revision ${req.query.to} not found` });
+      }
+    }
+
+    res.json({
+      from: from.version,
+      to: to ? to.version : 'current',
+      changes: diffSnapshots(from.snapshot, to ? to.snapshot : getRevisionSnapshot(req.event))
+    });
+  } catch (error) {
+    console.error('Compare revisions error:', error);
+    res.status(500).json({ error: 'Server error while comparing revisions' });
+  }
+});
+
+// @route   GET /api/events/:id/revisions/:version
+// @desc    Get a single revision with the full event snapshot
+// @access  Private (Event owner, editor co-host or admin)
+router.get('/:id/revisions/:version', [authenticateToken, requireEventOwnership], async (req, res) => {
+  try {
+    const revision = await findRevision(req.event, req.params.version);
+    if (!revision) {
+      return res.status(404).json({ error: `Revision ${req.params.version} not found` });
+    }
+
+    await revision.populate('author', 'firstName lastName email');
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ error: 'Server error while fetching revision' });
+  }
+});
+
+// @route   POST /api/events/:id/revisions/:version/restore
+// @desc    Restore an event to a previous revision
+// @access  Private (Event owner, editor co-host or admin)
+router.post('/:id/revisions/:version/restore', [authenticateToken, requireEventOwnership], async (req, res) => {
+  try {
+    const event = req.event;
+    const revision = await findRevision(event, req.params.version);
+    if (!revision) {
+      return res.status(404).json({ error: `Revision ${req.params.version} not found` });
+    }
+
+    const target = revision.snapshot;
+    const before = getRevisionSnapshot(event);
+
+    // Dates, capacity and tickets are fixed once the event has started, as in PUT
+    if (event.isOngoing() || event.isCompleted()) {
+      const locked = ['startDate', 'endDate', 'capacity', 'ticketInfo']
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(target[field]));
+      if (locked.length > 0) {
+        return res.status(400).json({ error: `Cannot restore ${locked.join(', ')} of an event that has started` });
+      }
+    }
+
+    // Tickets already sold stay sold, so the restored version has to fit them
+    const ticketsSold = event.ticketInfo.totalTickets - event.ticketInfo.availableTickets;
+    if (target.capacity < event.currentAttendees) {
+      return res.status(409).json({
+        error: `Cannot restore version ${revision.version}: its capacity of ${target.capacity} is below the ${event.currentAttendees} current attendees`
+      });
+    }
+    if (target.ticketInfo.totalTickets < ticketsSold) {
+      return res.status(409).json({
+        error: `Cannot restore version ${revision.version}: its ${target.ticketInfo.totalTickets} tickets are fewer than the ${ticketsSold} already sold`
+      });
+    }
+    if (ticketsSold > 0 && (target.ticketInfo.currency || 'USD') !== event.ticketInfo.currency) {
+      return res.status(409).json({
+        error: `Cannot restore version ${revision.version}: the currency cannot change after tickets have been sold`
+      });
+    }
+
+    TRACKED_FIELDS
+      .filter(field => !RESTORE_SKIPPED_FIELDS.includes(field))
+      .forEach(field => event.set(field, target[field]));
+    event.ticketInfo.availableTickets = target.ticketInfo.totalTickets - ticketsSold;
+
+    await event.save();
+
+    const restored = await recordEventRevision(event, {
+      author: req.user._id,
+      action: 'restore',
+      before,
+      restoredFrom: revision.version
+    });
+
+    await event.populate('host', 'firstName lastName company');
+
+    res.json({
+      message: `Event restored to version ${revision.version}`,
+      event,
+      revision: restored
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ error: 'Server error while restoring revision' });
+  }
+});
+
+// @route   POST /api/events/:id/clone
+// @desc    Copy an event to a new start date as a draft
+// @access  Private (Event owner, editor co-host or admin)
+router.post('/:id/clone', [
+  authenticateToken,
+  requireHost,
+  requireEventOwnership,
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const source = req.event;
+    const startDate = new Date(req.body.startDate);
+    if (startDate <= new Date()) {
+      return res.status(400).json({ error: 'Start date must be in the future' });
+    }
+
+    // Every date moves by the same offset as the start
+    const offset = startDate - source.startDate;
+    const shift = (date) => (date ? new Date(date.getTime() + offset) : date);
+
+    const {
+      _id,
+      __v,
+      createdAt,
+      updatedAt,
+      coHosts,
+      status,
+      currentAttendees,
+      analytics,
+      series,
+      occurrenceDate,
+      isSeriesException,
+      isDeleted,
+      deletedAt,
+      ...fields
+    } = source.toObject();
+
+    // The copy belongs to whoever cloned it and starts with no sales
+    const event = new Event({
+      ...fields,
+      title: req.body.title || `${source.title} (copy)`.slice(0, 200),
+      host: req.user._id,
+      startDate,
+      endDate: shift(source.endDate),
+      registrationDeadline: shift(source.registrationDeadline),
+      ticketInfo: {
+        ...fields.ticketInfo,
+        availableTickets: fields.ticketInfo.totalTickets,
+        earlyBirdEndDate: shift(source.ticketInfo.earlyBirdEndDate)
+      }
+    });
+    await event.save();
+    await recordEventRevision(event, { author: req.user._id, action: 'create' });
+
+    await event.populate('host', 'firstName lastName company');
+
+    res.status(201).json({
+      message: 'Event cloned successfully',
+      event,
+      clonedFrom: source._id
+    });
+  } catch (error) {
+    console.error('Clone event error:', error);
+    res.status(500).json({ error: 'Server error while cloning event' });
+  }
+});
+
+module.exports = router;
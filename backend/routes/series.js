@@ -0,0 +1,638 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { authenticateToken, requireHost, optionalAuth } = require('../middleware/auth');
+const {
+  toRecurrence,
+  expandOccurrences,
+  isValidTimezone,
+  toDayKey,
+  toLocalDayKey,
+  localDayRange
+} = require('../utils/recurrence');
+const { trashEvents } = require('../utils/trash');
+const { canAccessEvent, accessibleEventsQuery } = require('../utils/eventAccess');
+
+const router = express.Router();
+
+// Event fields shared by every occurrence of a series
+const SERIES_FIELDS = [
+  'description',
+  'category',
+  'venue',
+  'capacity',
+  'ticketInfo',
+  'tags',
+  'image',
+  'banner',
+  'isPublic',
+  'cancellationPolicy',
+  'refundPolicy',
+  'contactInfo',
+  'socialMedia'
+];
+
+const pickSeriesFields = (source) => SERIES_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const MINUTE_MS = 60 * 1000;
+
+// Check if the user may do something on a whole series: the series host and
+// admins may, and so may a co-host whose role allows it on every upcoming occurrence
+const canAccessSeries = async (user, series, permission) => {
+  if (canAccessEvent(user, series, permission)) return true;
+
+  const upcoming = await Event.find({ series: series._id, startDate: { $gt: new Date() } })
+    .select('host coHosts');
+  return upcoming.length > 0 && upcoming.every(event => canAccessEvent(user, event, permission));
+};
+
+// Middleware to check the user's role on the series, or on the one occurrence
+// being edited when the change only touches that occurrence
+const requireSeriesRole = (permission) => async (req, res, next) => {
+  try {
+    const series = await EventSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    let allowed = false;
+    if (req.params.eventId && (req.body.scope || 'this') === 'this') {
+      const occurrence = await Event.findOne({ _id: req.params.eventId, series: series._id })
+        .select('host coHosts');
+      allowed = canAccessEvent(req.user, occurrence, permission);
+    }
+
+    if (allowed || await canAccessSeries(req.user, series, permission)) {
+      req.series = series;
+      next();
+    } else {
+      return res.status(403).json({ error: 'Access denied. Your role on this series does not allow this.' });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: 'Error checking series access' });
+  }
+};
+
+// Read the recurrence from an `rrule` string or a `recurrence` object
+const readRecurrence = (req) => {
+  const input = req.body.rrule !== undefined ? req.body.rrule : req.body.recurrence;
+  return input === undefined ? null : toRecurrence(input);
+};
+
+// Work out the new ticket counts for an occurrence; returns null if the
+// new total would be below the tickets already sold
+const mergeTicketInfo = (event, ticketInfo) => {
+  const current = event.toObject().ticketInfo;
+  const merged = { ...current, ...ticketInfo };
+
+  if (ticketInfo.totalTickets !== undefined) {
+    merged.availableTickets = current.availableTickets + (ticketInfo.totalTickets - current.totalTickets);
+    if (merged.availableTickets < 0) return null;
+  }
+
+  return merged;
+};
+
+const occurrenceValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 20, max: 2000 })
+    .withMessage('Description must be between 20 and 2000 characters'),
+  body('category')
+    .optional()
+    .isIn(['conference', 'workshop', 'seminar', 'concert', 'exhibition', 'sports', 'other'])
+    .withMessage('Invalid category'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+  body('capacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer'),
+  body('ticketInfo.totalTickets')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Total tickets must be a positive integer'),
+  body('ticketInfo.price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a non-negative number')
+];
+
+// @route   POST /api/series
+// @desc    Create a recurring event series and its occurrences
+// @access  Private (Host only)
+router.post('/', [
+  authenticateToken,
+  requireHost,
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 20, max: 2000 })
+    .withMessage('Description must be between 20 and 2000 characters'),
+  body('category')
+    .isIn(['conference', 'workshop', 'seminar', 'concert', 'exhibition', 'sports', 'other'])
+    .withMessage('Invalid category'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO date'),
+  body('venue.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Venue name is required'),
+  body('venue.address.city')
+    .trim()
+    .notEmpty()
+    .withMessage('City is required'),
+  body('capacity')
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer'),
+  body('ticketInfo.totalTickets')
+    .isInt({ min: 1 })
+    .withMessage('Total tickets must be a positive integer'),
+  body('ticketInfo.price')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a non-negative number'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'upcoming'])
+    .withMessage('Series can start as draft or upcoming'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be an IANA timezone such as Europe/Berlin'),
+  body('exceptions')
+    .optional()
+    .isArray()
+    .withMessage('Exceptions must be a list of dates'),
+  body('exceptions.*')
+    .isISO8601()
+    .withMessage('Exception dates must be valid ISO dates')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let recurrence;
+    try {
+      recurrence = readRecurrence(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!recurrence) {
+      return res.status(400).json({ error: 'A recurrence rule is required' });
+    }
+
+    const startDate = new Date(req.body.startDate);
+    const endDate = new Date(req.body.endDate);
+
+    // Validate dates
+    if (startDate <= new Date()) {
+      return res.status(400).json({ error: 'Start date must be in the future' });
+    }
+    if (endDate <= startDate) {
+      return res.status(400).json({ error: 'End date must be after start date' });
+    }
+
+    const series = new EventSeries({
+      title: req.body.title,
+      host: req.user._id,
+      timezone: req.body.timezone || 'UTC',
+      firstStartDate: startDate,
+      durationMinutes: Math.round((endDate - startDate) / MINUTE_MS),
+      recurrence,
+      exceptions: req.body.exceptions || [],
+      template: {
+        ...pickSeriesFields(req.body),
+        isPublic: req.body.isPublic !== undefined ? req.body.isPublic : true,
+        status: req.body.status || 'draft'
+      }
+    });
+
+    let dates;
+    try {
+      dates = series.getOccurrenceDates();
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (dates.length === 0) {
+      return res.status(400).json({ error: 'The recurrence rule does not produce any occurrences' });
+    }
+
+    await series.save();
+
+    let occurrences;
+    try {
+      occurrences = await Event.insertMany(dates.map(date => series.buildOccurrence(date)));
+    } catch (error) {
+      await EventSeries.findByIdAndDelete(series._id);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: `Series created with ${occurrences.length} occurrences`,
+      series,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({ error: 'Server error while creating series' });
+  }
+});
+
+// @route   GET /api/series
+// @desc    Get the series the current host runs or co-hosts as an editor
+// @access  Private (Host only)
+router.get('/', [authenticateToken, requireHost], async (req, res) => {
+  try {
+    const coHosted = await Event.distinct('series', {
+      ...accessibleEventsQuery(req.user._id, 'manage'),
+      series: { $ne: null }
+    });
+    const series = await EventSeries.find({ $or: [{ host: req.user._id }, { _id: { $in: coHosted } }] })
+      .sort({ firstStartDate: -1 });
+
+    // Count occurrences per series
+    const counts = await Event.aggregate([
+      { $match: { series: { $in: series.map(s => s._id) } } },
+      {
+        $group: {
+          _id: '$series',
+          occurrences: { $sum: 1 },
+          upcoming: { $sum: { $cond: [{ $gt: ['$startDate', new Date()] }, 1, 0] } },
+          nextStartDate: {
+            $min: { $cond: [{ $gt: ['$startDate', new Date()] }, '$startDate', null] }
+          }
+        }
+      }
+    ]);
+    const countsBySeries = new Map(counts.map(c => [c._id.toString(), c]));
+
+    res.json({
+      series: series.map(s => {
+        const count = countsBySeries.get(s._id.toString());
+        return {
+          ...s.toJSON(),
+          occurrences: count ? count.occurrences : 0,
+          upcomingOccurrences: count ? count.upcoming : 0,
+          nextStartDate: count ? count.nextStartDate : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Server error while fetching series' });
+  }
+});
+
+// @route   GET /api/series/:id
+// @desc    Get a series with its occurrences
+// @access  Public (with optional auth)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id)
+      .populate('host', 'firstName lastName company');
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const isOwner = canAccessEvent(req.user, series, 'owner');
+
+    // Visitors only see the public occurrences, co-hosts also the ones they help run
+    const filter = { series: series._id };
+    if (!isOwner && req.user) {
+      filter.$or = [{ isPublic: true }, ...accessibleEventsQuery(req.user._id).$or];
+    } else if (!isOwner) {
+      filter.isPublic = true;
+    }
+
+    const occurrences = await Event.find(filter)
+      .sort({ occurrenceDate: 1 })
+      .lean();
+
+    if (!isOwner && occurrences.length === 0) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json({ series, occurrences });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Server error while fetching series' });
+  }
+});
+
+// @route   PUT /api/series/:id/occurrences/:eventId
+// @desc    Edit one occurrence, or this and all following occurrences
+// @access  Private (Series owner, editor co-host or admin)
+router.put('/:id/occurrences/:eventId', [
+  authenticateToken,
+  requireSeriesRole('manage'),
+  body('scope')
+    .optional()
+    .isIn(['this', 'following'])
+    .withMessage('Scope must be this or following'),
+  ...occurrenceValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const series = req.series;
+    const occurrence = await Event.findOne({ _id: req.params.eventId, series: series._id });
+
+    if (!occurrence) {
+      return res.status(404).json({ error: 'Occurrence not found in this series' });
+    }
+
+    if (occurrence.isOngoing() || occurrence.isCompleted()) {
+      return res.status(400).json({ error: 'Cannot edit an occurrence that has already started' });
+    }
+
+    const changes = pickSeriesFields(req.body);
+    if (req.body.title !== undefined) changes.title = req.body.title;
+
+    const newStart = req.body.startDate ? new Date(req.body.startDate) : occurrence.startDate;
+    const newEnd = req.body.endDate
+      ? new Date(req.body.endDate)
+      : new Date(newStart.getTime() + (occurrence.endDate - occurrence.startDate));
+
+    if (newStart <= new Date()) {
+      return res.status(400).json({ error: 'Start date must be in the future' });
+    }
+    if (newEnd <= newStart) {
+      return res.status(400).json({ error: 'End date must be after start date' });
+    }
+
+    // Edit just this occurrence
+    if ((req.body.scope || 'this') === 'this') {
+      const update = { ...changes, startDate: newStart, endDate: newEnd, isSeriesException: true };
+      if (req.body.registrationDeadline !== undefined) {
+        update.registrationDeadline = req.body.registrationDeadline;
+      }
+
+      if (changes.ticketInfo) {
+        update.ticketInfo = mergeTicketInfo(occurrence, changes.ticketInfo);
+        if (!update.ticketInfo) {
+          return res.status(400).json({ error: 'Cannot reduce total tickets below current registrations' });
+        }
+      }
+
+      occurrence.set(update);
+      await occurrence.save();
+
+      return res.json({
+        message: 'Occurrence updated successfully',
+        occurrence
+      });
+    }
+
+    // Edit this and all following occurrences
+    let recurrence;
+    try {
+      recurrence = readRecurrence(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const following = await Event.find({
+      series: series._id,
+      occurrenceDate: { $gte: occurrence.occurrenceDate }
+    }).sort({ occurrenceDate: 1 });
+
+    if (recurrence && following.some(event => event.currentAttendees > 0)) {
+      return res.status(409).json({
+        error: 'Cannot change the recurrence of occurrences that already have attendees'
+      });
+    }
+
+    const ticketUpdates = new Map();
+    if (changes.ticketInfo) {
+      for (const event of following) {
+        const ticketInfo = mergeTicketInfo(event, changes.ticketInfo);
+        if (!ticketInfo) {
+          return res.status(400).json({
+            error: `Cannot reduce total tickets below current registrations for the ${toLocalDayKey(event.startDate, series.timezone)} occurrence`
+          });
+        }
+        ticketUpdates.set(event._id.toString(), ticketInfo);
+      }
+    }
+
+    const shiftMs = newStart - occurrence.startDate;
+    const durationMinutes = Math.round((newEnd - newStart) / MINUTE_MS);
+    const splitAt = occurrence.occurrenceDate;
+    const isFirst = !(await Event.exists({ series: series._id, occurrenceDate: { $lt: splitAt } }));
+
+    // The rule for the following occurrences keeps the part of a COUNT not used yet
+    const remainingRecurrence = () => {
+      const current = series.toObject().recurrence;
+      if (!current.count) return current;
+
+      const usedBefore = expandOccurrences(current, series.firstStartDate, { timezone: series.timezone })
+        .filter(date => date < splitAt).length;
+      return { ...current, count: current.count - usedBefore };
+    };
+
+    const splitDay = toLocalDayKey(splitAt, series.timezone);
+    const seriesFields = {
+      title: changes.title || series.title,
+      timezone: series.timezone,
+      firstStartDate: new Date(splitAt.getTime() + shiftMs),
+      durationMinutes,
+      recurrence: recurrence || remainingRecurrence(),
+      exceptions: series.exceptions.filter(date => toDayKey(date) >= splitDay),
+      template: { ...series.template, ...pickSeriesFields(changes) }
+    };
+
+    // Editing from the first occurrence changes the whole series; otherwise
+    // the following occurrences move to a new series split off this one
+    let target;
+    if (isFirst) {
+      target = series;
+      target.set(seriesFields);
+      target.markModified('template');
+    } else {
+      target = new EventSeries({
+        ...seriesFields,
+        host: series.host,
+        parentSeries: series._id
+      });
+    }
+
+    let dates = null;
+    if (recurrence) {
+      try {
+        dates = target.getOccurrenceDates();
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    await target.save();
+
+    let occurrences;
+    if (recurrence) {
+      // Nobody has registered yet, so the occurrences can be regenerated;
+      // the old ones go to the trash and the new ones keep the co-hosts
+      await trashEvents({ _id: { $in: following.map(event => event._id) } });
+      occurrences = await Event.insertMany(dates.map(date => ({
+        ...target.buildOccurrence(date),
+        coHosts: occurrence.toObject().coHosts
+      })));
+    } else {
+      occurrences = [];
+      for (const event of following) {
+        const startDate = new Date(event.startDate.getTime() + shiftMs);
+        event.set({
+          ...changes,
+          startDate,
+          endDate: new Date(startDate.getTime() + durationMinutes * MINUTE_MS),
+          occurrenceDate: new Date(event.occurrenceDate.getTime() + shiftMs),
+          series: target._id,
+          isSeriesException: false
+        });
+        if (ticketUpdates.has(event._id.toString())) {
+          event.ticketInfo = ticketUpdates.get(event._id.toString());
+        }
+        occurrences.push(await event.save());
+      }
+    }
+
+    // End the original series just before the split
+    if (!isFirst) {
+      const recurrenceBefore = series.toObject().recurrence;
+      delete recurrenceBefore.count;
+      recurrenceBefore.until = new Date(splitAt.getTime() - 1);
+      series.recurrence = recurrenceBefore;
+      series.exceptions = series.exceptions.filter(date => toDayKey(date) < splitDay);
+      await series.save();
+    }
+
+    res.json({
+      message: `${occurrences.length} occurrences updated successfully`,
+      series: target,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Update series occurrences error:', error);
+    res.status(500).json({ error: 'Server error while updating series' });
+  }
+});
+
+// @route   POST /api/series/:id/exceptions
+// @desc    Skip the occurrence on a given date
+// @access  Private (Series owner, editor co-host or admin)
+router.post('/:id/exceptions', [
+  authenticateToken,
+  requireSeriesRole('manage'),
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid ISO date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const series = req.series;
+    const day = toLocalDayKey(req.body.date, series.timezone);
+
+    if (series.exceptions.some(date => toDayKey(date) === day)) {
+      return res.status(400).json({ error: 'That date is already skipped' });
+    }
+
+    // Exceptions are stored as the calendar day in the series' timezone
+    const dayStart = new Date(`${day}T00:00:00.000Z`);
+    const { start, end } = localDayRange(day, series.timezone);
+    const occurrence = await Event.findOne({
+      series: series._id,
+      occurrenceDate: { $gte: start, $lt: end }
+    });
+
+    if (occurrence && (occurrence.isOngoing() || occurrence.isCompleted())) {
+      return res.status(400).json({ error: 'Cannot skip an occurrence that has already started' });
+    }
+
+    series.exceptions.push(dayStart);
+    await series.save();
+
+    // Keep the record of occurrences people registered for
+    if (occurrence && occurrence.currentAttendees > 0) {
+      occurrence.status = 'cancelled';
+      await occurrence.save();
+    } else if (occurrence) {
+      await trashEvents({ _id: occurrence._id });
+    }
+
+    res.json({
+      message: occurrence ? 'Occurrence skipped successfully' : 'Date added to the series exceptions',
+      series,
+      cancelledOccurrence: occurrence && occurrence.currentAttendees > 0 ? occurrence : null
+    });
+  } catch (error) {
+    console.error('Add series exception error:', error);
+    res.status(500).json({ error: 'Server error while updating series' });
+  }
+});
+
+// @route   DELETE /api/series/:id
+// @desc    Cancel a series and its upcoming occurrences
+// @access  Private (Series owner or admin)
+router.delete('/:id', [authenticateToken, requireSeriesRole('owner')], async (req, res) => {
+  try {
+    const series = req.series;
+    const upcoming = { series: series._id, startDate: { $gt: new Date() } };
+
+    // Occurrences with registrations are cancelled, the rest go to the trash
+    const [cancelled, trashed] = await Promise.all([
+      Event.updateMany({ ...upcoming, currentAttendees: { $gt: 0 } }, { status: 'cancelled' }),
+      trashEvents({ ...upcoming, currentAttendees: 0 })
+    ]);
+
+    series.status = 'cancelled';
+    await series.save();
+
+    res.json({
+      message: 'Series cancelled successfully',
+      cancelledOccurrences: cancelled.modifiedCount,
+      trashedOccurrences: trashed
+    });
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    res.status(500).json({ error: 'Server error while cancelling series' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { authenticateToken, requireEventRole } = require('../middleware/auth');
+const { CO_HOST_ROLES, getEventRole } = require('../utils/eventAccess');
+
+const router = express.Router();
+
+// Check if a co-host invitation was sent to the user
+const isInvitee = (user, member) => {
+  if (member.user) return member.user.toString() === user._id.toString();
+  return member.email === user.email.toLowerCase();
+};
+
+// @route   GET /api/team/invitations
+// @desc    Get pending co-host invitations for the current user
+// @access  Private
+router.get('/invitations', authenticateToken, async (req, res) => {
+  try {
+    const events = await Event.find({
+      coHosts: {
+        $elemMatch: {
+          status: 'pending',
+          $or: [{ user: req.user._id }, { email: req.user.email.toLowerCase() }]
+        }
+      }
+    })
+      .select('title startDate host coHosts')
+      .populate('host', 'firstName lastName company');
+
+    const invitations = events.map(event => {
+      const member = event.coHosts.find(coHost => coHost.status === 'pending' && isInvitee(req.user, coHost));
+
+      return {
+        id: member._id,
+        event: {
+          id: event._id,
+          title: event.title,
+          startDate: event.startDate
+        },
+        host: event.host,
+        role: member.role,
+        invitedAt: member.invitedAt
+      };
+    });
+
+    res.json({ invitations });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Server error while fetching invitations' });
+  }
+});
+
+// @route   GET /api/team/event/:eventId
+// @desc    Get the team of an event
+// @access  Private (Event team or admin)
+router.get('/event/:eventId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select('host coHosts')
+      .populate('host', 'firstName lastName email company')
+      .populate('coHosts.user', 'firstName lastName email company');
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const role = getEventRole(req.user, event);
+    if (!role && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only the event team can see its members.' });
+    }
+
+    res.json({
+      owner: event.host,
+      members: event.coHosts,
+      role
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({ error: 'Server error while fetching team' });
+  }
+});
+
+// @route   POST /api/team/event/:eventId/members
+// @desc    Invite a co-host to an event
+// @access  Private (Event owner or admin)
+router.post('/event/:eventId/members', [
+  authenticateToken,
+  requireEventRole('owner'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(CO_HOST_ROLES)
+    .withMessage(`Role must be one of: ${CO_HOST_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = req.event;
+    const email = req.body.email.toLowerCase();
+    const invitee = await User.findOne({ email }).select('_id');
+
+    if (invitee && invitee._id.toString() === event.host.toString()) {
+      return res.status(400).json({ error: 'The event owner is already on the team' });
+    }
+
+    // A declined invitation can be sent again; anything else is a duplicate
+    let member = event.coHosts.find(coHost =>
+      coHost.email === email || (invitee && coHost.user && coHost.user.toString() === invitee._id.toString())
+    );
+
+    if (member && member.status !== 'declined') {
+      return res.status(409).json({
+        error: member.status === 'accepted'
+          ? 'This user is already a co-host'
+          : 'This user already has a pending invitation'
+      });
+    }
+
+    if (member) {
+      member.set({
+        role: req.body.role,
+        status: 'pending',
+        invitedBy: req.user._id,
+        invitedAt: new Date(),
+        respondedAt: null
+      });
+    } else {
+      event.coHosts.push({
+        user: invitee ? invitee._id : null,
+        email,
+        role: req.body.role,
+        invitedBy: req.user._id
+      });
+      member = event.coHosts[event.coHosts.length - 1];
+    }
+
+    await event.save();
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      member
+    });
+  } catch (error) {
+    console.error('Invite co-host error:', error);
+    res.status(500).json({ error: 'Server error while inviting co-host' });
+  }
+});
+
+// @route   PUT /api/team/event/:eventId/members/:memberId
+// @desc    Change a co-host's role
+// @access  Private (Event owner or admin)
+router.put('/event/:eventId/members/:memberId', [
+  authenticateToken,
+  requireEventRole('owner'),
+  body('role')
+    .isIn(CO_HOST_ROLES)
+    .withMessage(`Role must be one of: ${CO_HOST_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = req.event;
+    const member = event.coHosts.id(req.params.memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    member.role = req.body.role;
+    await event.save();
+
+    res.json({
+      message: 'Role updated successfully',
+      member
+    });
+  } catch (error) {
+    console.error('Update co-host role error:', error);
+    res.status(500).json({ error: 'Server error while updating role' });
+  }
+});
+
+// @route   DELETE /api/team/event/:eventId/members/:memberId
+// @desc    Remove a co-host or revoke an invitation; co-hosts may remove themselves
+// @access  Private (Event owner, the member, or admin)
+router.delete('/event/:eventId/members/:memberId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const member = event.coHosts.id(req.params.memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    const isOwner = req.user.role === 'admin' || event.host.toString() === req.user._id.toString();
+    if (!isOwner && !isInvitee(req.user, member)) {
+      return res.status(403).json({ error: 'Access denied. Only the event owner can remove co-hosts.' });
+    }
+
+    member.deleteOne();
+    await event.save();
+
+    res.json({
+      message: 'Team member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove co-host error:', error);
+    res.status(500).json({ error: 'Server error while removing co-host' });
+  }
+});
+
+// Accept or decline a pending invitation addressed to the current user
+const respondToInvitation = (status) => async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const member = event.coHosts.id(req.params.memberId);
+    if (!member) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (!isInvitee(req.user, member)) {
+      return res.status(403).json({ error: 'Access denied. This invitation was sent to someone else.' });
+    }
+
+    if (member.status !== 'pending') {
+      return res.status(400).json({ error: `Invitation has already been ${member.status}` });
+    }
+
+    member.set({
+      user: req.user._id,
+      status,
+      respondedAt: new Date()
+    });
+    await event.save();
+
+    res.json({
+      message: `Invitation ${status} successfully`,
+      eventId: event._id,
+      member
+    });
+  } catch (error) {
+    console.error('Respond to invitation error:', error);
+    res.status(500).json({ error: 'Server error while responding to invitation' });
+  }
+};
+
+// @route   POST /api/team/event/:eventId/members/:memberId/accept
+// @desc    Accept a co-host invitation
+// @access  Private (Invitee)
+router.post('/event/:eventId/members/:memberId/accept', authenticateToken, respondToInvitation('accepted'));
+
+// @route   POST /api/team/event/:eventId/members/:memberId/decline
+// @desc    Decline a co-host invitation
+// @access  Private (Invitee)
+router.post('/event/:eventId/members/:memberId/decline', authenticateToken, respondToInvitation('declined'));
+
+module.exports = router;
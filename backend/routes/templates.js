@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const EventTemplate = require('../models/EventTemplate');
+const { authenticateToken, requireHost, requireEventOwnership } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Event fields a template carries; dates, sales and analytics belong to one event
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'venue',
+  'capacity',
+  'ticketInfo',
+  'tags',
+  'image',
+  'banner',
+  'isPublic',
+  'cancellationPolicy',
+  'refundPolicy',
+  'contactInfo',
+  'socialMedia'
+];
+
+const MINUTE_MS = 60 * 1000;
+
+const pickTemplateFields = (source) => {
+  const fields = TEMPLATE_FIELDS.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+
+  // Ticket counts and the early bird window are set per event
+  if (fields.ticketInfo) {
+    const { availableTickets, earlyBirdEndDate, ...ticketInfo } = fields.ticketInfo;
+    fields.ticketInfo = ticketInfo;
+  }
+
+  return fields;
+};
+
+// Middleware to load a template the user owns
+const requireTemplateOwnership = async (req, res, next) => {
+  try {
+    const template = await EventTemplate.findById(req.params.id);
+    if (!template || (req.user.role !== 'admin' && template.host.toString() !== req.user._id.toString())) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    req.template = template;
+    next();
+  } catch (error) {
+    return res.status(500).json({ error: 'Error checking template ownership' });
+  }
+};
+
+const templateValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    body('durationMinutes')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Duration must be a positive number of minutes'),
+    body('event')
+      .optional()
+      .isObject()
+      .withMessage('Event fields must be an object')
+  ];
+};
+
+// @route   GET /api/templates
+// @desc    Get the current host's event templates
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { host: req.user._id };
+
+    const [templates, total] = await Promise.all([
+      EventTemplate.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EventTemplate.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      templates,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalTemplates: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Server error while fetching templates' });
+  }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a single template
+// @access  Private (Template owner or admin)
+router.get('/:id', [authenticateToken, requireTemplateOwnership], async (req, res) => {
+  res.json({ template: req.template });
+});
+
+// @route   POST /api/templates
+// @desc    Create a template from event fields
+// @access  Private (Host only)
+router.post('/', [authenticateToken, requireHost, ...templateValidation()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = new EventTemplate({
+      name: req.body.name,
+      description: req.body.description,
+      host: req.user._id,
+      durationMinutes: req.body.durationMinutes,
+      event: pickTemplateFields(req.body.event || {})
+    });
+    await template.save();
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({ error: 'Server error while creating template' });
+  }
+});
+
+// @route   POST /api/templates/from-event/:id
+// @desc    Save an existing event as a template
+// @access  Private (Event owner, editor co-host or admin)
+router.post('/from-event/:id', [
+  authenticateToken,
+  requireHost,
+  requireEventOwnership,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = req.event;
+
+    const template = new EventTemplate({
+      name: req.body.name || event.title.slice(0, 100),
+      description: req.body.description,
+      host: req.user._id,
+      durationMinutes: Math.round((event.endDate - event.startDate) / MINUTE_MS),
+      event: pickTemplateFields(event.toObject()),
+      sourceEvent: event._id
+    });
+    await template.save();
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Create template from event error:', error);
+    res.status(500).json({ error: 'Server error while creating template' });
+  }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Update a template
+// @access  Private (Template owner or admin)
+router.put('/:id', [authenticateToken, requireTemplateOwnership, ...templateValidation(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = req.template;
+
+    ['name', 'description', 'durationMinutes'].forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    if (req.body.event !== undefined) {
+      template.event = pickTemplateFields(req.body.event);
+      template.markModified('event');
+    }
+
+    await template.save();
+
+    res.json({
+      message: 'Template updated successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({ error: 'Server error while updating template' });
+  }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template
+// @access  Private (Template owner or admin)
+router.delete('/:id', [authenticateToken, requireTemplateOwnership], async (req, res) => {
+  try {
+    await req.template.deleteOne();
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Server error while deleting template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { authenticateToken } = require('../middleware/auth');
+const { getEventRole } = require('../utils/eventAccess');
+const { getRetentionDays, getPurgeDate, purgeEvent } = require('../utils/trash');
+const { toLocalDayKey } = require('../utils/recurrence');
+
+const router = express.Router();
+
+// Load a trashed event the current user owns
+const findTrashedEvent = async (req, res) => {
+  const event = await Event.findOne({ _id: req.params.id, isDeleted: true });
+  if (!event) {
+    res.status(404).json({ error: 'Event not found in trash' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && getEventRole(req.user, event) !== 'owner') {
+    res.status(403).json({ error: 'Access denied. Only the event owner can manage its trash.' });
+    return null;
+  }
+
+  return event;
+};
+
+// @route   GET /api/trash
+// @desc    Get the current host's trashed events
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { host: req.user._id, isDeleted: true };
+
+    const [events, total] = await Promise.all([
+      Event.find(filter)
+        .select('title category startDate endDate venue.name currentAttendees series deletedAt')
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Event.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      events: events.map(event => ({
+        ...event.toObject(),
+        purgeAt: getPurgeDate(event.deletedAt)
+      })),
+      retentionDays: getRetentionDays(),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalEvents: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Server error while fetching trash' });
+  }
+});
+
+// @route   POST /api/trash/events/:id/restore
+// @desc    Restore a trashed event
+// @access  Private (Event owner or admin)
+router.post('/events/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const event = await findTrashedEvent(req, res);
+    if (!event) return;
+
+    // The series may have generated a new occurrence for the slot since
+    if (event.series) {
+      const replacement = await Event.exists({
+        _id: { $ne: event._id },
+        series: event.series,
+        occurrenceDate: event.occurrenceDate
+      });
+      if (replacement) {
+        return res.status(409).json({ error: 'The series already has another occurrence on this date' });
+      }
+
+      // Skipped dates and dates a new recurrence rule dropped stay gone
+      const series = await EventSeries.findById(event.series);
+      const day = series && toLocalDayKey(event.occurrenceDate, series.timezone);
+      if (series && !series.getOccurrenceDates().some(date => toLocalDayKey(date, series.timezone) === day)) {
+        return res.status(409).json({ error: 'The series no longer has an occurrence on this date' });
+      }
+    }
+
+    event.isDeleted = false;
+    event.deletedAt = null;
+    await event.save();
+
+    res.json({
+      message: 'Event restored successfully',
+      event
+    });
+  } catch (error) {
+    console.error('Restore event error:', error);
+    res.status(500).json({ error: 'Server error while restoring event' });
+  }
+});
+
+// @route   DELETE /api/trash/events/:id
+// @desc    Permanently delete a trashed event
+// @access  Private (Event owner or admin)
+router.delete('/events/:id', authenticateToken, async (req, res) => {
+  try {
+    const event = await findTrashedEvent(req, res);
+    if (!event) return;
+
+    await purgeEvent(event._id);
+
+    res.json({
+      message: 'Event permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge event error:', error);
+    res.status(500).json({ error: 'Server error while deleting event' });
+  }
+});
+
+// @route   DELETE /api/trash
+// @desc    Permanently delete every event in the current host's trash
+// @access  Private
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const events = await Event.find({ host: req.user._id, isDeleted: true }).select('_id');
+
+    for (const event of events) {
+      await purgeEvent(event._id);
+    }
+
+    res.json({
+      message: 'Trash emptied successfully',
+      deletedEvents: events.length
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Server error while emptying trash' });
+  }
+});
+
+module.exports = router;
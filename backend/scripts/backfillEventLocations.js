@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Event = require('../models/Event');
+
+// Events with usable coordinates but no GeoJSON point yet, trashed ones included
+const missingLocationFilter = {
+  'venue.coordinates.latitude': { $gte: -90, $lte: 90 },
+  'venue.coordinates.longitude': { $gte: -180, $lte: 180 },
+  'venue.location.coordinates': { $exists: false }
+};
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/event_analytics');
+    console.log('MongoDB connected successfully');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Copy venue coordinates into venue.location, then build the 2dsphere index.
+// Goes through the driver so the trash filter on Event queries does not apply.
+const backfillEventLocations = async () => {
+  try {
+    console.log('Starting event location backfill...');
+
+    await connectDB();
+
+    const result = await Event.collection.updateMany(missingLocationFilter, [
+      {
+        $set: {
+          'venue.location': {
+            type: 'Point',
+            coordinates: ['$venue.coordinates.longitude', '$venue.coordinates.latitude']
+          }
+        }
+      }
+    ]);
+    console.log(`Backfilled locations for ${result.modifiedCount} events`);
+
+    await Event.createIndexes();
+    console.log('Event indexes are up to date');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Event location backfill failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the backfill if this file is executed directly
+if (require.main === module) {
+  backfillEventLocations();
+}
+
+module.exports = { backfillEventLocations };
@@ -12,7 +12,13 @@ const authRoutes = require('./routes/auth');
 const eventRoutes = require('./routes/events');
 const analyticsRoutes = require('./routes/analytics');
 const cursorRoutes = require('./routes/cursor');
+const seriesRoutes = require('./routes/series');
+const teamRoutes = require('./routes/team');
+const trashRoutes = require('./routes/trash');
+const templateRoutes = require('./routes/templates');
 const { setupSocketHandlers } = require('./sockets/socketHandlers');
+const { purgeExpiredTrash } = require('./utils/trash');
+const { advanceEventStatuses } = require('./utils/eventLifecycle');
 
 const app = express();
 const server = http.createServer(app);
@@ -44,6 +50,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/cursor', cursorRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/team', teamRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -67,6 +77,30 @@ app.use('*', (req, res) => {
 // Setup Socket.IO handlers
 setupSocketHandlers(io);
 
+// Move events to ongoing/completed as their dates pass. A run still in
+// progress is not overlapped by the next one.
+let advancingStatuses = false;
+setInterval(async () => {
+  if (advancingStatuses) return;
+  advancingStatuses = true;
+  try {
+    await advanceEventStatuses(io);
+  } catch (error) {
+    console.error('Event status scheduler error:', error);
+  } finally {
+    advancingStatuses = false;
+  }
+}, 60000); // Run every minute
+
+// Purge trashed events past the retention period
+setInterval(async () => {
+  try {
+    await purgeExpiredTrash();
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+}, 60 * 60 * 1000); // Run every hour
+
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
@@ -0,0 +1,82 @@
+const Event = require('../models/Event');
+const EventRevision = require('../models/EventRevision');
+const { advanceEventStatuses } = require('../utils/eventLifecycle');
+const { mockQuery, buildEvent } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An event that started `hoursAgo` and lasts two hours
+const startedEvent = (hoursAgo, status) => {
+  const startDate = new Date(Date.now() - hoursAgo * HOUR_MS);
+  return buildEvent({ status, startDate, endDate: new Date(startDate.getTime() + 2 * HOUR_MS) });
+};
+
+let events;
+let emit;
+let io;
+
+beforeEach(() => {
+  events = [];
+  emit = jest.fn();
+  io = { to: jest.fn(() => ({ emit })) };
+
+  jest.spyOn(Event, 'find').mockImplementation(() => mockQuery(events));
+  jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(async ({ _id, status }, update) => {
+    const event = events.find(candidate => candidate._id.equals(_id));
+    if (!event || event.status !== status) return null;
+    event.set(update);
+    return event;
+  });
+  jest.spyOn(EventRevision, 'exists').mockResolvedValue({ _id: 'revision' });
+  jest.spyOn(EventRevision, 'record').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('advanceEventStatuses', () => {
+  test('starts upcoming events and completes the ones that ended', async () => {
+    events = [startedEvent(1, 'upcoming'), startedEvent(3, 'ongoing'), startedEvent(5, 'upcoming')];
+
+    const changed = await advanceEventStatuses(io);
+
+    expect(changed).toBe(3);
+    expect(events.map(event => event.status)).toEqual(['ongoing', 'completed', 'completed']);
+    expect(Event.find).toHaveBeenCalledWith({
+      $or: [
+        { status: 'upcoming', startDate: { $lte: expect.any(Date) } },
+        { status: 'ongoing', endDate: { $lt: expect.any(Date) } }
+      ]
+    });
+  });
+
+  test('records the change and tells the event room', async () => {
+    const [event] = events = [startedEvent(1, 'upcoming')];
+
+    await advanceEventStatuses(io);
+
+    expect(EventRevision.record).toHaveBeenCalledWith(event._id, expect.objectContaining({
+      action: 'update',
+      author: null,
+      changes: [{ path: 'status', before: 'upcoming', after: 'ongoing' }]
+    }));
+    expect(io.to).toHaveBeenCalledWith(`event-${event._id}`);
+    expect(emit).toHaveBeenCalledWith('event-status-changed', expect.objectContaining({
+      status: 'ongoing',
+      previousStatus: 'upcoming'
+    }));
+  });
+
+  test('leaves an event whose status changed since it was read', async () => {
+    const [event] = events = [startedEvent(1, 'upcoming')];
+    Event.findOneAndUpdate.mockResolvedValue(null);
+
+    const changed = await advanceEventStatuses(io);
+
+    expect(changed).toBe(0);
+    expect(event.status).toBe('upcoming');
+    expect(EventRevision.record).not.toHaveBeenCalled();
+    expect(emit).not.toHaveBeenCalled();
+  });
+});
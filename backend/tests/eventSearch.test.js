@@ -0,0 +1,67 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const eventRoutes = require('../routes/events');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/events', eventRoutes);
+
+const emptyFacets = {
+  category: [],
+  city: [],
+  status: [],
+  tags: [],
+  price: [],
+  total: [{ count: 1 }]
+};
+
+let workshop;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  workshop = buildEvent({ title: 'Pottery Workshop', tags: ['crafts'] }).toObject();
+  jest.spyOn(Event, 'aggregate').mockResolvedValue([emptyFacets]);
+  jest.spyOn(Event, 'find').mockImplementation(() => mockQuery([workshop]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/events/search', () => {
+  test('searches public events with the text index for visitors', async () => {
+    const res = await request(app)
+      .get('/api/events/search')
+      .query({ q: 'pottery' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.search.mode).toBe('text');
+    expect(res.body.events[0].highlights.title).toBe('<mark>Pottery</mark> Workshop');
+    expect(Event.aggregate.mock.calls[0][0][0].$match).toEqual({
+      isDeleted: { $ne: true },
+      isPublic: true,
+      $text: { $search: 'pottery' }
+    });
+  });
+
+  test('includes the private events a host runs', async () => {
+    const host = signIn();
+
+    await request(app)
+      .get('/api/events/search')
+      .query({ q: 'pottery' })
+      .set('Authorization', host.authorization);
+
+    const { $match } = Event.aggregate.mock.calls[0][0][0];
+    expect($match.isPublic).toBeUndefined();
+    expect($match.$or).toEqual(expect.arrayContaining([{ isPublic: true }, { host: host.user._id }]));
+  });
+
+  test('lists events by date when there is no query', async () => {
+    const res = await request(app).get('/api/events/search');
+
+    expect(res.body.search.mode).toBe('browse');
+    expect(res.body.events[0].highlights).toBeUndefined();
+    expect(Event.aggregate.mock.calls[0][0][0].$match.$text).toBeUndefined();
+  });
+});
@@ -0,0 +1,69 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const eventRoutes = require('../routes/events');
+const { toGeoPoint } = require('../utils/geo');
+const { createApp, mockQuery, buildEvent } = require('./helpers');
+
+const app = createApp('/api/events', eventRoutes);
+
+const LISBON = { latitude: 38.7223, longitude: -9.1393 };
+const SINTRA = { latitude: 38.8029, longitude: -9.3817 };
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Event venue location', () => {
+  test('follows the venue coordinates on validation', async () => {
+    const event = buildEvent({ venue: { name: 'Studio', address: { city: 'Lisbon' }, coordinates: LISBON } });
+
+    await event.validate();
+
+    expect(event.venue.location.toObject()).toEqual({ type: 'Point', coordinates: [-9.1393, 38.7223] });
+  });
+});
+
+describe('GET /api/events by location', () => {
+  beforeEach(() => {
+    const nearby = buildEvent({ venue: { name: 'Palace', address: { city: 'Sintra' }, coordinates: SINTRA } });
+    nearby.set('venue.location', toGeoPoint(SINTRA));
+    jest.spyOn(Event, 'find').mockImplementation(() => mockQuery([nearby.toObject()]));
+    jest.spyOn(Event, 'countDocuments').mockResolvedValue(1);
+  });
+
+  test('finds public events near a point with their distance', async () => {
+    const res = await request(app)
+      .get('/api/events')
+      .query({ lat: LISBON.latitude, lng: LISBON.longitude, radius: 25 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.events[0].distanceKm).toBeCloseTo(22.6, 0);
+    expect(Event.find).toHaveBeenCalledWith(expect.objectContaining({
+      isPublic: true,
+      'venue.location': { $nearSphere: { $geometry: toGeoPoint(LISBON), $maxDistance: 25000 } }
+    }));
+  });
+
+  test('filters on a map bounding box', async () => {
+    const res = await request(app)
+      .get('/api/events')
+      .query({ bbox: '-9.5,38.6,-9,38.9' });
+
+    expect(res.status).toBe(200);
+    expect(Event.find.mock.calls[0][0]['venue.location'].$geoWithin.$geometry.type).toBe('Polygon');
+  });
+
+  test('needs both coordinates for a near query', async () => {
+    const res = await request(app)
+      .get('/api/events')
+      .query({ lat: LISBON.latitude });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Both lat and lng are required for a near query');
+    expect(Event.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An Express app serving one router the way server.js mounts it
+const createApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+// Stand-in for a Mongoose query: chainable like one and resolving to `result`
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// A signed-in user. Stubs the lookup the auth middleware makes and returns
+// the Authorization header to send.
+const signIn = (overrides = {}) => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'host@example.com',
+    role: 'host',
+    isActive: true,
+    ...overrides
+  };
+
+  jest.spyOn(User, 'findById').mockImplementation(id =>
+    mockQuery(String(id) === String(user._id) ? user : null)
+  );
+
+  return {
+    user,
+    authorization: `Bearer ${jwt.sign({ userId: user._id }, process.env.JWT_SECRET)}`
+  };
+};
+
+// An upcoming public event, a week from now
+const buildEvent = (overrides = {}) => {
+  const startDate = new Date(Date.now() + 7 * DAY_MS);
+
+  return new Event({
+    title: 'Weekly Workshop',
+    description: 'A hands-on workshop used in tests',
+    category: 'workshop',
+    host: new mongoose.Types.ObjectId(),
+    status: 'upcoming',
+    startDate,
+    endDate: new Date(startDate.getTime() + 2 * 60 * 60 * 1000),
+    venue: { name: 'Studio', address: { city: 'Lisbon' } },
+    capacity: 30,
+    ticketInfo: { totalTickets: 30, availableTickets: 30, price: 0 },
+    ...overrides
+  });
+};
+
+// An accepted co-host entry for an event's coHosts
+const coHost = (user, role = 'editor') => ({
+  user: user._id,
+  email: user.email,
+  role,
+  status: 'accepted'
+});
+
+module.exports = {
+  DAY_MS,
+  createApp,
+  mockQuery,
+  signIn,
+  buildEvent,
+  coHost
+};
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const seriesRoutes = require('../routes/series');
+const { DAY_MS, createApp, mockQuery, signIn, buildEvent, coHost } = require('./helpers');
+
+const app = createApp('/api/series', seriesRoutes);
+
+let editor;
+let series;
+let occurrences;
+
+// Gives the signed-in user a role on some of the occurrences
+const shareOccurrences = (role, which = occurrences) => {
+  which.forEach(occurrence => occurrence.coHosts.push(coHost(editor.user, role)));
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  editor = signIn({ email: 'editor@example.com' });
+  series = new EventSeries({
+    title: 'Weekly Workshop',
+    host: new mongoose.Types.ObjectId(),
+    firstStartDate: new Date(Date.now() + 7 * DAY_MS),
+    durationMinutes: 120,
+    recurrence: { frequency: 'weekly', count: 3 }
+  });
+  occurrences = series.getOccurrenceDates().map(date => {
+    const { host, startDate, endDate, occurrenceDate } = series.buildOccurrence(date);
+    return buildEvent({ host, series: series._id, startDate, endDate, occurrenceDate });
+  });
+
+  jest.spyOn(EventSeries, 'findById').mockImplementation(() => mockQuery(series));
+  jest.spyOn(EventSeries.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event, 'find').mockImplementation(() => mockQuery(occurrences));
+  jest.spyOn(Event, 'findOne').mockImplementation(({ _id }) =>
+    mockQuery(occurrences.find(occurrence => String(occurrence._id) === String(_id)) || occurrences[1])
+  );
+  jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/series/:id/exceptions', () => {
+  const skip = () => request(app)
+    .post(`/api/series/${series._id}/exceptions`)
+    .set('Authorization', editor.authorization)
+    .send({ date: occurrences[1].occurrenceDate.toISOString() });
+
+  test('lets an editor co-host skip a date', async () => {
+    shareOccurrences('editor');
+
+    const res = await skip();
+
+    expect(res.status).toBe(200);
+    expect(series.exceptions).toHaveLength(1);
+  });
+
+  test('refuses a co-host whose role does not allow editing', async () => {
+    shareOccurrences('analyst');
+
+    const res = await skip();
+
+    expect(res.status).toBe(403);
+    expect(series.exceptions).toHaveLength(0);
+  });
+
+  test('refuses an editor of only some of the occurrences', async () => {
+    shareOccurrences('editor', occurrences.slice(0, 1));
+
+    const res = await skip();
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/series/:id/occurrences/:eventId', () => {
+  const edit = (occurrence, body) => request(app)
+    .put(`/api/series/${series._id}/occurrences/${occurrence._id}`)
+    .set('Authorization', editor.authorization)
+    .send(body);
+
+  test('lets an editor of one occurrence edit just that occurrence', async () => {
+    const [, second] = occurrences;
+    shareOccurrences('editor', [second]);
+
+    const res = await edit(second, { title: 'Workshop: special edition' });
+
+    expect(res.status).toBe(200);
+    expect(second.title).toBe('Workshop: special edition');
+  });
+
+  test('needs the role on the whole series to edit the following occurrences', async () => {
+    const [, second] = occurrences;
+    shareOccurrences('editor', [second]);
+
+    const res = await edit(second, { title: 'Workshop: special edition', scope: 'following' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/series/:id', () => {
+  test('is kept for the series host', async () => {
+    shareOccurrences('editor');
+
+    const res = await request(app)
+      .delete(`/api/series/${series._id}`)
+      .set('Authorization', editor.authorization);
+
+    expect(res.status).toBe(403);
+    expect(series.status).toBe('active');
+  });
+});
+
+describe('GET /api/series', () => {
+  test('includes the series the host co-hosts as an editor', async () => {
+    jest.spyOn(Event, 'distinct').mockResolvedValue([series._id]);
+    jest.spyOn(EventSeries, 'find').mockImplementation(() => mockQuery([series]));
+    jest.spyOn(Event, 'aggregate').mockResolvedValue([]);
+
+    const res = await request(app)
+      .get('/api/series')
+      .set('Authorization', editor.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.series).toHaveLength(1);
+    expect(Event.distinct).toHaveBeenCalledWith('series', expect.objectContaining({ series: { $ne: null } }));
+    expect(EventSeries.find).toHaveBeenCalledWith({
+      $or: [{ host: editor.user._id }, { _id: { $in: [series._id] } }]
+    });
+  });
+});
+
+describe('GET /api/series/:id', () => {
+  test('shows a co-host the private occurrences they help run', async () => {
+    const res = await request(app)
+      .get(`/api/series/${series._id}`)
+      .set('Authorization', editor.authorization);
+
+    expect(res.status).toBe(200);
+    const [[filter]] = Event.find.mock.calls;
+    expect(filter.$or).toEqual(expect.arrayContaining([
+      { isPublic: true },
+      { host: editor.user._id }
+    ]));
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const seriesRoutes = require('../routes/series');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/series', seriesRoutes);
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// 20:00 in New York on the Saturday before the first Sunday of March next
+// year, when it is already Sunday 01:00 in UTC. Daylight saving starts there
+// on the second Sunday, between the second and third weekly occurrences.
+const saturdayEvening = () => {
+  const year = new Date(Date.now() + YEAR_MS).getUTCFullYear();
+  const firstSunday = 1 + ((7 - new Date(Date.UTC(year, 2, 1)).getUTCDay()) % 7);
+  return new Date(Date.UTC(year, 2, firstSunday, 1));
+};
+
+let host;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  host = signIn();
+
+  jest.spyOn(EventSeries.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event, 'insertMany').mockImplementation(async (docs) => docs);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/series with a timezone', () => {
+  const create = (body) => request(app)
+    .post('/api/series')
+    .set('Authorization', host.authorization)
+    .send({
+      title: 'Saturday Jazz Night',
+      description: 'Live jazz every Saturday evening at the club',
+      category: 'concert',
+      venue: { name: 'Blue Room', address: { city: 'New York' } },
+      capacity: 80,
+      ticketInfo: { totalTickets: 80, price: 20 },
+      rrule: 'FREQ=WEEKLY;COUNT=3',
+      ...body
+    });
+
+  test('keeps occurrences at the same local time across daylight saving', async () => {
+    const startDate = saturdayEvening();
+
+    const res = await create({
+      timezone: 'America/New_York',
+      startDate: startDate.toISOString(),
+      endDate: new Date(startDate.getTime() + 3 * 60 * 60 * 1000).toISOString()
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.series.timezone).toBe('America/New_York');
+    const hours = res.body.occurrences.map(occurrence => new Date(occurrence.startDate).getUTCHours());
+    expect(hours).toEqual([1, 1, 0]);
+  });
+
+  test('refuses an unknown timezone', async () => {
+    const startDate = saturdayEvening();
+
+    const res = await create({
+      timezone: 'Mars/Olympus_Mons',
+      startDate: startDate.toISOString(),
+      endDate: new Date(startDate.getTime() + 3 * 60 * 60 * 1000).toISOString()
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Timezone must be an IANA timezone such as Europe/Berlin');
+  });
+});
+
+describe('POST /api/series/:id/exceptions with a timezone', () => {
+  test('skips the occurrence on that local day', async () => {
+    const series = new EventSeries({
+      title: 'Saturday Jazz Night',
+      host: host.user._id,
+      timezone: 'America/New_York',
+      firstStartDate: saturdayEvening(),
+      durationMinutes: 180,
+      recurrence: { frequency: 'weekly', count: 3 }
+    });
+    const [first] = series.getOccurrenceDates();
+    const occurrence = buildEvent({ host: host.user._id, series: series._id, startDate: first, occurrenceDate: first });
+    jest.spyOn(EventSeries, 'findById').mockImplementation(() => mockQuery(series));
+    jest.spyOn(Event, 'findOne').mockImplementation(() => mockQuery(occurrence));
+    jest.spyOn(Event, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    // The occurrence is on Saturday in New York but Sunday in UTC
+    const localDay = new Date(first.getTime() - 2 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const res = await request(app)
+      .post(`/api/series/${series._id}/exceptions`)
+      .set('Authorization', host.authorization)
+      .send({ date: first.toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(series.exceptions.map(date => date.toISOString().slice(0, 10))).toEqual([localDay]);
+    expect(Event.findOne).toHaveBeenCalledWith({
+      series: series._id,
+      occurrenceDate: { $gte: new Date(`${localDay}T05:00:00.000Z`), $lt: new Date(first.getTime() + 4 * 60 * 60 * 1000) }
+    });
+    expect(series.getOccurrenceDates()).toHaveLength(2);
+  });
+});
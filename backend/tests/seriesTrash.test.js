@@ -0,0 +1,141 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const seriesRoutes = require('../routes/series');
+const trashRoutes = require('../routes/trash');
+const { DAY_MS, createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const seriesApp = createApp('/api/series', seriesRoutes);
+const trashApp = createApp('/api/trash', trashRoutes);
+
+let host;
+let series;
+let occurrences;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  const firstStartDate = new Date(Date.now() + 7 * DAY_MS);
+  series = new EventSeries({
+    title: 'Weekly Workshop',
+    host: host.user._id,
+    firstStartDate,
+    durationMinutes: 120,
+    recurrence: { frequency: 'weekly', count: 4 }
+  });
+  occurrences = series.getOccurrenceDates().map(date => {
+    const { host: owner, startDate, endDate, occurrenceDate } = series.buildOccurrence(date);
+    return buildEvent({ host: owner, series: series._id, startDate, endDate, occurrenceDate });
+  });
+
+  jest.spyOn(EventSeries, 'findById').mockImplementation(() => mockQuery(series));
+  jest.spyOn(EventSeries.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Event, 'deleteMany');
+  jest.spyOn(Event, 'findByIdAndDelete');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/series/:id/exceptions', () => {
+  const skip = (date) => request(seriesApp)
+    .post(`/api/series/${series._id}/exceptions`)
+    .set('Authorization', host.authorization)
+    .send({ date });
+
+  test('moves the skipped occurrence to the trash', async () => {
+    const [, second] = occurrences;
+    jest.spyOn(Event, 'findOne').mockImplementation(() => mockQuery(second));
+
+    const res = await skip(second.occurrenceDate.toISOString());
+
+    expect(res.status).toBe(200);
+    expect(Event.updateMany).toHaveBeenCalledWith(
+      { _id: second._id, isDeleted: { $ne: true } },
+      { isDeleted: true, deletedAt: expect.any(Date) }
+    );
+    expect(Event.findByIdAndDelete).not.toHaveBeenCalled();
+    expect(series.exceptions).toHaveLength(1);
+  });
+
+  test('cancels an occurrence people registered for instead', async () => {
+    const [, second] = occurrences;
+    second.currentAttendees = 3;
+    jest.spyOn(Event, 'findOne').mockImplementation(() => mockQuery(second));
+
+    const res = await skip(second.occurrenceDate.toISOString());
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancelledOccurrence.status).toBe('cancelled');
+    expect(Event.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/series/:id', () => {
+  test('cancels booked occurrences and trashes the rest', async () => {
+    Event.updateMany.mockImplementation(async (filter, update) => ({
+      modifiedCount: update.isDeleted ? 3 : 1
+    }));
+
+    const res = await request(seriesApp)
+      .delete(`/api/series/${series._id}`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ cancelledOccurrences: 1, trashedOccurrences: 3 });
+    expect(Event.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ series: series._id, currentAttendees: 0, isDeleted: { $ne: true } }),
+      { isDeleted: true, deletedAt: expect.any(Date) }
+    );
+    expect(Event.deleteMany).not.toHaveBeenCalled();
+    expect(series.status).toBe('cancelled');
+  });
+});
+
+describe('POST /api/trash/events/:id/restore for series occurrences', () => {
+  let trashed;
+
+  const restore = () => request(trashApp)
+    .post(`/api/trash/events/${trashed._id}/restore`)
+    .set('Authorization', host.authorization);
+
+  beforeEach(() => {
+    trashed = occurrences[1];
+    trashed.set({ isDeleted: true, deletedAt: new Date() });
+    jest.spyOn(Event, 'findOne').mockImplementation(() => mockQuery(trashed));
+    jest.spyOn(Event, 'exists').mockResolvedValue(null);
+  });
+
+  test('brings an occurrence back', async () => {
+    const res = await restore();
+
+    expect(res.status).toBe(200);
+    expect(trashed.isDeleted).toBe(false);
+  });
+
+  test('keeps a skipped date skipped', async () => {
+    series.exceptions.push(trashed.occurrenceDate);
+
+    const res = await restore();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('The series no longer has an occurrence on this date');
+    expect(trashed.isDeleted).toBe(true);
+  });
+
+  test('refuses a date another occurrence took', async () => {
+    Event.exists.mockResolvedValue({ _id: occurrences[2]._id });
+
+    const res = await restore();
+
+    expect(res.status).toBe(409);
+  });
+});
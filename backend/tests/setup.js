@@ -0,0 +1,8 @@
+const mongoose = require('mongoose');
+
+// Tests run without a database. Configuration the app needs at runtime is
+// set here, and any query a test did not stub fails at once instead of
+// waiting for a connection.
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+mongoose.set('bufferCommands', false);
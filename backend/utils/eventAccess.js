@@ -0,0 +1,67 @@
+// Team roles on an event and what each one may do. The event host is the
+// owner; co-hosts are invited with one of the other roles.
+const CO_HOST_ROLES = ['editor', 'analyst', 'door-staff'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['owner', 'manage', 'analytics', 'check-in'],
+  editor: ['manage', 'analytics', 'check-in'],
+  analyst: ['analytics'],
+  'door-staff': ['check-in']
+};
+
+// Roles that grant a permission, e.g. for querying co-hosted events
+const rolesWithPermission = (permission) => CO_HOST_ROLES.filter(
+  role => ROLE_PERMISSIONS[role].includes(permission)
+);
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// The user's role on an event: 'owner', an accepted co-host role or null.
+// Works with documents, lean objects and a populated host.
+const getEventRole = (user, event) => {
+  if (!user || !event) return null;
+
+  const userId = user._id.toString();
+  if (event.host && toId(event.host).toString() === userId) {
+    return 'owner';
+  }
+
+  const member = (event.coHosts || []).find(coHost =>
+    coHost.status === 'accepted' && coHost.user && toId(coHost.user).toString() === userId
+  );
+  return member ? member.role : null;
+};
+
+// Check if the user may do something on an event; admins may do anything
+const canAccessEvent = (user, event, permission = 'manage') => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const role = getEventRole(user, event);
+  return Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+};
+
+// Query matching events where the user is the host or an accepted co-host.
+// With a permission, only co-hosts whose role grants it are matched.
+const accessibleEventsQuery = (userId, permission = null) => ({
+  $or: [
+    { host: userId },
+    {
+      coHosts: {
+        $elemMatch: {
+          user: userId,
+          status: 'accepted',
+          role: { $in: permission ? rolesWithPermission(permission) : CO_HOST_ROLES }
+        }
+      }
+    }
+  ]
+});
+
+module.exports = {
+  CO_HOST_ROLES,
+  ROLE_PERMISSIONS,
+  getEventRole,
+  canAccessEvent,
+  accessibleEventsQuery
+};
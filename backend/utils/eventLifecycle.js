@@ -0,0 +1,63 @@
+const Event = require('../models/Event');
+const { getRevisionSnapshot, recordEventRevision } = require('./eventRevisions');
+
+// Largest number of events handled in one scheduler run
+const BATCH_SIZE = 200;
+
+// The status an event should move to now, following the same transitions
+// as PUT /api/events/:id/status: upcoming to ongoing, ongoing to completed
+const getScheduledStatus = (event) => {
+  if (event.status === 'upcoming' && event.isOngoing()) return 'ongoing';
+  if (event.status === 'upcoming' && event.isCompleted()) return 'completed';
+  if (event.status === 'ongoing' && event.isCompleted()) return 'completed';
+  return null;
+};
+
+// Move events whose start or end has passed to ongoing or completed. Each
+// change is conditional on the status we read, so a host changing the status
+// at the same moment is never overwritten.
+const advanceEventStatuses = async (io) => {
+  const now = new Date();
+  const candidates = await Event.find({
+    $or: [
+      { status: 'upcoming', startDate: { $lte: now } },
+      { status: 'ongoing', endDate: { $lt: now } }
+    ]
+  })
+    .sort({ startDate: 1 })
+    .limit(BATCH_SIZE);
+
+  let changed = 0;
+  for (const event of candidates) {
+    const nextStatus = getScheduledStatus(event);
+    if (!nextStatus) continue;
+
+    const previousStatus = event.status;
+    const before = getRevisionSnapshot(event);
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, status: previousStatus },
+      { status: nextStatus },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    changed += 1;
+    await recordEventRevision(updated, { author: null, action: 'update', before });
+
+    if (io) {
+      io.to(`event-${updated._id}`).emit('event-status-changed', {
+        eventId: updated._id,
+        status: updated.status,
+        previousStatus,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  return changed;
+};
+
+module.exports = {
+  getScheduledStatus,
+  advanceEventStatuses
+};
@@ -0,0 +1,338 @@
+// RRULE-style recurrence helpers for event series.
+// Supports FREQ=WEEKLY and FREQ=MONTHLY with INTERVAL, BYDAY, BYMONTHDAY,
+// COUNT and UNTIL. Occurrences repeat at the same local time of day in the
+// series' timezone, so they keep their time across daylight saving changes.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['weekly', 'monthly'];
+const MAX_OCCURRENCES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2TU" -> { ordinal: 2, weekday: 'TU' }, "FR" -> { ordinal: 0, weekday: 'FR' }
+const parseByDay = (value) => {
+  const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(String(value).trim().toUpperCase());
+  if (!match) return null;
+  return { ordinal: match[1] ? parseInt(match[1]) : 0, weekday: match[2] };
+};
+
+// UNTIL accepts 20240131, 20240131T180000Z or any ISO date
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = match
+    ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4] || 23, match[5] || 59, match[6] || 59))
+    : new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+// Check a recurrence object; returns an error message or null
+const validateRecurrence = (recurrence) => {
+  if (!recurrence || !FREQUENCIES.includes(recurrence.frequency)) {
+    return 'Recurrence frequency must be weekly or monthly';
+  }
+
+  const interval = recurrence.interval || 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    return 'Recurrence interval must be between 1 and 52';
+  }
+
+  for (const day of recurrence.byDay || []) {
+    const parsed = parseByDay(day);
+    if (!parsed) {
+      return `Invalid recurrence day '${day}'`;
+    }
+    if (parsed.ordinal !== 0 && recurrence.frequency !== 'monthly') {
+      return 'Numbered days such as 2TU are only allowed for monthly recurrence';
+    }
+  }
+
+  if ((recurrence.byMonthDay || []).length > 0) {
+    if (recurrence.frequency !== 'monthly') {
+      return 'Days of the month are only allowed for monthly recurrence';
+    }
+    const invalid = recurrence.byMonthDay.find(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31);
+    if (invalid !== undefined) {
+      return `Invalid day of the month '${invalid}'`;
+    }
+  }
+
+  if (!recurrence.count && !recurrence.until) {
+    return 'Recurrence needs either a count or an end date';
+  }
+
+  if (recurrence.count && (!Number.isInteger(recurrence.count) || recurrence.count < 1 || recurrence.count > MAX_OCCURRENCES)) {
+    return `Recurrence count must be between 1 and ${MAX_OCCURRENCES}`;
+  }
+
+  if (recurrence.until && isNaN(new Date(recurrence.until))) {
+    return 'Recurrence end date is invalid';
+  }
+
+  return null;
+};
+
+// Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+const parseRRule = (rule) => {
+  const recurrence = { interval: 1, byDay: [], byMonthDay: [] };
+  const parts = String(rule || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        recurrence.frequency = value.trim().toLowerCase();
+        break;
+      case 'INTERVAL':
+        recurrence.interval = Number(value);
+        break;
+      case 'BYDAY':
+        recurrence.byDay = value.split(',').map(day => day.trim().toUpperCase()).filter(Boolean);
+        break;
+      case 'BYMONTHDAY':
+        recurrence.byMonthDay = value.split(',').map(Number);
+        break;
+      case 'COUNT':
+        recurrence.count = Number(value);
+        break;
+      case 'UNTIL':
+        recurrence.until = parseUntil(value.trim());
+        if (!recurrence.until) {
+          throw new Error('RRULE UNTIL is not a valid date');
+        }
+        break;
+      case 'WKST':
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part '${key}'`);
+    }
+  }
+
+  const error = validateRecurrence(recurrence);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return recurrence;
+};
+
+// Accept either an RRULE string or a recurrence object from a request
+const toRecurrence = (input) => {
+  if (typeof input === 'string') {
+    return parseRRule(input);
+  }
+
+  const source = input || {};
+  const recurrence = {
+    frequency: String(source.frequency || '').toLowerCase(),
+    interval: source.interval !== undefined ? Number(source.interval) : 1,
+    byDay: (source.byDay || []).map(day => String(day).toUpperCase()),
+    byMonthDay: (source.byMonthDay || []).map(Number),
+    count: source.count !== undefined ? Number(source.count) : undefined,
+    until: source.until ? new Date(source.until) : undefined
+  };
+
+  const error = validateRecurrence(recurrence);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return recurrence;
+};
+
+// Turn a recurrence object back into an RRULE string
+const formatRRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+  if (recurrence.interval && recurrence.interval !== 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if ((recurrence.byDay || []).length > 0) parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+  if ((recurrence.byMonthDay || []).length > 0) parts.push(`BYMONTHDAY=${recurrence.byMonthDay.join(',')}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  if (recurrence.until) {
+    parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  return parts.join(';');
+};
+
+// Calendar day key used to match exception dates
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatters = new Map();
+
+// Cached formatter that gives the wall-clock parts of a date in a timezone
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+// Whether Intl knows an IANA timezone name
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock time of a date in a timezone, as a Date whose UTC fields hold it
+const toWallClock = (date, timezone = 'UTC') => {
+  if (timezone === 'UTC') return new Date(date);
+
+  const parts = getFormatter(timezone).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+  const time = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return new Date(time + date.getUTCMilliseconds());
+};
+
+// The moment a wall-clock time happens in a timezone. A time that happens
+// twice when clocks go back resolves to the first; a time skipped when they
+// go forward moves forward by the change, as in RFC 5545.
+const fromWallClock = (wall, timezone = 'UTC') => {
+  if (timezone === 'UTC') return new Date(wall);
+
+  const offsetAt = (time) => toWallClock(new Date(time), timezone) - time;
+  const withEarlierOffset = wall.getTime() - offsetAt(wall.getTime() - DAY_MS);
+  const withLaterOffset = wall.getTime() - offsetAt(wall.getTime() + DAY_MS);
+
+  if (offsetAt(withEarlierOffset) === wall.getTime() - withEarlierOffset) return new Date(withEarlierOffset);
+  if (offsetAt(withLaterOffset) === wall.getTime() - withLaterOffset) return new Date(withLaterOffset);
+  return new Date(withEarlierOffset);
+};
+
+// Calendar day of a date in a timezone. A plain YYYY-MM-DD date already is one.
+const toLocalDayKey = (value, timezone = 'UTC') => (
+  /^\d{4}-\d{2}-\d{2}$/.test(String(value))
+    ? String(value)
+    : toDayKey(toWallClock(new Date(value), timezone))
+);
+
+// First and last moment of a calendar day in a timezone
+const localDayRange = (day, timezone = 'UTC') => {
+  const start = fromWallClock(new Date(`${day}T00:00:00.000Z`), timezone);
+  const end = fromWallClock(new Date(new Date(`${day}T00:00:00.000Z`).getTime() + DAY_MS), timezone);
+  return { start, end };
+};
+
+const startOfUtcDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Days of one month matched by BYMONTHDAY / BYDAY, in order
+const monthlyDays = (year, month, recurrence, start) => {
+  const total = daysInMonth(year, month);
+  const byDay = (recurrence.byDay || []).map(parseByDay);
+  const byMonthDay = (recurrence.byMonthDay || []).length === 0 && byDay.length === 0
+    ? [start.getUTCDate()]
+    : recurrence.byMonthDay || [];
+  const days = new Set();
+
+  for (const day of byMonthDay) {
+    const resolved = day > 0 ? day : total + day + 1;
+    if (resolved >= 1 && resolved <= total) days.add(resolved);
+  }
+
+  for (const { ordinal, weekday } of byDay) {
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const first = 1 + ((WEEKDAYS.indexOf(weekday) - firstWeekday + 7) % 7);
+    const matches = [];
+    for (let day = first; day <= total; day += 7) matches.push(day);
+
+    if (ordinal === 0) {
+      matches.forEach(day => days.add(day));
+    } else {
+      const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (day) days.add(day);
+    }
+  }
+
+  return [...days].sort((a, b) => a - b);
+};
+
+// Candidate start times for the nth period of the rule
+const periodStarts = (recurrence, start, period) => {
+  const timeOfDay = start.getTime() - startOfUtcDay(start);
+
+  if (recurrence.frequency === 'weekly') {
+    // Weeks start on Monday
+    const weekStart = startOfUtcDay(start) - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+    const byDay = (recurrence.byDay || []).length > 0
+      ? recurrence.byDay
+      : [WEEKDAYS[start.getUTCDay()]];
+    const offsets = byDay
+      .map(code => (WEEKDAYS.indexOf(parseByDay(code).weekday) + 6) % 7)
+      .sort((a, b) => a - b);
+
+    return offsets.map(offset => new Date(weekStart + (period * 7 + offset) * DAY_MS + timeOfDay));
+  }
+
+  const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + period) / 12);
+  const month = (start.getUTCMonth() + period) % 12;
+  return monthlyDays(year, month, recurrence, start)
+    .map(day => new Date(Date.UTC(year, month, day) + timeOfDay));
+};
+
+// Expand a recurrence into occurrence start dates. The rule is applied to
+// the wall-clock time of `start` in `timezone` and each occurrence is then
+// turned back into a UTC date. Exceptions are calendar days in that timezone.
+// COUNT includes occurrences later skipped by an exception, as in RFC 5545.
+const expandOccurrences = (recurrence, start, options = {}) => {
+  const { exceptions = [], timezone = 'UTC' } = options;
+  const interval = recurrence.interval || 1;
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+  const skipped = new Set(exceptions.map(toDayKey));
+  const localStart = toWallClock(new Date(start), timezone);
+  const occurrences = [];
+  let generated = 0;
+
+  // A monthly rule on the 31st can skip months, so allow some empty periods
+  for (let period = 0; period < MAX_OCCURRENCES * 12; period += interval) {
+    for (const local of periodStarts(recurrence, localStart, period)) {
+      if (local < localStart) continue;
+
+      const candidate = fromWallClock(local, timezone);
+      if (until && candidate > until) return occurrences;
+      if (recurrence.count && generated >= recurrence.count) return occurrences;
+
+      generated += 1;
+      if (!skipped.has(toDayKey(local))) {
+        occurrences.push(candidate);
+      }
+
+      if (occurrences.length > MAX_OCCURRENCES) {
+        throw new Error(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`);
+      }
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  WEEKDAYS,
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  validateRecurrence,
+  parseRRule,
+  toRecurrence,
+  formatRRule,
+  expandOccurrences,
+  isValidTimezone,
+  toDayKey,
+  toLocalDayKey,
+  localDayRange
+};
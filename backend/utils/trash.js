@@ -0,0 +1,66 @@
+const Event = require('../models/Event');
+const CursorLog = require('../models/CursorLog');
+const EventRevision = require('../models/EventRevision');
+
+// Days an event stays in the trash before it is purged; 0 keeps it forever
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Largest number of events purged in one scheduler run
+const PURGE_BATCH_SIZE = 100;
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+// When a trashed event will be purged, or null if it never is
+const getPurgeDate = (deletedAt) => {
+  const days = getRetentionDays();
+  if (!days || !deletedAt) return null;
+  return new Date(deletedAt.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+// Move the events matching a filter to the trash, where they can be
+// restored until they are purged; resolves to how many were moved
+const trashEvents = async (filter) => {
+  const result = await Event.updateMany(
+    { ...filter, isDeleted: { $ne: true } },
+    { isDeleted: true, deletedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+// Permanently remove a trashed event with its cursor logs and history
+const purgeEvent = async (eventId) => {
+  await Promise.all([
+    CursorLog.deleteMany({ eventId }),
+    EventRevision.deleteMany({ event: eventId })
+  ]);
+
+  await Event.deleteOne({ _id: eventId, isDeleted: true });
+};
+
+// Purge events that have been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const days = getRetentionDays();
+  if (!days) return 0;
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const events = await Event.find({ isDeleted: true, deletedAt: { $lte: cutoff } })
+    .select('_id')
+    .limit(PURGE_BATCH_SIZE);
+
+  for (const event of events) {
+    await purgeEvent(event._id);
+  }
+
+  return events.length;
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  trashEvents,
+  purgeEvent,
+  purgeExpiredTrash
+};
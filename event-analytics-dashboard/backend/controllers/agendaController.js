@@ -0,0 +1,604 @@
+const Event = require('../models/Event');
+const Speaker = require('../models/Speaker');
+const AgendaSession = require('../models/AgendaSession');
+const { validationResult } = require('express-validator');
+const { canAccessEvent } = require('../utils/eventAccess');
+
+// Fields a host may set on a speaker
+const SPEAKER_FIELDS = ['name', 'title', 'company', 'bio', 'avatarUrl', 'email', 'links'];
+
+// Fields a host may set on a session
+const SESSION_FIELDS = ['title', 'description', 'type', 'track', 'room', 'startTime', 'endTime', 'speakers'];
+
+// Speaker fields shown on the public agenda
+const PUBLIC_SPEAKER_FIELDS = 'name title company bio avatarUrl links';
+
+const pickFields = (body, fields) => fields.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Session fields from a request, with each speaker listed once
+const pickSessionFields = (body) => {
+  const fields = pickFields(body, SESSION_FIELDS);
+  if (Array.isArray(fields.speakers)) {
+    fields.speakers = [...new Set(fields.speakers.map(String))];
+  }
+  return fields;
+};
+
+// Check if the current user can manage an event
+const canManageEvent = (user, event) => canAccessEvent(user, event, 'manage');
+
+// Load the event named in the route and, unless reading, check ownership
+const loadEvent = async (req, res, { manage = true } = {}) => {
+  const event = await Event.findById(req.params.eventId);
+
+  if (!event || event.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (manage && !canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage the agenda of your own events.'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Load a speaker or session together with its event and check ownership
+const loadAgendaItem = async (Model, label, req, res, { manage = true, select } = {}) => {
+  let query = Model.findOne({ _id: req.params.id, isDeleted: false })
+    .populate('event', 'host coHosts isDeleted dateTime tracks rooms');
+  if (select) {
+    query = query.select(select);
+  }
+  const item = await query;
+
+  if (!item || !item.event || item.event.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: `${label} not found`
+    });
+    return null;
+  }
+
+  if (manage && !canManageEvent(req.user, item.event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage the agenda of your own events.'
+    });
+    return null;
+  }
+
+  return item;
+};
+
+// Tell everyone viewing the event that its agenda changed
+const notifyAgendaChange = (req, eventId, change) => {
+  if (!req.io) return;
+  req.io.to(`event-${eventId}`).emit('agenda-updated', {
+    eventId,
+    ...change,
+    timestamp: new Date()
+  });
+};
+
+// Check a session's slot against its event: the time must fall within the
+// event, the track and room must be on the event and the speakers must
+// belong to it. Returns an error message or null.
+const checkSessionSlot = async (event, slot) => {
+  const startTime = new Date(slot.startTime);
+  const endTime = new Date(slot.endTime);
+
+  if (endTime <= startTime) {
+    return 'Session end time must be after start time';
+  }
+
+  if (startTime < event.dateTime.start || endTime > event.dateTime.end) {
+    return 'Sessions must take place between the event start and end';
+  }
+
+  if (slot.track && !event.tracks.id(slot.track)) {
+    return 'Track not found on this event';
+  }
+
+  if (slot.room && !event.rooms.id(slot.room)) {
+    return 'Room not found on this event';
+  }
+
+  const speakerIds = slot.speakers || [];
+  if (speakerIds.length > 0) {
+    const found = await Speaker.countDocuments({
+      _id: { $in: speakerIds },
+      event: event._id,
+      isDeleted: false
+    });
+    if (found !== new Set(speakerIds.map(String)).size) {
+      return 'One or more speakers were not found on this event';
+    }
+  }
+
+  return null;
+};
+
+// Respond 409 when the slot double-books a room or speaker
+const sendConflicts = async (res, event, slot, excludeId = null) => {
+  const conflicts = await AgendaSession.findConflicts(event._id, slot, excludeId);
+  if (conflicts.length === 0) return false;
+
+  res.status(409).json({
+    success: false,
+    message: 'Session conflicts with another session in the same room or with the same speaker',
+    data: { conflicts }
+  });
+  return true;
+};
+
+// @desc    Get the agenda of an event
+// @route   GET /api/agenda/event/:eventId
+// @access  Public (with optional auth)
+const getEventAgenda = async (req, res, next) => {
+  try {
+    const event = await loadEvent(req, res, { manage: false });
+    if (!event) return;
+
+    const { track, room, speaker, day } = req.query;
+
+    const query = { event: event._id, isDeleted: false };
+    if (track) query.track = track;
+    if (room) query.room = room;
+    if (speaker) query.speakers = speaker;
+    if (day) {
+      const dayStart = new Date(`${day}T00:00:00.000Z`);
+      if (!isNaN(dayStart)) {
+        query.startTime = {
+          $gte: dayStart,
+          $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)
+        };
+      }
+    }
+
+    const isManager = canManageEvent(req.user, event);
+    const speakerFields = isManager ? `${PUBLIC_SPEAKER_FIELDS} +email` : PUBLIC_SPEAKER_FIELDS;
+
+    const [sessions, speakers] = await Promise.all([
+      AgendaSession.find(query)
+        .populate('speakers', PUBLIC_SPEAKER_FIELDS)
+        .sort({ startTime: 1, title: 1 }),
+      Speaker.find({ event: event._id, isDeleted: false })
+        .select(speakerFields)
+        .sort({ name: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        eventId: event._id,
+        timezone: event.dateTime.timezone,
+        tracks: event.tracks,
+        rooms: event.rooms,
+        speakers,
+        sessions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the tracks and rooms of an event
+// @route   PUT /api/agenda/event/:eventId/layout
+// @access  Private (host only)
+const updateAgendaLayout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    // Entries sent with an _id keep it, so sessions stay linked; anything
+    // left out is removed, which is refused while sessions still use it.
+    const inUse = [];
+    for (const field of ['tracks', 'rooms']) {
+      if (!Array.isArray(req.body[field])) continue;
+
+      const kept = new Set(req.body[field].filter(entry => entry._id).map(entry => String(entry._id)));
+      const removed = event[field].filter(entry => !kept.has(entry._id.toString()));
+
+      for (const entry of removed) {
+        const sessionKey = field === 'tracks' ? 'track' : 'room';
+        const sessions = await AgendaSession.countDocuments({
+          event: event._id,
+          isDeleted: false,
+          [sessionKey]: entry._id
+        });
+        if (sessions > 0) {
+          inUse.push({ type: sessionKey, id: entry._id, name: entry.name, sessions });
+        }
+      }
+    }
+
+    if (inUse.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tracks or rooms that still have sessions cannot be removed',
+        data: { inUse }
+      });
+    }
+
+    for (const field of ['tracks', 'rooms']) {
+      if (Array.isArray(req.body[field])) {
+        event[field] = req.body[field];
+      }
+    }
+
+    await event.save();
+
+    notifyAgendaChange(req, event._id, { action: 'layout-updated' });
+
+    res.json({
+      success: true,
+      message: 'Agenda layout updated successfully',
+      data: {
+        tracks: event.tracks,
+        rooms: event.rooms
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a speaker to an event
+// @route   POST /api/agenda/event/:eventId/speakers
+// @access  Private (host only)
+const createSpeaker = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const speaker = await Speaker.create({
+      ...pickFields(req.body, SPEAKER_FIELDS),
+      event: event._id
+    });
+
+    notifyAgendaChange(req, event._id, { action: 'speaker-created', speakerId: speaker._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Speaker created successfully',
+      data: { speaker }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a speaker with their sessions
+// @route   GET /api/agenda/speakers/:id
+// @access  Public (with optional auth)
+const getSpeaker = async (req, res, next) => {
+  try {
+    const speaker = await loadAgendaItem(Speaker, 'Speaker', req, res, { manage: false, select: '+email' });
+    if (!speaker) return;
+
+    const sessions = await AgendaSession.find({ speakers: speaker._id, isDeleted: false })
+      .select('title type track room startTime endTime')
+      .sort({ startTime: 1 });
+
+    const speakerData = speaker.toJSON();
+    speakerData.event = speaker.event._id;
+    if (!canManageEvent(req.user, speaker.event)) {
+      delete speakerData.email;
+    }
+
+    res.json({
+      success: true,
+      data: { speaker: speakerData, sessions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a speaker
+// @route   PUT /api/agenda/speakers/:id
+// @access  Private (host only)
+const updateSpeaker = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const speaker = await loadAgendaItem(Speaker, 'Speaker', req, res);
+    if (!speaker) return;
+
+    Object.assign(speaker, pickFields(req.body, SPEAKER_FIELDS));
+    await speaker.save();
+
+    notifyAgendaChange(req, speaker.event._id, { action: 'speaker-updated', speakerId: speaker._id });
+
+    res.json({
+      success: true,
+      message: 'Speaker updated successfully',
+      data: { speaker }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a speaker and take them off their sessions
+// @route   DELETE /api/agenda/speakers/:id
+// @access  Private (host only)
+const deleteSpeaker = async (req, res, next) => {
+  try {
+    const speaker = await loadAgendaItem(Speaker, 'Speaker', req, res);
+    if (!speaker) return;
+
+    speaker.isDeleted = true;
+    speaker.deletedAt = new Date();
+    await speaker.save();
+
+    await AgendaSession.updateMany(
+      { speakers: speaker._id },
+      { $pull: { speakers: speaker._id } }
+    );
+
+    notifyAgendaChange(req, speaker.event._id, { action: 'speaker-deleted', speakerId: speaker._id });
+
+    res.json({
+      success: true,
+      message: 'Speaker deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a session to an event's agenda
+// @route   POST /api/agenda/event/:eventId/sessions
+// @access  Private (host only)
+const createAgendaSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const fields = pickSessionFields(req.body);
+
+    const slotError = await checkSessionSlot(event, fields);
+    if (slotError) {
+      return res.status(400).json({
+        success: false,
+        message: slotError
+      });
+    }
+
+    if (await sendConflicts(res, event, fields)) return;
+
+    const session = await AgendaSession.create({
+      ...fields,
+      event: event._id
+    });
+    await session.populate('speakers', PUBLIC_SPEAKER_FIELDS);
+
+    notifyAgendaChange(req, event._id, { action: 'session-created', agendaSessionId: session._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Session created successfully',
+      data: { session }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single agenda session
+// @route   GET /api/agenda/sessions/:id
+// @access  Public (with optional auth)
+const getAgendaSession = async (req, res, next) => {
+  try {
+    const session = await loadAgendaItem(AgendaSession, 'Session', req, res, { manage: false });
+    if (!session) return;
+
+    // Count the view unless it comes from the host
+    if (!canManageEvent(req.user, session.event)) {
+      await session.incrementPageView();
+    }
+
+    await session.populate('speakers', PUBLIC_SPEAKER_FIELDS);
+
+    const sessionData = session.toJSON();
+    sessionData.event = session.event._id;
+    sessionData.trackInfo = session.track ? session.event.tracks.id(session.track) : null;
+    sessionData.roomInfo = session.room ? session.event.rooms.id(session.room) : null;
+
+    res.json({
+      success: true,
+      data: { session: sessionData }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update an agenda session
+// @route   PUT /api/agenda/sessions/:id
+// @access  Private (host only)
+const updateAgendaSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await loadAgendaItem(AgendaSession, 'Session', req, res);
+    if (!session) return;
+
+    const event = session.event;
+    const updates = pickSessionFields(req.body);
+    const slot = {
+      startTime: updates.startTime !== undefined ? updates.startTime : session.startTime,
+      endTime: updates.endTime !== undefined ? updates.endTime : session.endTime,
+      track: updates.track !== undefined ? updates.track : session.track,
+      room: updates.room !== undefined ? updates.room : session.room,
+      speakers: updates.speakers !== undefined ? updates.speakers : session.speakers
+    };
+
+    const slotError = await checkSessionSlot(event, slot);
+    if (slotError) {
+      return res.status(400).json({
+        success: false,
+        message: slotError
+      });
+    }
+
+    if (await sendConflicts(res, event, slot, session._id)) return;
+
+    Object.assign(session, updates);
+    await session.save();
+    await session.populate('speakers', PUBLIC_SPEAKER_FIELDS);
+
+    notifyAgendaChange(req, event._id, { action: 'session-updated', agendaSessionId: session._id });
+
+    const sessionData = session.toJSON();
+    sessionData.event = event._id;
+
+    res.json({
+      success: true,
+      message: 'Session updated successfully',
+      data: { session: sessionData }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a session from the agenda
+// @route   DELETE /api/agenda/sessions/:id
+// @access  Private (host only)
+const deleteAgendaSession = async (req, res, next) => {
+  try {
+    const session = await loadAgendaItem(AgendaSession, 'Session', req, res);
+    if (!session) return;
+
+    session.isDeleted = true;
+    session.deletedAt = new Date();
+    await session.save();
+
+    notifyAgendaChange(req, session.event._id, { action: 'session-deleted', agendaSessionId: session._id });
+
+    res.json({
+      success: true,
+      message: 'Session deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List double-booked rooms and speakers in an event's agenda
+// @route   GET /api/agenda/event/:eventId/conflicts
+// @access  Private (host only)
+const getAgendaConflicts = async (req, res, next) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const sessions = await AgendaSession.find({ event: event._id, isDeleted: false })
+      .select('title startTime endTime room speakers')
+      .sort({ startTime: 1 });
+
+    // Sessions are sorted by start, so only later sessions that start
+    // before this one ends can overlap it
+    const conflicts = [];
+    sessions.forEach((session, index) => {
+      for (const other of sessions.slice(index + 1)) {
+        if (other.startTime >= session.endTime) break;
+
+        const sameRoom = session.room && other.room && session.room.equals(other.room);
+        const sharedSpeakers = session.speakers.filter(speaker =>
+          other.speakers.some(otherSpeaker => otherSpeaker.equals(speaker))
+        );
+
+        if (sameRoom || sharedSpeakers.length > 0) {
+          conflicts.push({
+            sessions: [
+              { id: session._id, title: session.title, startTime: session.startTime, endTime: session.endTime },
+              { id: other._id, title: other.title, startTime: other.startTime, endTime: other.endTime }
+            ],
+            room: sameRoom ? session.room : null,
+            speakers: sharedSpeakers
+          });
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conflicts,
+        total: conflicts.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEventAgenda,
+  updateAgendaLayout,
+  createSpeaker,
+  getSpeaker,
+  updateSpeaker,
+  deleteSpeaker,
+  createAgendaSession,
+  getAgendaSession,
+  updateAgendaSession,
+  deleteAgendaSession,
+  getAgendaConflicts
+};
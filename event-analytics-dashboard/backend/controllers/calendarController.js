@@ -0,0 +1,221 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/ical');
+const { getEventSequences } = require('../utils/eventRevisions');
+const { getInvitationToken, checkInvitationAccess } = require('../utils/invitations');
+
+// Feeds list events that ended up to this many days ago, and everything after
+const FEED_PAST_DAYS = 30;
+
+// Largest number of events in a feed
+const FEED_LIMIT = 500;
+
+// Tickets that put an event in the holder's personal feed
+const FEED_TICKET_STATUSES = ['confirmed', 'checked-in'];
+
+// Events ending inside the feed window
+const feedWindow = () => ({ $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) });
+
+// Events listed in public feeds. Cancelled events stay in so subscribers
+// see the cancellation instead of the event silently disappearing.
+const publicFeedQuery = () => ({
+  isDeleted: false,
+  visibility: 'public',
+  status: { $ne: 'draft' },
+  'dateTime.end': feedWindow()
+});
+
+const eventUrl = (event) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}`;
+
+const feedUrl = (req, path) => `${req.protocol}://${req.get('host')}/api/calendar/${path}`;
+
+// File name for an event download, e.g. "spring-tech-summit.ics"
+const toFileName = (title) => `${String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event'}.ics`;
+
+const sendCalendar = async (res, events, { name, fileName }) => {
+  const sequences = await getEventSequences(events.map(event => event._id));
+  const calendar = buildCalendar(events, { name, sequences, getUrl: eventUrl });
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (fileName) {
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  }
+  res.send(calendar);
+};
+
+const findFeedEvents = (query) => Event.find(query)
+  .sort({ 'dateTime.start': 1 })
+  .limit(FEED_LIMIT)
+  .lean();
+
+// @desc    Download a single event as an .ics file
+// @route   GET /api/calendar/events/:id.ics
+// @access  Public (with optional auth; invite-only events need an invitation)
+const getEventCalendar = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const access = await checkInvitationAccess(event, {
+      user: req.user,
+      token: getInvitationToken(req)
+    });
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: access.message,
+        code: 'INVITATION_REQUIRED'
+      });
+    }
+
+    await sendCalendar(res, [event], { name: event.title, fileName: toFileName(event.title) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Subscribable feed of public events
+// @route   GET /api/calendar/public.ics
+// @access  Public
+const getPublicFeed = async (req, res, next) => {
+  try {
+    const { category, city } = req.query;
+
+    const query = publicFeedQuery();
+    if (category) query.category = category;
+    if (city) query['venue.address.city'] = city;
+
+    const events = await findFeedEvents(query);
+
+    await sendCalendar(res, events, { name: 'Public events' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Subscribable feed of a host's public events
+// @route   GET /api/calendar/hosts/:hostId.ics
+// @access  Public
+const getHostFeed = async (req, res, next) => {
+  try {
+    const host = await User.findById(req.params.hostId).select('firstName lastName isActive');
+
+    if (!host || !host.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Host not found'
+      });
+    }
+
+    const events = await findFeedEvents({ ...publicFeedQuery(), host: host._id });
+
+    await sendCalendar(res, events, { name: `Events by ${host.fullName}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Personal feed of the events a user holds tickets to
+// @route   GET /api/calendar/feeds/:token.ics
+// @access  Public (secret feed token)
+const getPersonalFeed = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token, isActive: true })
+      .select('email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const eventIds = await Ticket.distinct('event', {
+      'attendee.email': user.email,
+      status: { $in: FEED_TICKET_STATUSES },
+      isDeleted: false
+    });
+
+    const events = await findFeedEvents({
+      _id: { $in: eventIds },
+      isDeleted: false,
+      'dateTime.end': feedWindow()
+    });
+
+    await sendCalendar(res, events, { name: 'My events' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const feedLinks = (req, user) => {
+  const links = {
+    public: feedUrl(req, 'public.ics'),
+    host: feedUrl(req, `hosts/${user._id}.ics`),
+    personal: feedUrl(req, `feeds/${user.calendarToken}.ics`)
+  };
+
+  // webcal:// links open straight in calendar apps as subscriptions
+  Object.keys(links).forEach(key => {
+    links[key] = { url: links[key], webcal: links[key].replace(/^https?:/, 'webcal:') };
+  });
+
+  return links;
+};
+
+// @desc    Get the current user's calendar feed URLs
+// @route   GET /api/calendar/feeds
+// @access  Private
+const getFeedLinks = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({
+      success: true,
+      data: { feeds: feedLinks(req, user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the personal feed token, revoking the old feed URL
+// @route   POST /api/calendar/feeds/reset
+// @access  Private
+const resetFeedToken = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    user.generateCalendarToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL reset successfully',
+      data: { feeds: feedLinks(req, user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEventCalendar,
+  getPublicFeed,
+  getHostFeed,
+  getPersonalFeed,
+  getFeedLinks,
+  resetFeedToken
+};
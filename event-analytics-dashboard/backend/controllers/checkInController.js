@@ -0,0 +1,228 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const { validationResult } = require('express-validator');
+const { getHostRoom } = require('../sockets/hostSocket');
+const { canAccessEvent } = require('../utils/eventAccess');
+
+// Load an event and make sure the current user can run its door
+const loadEventForDoor = async (req, res) => {
+  const event = await Event.findById(req.params.eventId);
+
+  if (!event || event.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!canAccessEvent(req.user, event, 'check-in')) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only check in attendees for your own events.'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Shape a ticket for door staff screens
+const toDoorTicket = (ticket) => (ticket ? {
+  ticketNumber: ticket.ticketNumber,
+  attendeeName: ticket.attendeeFullName,
+  ticketType: ticket.ticketType,
+  status: ticket.status,
+  checkInDate: ticket.checkInDate,
+  checkInGate: ticket.checkInGate
+} : null);
+
+// Push live attendance counters to the host dashboard
+const emitAttendanceUpdate = (req, event, type, ticket, gate = ticket.checkInGate) => {
+  if (!req.io) return;
+
+  req.io.to(getHostRoom(event._id)).emit('attendance-update', {
+    eventId: event._id,
+    type,
+    ticket: toDoorTicket(ticket),
+    gate,
+    totalAttendees: event.analytics.totalAttendees,
+    totalRegistrations: event.analytics.totalRegistrations,
+    timestamp: new Date()
+  });
+};
+
+// @desc    Check in a ticket at the door
+// @route   POST /api/check-in/:eventId
+// @access  Private (host only)
+const checkInTicket = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEventForDoor(req, res);
+    if (!event) return;
+
+    const { payload, ticketNumber, gate = 'main' } = req.body;
+
+    const scan = payload
+      ? await Ticket.verifyScan(payload, event._id)
+      : await Ticket.verifyTicketNumber(ticketNumber, event._id);
+
+    if (!scan.accepted) {
+      // Rejections never change state, so repeated scans get the same answer
+      return res.json({
+        success: true,
+        data: {
+          accepted: false,
+          reason: scan.reason,
+          message: scan.message,
+          ticket: toDoorTicket(scan.ticket)
+        }
+      });
+    }
+
+    const checkedIn = await scan.ticket.checkIn(gate, req.user._id);
+
+    // Another gate checked this ticket in between verification and update
+    if (!checkedIn) {
+      const current = await Ticket.findById(scan.ticket._id);
+      return res.json({
+        success: true,
+        data: {
+          accepted: false,
+          reason: 'already-checked-in',
+          message: 'Ticket has already been checked in',
+          ticket: toDoorTicket(current)
+        }
+      });
+    }
+
+    const updatedEvent = await Event.findByIdAndUpdate(
+      event._id,
+      { $inc: { 'analytics.totalAttendees': 1 } },
+      { new: true }
+    );
+
+    emitAttendanceUpdate(req, updatedEvent, 'check-in', checkedIn);
+
+    res.json({
+      success: true,
+      data: {
+        accepted: true,
+        reason: 'valid',
+        message: 'Attendee checked in successfully',
+        ticket: toDoorTicket(checkedIn),
+        totalAttendees: updatedEvent.analytics.totalAttendees
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Undo a check-in
+// @route   DELETE /api/check-in/:eventId/:ticketNumber
+// @access  Private (host only)
+const undoCheckIn = async (req, res, next) => {
+  try {
+    const event = await loadEventForDoor(req, res);
+    if (!event) return;
+
+    const ticket = await Ticket.findOne({
+      ticketNumber: req.params.ticketNumber.toUpperCase(),
+      event: event._id,
+      isDeleted: false
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    const gate = ticket.checkInGate;
+    const restored = await ticket.undoCheckIn();
+
+    if (!restored) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket is not checked in'
+      });
+    }
+
+    const updatedEvent = await Event.findByIdAndUpdate(
+      event._id,
+      { $inc: { 'analytics.totalAttendees': -1 } },
+      { new: true }
+    );
+
+    emitAttendanceUpdate(req, updatedEvent, 'undo', restored, gate);
+
+    res.json({
+      success: true,
+      message: 'Check-in undone successfully',
+      data: {
+        ticket: toDoorTicket(restored),
+        totalAttendees: updatedEvent.analytics.totalAttendees
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get live attendance counters
+// @route   GET /api/check-in/:eventId/stats
+// @access  Private (host only)
+const getCheckInStats = async (req, res, next) => {
+  try {
+    const event = await loadEventForDoor(req, res);
+    if (!event) return;
+
+    const [byGate, recentCheckIns] = await Promise.all([
+      Ticket.aggregate([
+        { $match: { event: event._id, status: 'checked-in', isDeleted: false } },
+        {
+          $group: {
+            _id: '$checkInGate',
+            count: { $sum: 1 },
+            lastCheckIn: { $max: '$checkInDate' }
+          }
+        },
+        { $sort: { count: -1 } }
+      ]),
+      Ticket.find({ event: event._id, status: 'checked-in', isDeleted: false })
+        .sort({ checkInDate: -1 })
+        .limit(10)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        totalAttendees: event.analytics.totalAttendees,
+        totalRegistrations: event.analytics.totalRegistrations,
+        attendanceRate: event.analytics.totalRegistrations > 0
+          ? Math.round((event.analytics.totalAttendees / event.analytics.totalRegistrations) * 100)
+          : 0,
+        byGate,
+        recentCheckIns: recentCheckIns.map(toDoorTicket)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  checkInTicket,
+  undoCheckIn,
+  getCheckInStats
+};
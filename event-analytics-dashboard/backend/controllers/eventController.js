@@ -1,6 +1,84 @@
 const Event = require('../models/Event');
 const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const LedgerEntry = require('../models/LedgerEntry');
+const Organization = require('../models/Organization');
+const EventRevision = require('../models/EventRevision');
+const AgendaSession = require('../models/AgendaSession');
+const Speaker = require('../models/Speaker');
+const Invitation = require('../models/Invitation');
+const EventReferrer = require('../models/EventReferrer');
 const { validationResult } = require('express-validator');
+const { notifyStatusChange } = require('../utils/eventLifecycle');
+const { canAccessEvent, getEventRole, accessibleEventsQuery } = require('../utils/eventAccess');
+const { canAccessOrganization } = require('../utils/organizationAccess');
+const {
+  TRACKED_FIELDS,
+  RESTORE_SKIPPED_FIELDS,
+  getRevisionSnapshot,
+  diffSnapshots,
+  recordEventRevision
+} = require('../utils/eventRevisions');
+const { trashEvent } = require('../utils/trash');
+const { getInvitationToken, checkInvitationAccess } = require('../utils/invitations');
+const { getFormDefinitionErrors } = require('../utils/registrationForms');
+const { buildEventClone } = require('../utils/eventTemplates');
+const {
+  DEFAULT_RADIUS_KM,
+  toGeoPoint,
+  parseBoundingBox,
+  boundingBoxQuery,
+  nearQuery,
+  withinRadiusQuery,
+  distanceKm
+} = require('../utils/geo');
+const {
+  FUZZY_CANDIDATE_LIMIT,
+  parseTerms,
+  fuzzyScore,
+  highlight,
+  parseFacetFilters,
+  withFilters,
+  buildFacetPipeline,
+  formatFacets
+} = require('../utils/eventSearch');
+
+// Fields a host may set on a ticket tier
+const TIER_FIELDS = [
+  'name',
+  'description',
+  'ticketType',
+  'price',
+  'quantity',
+  'salesStart',
+  'salesEnd',
+  'visibility',
+  'isActive'
+];
+
+const pickTierFields = (body) => TIER_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Fields a host may set on a registration form question
+const FORM_FIELDS = ['key', 'label', 'type', 'required', 'helpText', 'options', 'min', 'max', 'showIf'];
+
+const pickFormFields = (body) => FORM_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Fields a host may set on a linked image; uploads go through the media endpoints
+const IMAGE_FIELDS = ['url', 'alt', 'isPrimary'];
+
+const pickImageFields = (body) => IMAGE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Check if the current user can manage an event
+const canManageEvent = (user, event) => canAccessEvent(user, event, 'manage');
 
 // @desc    Get all events
 // @route   GET /api/events
@@ -17,15 +95,19 @@ const getEvents = async (req, res, next) => {
       sortOrder = 'desc',
       startDate,
       endDate,
-      city
+      city,
+      lat,
+      lng,
+      radius,
+      bbox
     } = req.query;
 
     // Build query
     const query = { isDeleted: false };
 
-    // Filter by host (unless admin)
+    // Filter to events the user hosts or co-hosts (unless admin)
     if (req.user.role !== 'admin') {
-      query.host = req.user._id;
+      query.$and = [accessibleEventsQuery(req.user._id)];
     }
 
     if (status) {
@@ -54,14 +136,49 @@ const getEvents = async (req, res, next) => {
       if (endDate) query['dateTime.start'].$lte = new Date(endDate);
     }
 
+    // Location: events within `radius` km of lat/lng, nearest first, or inside a map bounding box
+    let origin = null;
+    let countQuery = query;
+    if (lat !== undefined || lng !== undefined) {
+      origin = toGeoPoint({ latitude: parseFloat(lat), longitude: parseFloat(lng) });
+      const radiusKm = radius !== undefined ? parseFloat(radius) : DEFAULT_RADIUS_KM;
+
+      if (!origin || !(radiusKm > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A near query needs a valid lat, lng and a positive radius in km'
+        });
+      }
+      if (bbox) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use either a near query or a bounding box, not both'
+        });
+      }
+
+      query['venue.location'] = nearQuery(origin, radiusKm);
+      countQuery = { ...query, 'venue.location': withinRadiusQuery(origin, radiusKm) };
+    } else if (bbox) {
+      try {
+        query['venue.location'] = boundingBoxQuery(parseBoundingBox(bbox));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
     // Pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Sort
+    // Sort; a near query already returns the nearest events first
     const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    if (!origin) {
+      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    }
 
     const events = await Event.find(query)
       .populate('host', 'firstName lastName email company')
@@ -69,12 +186,16 @@ const getEvents = async (req, res, next) => {
       .skip(skip)
       .limit(limitNum);
 
-    const total = await Event.countDocuments(query);
+    const total = await Event.countDocuments(countQuery);
 
     res.json({
       success: true,
       data: {
-        events,
+        events: events.map(event => ({
+          ...event.toJSON(),
+          myRole: getEventRole(req.user, event),
+          ...(origin && { distanceKm: distanceKm(origin, event.venue.location) })
+        })),
         pagination: {
           current: pageNum,
           pages: Math.ceil(total / limitNum),
@@ -88,14 +209,181 @@ const getEvents = async (req, res, next) => {
   }
 };
 
+// @desc    Search events by relevance, with highlights and facet counts
+// @route   GET /api/events/search
+// @access  Private
+const searchEvents = async (req, res, next) => {
+  try {
+    const { q = '', page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+    const skip = (pageNum - 1) * limitNum;
+    const terms = parseTerms(q);
+
+    let filters;
+    try {
+      filters = parseFacetFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Events the user hosts or co-hosts (unless admin)
+    const scope = { isDeleted: false };
+    if (req.user.role !== 'admin') {
+      scope.$and = [accessibleEventsQuery(req.user._id)];
+    }
+
+    let mode = terms.length ? 'text' : 'browse';
+    let match = terms.length ? { ...scope, $text: { $search: q.trim() } } : scope;
+    let [facetResult] = await Event.aggregate(buildFacetPipeline(match, filters));
+
+    // The text index has no typo tolerance, so when it finds nothing score
+    // recent events locally with fuzzy matching instead
+    let fuzzyScores = null;
+    if (mode === 'text' && facetResult.total.length === 0) {
+      mode = 'fuzzy';
+      const candidates = await Event.find(scope)
+        .select('title description tags')
+        .sort({ 'dateTime.start': -1 })
+        .limit(FUZZY_CANDIDATE_LIMIT)
+        .lean();
+
+      fuzzyScores = new Map();
+      const matchedIds = [];
+      candidates.forEach(candidate => {
+        const score = fuzzyScore(candidate, terms);
+        if (score > 0) {
+          fuzzyScores.set(candidate._id.toString(), score);
+          matchedIds.push(candidate._id);
+        }
+      });
+
+      match = { ...scope, _id: { $in: matchedIds } };
+      [facetResult] = await Event.aggregate(buildFacetPipeline(match, filters));
+    }
+
+    const total = facetResult.total.length ? facetResult.total[0].count : 0;
+    const query = withFilters(match, filters);
+
+    let events;
+    if (mode === 'text') {
+      events = await Event.find(query)
+        .select({ score: { $meta: 'textScore' } })
+        .populate('host', 'firstName lastName email company')
+        .sort({ score: { $meta: 'textScore' }, 'dateTime.start': 1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+    } else if (mode === 'fuzzy') {
+      const matching = await Event.find(query).select('_id').lean();
+      const pageIds = matching
+        .map(event => event._id.toString())
+        .sort((a, b) => fuzzyScores.get(b) - fuzzyScores.get(a))
+        .slice(skip, skip + limitNum);
+
+      const found = await Event.find({ _id: { $in: pageIds } })
+        .populate('host', 'firstName lastName email company')
+        .lean();
+      events = pageIds
+        .map(id => found.find(event => event._id.toString() === id))
+        .filter(Boolean)
+        .map(event => ({ ...event, score: fuzzyScores.get(event._id.toString()) }));
+    } else {
+      events = await Event.find(query)
+        .populate('host', 'firstName lastName email company')
+        .sort({ 'dateTime.start': 1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => ({
+          ...event,
+          myRole: getEventRole(req.user, event),
+          highlights: terms.length ? {
+            title: highlight(event.title, terms),
+            description: highlight(event.description, terms)
+          } : undefined
+        })),
+        facets: formatFacets(facetResult),
+        search: {
+          q,
+          terms,
+          mode
+        },
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a single event to the current user, counting the view. Invite-only
+// events need an invitation, or an earlier acceptance.
+const sendEvent = async (req, res, event) => {
+  // Tickets hold attendee contact details and signed QR codes, so they are
+  // never part of the public event response
+  await event.populate({ path: 'host', select: 'firstName lastName email company avatar' });
+
+  const access = await checkInvitationAccess(event, {
+    user: req.user,
+    token: getInvitationToken(req)
+  });
+  if (!access.allowed) {
+    return res.status(403).json({
+      success: false,
+      message: access.message,
+      code: 'INVITATION_REQUIRED'
+    });
+  }
+  if (access.invitation) {
+    await Invitation.recordOpen(access.invitation._id);
+  }
+
+  // Increment page view if not the host or a co-host
+  const myRole = getEventRole(req.user, event);
+  if (!myRole) {
+    await event.incrementPageView();
+  }
+
+  // Hidden and inactive tiers are only listed for the host
+  const eventData = event.toJSON();
+  if (!canManageEvent(req.user, event)) {
+    eventData.ticketTiers = eventData.ticketTiers.filter(
+      tier => tier.isActive && tier.visibility === 'public'
+    );
+  }
+
+  // The team list is only shown to the team
+  eventData.myRole = myRole;
+  if (!myRole && req.user?.role !== 'admin') {
+    delete eventData.coHosts;
+  }
+
+  res.json({
+    success: true,
+    data: { event: eventData }
+  });
+};
+
 // @desc    Get single event
 // @route   GET /api/events/:id
-// @access  Public (with optional auth)
+// @access  Public (with optional auth; invite-only events need an invitation)
 const getEvent = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate('host', 'firstName lastName email company avatar')
-      .populate('tickets');
+    const event = await Event.findById(req.params.id);
 
     if (!event || event.isDeleted) {
       return res.status(404).json({
@@ -104,15 +392,32 @@ const getEvent = async (req, res, next) => {
       });
     }
 
-    // Increment page view if not the host
-    if (!req.user || req.user._id.toString() !== event.host._id.toString()) {
-      await event.incrementPageView();
+    await sendEvent(req, res, event);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single event by slug; old slugs redirect to the current one
+// @route   GET /api/events/slug/:slug
+// @access  Public (with optional auth; invite-only events need an invitation)
+const getEventBySlug = async (req, res, next) => {
+  try {
+    const { event, redirected } = await Event.findBySlug(req.params.slug.toLowerCase());
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
     }
 
-    res.json({
-      success: true,
-      data: { event }
-    });
+    if (redirected || req.params.slug !== event.slug) {
+      const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      return res.redirect(301, `${req.baseUrl}/slug/${event.slug}${query}`);
+    }
+
+    await sendEvent(req, res, event);
   } catch (error) {
     next(error);
   }
@@ -132,10 +437,47 @@ const createEvent = async (req, res, next) => {
       });
     }
 
-    // Add user as host
+    // Add user as host; co-hosts are invited once the event exists
     req.body.host = req.user._id;
+    delete req.body.coHosts;
+
+    // Events can only be shared with an organization the host belongs to
+    if (req.body.organization) {
+      const organization = await Organization.findById(req.body.organization);
+      if (!organization || organization.isDeleted || !canAccessOrganization(req.user, organization)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only create events in your own organizations.'
+        });
+      }
+    }
+
+    // Tier inventory always starts empty
+    if (Array.isArray(req.body.ticketTiers)) {
+      req.body.ticketTiers = req.body.ticketTiers.map(pickTierFields);
+    }
+
+    // Stored files are only ever attached by the media endpoints
+    if (Array.isArray(req.body.images)) {
+      req.body.images = req.body.images.map(pickImageFields);
+    }
+
+    // Registration questions can refer to each other, so they are checked together
+    if (Array.isArray(req.body.registrationForm)) {
+      req.body.registrationForm = req.body.registrationForm.map(pickFormFields);
+
+      const formErrors = getFormDefinitionErrors(req.body.registrationForm);
+      if (formErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formErrors
+        });
+      }
+    }
 
     const event = await Event.create(req.body);
+    await recordEventRevision(event, { author: req.user._id, action: 'create' });
     await event.populate('host', 'firstName lastName email company');
 
     res.status(201).json({
@@ -171,24 +513,56 @@ const updateEvent = async (req, res, next) => {
       });
     }
 
-    // Check ownership (unless admin)
-    if (req.user.role !== 'admin' && event.host.toString() !== req.user._id.toString()) {
+    // Check the user is the host or an editor (unless admin)
+    if (!canManageEvent(req.user, event)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only update your own events.'
       });
     }
 
-    // Prevent updating host
+    // Prevent updating host and team
     delete req.body.host;
+    delete req.body.coHosts;
     delete req.body.analytics;
 
+    // Organization changes go through the organization endpoints
+    delete req.body.organization;
+
+    // Tiers carry sales counters and are managed through the tier endpoints
+    delete req.body.ticketTiers;
+
+    // Tracks and rooms are linked to sessions and managed through the agenda endpoints
+    delete req.body.tracks;
+    delete req.body.rooms;
+
+    // The registration form is replaced as a whole through its own endpoint
+    delete req.body.registrationForm;
+
+    // Images own stored files and are managed through the media endpoints
+    delete req.body.images;
+
+    // The slug follows the title, and old slugs keep redirecting
+    delete req.body.slug;
+    delete req.body.previousSlugs;
+
+    // Lifecycle fields are kept by the scheduler; a new deadline reopens registration
+    delete req.body.statusChangedAt;
+    delete req.body.registrationClosedAt;
+    if (req.body.registrationDeadline !== undefined) {
+      req.body.registrationClosedAt = null;
+    }
+
+    const before = getRevisionSnapshot(event);
+
     event = await Event.findByIdAndUpdate(
       req.params.id,
       req.body,
       { new: true, runValidators: true }
     ).populate('host', 'firstName lastName email company');
 
+    await recordEventRevision(event, { author: req.user._id, action: 'update', before });
+
     res.json({
       success: true,
       message: 'Event updated successfully',
@@ -213,22 +587,20 @@ const deleteEvent = async (req, res, next) => {
       });
     }
 
-    // Check ownership (unless admin)
-    if (req.user.role !== 'admin' && event.host.toString() !== req.user._id.toString()) {
+    // Only the host can delete an event (unless admin)
+    if (!canAccessEvent(req.user, event, 'owner')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only delete your own events.'
       });
     }
 
-    // Soft delete
-    event.isDeleted = true;
-    event.deletedAt = new Date();
-    await event.save();
+    // Soft delete; the event and its tickets can be restored from the trash
+    await trashEvent(event);
 
     res.json({
       success: true,
-      message: 'Event deleted successfully'
+      message: 'Event moved to trash'
     });
   } catch (error) {
     next(error);
@@ -249,8 +621,8 @@ const getEventAnalytics = async (req, res, next) => {
       });
     }
 
-    // Check ownership (unless admin)
-    if (req.user.role !== 'admin' && event.host.toString() !== req.user._id.toString()) {
+    // Check the user's role allows analytics (unless admin)
+    if (!canAccessEvent(req.user, event, 'analytics')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view analytics for your own events.'
@@ -308,6 +680,12 @@ const getEventAnalytics = async (req, res, next) => {
       }
     ]);
 
+    const waitlist = await WaitlistEntry.getEventMetrics(event._id);
+    const invitations = await Invitation.getEventMetrics(event._id);
+    const referrers = await EventReferrer.getEventSummary(event._id);
+    const tiers = await Ticket.getTierSales([event]);
+    const revenue = await LedgerEntry.getRevenueSummary([event._id]);
+
     const analytics = {
       overview: {
         ...event.analytics,
@@ -327,6 +705,11 @@ const getEventAnalytics = async (req, res, next) => {
         salesTrend,
         ticketTypes
       },
+      tiers,
+      revenue,
+      waitlist,
+      invitations,
+      referrers,
       performance: {
         conversionRate: event.analytics.conversionRate,
         attendanceRate: ticketStats[0] ? 
@@ -343,6 +726,174 @@ const getEventAnalytics = async (req, res, next) => {
   }
 };
 
+// Load an event the user manages, for tier and revision endpoints
+const loadManagedEvent = async (req, res, message = 'Access denied. You can only manage ticket tiers for your own events.') => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event || event.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// @desc    Add a ticket tier to an event
+// @route   POST /api/events/:id/tiers
+// @access  Private (host only)
+const addTicketTier = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    event.ticketTiers.push(pickTierFields(req.body));
+    await event.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Ticket tier added successfully',
+      data: { tier: event.ticketTiers[event.ticketTiers.length - 1] }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a ticket tier
+// @route   PUT /api/events/:id/tiers/:tierId
+// @access  Private (host only)
+const updateTicketTier = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const tier = event.getTier(req.params.tierId);
+    if (!tier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket tier not found'
+      });
+    }
+
+    tier.set(pickTierFields(req.body));
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Ticket tier updated successfully',
+      data: { tier }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a ticket tier
+// @route   DELETE /api/events/:id/tiers/:tierId
+// @access  Private (host only)
+const deleteTicketTier = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const tier = event.getTier(req.params.tierId);
+    if (!tier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket tier not found'
+      });
+    }
+
+    // Sold tiers stay on the event so their tickets keep pointing at them
+    if (tier.sold > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a tier that has sold tickets. Deactivate it instead.'
+      });
+    }
+
+    tier.deleteOne();
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Ticket tier deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the questions attendees answer when registering
+// @route   PUT /api/events/:id/registration-form
+// @access  Private (host only)
+const updateRegistrationForm = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = req.body.fields.map(pickFormFields);
+    const formErrors = getFormDefinitionErrors(fields);
+    if (formErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formErrors
+      });
+    }
+
+    const event = await loadManagedEvent(req, res, 'Access denied. You can only edit registration forms for your own events.');
+    if (!event) return;
+
+    // Answers already on tickets keep the label they were asked with
+    event.registrationForm = fields;
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Registration form updated successfully',
+      data: { registrationForm: event.registrationForm }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update event status
 // @route   PATCH /api/events/:id/status
 // @access  Private (host only)
@@ -367,17 +918,24 @@ const updateEventStatus = async (req, res, next) => {
       });
     }
 
-    // Check ownership (unless admin)
-    if (req.user.role !== 'admin' && event.host.toString() !== req.user._id.toString()) {
+    // Check the user is the host or an editor (unless admin)
+    if (!canManageEvent(req.user, event)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    const previousStatus = event.status;
+    const before = getRevisionSnapshot(event);
     event.status = status;
     await event.save();
 
+    if (event.status !== previousStatus) {
+      await recordEventRevision(event, { author: req.user._id, action: 'update', before });
+      await notifyStatusChange(req.io, event, previousStatus, 'host');
+    }
+
     res.json({
       success: true,
       message: 'Event status updated successfully',
@@ -388,6 +946,267 @@ const updateEventStatus = async (req, res, next) => {
   }
 };
 
+// Find a revision of an event by its version number
+const findRevision = async (event, res, version) => {
+  const revision = Number.isInteger(Number(version))
+    ? await EventRevision.findOne({ event: event._id, version: Number(version) })
+    : null;
+
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      message: `Revision ${version} not found`
+    });
+    return null;
+  }
+
+  return revision;
+};
+
+const REVISION_ACCESS_MESSAGE = 'Access denied. You can only view the history of your own events.';
+
+// @desc    Get the revision history of an event
+// @route   GET /api/events/:id/revisions
+// @access  Private (host or editor)
+const getEventRevisions = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res, REVISION_ACCESS_MESSAGE);
+    if (!event) return;
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [revisions, total] = await Promise.all([
+      EventRevision.find({ event: event._id })
+        .select('-snapshot')
+        .populate('author', 'firstName lastName email')
+        .sort({ version: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EventRevision.countDocuments({ event: event._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single revision with the full event snapshot
+// @route   GET /api/events/:id/revisions/:version
+// @access  Private (host or editor)
+const getEventRevision = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res, REVISION_ACCESS_MESSAGE);
+    if (!event) return;
+
+    const revision = await findRevision(event, res, req.params.version);
+    if (!revision) return;
+
+    await revision.populate('author', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      data: { revision }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Compare two revisions of an event field by field
+// @route   GET /api/events/:id/revisions/compare?from=&to=
+// @access  Private (host or editor)
+const compareEventRevisions = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res, REVISION_ACCESS_MESSAGE);
+    if (!event) return;
+
+    const from = await findRevision(event, res, req.query.from);
+    if (!from) return;
+
+    // Without a target version, compare against the current event
+    let to = null;
+    if (req.query.to !== undefined) {
+      to = await findRevision(event, res, req.query.to);
+      if (!to) return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: from.version,
+        to: to ? to.version : 'current',
+        changes: diffSnapshots(from.snapshot, to ? to.snapshot : getRevisionSnapshot(event))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore an event to a previous revision
+// @route   POST /api/events/:id/revisions/:version/restore
+// @access  Private (host or editor)
+const restoreEventRevision = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res, 'Access denied. You can only restore your own events.');
+    if (!event) return;
+
+    const revision = await findRevision(event, res, req.params.version);
+    if (!revision) return;
+
+    const target = revision.snapshot;
+
+    // Tickets already sold stay sold, so the restored version has to fit them
+    const spotsTaken = event.analytics.totalRegistrations + (event.analytics.heldSpots || 0);
+    const capacity = target.venue && target.venue.capacity;
+    if (capacity !== undefined && capacity < spotsTaken) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot restore version ${revision.version}: its capacity of ${capacity} is below the ${spotsTaken} spots already sold or held`
+      });
+    }
+
+    const currency = (target.ticketInfo && target.ticketInfo.currency) || 'USD';
+    if (event.analytics.totalRegistrations > 0 && currency !== event.ticketInfo.currency) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot restore version ${revision.version}: the currency cannot change after tickets have been sold`
+      });
+    }
+
+    const before = getRevisionSnapshot(event);
+
+    TRACKED_FIELDS
+      .filter(field => !RESTORE_SKIPPED_FIELDS.includes(field))
+      .forEach(field => event.set(field, target[field]));
+
+    // A restored deadline reopens registration, the same as an update
+    if (JSON.stringify(before.registrationDeadline) !== JSON.stringify(target.registrationDeadline)) {
+      event.registrationClosedAt = null;
+    }
+
+    await event.save();
+
+    const restored = await recordEventRevision(event, {
+      author: req.user._id,
+      action: 'restore',
+      before,
+      restoredFrom: revision.version
+    });
+
+    await event.populate('host', 'firstName lastName email company');
+
+    res.json({
+      success: true,
+      message: `Event restored to version ${revision.version}`,
+      data: {
+        event,
+        revision: restored
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Copy an event to a new date as a draft
+// @route   POST /api/events/:id/clone
+// @access  Private (host or editor)
+const cloneEvent = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const source = await loadManagedEvent(req, res, 'Access denied. You can only clone your own events.');
+    if (!source) return;
+
+    const { data, offset } = buildEventClone(source, {
+      start: req.body.start,
+      title: req.body.title
+    });
+
+    // The copy belongs to whoever cloned it, with no team and no sales
+    data.host = req.user._id;
+
+    // Stay in the organization only if the new host is a member of it
+    if (data.organization) {
+      const organization = await Organization.findById(data.organization);
+      if (!organization || organization.isDeleted || !canAccessOrganization(req.user, organization)) {
+        data.organization = null;
+      }
+    }
+
+    const event = await Event.create(data);
+
+    const copied = { speakers: 0, sessions: 0 };
+    if (req.body.includeAgenda) {
+      const [speakers, sessions] = await Promise.all([
+        Speaker.find({ event: source._id, isDeleted: false }).select('+email'),
+        AgendaSession.find({ event: source._id, isDeleted: false })
+      ]);
+
+      const speakerIds = new Map();
+      for (const speaker of speakers) {
+        const { _id, __v, createdAt, updatedAt, ...fields } = speaker.toObject({ virtuals: false });
+        const copy = await Speaker.create({ ...fields, event: event._id });
+        speakerIds.set(_id.toString(), copy._id);
+      }
+
+      // Tracks and rooms keep their ids in the copy, so sessions can point at them unchanged
+      await AgendaSession.insertMany(sessions.map(session => {
+        const { _id, __v, createdAt, updatedAt, analytics, ...fields } = session.toObject({ virtuals: false });
+        return {
+          ...fields,
+          event: event._id,
+          startTime: new Date(session.startTime.getTime() + offset),
+          endTime: new Date(session.endTime.getTime() + offset),
+          speakers: session.speakers
+            .map(id => speakerIds.get(id.toString()))
+            .filter(Boolean)
+        };
+      }));
+
+      copied.speakers = speakers.length;
+      copied.sessions = sessions.length;
+    }
+
+    await recordEventRevision(event, { author: req.user._id, action: 'create' });
+    await event.populate('host', 'firstName lastName email company');
+
+    res.status(201).json({
+      success: true,
+      message: 'Event cloned successfully',
+      data: {
+        event,
+        clonedFrom: source._id,
+        copied
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get dashboard statistics
 // @route   GET /api/events/dashboard/stats
 // @access  Private
@@ -395,9 +1214,9 @@ const getDashboardStats = async (req, res, next) => {
   try {
     const query = { isDeleted: false };
     
-    // Filter by host (unless admin)
+    // Filter to events the user can see analytics for (unless admin)
     if (req.user.role !== 'admin') {
-      query.host = req.user._id;
+      Object.assign(query, accessibleEventsQuery(req.user._id, 'analytics'));
     }
 
     const stats = await Event.aggregate([
@@ -466,11 +1285,22 @@ const getDashboardStats = async (req, res, next) => {
 
 module.exports = {
   getEvents,
+  searchEvents,
   getEvent,
+  getEventBySlug,
   createEvent,
   updateEvent,
   deleteEvent,
   getEventAnalytics,
   updateEventStatus,
-  getDashboardStats
+  getDashboardStats,
+  addTicketTier,
+  updateTicketTier,
+  deleteTicketTier,
+  updateRegistrationForm,
+  getEventRevisions,
+  getEventRevision,
+  compareEventRevisions,
+  restoreEventRevision,
+  cloneEvent
 };
\ No newline at end of file
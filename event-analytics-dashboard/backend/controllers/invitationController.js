@@ -0,0 +1,213 @@
+const Event = require('../models/Event');
+const Invitation = require('../models/Invitation');
+const { validationResult } = require('express-validator');
+const { canAccessEvent } = require('../utils/eventAccess');
+const { getInvitationUrl, acceptInvitation } = require('../utils/invitations');
+
+// Check if the current user can manage an event
+const canManageEvent = (user, event) => canAccessEvent(user, event, 'manage');
+
+// Invitation as returned to the host, with its shareable URL
+const toHostView = (invitation) => ({
+  ...invitation.toJSON(),
+  url: getInvitationUrl(invitation)
+});
+
+// Load an event the current user manages
+const loadManagedEvent = async (req, res, message) => {
+  const event = await Event.findById(req.params.eventId);
+
+  if (!event || event.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// @desc    Create personal invitations or a shareable invitation link
+// @route   POST /api/invitations/event/:eventId
+// @access  Private (host only)
+const createInvitations = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadManagedEvent(req, res, 'Access denied. You can only invite people to your own events.');
+    if (!event) return;
+
+    const { kind = 'link', name, expiresAt, maxUses } = req.body;
+    const common = {
+      event: event._id,
+      createdBy: req.user._id,
+      name,
+      expiresAt: expiresAt || null
+    };
+
+    if (kind === 'link') {
+      const invitation = await Invitation.create({ ...common, kind, maxUses: maxUses || null });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Invitation link created successfully',
+        data: { invitations: [toHostView(invitation)], skipped: [] }
+      });
+    }
+
+    // People with a usable personal invitation are not invited twice
+    const emails = [...new Set(req.body.emails)];
+    const existing = await Invitation.find({
+      event: event._id,
+      kind: 'personal',
+      email: { $in: emails },
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).select('email');
+    const skipped = existing.map(invitation => invitation.email);
+
+    const invitations = await Invitation.insertMany(
+      emails
+        .filter(email => !skipped.includes(email))
+        .map(email => ({ ...common, kind, email, maxUses: 1 }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${invitations.length} invitation(s) created successfully`,
+      data: { invitations: invitations.map(toHostView), skipped }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the invitations for an event with their open and accept counts
+// @route   GET /api/invitations/event/:eventId
+// @access  Private (host only)
+const getEventInvitations = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res, 'Access denied. You can only view invitations for your own events.');
+    if (!event) return;
+
+    const [invitations, metrics] = await Promise.all([
+      Invitation.find({ event: event._id }).sort({ createdAt: -1 }),
+      Invitation.getEventMetrics(event._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(toHostView),
+        metrics
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an invitation. People who accepted it lose access too.
+// @route   DELETE /api/invitations/:id
+// @access  Private (host only)
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id)
+      .populate('event', 'host coHosts isDeleted');
+
+    if (!invitation || !invitation.event || invitation.event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, invitation.event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage invitations for your own events.'
+      });
+    }
+
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: { invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation as the current user
+// @route   POST /api/invitations/token/:token/accept
+// @access  Private
+const acceptInvitationToken = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({ token: req.params.token })
+      .populate('event', 'title dateTime isDeleted');
+
+    if (!invitation || !invitation.event || invitation.event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    // Someone who already accepted can accept again after the last use is taken
+    const invitee = { user: req.user, email: req.user.email };
+    const useError = invitation.revokedAt || !invitation.isAcceptedBy(invitee)
+      ? invitation.getUseError()
+      : null;
+    if (useError) {
+      return res.status(410).json({
+        success: false,
+        message: useError
+      });
+    }
+
+    const result = await acceptInvitation(invitation, invitee);
+    if (!result.invitation) {
+      return res.status(403).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: { event: invitation.event }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createInvitations,
+  getEventInvitations,
+  revokeInvitation,
+  acceptInvitationToken
+};
@@ -0,0 +1,65 @@
+const Event = require('../models/Event');
+const { OBJECT_ID_PATTERN } = require('../utils/slugs');
+const { isCrawler, getReferrer } = require('../utils/referrers');
+const { renderLandingPage, renderNotFoundPage } = require('../utils/landingPage');
+
+// Invite-only events and drafts have no public page
+const hasLandingPage = (event) => !event.isDeleted &&
+  event.status !== 'draft' &&
+  event.visibility !== 'invite-only';
+
+const sendNotFound = (res) => res.status(404).type('html').send(renderNotFoundPage());
+
+// @desc    Public landing page with Open Graph, Twitter card and JSON-LD metadata.
+//          Old slugs and event ids redirect to the current slug.
+// @route   GET /events/:slug
+// @access  Public
+const getEventLandingPage = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+
+    let event;
+    let redirected = false;
+    if (OBJECT_ID_PATTERN.test(slug)) {
+      event = await Event.findById(slug);
+      redirected = Boolean(event && event.slug);
+    } else {
+      ({ event, redirected } = await Event.findBySlug(slug.toLowerCase()));
+    }
+
+    if (!event || !hasLandingPage(event)) {
+      return sendNotFound(res);
+    }
+
+    // Events saved before slugs existed are served by id until they get one
+    const path = event.slug || String(event._id);
+    if (redirected || slug !== path) {
+      const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      return res.redirect(301, `${req.baseUrl}/${path}${query}`);
+    }
+
+    await event.populate([
+      { path: 'host', select: 'firstName lastName' },
+      { path: 'organization', select: 'name' }
+    ]);
+
+    // Link previews and search crawlers are not visitors
+    if (!isCrawler(req)) {
+      await event.incrementPageView(getReferrer(req));
+    }
+
+    const html = renderLandingPage(event, {
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/${path}`,
+      ticketUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${event._id}`,
+      noindex: event.visibility !== 'public'
+    });
+
+    res.type('html').send(html);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEventLandingPage
+};
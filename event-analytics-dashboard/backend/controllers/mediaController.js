@@ -0,0 +1,268 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { canAccessEvent } = require('../utils/eventAccess');
+const { getRevisionSnapshot, recordEventRevision } = require('../utils/eventRevisions');
+const {
+  MAX_EVENT_IMAGES,
+  storeImage,
+  toEventImage,
+  deleteStoredFiles,
+  releaseEventMedia
+} = require('../utils/media');
+
+// Check if the current user can manage an event
+const canManageEvent = (user, event) => canAccessEvent(user, event, 'manage');
+
+// Load an event the current user manages
+const loadManagedEvent = async (req, res, message) => {
+  const event = await Event.findById(req.params.eventId);
+
+  if (!event || event.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (!canManageEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Keep exactly one primary image while an event has any
+const ensurePrimaryImage = (event) => {
+  if (event.images.length > 0 && !event.images.some(image => image.isPrimary)) {
+    event.images[0].isPrimary = true;
+  }
+};
+
+// @desc    Upload images for an event
+// @route   POST /api/media/event/:eventId/images
+// @access  Private (host only)
+const uploadEventImages = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadManagedEvent(req, res, 'Access denied. You can only add images to your own events.');
+    if (!event) return;
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload at least one image'
+      });
+    }
+
+    if (event.images.length + files.length > MAX_EVENT_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `An event can have at most ${MAX_EVENT_IMAGES} images (${event.images.length} already added)`
+      });
+    }
+
+    const before = getRevisionSnapshot(event);
+    const stored = [];
+
+    try {
+      for (const file of files) {
+        stored.push(await storeImage(file, { kind: 'event', prefix: `events/${event._id}` }));
+      }
+
+      event.images.push(...stored.map(image => toEventImage(image, {
+        alt: req.body.alt,
+        uploadedBy: req.user._id
+      })));
+      ensurePrimaryImage(event);
+      await event.save();
+    } catch (error) {
+      await deleteStoredFiles(stored.flatMap(image => image.keys));
+      throw error;
+    }
+
+    await recordEventRevision(event, { author: req.user._id, action: 'update', before });
+
+    res.status(201).json({
+      success: true,
+      message: `${stored.length} image(s) uploaded successfully`,
+      data: {
+        uploaded: event.images.slice(-stored.length),
+        images: event.images
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update an event image's alt text or make it the primary image
+// @route   PATCH /api/media/event/:eventId/images/:imageId
+// @access  Private (host only)
+const updateEventImage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadManagedEvent(req, res, 'Access denied. You can only edit images of your own events.');
+    if (!event) return;
+
+    const image = event.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const before = getRevisionSnapshot(event);
+
+    if (req.body.alt !== undefined) {
+      image.alt = req.body.alt;
+    }
+
+    if (req.body.isPrimary === true) {
+      event.images.forEach(other => { other.isPrimary = other._id.equals(image._id); });
+    }
+
+    await event.save();
+    await recordEventRevision(event, { author: req.user._id, action: 'update', before });
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: { image, images: event.images }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove an image from an event and delete its stored files
+// @route   DELETE /api/media/event/:eventId/images/:imageId
+// @access  Private (host only)
+const deleteEventImage = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res, 'Access denied. You can only remove images from your own events.');
+    if (!event) return;
+
+    const image = event.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const before = getRevisionSnapshot(event);
+    const keys = [...image.storageKeys];
+
+    image.deleteOne();
+    ensurePrimaryImage(event);
+    await event.save();
+
+    await recordEventRevision(event, { author: req.user._id, action: 'update', before });
+    await releaseEventMedia(event._id, keys);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: { images: event.images }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload a new avatar for the current user
+// @route   PUT /api/media/avatar
+// @access  Private
+const uploadAvatar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+avatarKeys');
+    const previousKeys = user.avatarKeys || [];
+    const stored = await storeImage(req.file, { kind: 'avatar', prefix: `avatars/${user._id}` });
+
+    try {
+      user.avatar = stored.files.full.url;
+      user.avatarThumbnail = stored.files.thumbnail.url;
+      user.avatarKeys = stored.keys;
+      await user.save({ validateBeforeSave: false });
+    } catch (error) {
+      await deleteStoredFiles(stored.keys);
+      throw error;
+    }
+
+    await deleteStoredFiles(previousKeys);
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: {
+        avatar: user.avatar,
+        avatarThumbnail: user.avatarThumbnail
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove the current user's avatar
+// @route   DELETE /api/media/avatar
+// @access  Private
+const deleteAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+avatarKeys');
+    const previousKeys = user.avatarKeys || [];
+
+    user.avatar = null;
+    user.avatarThumbnail = null;
+    user.avatarKeys = [];
+    await user.save({ validateBeforeSave: false });
+
+    await deleteStoredFiles(previousKeys);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadEventImages,
+  updateEventImage,
+  deleteEventImage,
+  uploadAvatar,
+  deleteAvatar
+};
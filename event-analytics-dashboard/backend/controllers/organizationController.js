@@ -0,0 +1,533 @@
+const Organization = require('../models/Organization');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { canAccessEvent, getEventRole } = require('../utils/eventAccess');
+const {
+  getOrganizationRole,
+  canAccessOrganization,
+  organizationEventsQuery
+} = require('../utils/organizationAccess');
+
+const MEMBER_USER_FIELDS = 'firstName lastName email avatar';
+
+// Fields an organization admin may set
+const ORGANIZATION_FIELDS = ['name', 'description', 'website'];
+
+const toSlug = (value) => value
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60)
+  .replace(/-+$/, '');
+
+// Load the organization named in the route and check the user's permission.
+// Non-members get a 404 so other tenants cannot probe for organizations.
+const loadOrganization = async (req, res, permission = 'view') => {
+  const organization = await Organization.findById(req.params.id);
+
+  if (!organization || organization.isDeleted || !canAccessOrganization(req.user, organization)) {
+    res.status(404).json({
+      success: false,
+      message: 'Organization not found'
+    });
+    return null;
+  }
+
+  if (!canAccessOrganization(req.user, organization, permission)) {
+    res.status(403).json({
+      success: false,
+      message: permission === 'owner'
+        ? 'Access denied. Only the organization owner can do this.'
+        : 'Access denied. Only organization owners and admins can do this.'
+    });
+    return null;
+  }
+
+  return organization;
+};
+
+// Find a member of an organization by user id
+const findMember = (organization, res, userId) => {
+  const member = organization.members.find(entry => entry.user.toString() === userId);
+
+  if (!member) {
+    res.status(404).json({
+      success: false,
+      message: 'Member not found'
+    });
+    return null;
+  }
+
+  return member;
+};
+
+// @desc    Get organizations the current user belongs to
+// @route   GET /api/organizations
+// @access  Private
+const getMyOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.find({
+      'members.user': req.user._id,
+      isDeleted: false
+    }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        organizations: organizations.map(organization => ({
+          ...organization.toJSON(),
+          myRole: getOrganizationRole(req.user, organization)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create an organization; the creator becomes its owner
+// @route   POST /api/organizations
+// @access  Private
+const createOrganization = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const slug = toSlug(req.body.slug || req.body.name);
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization slug must contain letters or numbers'
+      });
+    }
+
+    const existing = await Organization.findOne({ slug }).select('_id');
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Slug '${slug}' is already taken`
+      });
+    }
+
+    const organization = await Organization.create({
+      name: req.body.name,
+      slug,
+      description: req.body.description,
+      website: req.body.website,
+      members: [{
+        user: req.user._id,
+        role: 'owner',
+        addedBy: req.user._id
+      }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: {
+        organization: {
+          ...organization.toJSON(),
+          myRole: 'owner'
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get an organization with its members
+// @route   GET /api/organizations/:id
+// @access  Private (organization members)
+const getOrganization = async (req, res, next) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    await organization.populate('members.user', MEMBER_USER_FIELDS);
+
+    const eventCount = await Event.countDocuments(organizationEventsQuery(organization._id));
+
+    res.json({
+      success: true,
+      data: {
+        organization: {
+          ...organization.toJSON(),
+          eventCount,
+          myRole: getOrganizationRole(req.user, organization)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update organization details
+// @route   PUT /api/organizations/:id
+// @access  Private (organization owner or admin)
+const updateOrganization = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await loadOrganization(req, res, 'manage');
+    if (!organization) return;
+
+    ORGANIZATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) organization[field] = req.body[field];
+    });
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete an organization; its events go back to being personal events
+// @route   DELETE /api/organizations/:id
+// @access  Private (organization owner)
+const deleteOrganization = async (req, res, next) => {
+  try {
+    const organization = await loadOrganization(req, res, 'owner');
+    if (!organization) return;
+
+    organization.isDeleted = true;
+    organization.deletedAt = new Date();
+    await organization.save();
+
+    await Event.updateMany({ organization: organization._id }, { organization: null });
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add an existing user to an organization
+// @route   POST /api/organizations/:id/members
+// @access  Private (organization owner or admin)
+const addMember = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await loadOrganization(req, res, 'manage');
+    if (!organization) return;
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true })
+      .select(MEMBER_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user is registered with that email'
+      });
+    }
+
+    if (getOrganizationRole(user, organization)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already a member'
+      });
+    }
+
+    organization.members.push({
+      user: user._id,
+      role: req.body.role || 'member',
+      addedBy: req.user._id
+    });
+    await organization.save();
+
+    const member = organization.members[organization.members.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: {
+        member: {
+          ...member.toJSON(),
+          user
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (organization owner or admin)
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await loadOrganization(req, res, 'manage');
+    if (!organization) return;
+
+    const member = findMember(organization, res, req.params.userId);
+    if (!member) return;
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner role cannot be changed'
+      });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { member }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member; members may also leave on their own
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (organization owner or admin, or the member)
+const removeMember = async (req, res, next) => {
+  try {
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    const organization = await loadOrganization(req, res, isSelf ? 'view' : 'manage');
+    if (!organization) return;
+
+    const member = findMember(organization, res, req.params.userId);
+    if (!member) return;
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot leave the organization'
+      });
+    }
+
+    member.deleteOne();
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the organization' : 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all events shared with an organization
+// @route   GET /api/organizations/:id/events
+// @access  Private (organization members)
+const getOrganizationEvents = async (req, res, next) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      host,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build query; the organization scope is applied last so filters cannot override it
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (host) {
+      query.host = host;
+    }
+
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { title: pattern },
+        { description: pattern },
+        { tags: { $in: [pattern] } }
+      ];
+    }
+
+    Object.assign(query, organizationEventsQuery(organization._id));
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Sort
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const events = await Event.find(query)
+      .populate('host', 'firstName lastName email company')
+      .sort(sort)
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Event.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => {
+          const eventData = event.toJSON();
+          eventData.myRole = getEventRole(req.user, event);
+
+          // Co-host invitations stay with the event team
+          if (!eventData.myRole && req.user.role !== 'admin') {
+            delete eventData.coHosts;
+          }
+          return eventData;
+        }),
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Share an existing event with an organization
+// @route   POST /api/organizations/:id/events/:eventId
+// @access  Private (event owner who is an organization member)
+const addOrganizationEvent = async (req, res, next) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canAccessEvent(req.user, event, 'owner')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the event owner can share it with an organization.'
+      });
+    }
+
+    if (event.organization && !event.organization.equals(organization._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This event already belongs to another organization'
+      });
+    }
+
+    event.organization = organization._id;
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Event added to organization successfully',
+      data: { event }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Take an event out of an organization
+// @route   DELETE /api/organizations/:id/events/:eventId
+// @access  Private (event owner, or organization owner or admin)
+const removeOrganizationEvent = async (req, res, next) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const event = await Event.findOne({
+      _id: req.params.eventId,
+      ...organizationEventsQuery(organization._id)
+    });
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found in this organization'
+      });
+    }
+
+    if (!canAccessEvent(req.user, event, 'owner') && !canAccessOrganization(req.user, organization, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the event owner or organization admins can remove it.'
+      });
+    }
+
+    event.organization = null;
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Event removed from organization successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyOrganizations,
+  createOrganization,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  getOrganizationEvents,
+  addOrganizationEvent,
+  removeOrganizationEvent
+};
@@ -0,0 +1,77 @@
+const Ticket = require('../models/Ticket');
+const { validationResult } = require('express-validator');
+const { getPaymentProvider } = require('../payments');
+const { handlePaymentWebhook } = require('../utils/ticketPayments');
+
+// @desc    Confirm a payment intent with the configured provider
+// @route   POST /api/payments/:intentId/confirm
+// @access  Public (client secret)
+const confirmPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = getPaymentProvider();
+    const { intent, webhook } = await provider.confirmIntent(req.params.intentId, {
+      clientSecret: req.body.clientSecret,
+      paymentMethodToken: req.body.paymentMethodToken
+    });
+
+    // Providers that report the result straight away go through the same
+    // path as a webhook delivery, so tickets only change on verified events
+    if (webhook) {
+      await handlePaymentWebhook(provider.name, webhook.body, webhook.headers);
+    }
+
+    const ticket = await Ticket.findOne({
+      paymentProvider: provider.name,
+      transactionId: intent.id
+    });
+
+    res.json({
+      success: true,
+      message: intent.status === 'succeeded' ? 'Payment succeeded' : 'Payment was not completed',
+      data: { intent, ticket }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Receive a payment provider webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signed by the provider)
+const receiveWebhook = async (req, res, next) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook body is missing'
+      });
+    }
+
+    const result = await handlePaymentWebhook(req.params.provider, req.rawBody, req.headers);
+
+    res.json({
+      success: true,
+      data: {
+        eventId: result.event.id,
+        duplicate: result.duplicate,
+        outcome: result.outcome
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  confirmPayment,
+  receiveWebhook
+};
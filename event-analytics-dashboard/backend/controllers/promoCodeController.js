@@ -0,0 +1,276 @@
+const Event = require('../models/Event');
+const PromoCode = require('../models/PromoCode');
+const { validationResult } = require('express-validator');
+const { canAccessEvent } = require('../utils/eventAccess');
+
+// Fields a host may set on a promo code
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxUses',
+  'validFrom',
+  'validUntil',
+  'allowedTicketTypes',
+  'isActive'
+];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Check if the current user can manage an event
+const canManageEvent = (user, event) => canAccessEvent(user, event, 'manage');
+
+// Load a promo code together with its event and check ownership
+const loadPromoCode = async (req, res) => {
+  const promoCode = await PromoCode.findOne({ _id: req.params.id, isDeleted: false })
+    .populate('event', 'host coHosts isDeleted');
+
+  if (!promoCode || !promoCode.event || promoCode.event.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: 'Promo code not found'
+    });
+    return null;
+  }
+
+  if (!canManageEvent(req.user, promoCode.event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage promo codes for your own events.'
+    });
+    return null;
+  }
+
+  return promoCode;
+};
+
+// @desc    Create a promo code for an event
+// @route   POST /api/promo-codes/event/:eventId
+// @access  Private (host only)
+const createPromoCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only create promo codes for your own events.'
+      });
+    }
+
+    const promoCode = await PromoCode.create({
+      ...pickEditableFields(req.body),
+      event: event._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: { promoCode }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get promo codes for an event
+// @route   GET /api/promo-codes/event/:eventId
+// @access  Private (host only)
+const getEventPromoCodes = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view promo codes for your own events.'
+      });
+    }
+
+    const promoCodes = await PromoCode.find({ event: event._id, isDeleted: false })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { promoCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a promo code
+// @route   PUT /api/promo-codes/:id
+// @access  Private (host only)
+const updatePromoCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const promoCode = await loadPromoCode(req, res);
+    if (!promoCode) return;
+
+    const updates = pickEditableFields(req.body);
+
+    if (updates.maxUses !== undefined && updates.maxUses !== null && updates.maxUses < promoCode.usedCount) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum uses cannot be lower than the ${promoCode.usedCount} redemptions already made`
+      });
+    }
+
+    promoCode.set(updates);
+    await promoCode.save();
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: { promoCode }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a promo code
+// @route   DELETE /api/promo-codes/:id
+// @access  Private (host only)
+const deletePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await loadPromoCode(req, res);
+    if (!promoCode) return;
+
+    // Soft delete keeps the code name on tickets that redeemed it
+    promoCode.isActive = false;
+    promoCode.isDeleted = true;
+    promoCode.deletedAt = new Date();
+    await promoCode.save();
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Check a promo code before purchase, priced on the chosen tier
+// @route   POST /api/promo-codes/validate
+// @access  Public
+const validatePromoCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { eventId, code, tierId } = req.body;
+
+    const event = await Event.findById(eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Events with ticket tiers price each ticket through its tier, as at
+    // checkout
+    let tier = null;
+    if (event.ticketTiers.length > 0) {
+      tier = event.getTier(tierId);
+
+      if (!tier) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please choose a valid ticket tier'
+        });
+      }
+    }
+    const ticketType = tier ? tier.ticketType : req.body.ticketType || 'regular';
+
+    const promoCode = await PromoCode.findOne({
+      event: event._id,
+      code: code.trim().toUpperCase(),
+      isDeleted: false
+    });
+
+    const promoError = promoCode
+      ? promoCode.getRedemptionError(ticketType)
+      : 'Invalid promo code';
+
+    if (promoError) {
+      return res.status(400).json({
+        success: false,
+        message: promoError
+      });
+    }
+
+    const originalPrice = event.getCurrentTicketPrice(tier);
+    const discountAmount = promoCode.calculateDiscount(originalPrice);
+
+    res.json({
+      success: true,
+      data: {
+        code: promoCode.code,
+        discountType: promoCode.discountType,
+        discountValue: promoCode.discountValue,
+        originalPrice,
+        discountAmount,
+        finalPrice: Math.round((originalPrice - discountAmount) * 100) / 100,
+        tierId: tier ? tier._id : null,
+        currency: event.ticketInfo.currency
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createPromoCode,
+  getEventPromoCodes,
+  updatePromoCode,
+  deletePromoCode,
+  validatePromoCode
+};
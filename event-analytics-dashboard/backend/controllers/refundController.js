@@ -0,0 +1,373 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const RefundRequest = require('../models/RefundRequest');
+const { validationResult } = require('express-validator');
+const { getEligibleRefund, issueRefund } = require('../utils/refunds');
+const { canAccessEvent } = require('../utils/eventAccess');
+
+// Check if the current user can manage an event
+const canManageEvent = (user, event) => canAccessEvent(user, event, 'manage');
+
+// Email the caller proved they hold the ticket with
+const getRequestEmail = (req) => (req.body.email || req.query.email || '').toLowerCase().trim();
+
+// Load a refund request with its event and check the caller may see it
+const loadRefundRequest = async (req, res, { hostOnly = false } = {}) => {
+  const refundRequest = await RefundRequest.findById(req.params.id)
+    .populate('event', 'host coHosts title dateTime ticketInfo')
+    .populate('ticket');
+
+  if (!refundRequest || !refundRequest.event || !refundRequest.ticket) {
+    res.status(404).json({
+      success: false,
+      message: 'Refund request not found'
+    });
+    return null;
+  }
+
+  const isHost = canManageEvent(req.user, refundRequest.event);
+  const isRequester = getRequestEmail(req) === refundRequest.requesterEmail;
+
+  if (!isHost && (hostOnly || !isRequester)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return refundRequest;
+};
+
+// @desc    Request a refund for a ticket
+// @route   POST /api/refunds/ticket/:ticketNumber
+// @access  Public (ticket holder email or host)
+const createRefundRequest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ticket = await Ticket.findOne({
+      ticketNumber: req.params.ticketNumber.toUpperCase(),
+      isDeleted: false
+    }).populate('event', 'host coHosts dateTime ticketInfo isDeleted');
+
+    if (!ticket || !ticket.event || ticket.event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    const email = getRequestEmail(req);
+    const isHost = canManageEvent(req.user, ticket.event);
+    if (!isHost && email !== ticket.attendee.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!['confirmed', 'cancelled'].includes(ticket.status) || ticket.paymentStatus !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot request a refund for a ticket that is ${ticket.status}`
+      });
+    }
+
+    if (ticket.getRefundableAmount() === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is nothing left to refund on this ticket'
+      });
+    }
+
+    const pending = await RefundRequest.exists({ ticket: ticket._id, status: 'pending' });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'A refund request for this ticket is already pending'
+      });
+    }
+
+    const { percentage, eligibleAmount } = getEligibleRefund(ticket.event, ticket);
+
+    const refundRequest = await RefundRequest.create({
+      event: ticket.event._id,
+      ticket: ticket._id,
+      requesterEmail: isHost && !email ? ticket.attendee.email : email,
+      reason: req.body.reason,
+      requestedAmount: req.body.amount !== undefined ? Number(req.body.amount) : eligibleAmount,
+      eligibleAmount,
+      policyPercentage: percentage
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund request submitted. The host will review it.',
+      data: { refundRequest }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get refund requests for an event
+// @route   GET /api/refunds/event/:eventId
+// @access  Private (host only)
+const getEventRefundRequests = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view refund requests for your own events.'
+      });
+    }
+
+    const query = { event: event._id };
+    if (status) {
+      query.status = status;
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [refundRequests, total] = await Promise.all([
+      RefundRequest.find(query)
+        .populate('ticket', 'ticketNumber attendee price refundAmount status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      RefundRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        refundRequests,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a refund request
+// @route   GET /api/refunds/:id
+// @access  Public (requester email or host)
+const getRefundRequest = async (req, res, next) => {
+  try {
+    const refundRequest = await loadRefundRequest(req, res);
+    if (!refundRequest) return;
+
+    res.json({
+      success: true,
+      data: { refundRequest }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a refund request
+// @route   PATCH /api/refunds/:id/approve
+// @access  Private (host only)
+const approveRefundRequest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refundRequest = await loadRefundRequest(req, res, { hostOnly: true });
+    if (!refundRequest) return;
+
+    const { ticket } = refundRequest;
+    const refundable = ticket.getRefundableAmount();
+
+    // The host may go above the policy amount, but never above what was paid
+    const amount = req.body.amount !== undefined
+      ? Number(req.body.amount)
+      : Math.min(refundRequest.eligibleAmount, refundable);
+
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount cannot exceed the ${refundable} still refundable on this ticket`
+      });
+    }
+
+    const keepTicket = req.body.keepTicket === true;
+
+    // Flip the request first so it can never be approved twice
+    const approved = await RefundRequest.findOneAndUpdate(
+      { _id: refundRequest._id, status: 'pending' },
+      {
+        status: 'approved',
+        approvedAmount: amount,
+        keepTicket,
+        decisionNote: req.body.note,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        message: `Refund request is already ${refundRequest.status}`
+      });
+    }
+
+    // Reopen the request whenever the ticket could not be refunded, so the
+    // host can try again
+    const reopen = () => RefundRequest.updateOne(
+      { _id: approved._id },
+      { status: 'pending', approvedAmount: null, reviewedBy: null, reviewedAt: null }
+    );
+
+    let refunded;
+    try {
+      refunded = await issueRefund(ticket, amount, {
+        reason: refundRequest.reason,
+        keepTicket,
+        refundRequest: approved._id,
+        recordedBy: req.user._id
+      });
+    } catch (error) {
+      await reopen();
+      throw error;
+    }
+
+    if (!refunded) {
+      await reopen();
+
+      return res.status(409).json({
+        success: false,
+        message: 'Ticket was refunded while this request was processed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund approved',
+      data: { refundRequest: approved, ticket: refunded }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deny a refund request
+// @route   PATCH /api/refunds/:id/deny
+// @access  Private (host only)
+const denyRefundRequest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refundRequest = await loadRefundRequest(req, res, { hostOnly: true });
+    if (!refundRequest) return;
+
+    const denied = await RefundRequest.findOneAndUpdate(
+      { _id: refundRequest._id, status: 'pending' },
+      {
+        status: 'denied',
+        decisionNote: req.body.note,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!denied) {
+      return res.status(409).json({
+        success: false,
+        message: `Refund request is already ${refundRequest.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund denied',
+      data: { refundRequest: denied }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Withdraw a pending refund request
+// @route   DELETE /api/refunds/:id
+// @access  Public (requester email or host)
+const withdrawRefundRequest = async (req, res, next) => {
+  try {
+    const refundRequest = await loadRefundRequest(req, res);
+    if (!refundRequest) return;
+
+    const withdrawn = await RefundRequest.findOneAndUpdate(
+      { _id: refundRequest._id, status: 'pending' },
+      { status: 'withdrawn' },
+      { new: true }
+    );
+
+    if (!withdrawn) {
+      return res.status(409).json({
+        success: false,
+        message: `Refund request is already ${refundRequest.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund request withdrawn'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createRefundRequest,
+  getEventRefundRequests,
+  getRefundRequest,
+  approveRefundRequest,
+  denyRefundRequest,
+  withdrawRefundRequest
+};
@@ -0,0 +1,606 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const Organization = require('../models/Organization');
+const { validationResult } = require('express-validator');
+const { canAccessEvent, accessibleEventsQuery } = require('../utils/eventAccess');
+const { canAccessOrganization } = require('../utils/organizationAccess');
+const { buildTemplateData } = require('../utils/eventTemplates');
+const { recordEventRevision, getRevisionSnapshot } = require('../utils/eventRevisions');
+const { trashEvent } = require('../utils/trash');
+const {
+  toRecurrence,
+  expandOccurrences,
+  toDayKey,
+  toLocalDayKey,
+  localDayRange
+} = require('../utils/recurrence');
+
+const MINUTE_MS = 60 * 1000;
+
+// Fields an occurrence edit may change. Tiers, the registration form, the
+// team and images have their own endpoints on each event.
+const OCCURRENCE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'venue',
+  'ticketInfo',
+  'settings',
+  'requirements',
+  'tags',
+  'visibility'
+];
+
+const pickOccurrenceFields = (body) => OCCURRENCE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Spots sold or held on an occurrence
+const getBookedSpots = (event) => event.analytics.totalRegistrations + (event.analytics.heldSpots || 0);
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Read the recurrence from an `rrule` string or a `recurrence` object
+const readRecurrence = (body) => {
+  const input = body.rrule !== undefined ? body.rrule : body.recurrence;
+  return input === undefined ? null : toRecurrence(input);
+};
+
+// Check if the user may do something on a whole series: the series host and
+// admins may, and so may a co-host whose role allows it on every upcoming occurrence
+const canAccessSeries = async (user, series, permission) => {
+  if (canAccessEvent(user, series, permission)) return true;
+
+  const upcoming = await Event.find({
+    series: series._id,
+    isDeleted: false,
+    'dateTime.start': { $gt: new Date() }
+  }).select('host coHosts');
+  return upcoming.length > 0 && upcoming.every(event => canAccessEvent(user, event, permission));
+};
+
+// Load a series the user may change. Other users get a 403.
+const loadSeries = async (req, res, permission = 'manage') => {
+  const series = await EventSeries.findById(req.params.id);
+
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Series not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccessSeries(req.user, series, permission))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. Your role on this series does not allow this.'
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// Create the events for a list of occurrence dates, one at a time so each
+// gets a slug of its own
+const createOccurrences = async (series, dates, user, extra = {}) => {
+  const occurrences = [];
+  for (const date of dates) {
+    const event = await Event.create({ ...series.buildOccurrence(date), ...extra });
+    await recordEventRevision(event, { author: user._id, action: 'create' });
+    occurrences.push(event);
+  }
+  return occurrences;
+};
+
+// @desc    Create a recurring event series and its occurrences
+// @route   POST /api/series
+// @access  Private
+const createSeries = async (req, res, next) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    let recurrence;
+    try {
+      recurrence = readRecurrence(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (!recurrence) {
+      return res.status(400).json({ success: false, message: 'A recurrence rule is required' });
+    }
+
+    const start = new Date(req.body.dateTime.start);
+    const end = new Date(req.body.dateTime.end);
+    if (start <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Start date must be in the future' });
+    }
+
+    // Series can only be shared with an organization the host belongs to
+    if (req.body.organization) {
+      const organization = await Organization.findById(req.body.organization);
+      if (!organization || organization.isDeleted || !canAccessOrganization(req.user, organization)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only create events in your own organizations.'
+        });
+      }
+    }
+
+    // The length and timezone live on the series, the rest on every occurrence
+    const { title, durationMinutes, timezone, ...template } = buildTemplateData(req.body);
+    template.status = req.body.status || 'draft';
+
+    const series = new EventSeries({
+      title: req.body.title,
+      host: req.user._id,
+      organization: req.body.organization || null,
+      timezone: req.body.dateTime.timezone || 'UTC',
+      firstStartDate: start,
+      durationMinutes: Math.round((end - start) / MINUTE_MS),
+      recurrence,
+      exceptions: req.body.exceptions || [],
+      template
+    });
+
+    let dates;
+    try {
+      dates = series.getOccurrenceDates();
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The recurrence rule does not produce any occurrences'
+      });
+    }
+
+    await series.save();
+
+    let occurrences;
+    try {
+      occurrences = await createOccurrences(series, dates, req.user);
+    } catch (error) {
+      // Nothing has been sold yet, so a half-created series is removed outright
+      await Event.deleteMany({ series: series._id });
+      await EventSeries.findByIdAndDelete(series._id);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Series created with ${occurrences.length} occurrences`,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the series the user runs or co-hosts as an editor
+// @route   GET /api/series
+// @access  Private
+const getMySeries = async (req, res, next) => {
+  try {
+    const coHosted = await Event.distinct('series', {
+      ...accessibleEventsQuery(req.user._id, 'manage'),
+      series: { $ne: null },
+      isDeleted: false
+    });
+    const series = await EventSeries.find({ $or: [{ host: req.user._id }, { _id: { $in: coHosted } }] })
+      .sort({ firstStartDate: -1 });
+
+    // Count occurrences per series
+    const now = new Date();
+    const counts = await Event.aggregate([
+      { $match: { series: { $in: series.map(item => item._id) }, isDeleted: false } },
+      {
+        $group: {
+          _id: '$series',
+          occurrences: { $sum: 1 },
+          upcoming: { $sum: { $cond: [{ $gt: ['$dateTime.start', now] }, 1, 0] } },
+          nextStart: {
+            $min: { $cond: [{ $gt: ['$dateTime.start', now] }, '$dateTime.start', null] }
+          }
+        }
+      }
+    ]);
+    const countsBySeries = new Map(counts.map(count => [count._id.toString(), count]));
+
+    res.json({
+      success: true,
+      data: {
+        series: series.map(item => {
+          const count = countsBySeries.get(item._id.toString());
+          return {
+            ...item.toJSON(),
+            occurrences: count ? count.occurrences : 0,
+            upcomingOccurrences: count ? count.upcoming : 0,
+            nextStart: count ? count.nextStart : null
+          };
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a series with its occurrences
+// @route   GET /api/series/:id
+// @access  Public (with optional auth)
+const getSeries = async (req, res, next) => {
+  try {
+    const series = await EventSeries.findById(req.params.id)
+      .populate('host', 'firstName lastName company');
+
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series not found' });
+    }
+
+    // Visitors see the published public occurrences, co-hosts also the ones they help run
+    const isOwner = canAccessEvent(req.user, series, 'owner');
+    const filter = { series: series._id, isDeleted: false };
+    const listed = { visibility: 'public', status: { $ne: 'draft' } };
+    if (!isOwner && req.user) {
+      filter.$or = [listed, ...accessibleEventsQuery(req.user._id).$or];
+    } else if (!isOwner) {
+      Object.assign(filter, listed);
+    }
+
+    const occurrences = await Event.find(filter)
+      .select('-coHosts')
+      .sort({ occurrenceDate: 1 });
+
+    if (!isOwner && occurrences.length === 0) {
+      return res.status(404).json({ success: false, message: 'Series not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit one occurrence, or this and all following occurrences
+// @route   PUT /api/series/:id/occurrences/:eventId
+// @access  Private (series host, editor co-host or admin)
+const updateOccurrences = async (req, res, next) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const series = await EventSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series not found' });
+    }
+
+    const occurrence = await Event.findOne({ _id: req.params.eventId, series: series._id, isDeleted: false });
+    if (!occurrence) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found in this series' });
+    }
+
+    // Editing one occurrence only needs access to that occurrence
+    const scope = req.body.scope || 'this';
+    const allowed = scope === 'this'
+      ? canAccessEvent(req.user, occurrence, 'manage') || await canAccessSeries(req.user, series, 'manage')
+      : await canAccessSeries(req.user, series, 'manage');
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Your role on this series does not allow this.'
+      });
+    }
+
+    if (new Date() >= occurrence.dateTime.start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot edit an occurrence that has already started'
+      });
+    }
+
+    const changes = pickOccurrenceFields(req.body);
+    const dateTime = req.body.dateTime || {};
+    const newStart = dateTime.start ? new Date(dateTime.start) : occurrence.dateTime.start;
+    const newEnd = dateTime.end
+      ? new Date(dateTime.end)
+      : new Date(newStart.getTime() + (occurrence.dateTime.end - occurrence.dateTime.start));
+
+    if (newStart <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Start date must be in the future' });
+    }
+    if (newEnd <= newStart) {
+      return res.status(400).json({ success: false, message: 'End date must be after start date' });
+    }
+
+    // Edit just this occurrence
+    if (scope === 'this') {
+      if (changes.venue && changes.venue.capacity < getBookedSpots(occurrence)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reduce capacity below current registrations'
+        });
+      }
+
+      const before = getRevisionSnapshot(occurrence);
+      occurrence.set({
+        ...changes,
+        'dateTime.start': newStart,
+        'dateTime.end': newEnd,
+        isSeriesException: true
+      });
+      await occurrence.save();
+      await recordEventRevision(occurrence, { author: req.user._id, action: 'update', before });
+
+      return res.json({
+        success: true,
+        message: 'Occurrence updated successfully',
+        data: { occurrence }
+      });
+    }
+
+    // Edit this and all following occurrences
+    let recurrence;
+    try {
+      recurrence = readRecurrence(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const following = await Event.find({
+      series: series._id,
+      isDeleted: false,
+      occurrenceDate: { $gte: occurrence.occurrenceDate }
+    }).sort({ occurrenceDate: 1 });
+
+    if (recurrence && following.some(event => getBookedSpots(event) > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot change the recurrence of occurrences that already have attendees'
+      });
+    }
+
+    const tooSmall = changes.venue && following.find(event => changes.venue.capacity < getBookedSpots(event));
+    if (tooSmall) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reduce capacity below current registrations for the ${toLocalDayKey(tooSmall.dateTime.start, series.timezone)} occurrence`
+      });
+    }
+
+    const shiftMs = newStart - occurrence.dateTime.start;
+    const durationMinutes = Math.round((newEnd - newStart) / MINUTE_MS);
+    const splitAt = occurrence.occurrenceDate;
+    const splitDay = toLocalDayKey(splitAt, series.timezone);
+    const isFirst = !(await Event.exists({
+      series: series._id,
+      isDeleted: false,
+      occurrenceDate: { $lt: splitAt }
+    }));
+
+    // The rule for the following occurrences keeps the part of a COUNT not used yet
+    const remainingRecurrence = () => {
+      const current = series.toObject().recurrence;
+      if (!current.count) return current;
+
+      const usedBefore = expandOccurrences(current, series.firstStartDate, { timezone: series.timezone })
+        .filter(date => date < splitAt).length;
+      return { ...current, count: current.count - usedBefore };
+    };
+
+    const { title, ...templateChanges } = changes;
+    const seriesFields = {
+      title: title || series.title,
+      timezone: series.timezone,
+      firstStartDate: new Date(splitAt.getTime() + shiftMs),
+      durationMinutes,
+      recurrence: recurrence || remainingRecurrence(),
+      exceptions: series.exceptions.filter(date => toDayKey(date) >= splitDay),
+      template: { ...series.template, ...JSON.parse(JSON.stringify(templateChanges)) }
+    };
+
+    // Editing from the first occurrence changes the whole series; otherwise
+    // the following occurrences move to a new series split off this one
+    let target;
+    if (isFirst) {
+      target = series;
+      target.set(seriesFields);
+      target.markModified('template');
+    } else {
+      target = new EventSeries({
+        ...seriesFields,
+        host: series.host,
+        organization: series.organization,
+        parentSeries: series._id
+      });
+    }
+
+    let dates = null;
+    if (recurrence) {
+      try {
+        dates = target.getOccurrenceDates();
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+    }
+
+    await target.save();
+
+    let occurrences;
+    if (recurrence) {
+      // Nobody has registered yet, so the occurrences can be regenerated;
+      // the old ones go to the trash and the new ones keep the team
+      for (const event of following) {
+        await trashEvent(event);
+      }
+      occurrences = await createOccurrences(target, dates, req.user, {
+        coHosts: occurrence.toObject().coHosts
+      });
+    } else {
+      occurrences = [];
+      for (const event of following) {
+        const before = getRevisionSnapshot(event);
+        const start = new Date(event.dateTime.start.getTime() + shiftMs);
+        event.set({
+          ...changes,
+          'dateTime.start': start,
+          'dateTime.end': new Date(start.getTime() + durationMinutes * MINUTE_MS),
+          occurrenceDate: new Date(event.occurrenceDate.getTime() + shiftMs),
+          series: target._id,
+          isSeriesException: false
+        });
+        await event.save();
+        await recordEventRevision(event, { author: req.user._id, action: 'update', before });
+        occurrences.push(event);
+      }
+    }
+
+    // End the original series just before the split
+    if (!isFirst) {
+      const recurrenceBefore = series.toObject().recurrence;
+      delete recurrenceBefore.count;
+      recurrenceBefore.until = new Date(splitAt.getTime() - 1);
+      series.recurrence = recurrenceBefore;
+      series.exceptions = series.exceptions.filter(date => toDayKey(date) < splitDay);
+      await series.save();
+    }
+
+    res.json({
+      success: true,
+      message: `${occurrences.length} occurrences updated successfully`,
+      data: { series: target, occurrences }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Skip the occurrence on a given date
+// @route   POST /api/series/:id/exceptions
+// @access  Private (series host, editor co-host or admin)
+const addException = async (req, res, next) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const day = toLocalDayKey(req.body.date, series.timezone);
+    if (series.exceptions.some(date => toDayKey(date) === day)) {
+      return res.status(400).json({ success: false, message: 'That date is already skipped' });
+    }
+
+    const { start, end } = localDayRange(day, series.timezone);
+    const occurrence = await Event.findOne({
+      series: series._id,
+      isDeleted: false,
+      occurrenceDate: { $gte: start, $lt: end }
+    });
+
+    if (occurrence && new Date() >= occurrence.dateTime.start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot skip an occurrence that has already started'
+      });
+    }
+
+    // Exceptions are stored as the calendar day in the series' timezone
+    series.exceptions.push(new Date(`${day}T00:00:00.000Z`));
+    await series.save();
+
+    // Keep the record of occurrences people registered for
+    const cancelled = occurrence && getBookedSpots(occurrence) > 0;
+    if (cancelled) {
+      const before = getRevisionSnapshot(occurrence);
+      occurrence.status = 'cancelled';
+      await occurrence.save();
+      await recordEventRevision(occurrence, { author: req.user._id, action: 'update', before });
+    } else if (occurrence) {
+      await trashEvent(occurrence);
+    }
+
+    res.json({
+      success: true,
+      message: occurrence ? 'Occurrence skipped successfully' : 'Date added to the series exceptions',
+      data: {
+        series,
+        cancelledOccurrence: cancelled ? occurrence : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a series and its upcoming occurrences
+// @route   DELETE /api/series/:id
+// @access  Private (series host or admin)
+const cancelSeries = async (req, res, next) => {
+  try {
+    const series = await loadSeries(req, res, 'owner');
+    if (!series) return;
+
+    const upcoming = await Event.find({
+      series: series._id,
+      isDeleted: false,
+      'dateTime.start': { $gt: new Date() }
+    });
+
+    // Occurrences with registrations are cancelled, the rest go to the trash
+    let cancelled = 0;
+    let trashed = 0;
+    for (const event of upcoming) {
+      if (getBookedSpots(event) > 0) {
+        if (event.status === 'cancelled') continue;
+        const before = getRevisionSnapshot(event);
+        event.status = 'cancelled';
+        await event.save();
+        await recordEventRevision(event, { author: req.user._id, action: 'update', before });
+        cancelled += 1;
+      } else {
+        await trashEvent(event);
+        trashed += 1;
+      }
+    }
+
+    series.status = 'cancelled';
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Series cancelled successfully',
+      data: {
+        cancelledOccurrences: cancelled,
+        trashedOccurrences: trashed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSeries,
+  getMySeries,
+  getSeries,
+  updateOccurrences,
+  addException,
+  cancelSeries
+};
@@ -0,0 +1,329 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { canAccessEvent, getEventRole } = require('../utils/eventAccess');
+
+const MEMBER_USER_FIELDS = 'firstName lastName email avatar';
+
+// Load the event named in the route
+const loadEvent = async (req, res) => {
+  const event = await Event.findById(req.params.eventId);
+
+  if (!event || event.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Find a team entry on an event
+const findMember = (event, res, memberId) => {
+  const member = event.coHosts.id(memberId);
+
+  if (!member) {
+    res.status(404).json({
+      success: false,
+      message: 'Team member not found'
+    });
+    return null;
+  }
+
+  return member;
+};
+
+// Check if the invitation was sent to the current user
+const isInvitee = (user, member) => {
+  if (member.user) return member.user.toString() === user._id.toString();
+  return member.email === user.email.toLowerCase();
+};
+
+// @desc    Get pending co-host invitations for the current user
+// @route   GET /api/team/invitations
+// @access  Private
+const getMyInvitations = async (req, res, next) => {
+  try {
+    const events = await Event.find({
+      isDeleted: false,
+      coHosts: {
+        $elemMatch: {
+          status: 'pending',
+          $or: [{ user: req.user._id }, { email: req.user.email.toLowerCase() }]
+        }
+      }
+    })
+      .select('title dateTime host coHosts')
+      .populate('host', 'firstName lastName email');
+
+    const invitations = events.map(event => {
+      const member = event.coHosts.find(coHost => coHost.status === 'pending' && isInvitee(req.user, coHost));
+
+      return {
+        id: member._id,
+        event: {
+          id: event._id,
+          title: event.title,
+          start: event.dateTime.start
+        },
+        host: event.host,
+        role: member.role,
+        invitedAt: member.invitedAt
+      };
+    });
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the team of an event
+// @route   GET /api/team/event/:eventId
+// @access  Private (event team)
+const getEventTeam = async (req, res, next) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const myRole = getEventRole(req.user, event);
+    if (!myRole && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the event team can see its members.'
+      });
+    }
+
+    await event.populate([
+      { path: 'host', select: MEMBER_USER_FIELDS },
+      { path: 'coHosts.user', select: MEMBER_USER_FIELDS }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        owner: event.host,
+        members: event.coHosts,
+        myRole
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a co-host to an event
+// @route   POST /api/team/event/:eventId/members
+// @access  Private (event owner)
+const inviteCoHost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    if (!canAccessEvent(req.user, event, 'owner')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the event owner can invite co-hosts.'
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const invitee = await User.findOne({ email }).select('_id');
+
+    if (invitee && invitee._id.toString() === event.host.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The event owner is already on the team'
+      });
+    }
+
+    // A declined invitation can be sent again; anything else is a duplicate
+    let member = event.coHosts.find(coHost =>
+      coHost.email === email || (invitee && coHost.user && coHost.user.toString() === invitee._id.toString())
+    );
+
+    if (member && member.status !== 'declined') {
+      return res.status(409).json({
+        success: false,
+        message: member.status === 'accepted'
+          ? 'This user is already a co-host'
+          : 'This user already has a pending invitation'
+      });
+    }
+
+    if (member) {
+      member.set({
+        role: req.body.role,
+        status: 'pending',
+        invitedBy: req.user._id,
+        invitedAt: new Date(),
+        respondedAt: null
+      });
+    } else {
+      event.coHosts.push({
+        user: invitee ? invitee._id : null,
+        email,
+        role: req.body.role,
+        invitedBy: req.user._id
+      });
+      member = event.coHosts[event.coHosts.length - 1];
+    }
+
+    await event.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: { member }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a co-host's role
+// @route   PUT /api/team/event/:eventId/members/:memberId
+// @access  Private (event owner)
+const updateCoHostRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    if (!canAccessEvent(req.user, event, 'owner')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the event owner can change roles.'
+      });
+    }
+
+    const member = findMember(event, res, req.params.memberId);
+    if (!member) return;
+
+    member.role = req.body.role;
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { member }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a co-host or revoke an invitation; co-hosts may remove themselves
+// @route   DELETE /api/team/event/:eventId/members/:memberId
+// @access  Private (event owner or the member)
+const removeCoHost = async (req, res, next) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const member = findMember(event, res, req.params.memberId);
+    if (!member) return;
+
+    if (!canAccessEvent(req.user, event, 'owner') && !isInvitee(req.user, member)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the event owner can remove co-hosts.'
+      });
+    }
+
+    member.deleteOne();
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Team member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept or decline a pending invitation addressed to the current user
+const respondToInvitation = (status) => async (req, res, next) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const member = findMember(event, res, req.params.memberId);
+    if (!member) return;
+
+    if (!isInvitee(req.user, member)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This invitation was sent to someone else.'
+      });
+    }
+
+    if (member.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${member.status}`
+      });
+    }
+
+    member.set({
+      user: req.user._id,
+      status,
+      respondedAt: new Date()
+    });
+    await event.save();
+
+    res.json({
+      success: true,
+      message: `Invitation ${status} successfully`,
+      data: {
+        eventId: event._id,
+        member
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept a co-host invitation
+// @route   POST /api/team/event/:eventId/members/:memberId/accept
+// @access  Private (invitee)
+const acceptInvitation = respondToInvitation('accepted');
+
+// @desc    Decline a co-host invitation
+// @route   POST /api/team/event/:eventId/members/:memberId/decline
+// @access  Private (invitee)
+const declineInvitation = respondToInvitation('declined');
+
+module.exports = {
+  getMyInvitations,
+  getEventTeam,
+  inviteCoHost,
+  updateCoHostRole,
+  removeCoHost,
+  acceptInvitation,
+  declineInvitation
+};
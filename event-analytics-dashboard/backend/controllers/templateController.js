@@ -0,0 +1,220 @@
+const EventTemplate = require('../models/EventTemplate');
+const Event = require('../models/Event');
+const { validationResult } = require('express-validator');
+const { canAccessEvent } = require('../utils/eventAccess');
+const { buildTemplateData } = require('../utils/eventTemplates');
+
+// Load a template owned by the current user. Other users get a 404.
+const loadTemplate = async (req, res) => {
+  const template = await EventTemplate.findById(req.params.id);
+
+  if (!template || (template.host.toString() !== req.user._id.toString() && req.user.role !== 'admin')) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// @desc    Get the current user's event templates
+// @route   GET /api/templates
+// @access  Private
+const getTemplates = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { host: req.user._id };
+    if (search) {
+      query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [templates, total] = await Promise.all([
+      EventTemplate.find(query)
+        .sort({ name: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EventTemplate.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single template
+// @route   GET /api/templates/:id
+// @access  Private (template owner)
+const getTemplate = async (req, res, next) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a template from event fields
+// @route   POST /api/templates
+// @access  Private
+const createTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await EventTemplate.create({
+      host: req.user._id,
+      name: req.body.name,
+      description: req.body.description,
+      event: buildTemplateData(req.body.event)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Save an existing event as a template
+// @route   POST /api/templates/from-event/:eventId
+// @access  Private (host or editor)
+const createTemplateFromEvent = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canAccessEvent(req.user, event, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only save your own events as templates.'
+      });
+    }
+
+    const template = await EventTemplate.create({
+      host: req.user._id,
+      name: req.body.name || event.title.slice(0, 100),
+      description: req.body.description,
+      event: buildTemplateData(event.toObject({ virtuals: false })),
+      sourceEvent: event._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a template
+// @route   PUT /api/templates/:id
+// @access  Private (template owner)
+const updateTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    ['name', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    if (req.body.event !== undefined) {
+      template.event = buildTemplateData(req.body.event);
+    }
+
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a template
+// @route   DELETE /api/templates/:id
+// @access  Private (template owner)
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  createTemplateFromEvent,
+  updateTemplate,
+  deleteTemplate
+};
@@ -0,0 +1,1083 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const PromoCode = require('../models/PromoCode');
+const LedgerEntry = require('../models/LedgerEntry');
+const { validationResult } = require('express-validator');
+const {
+  MAX_IMPORT_ROWS,
+  parseAttendeeFile,
+  findRowTier,
+  getRowAnswers,
+  rowToTicketFields
+} = require('../utils/attendeeImport');
+const { issueRefund } = require('../utils/refunds');
+const { startTicketPayment } = require('../utils/ticketPayments');
+const { canAccessEvent } = require('../utils/eventAccess');
+const {
+  getInvitationToken,
+  checkInvitationAccess,
+  getAcceptanceError,
+  acceptInvitation
+} = require('../utils/invitations');
+const { validateFormAnswers } = require('../utils/registrationForms');
+
+// Check if the current user can manage tickets for an event
+const canManageEvent = (user, event) => canAccessEvent(user, event, 'manage');
+
+// Check if the request comes from the ticket holder or the event host.
+// The route normalizes the holder email like the stored attendee email.
+const canAccessTicket = (req, ticket) => {
+  if (canManageEvent(req.user, ticket.event)) return true;
+
+  const { email } = req.query;
+  return typeof email === 'string' && email !== '' && email === ticket.attendee.email;
+};
+
+// Header holders send the emailed action token in, instead of the
+// `actionToken` body field
+const ACTION_TOKEN_HEADER = 'X-Ticket-Action-Token';
+
+// Check if the request may cancel or transfer a ticket: the event team, the
+// signed-in holder, or someone with the action token emailed to the holder.
+// Knowing the ticket number and email is not enough to change a ticket.
+const canChangeTicket = (req, ticket) => {
+  if (canManageEvent(req.user, ticket.event)) return true;
+  if (req.user && req.user.email === ticket.attendee.email) return true;
+
+  const token = req.get(ACTION_TOKEN_HEADER) || (req.body && req.body.actionToken);
+  return ticket.verifyActionToken(token);
+};
+
+// @desc    Purchase a ticket
+// @route   POST /api/tickets
+// @access  Public (with optional auth; invite-only events need an invitation)
+const purchaseTicket = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      eventId,
+      attendee,
+      ticketType,
+      tierId,
+      paymentMethod,
+      specialRequests,
+      dietaryRestrictions,
+      emergencyContact,
+      answers,
+      promoCode: promoCodeInput
+    } = req.body;
+
+    const event = await Event.findById(eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.isRegistrationOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Event is not open for registration'
+      });
+    }
+
+    // Answers to the event's own registration questions
+    const form = validateFormAnswers(event.registrationForm, answers || {});
+    if (form.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: form.errors
+      });
+    }
+
+    // Invite-only events need an invitation. Registering with one accepts
+    // it, but only once the ticket exists, so a purchase that fails never
+    // uses it up.
+    const access = await checkInvitationAccess(event, {
+      user: req.user,
+      token: getInvitationToken(req)
+    });
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: access.message,
+        code: 'INVITATION_REQUIRED'
+      });
+    }
+    const invitationError = access.invitation &&
+      getAcceptanceError(access.invitation, { email: attendee.email });
+    if (invitationError) {
+      return res.status(403).json({
+        success: false,
+        message: invitationError,
+        code: 'INVITATION_REQUIRED'
+      });
+    }
+
+    // Only the host can issue complimentary tickets
+    const isComplimentary = ticketType === 'complimentary';
+    if (isComplimentary && !canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the host can issue complimentary tickets.'
+      });
+    }
+
+    // Events with ticket tiers sell every paid seat through a tier
+    let tier = null;
+    if (!isComplimentary && event.ticketTiers.length > 0) {
+      tier = event.getTier(tierId);
+
+      if (!tier) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please choose a valid ticket tier'
+        });
+      }
+
+      const tierError = event.getTierSaleError(tier);
+      if (tierError) {
+        return res.status(409).json({
+          success: false,
+          message: tierError
+        });
+      }
+    }
+
+    const basePrice = isComplimentary ? 0 : event.getCurrentTicketPrice(tier);
+    const isEarlyBird = !tier && event.ticketInfo.isPaid && !isComplimentary &&
+      basePrice !== event.ticketInfo.price;
+    const resolvedTicketType = tier
+      ? tier.ticketType
+      : ticketType || (isEarlyBird ? 'early-bird' : 'regular');
+
+    // Apply the promo code discount, if any
+    let promoCode = null;
+    let discountAmount = 0;
+    if (promoCodeInput && !isComplimentary) {
+      promoCode = await PromoCode.findOne({
+        event: event._id,
+        code: promoCodeInput.trim().toUpperCase(),
+        isDeleted: false
+      });
+
+      if (!promoCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid promo code'
+        });
+      }
+
+      const promoError = promoCode.getRedemptionError(resolvedTicketType);
+      if (promoError) {
+        return res.status(400).json({
+          success: false,
+          message: promoError
+        });
+      }
+
+      discountAmount = promoCode.calculateDiscount(basePrice);
+    }
+
+    const price = Math.round((basePrice - discountAmount) * 100) / 100;
+
+    // People already waiting keep their place in line
+    const queueLength = await WaitlistEntry.countDocuments({
+      event: event._id,
+      status: 'waiting',
+      isDeleted: false
+    });
+
+    // Reserve the seat before creating the ticket so concurrent purchases
+    // can never push registrations past venue capacity. Revenue is only
+    // counted once the payment has cleared.
+    const reserved = queueLength === 0
+      ? await Event.reserveSpots(event._id, 1, 0, tier && tier._id)
+      : null;
+
+    // The tier may have sold out while the event still has seats
+    if (!reserved && tier && queueLength === 0) {
+      const current = await Event.findById(event._id);
+      const currentTier = current.getTier(tier._id);
+      if (current.availableSpots > 0 && currentTier) {
+        return res.status(409).json({
+          success: false,
+          message: current.getTierSaleError(currentTier) || 'Ticket tier is sold out'
+        });
+      }
+    }
+
+    if (!reserved) {
+      if (!event.settings.allowWaitlist) {
+        return res.status(409).json({
+          success: false,
+          message: 'Event is sold out'
+        });
+      }
+
+      return joinWaitlist(req, res, event, tier, form.answers);
+    }
+
+    // Give back the seat and promo code use if the purchase falls through
+    const releasePurchase = async () => {
+      await Event.releaseSpots(event._id, 1, 0, tier && tier._id);
+      if (promoCode) {
+        await PromoCode.releaseRedemption(promoCode._id);
+      }
+    };
+
+    // Count the redemption only once the seat is secured
+    if (promoCode && !(await PromoCode.redeem(promoCode._id))) {
+      await Event.releaseSpots(event._id, 1, 0, tier && tier._id);
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code has reached its usage limit'
+      });
+    }
+
+    // Paid tickets stay pending until the payment provider confirms them
+    const isFree = price === 0;
+
+    let ticket;
+    try {
+      ticket = await Ticket.create({
+        event: event._id,
+        attendee,
+        ticketType: resolvedTicketType,
+        tier: tier ? { tierId: tier._id, name: tier.name } : undefined,
+        price,
+        currency: event.ticketInfo.currency,
+        status: isFree ? 'confirmed' : 'pending',
+        paymentStatus: isFree ? 'completed' : 'pending',
+        paymentMethod: isFree ? 'complimentary' : paymentMethod,
+        specialRequests,
+        dietaryRestrictions,
+        emergencyContact,
+        formAnswers: form.answers,
+        promotion: promoCode ? {
+          promoCode: promoCode._id,
+          code: promoCode.code,
+          discountAmount,
+          originalPrice: basePrice
+        } : undefined
+      });
+    } catch (error) {
+      await releasePurchase();
+      throw error;
+    }
+
+    if (access.invitation) {
+      const accepted = await acceptInvitation(access.invitation, { user: req.user, email: attendee.email });
+      if (!accepted.invitation) {
+        // The invitation was used up or revoked while the seat was reserved
+        await Ticket.deleteOne({ _id: ticket._id });
+        await releasePurchase();
+        return res.status(403).json({
+          success: false,
+          message: accepted.message,
+          code: 'INVITATION_REQUIRED'
+        });
+      }
+    }
+
+    if (isFree) {
+      return res.status(201).json({
+        success: true,
+        message: 'Ticket purchased successfully',
+        data: { ticket }
+      });
+    }
+
+    const payment = await startTicketPayment(ticket);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ticket reserved. Complete the payment to confirm it.',
+      data: { ticket, payment }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Put a ticket request on the event waitlist
+const joinWaitlist = async (req, res, event, tier = null, formAnswers = []) => {
+  const { attendee, ticketType } = req.body;
+
+  const existing = await WaitlistEntry.findOne({
+    event: event._id,
+    'attendee.email': attendee.email.toLowerCase(),
+    status: { $in: ['waiting', 'offered'] },
+    isDeleted: false
+  });
+
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: 'You are already on the waitlist for this event'
+    });
+  }
+
+  const entry = new WaitlistEntry({
+    event: event._id,
+    attendee,
+    ticketType: tier ? tier.ticketType : (ticketType === 'complimentary' ? 'regular' : ticketType),
+    tier: tier ? tier._id : null,
+    formAnswers
+  });
+  const claimToken = entry.generateClaimToken();
+  await entry.save();
+
+  // Hand out any seats that are free right now
+  await WaitlistEntry.promoteNext(event._id);
+
+  const current = await WaitlistEntry.findById(entry._id);
+
+  res.status(202).json({
+    success: true,
+    message: 'Event is sold out. You have been added to the waitlist.',
+    data: {
+      waitlistEntry: {
+        id: current._id,
+        status: current.status,
+        position: await current.getPosition(),
+        offerExpiresAt: current.offerExpiresAt
+      },
+      claimToken
+    }
+  });
+};
+
+// @desc    Get tickets for an event
+// @route   GET /api/tickets/event/:eventId
+// @access  Private (host only)
+const getEventTickets = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      ticketType,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view tickets for your own events.'
+      });
+    }
+
+    const query = { event: event._id, isDeleted: false };
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (ticketType) {
+      query.ticketType = ticketType;
+    }
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { ticketNumber: pattern },
+        { 'attendee.firstName': pattern },
+        { 'attendee.lastName': pattern },
+        { 'attendee.email': pattern }
+      ];
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Sort
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const [tickets, total] = await Promise.all([
+      Ticket.find(query).sort(sort).skip(skip).limit(limitNum),
+      Ticket.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        tickets,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get ticket by ticket number
+// @route   GET /api/tickets/:ticketNumber
+// @access  Public (ticket holder email or host)
+const getTicket = async (req, res, next) => {
+  try {
+    const ticket = await Ticket.findOne({
+      ticketNumber: req.params.ticketNumber.toUpperCase(),
+      isDeleted: false
+    }).populate('event', 'title host coHosts dateTime venue status');
+
+    if (!ticket || !ticket.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (!canAccessTicket(req, ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // The event team is not shown to ticket holders
+    const ticketData = ticket.toJSON();
+    if (!canManageEvent(req.user, ticket.event)) {
+      delete ticketData.event.coHosts;
+    }
+
+    res.json({
+      success: true,
+      data: { ticket: ticketData }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email the ticket holder a link to cancel or transfer their ticket
+// @route   POST /api/tickets/:ticketNumber/action-link
+// @access  Public
+const requestTicketActionLink = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ticket = await Ticket.findOne({
+      ticketNumber: req.params.ticketNumber.toUpperCase(),
+      isDeleted: false
+    });
+
+    // The same answer whether or not the ticket and email match, so the
+    // endpoint cannot be used to find out who holds a ticket
+    const message = 'If the email matches the ticket, a link to manage it has been sent';
+
+    if (!ticket || ticket.attendee.email !== req.body.email) {
+      return res.json({ success: true, message });
+    }
+
+    const actionToken = ticket.generateActionToken();
+
+    // In production, send email with the link
+    const actionUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/tickets/${ticket.ticketNumber}?actionToken=${actionToken}`;
+
+    // For development, return the token
+    if (process.env.NODE_ENV === 'development') {
+      return res.json({
+        success: true,
+        message,
+        actionToken, // Only in development
+        actionUrl
+      });
+    }
+
+    res.json({ success: true, message });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a ticket
+// @route   PATCH /api/tickets/:ticketNumber/cancel
+// @access  Public (signed-in ticket holder, emailed action token or host)
+const cancelTicket = async (req, res, next) => {
+  try {
+    const ticket = await Ticket.findOne({
+      ticketNumber: req.params.ticketNumber.toUpperCase(),
+      isDeleted: false
+    }).populate('event', 'host coHosts');
+
+    if (!ticket || !ticket.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (!canChangeTicket(req, ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(ticket.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ticket that is ${ticket.status}`
+      });
+    }
+
+    await ticket.cancel(req.body.reason);
+
+    // Free up the seat; revenue is only given back on refund
+    await Event.releaseSpots(ticket.event._id, 1, 0, ticket.tier && ticket.tier.tierId);
+    await WaitlistEntry.promoteNext(ticket.event._id);
+
+    res.json({
+      success: true,
+      message: 'Ticket cancelled successfully',
+      data: { ticket }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Move a cancelled or refunded ticket to the trash
+// @route   DELETE /api/tickets/:ticketNumber
+// @access  Private (host only)
+const deleteTicket = async (req, res, next) => {
+  try {
+    const ticket = await Ticket.findOne({
+      ticketNumber: req.params.ticketNumber.toUpperCase(),
+      isDeleted: false
+    }).populate('event', 'host coHosts');
+
+    if (!ticket || !ticket.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, ticket.event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Tickets that still hold a seat have to be cancelled or refunded first
+    if (!['cancelled', 'refunded'].includes(ticket.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a ticket that is ${ticket.status}; cancel or refund it first`
+      });
+    }
+
+    ticket.isDeleted = true;
+    ticket.deletedAt = new Date();
+    await ticket.save();
+
+    res.json({
+      success: true,
+      message: 'Ticket moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Refund a ticket
+// @route   POST /api/tickets/:ticketNumber/refund
+// @access  Private (host only)
+const refundTicket = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ticket = await Ticket.findOne({
+      ticketNumber: req.params.ticketNumber.toUpperCase(),
+      isDeleted: false
+    }).populate('event', 'host coHosts');
+
+    if (!ticket || !ticket.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, ticket.event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only refund tickets for your own events.'
+      });
+    }
+
+    if (ticket.status === 'refunded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket has already been refunded'
+      });
+    }
+
+    // Only money that was actually collected can be given back
+    if (ticket.paymentStatus !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot refund a ticket whose payment is ${ticket.paymentStatus}`
+      });
+    }
+
+    const refundable = ticket.getRefundableAmount();
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : refundable;
+
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount cannot exceed the ${refundable} still refundable on this ticket`
+      });
+    }
+
+    // keepTicket gives money back (e.g. a goodwill partial refund) without revoking the ticket
+    const refunded = await issueRefund(ticket, amount, {
+      reason: req.body.reason,
+      keepTicket: req.body.keepTicket === true,
+      recordedBy: req.user._id
+    });
+
+    if (!refunded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ticket was refunded while this request was processed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ticket refunded successfully',
+      data: { ticket: refunded }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Transfer a ticket to another attendee
+// @route   POST /api/tickets/:ticketNumber/transfer
+// @access  Public (signed-in ticket holder, emailed action token or host)
+const transferTicket = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ticket = await Ticket.findOne({
+      ticketNumber: req.params.ticketNumber.toUpperCase(),
+      isDeleted: false
+    }).populate('event', 'host coHosts dateTime settings status isDeleted');
+
+    if (!ticket || !ticket.event || ticket.event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (!canChangeTicket(req, ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const isHost = canManageEvent(req.user, ticket.event);
+
+    // Hosts may move tickets even when attendee transfers are closed
+    const transferError = ticket.event.getTransferError();
+    if (transferError && !isHost) {
+      return res.status(409).json({
+        success: false,
+        message: transferError
+      });
+    }
+
+    if (ticket.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot transfer a ticket that is ${ticket.status}`
+      });
+    }
+
+    const { newAttendee, reason } = req.body;
+
+    if (newAttendee.email === ticket.attendee.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The ticket already belongs to this attendee'
+      });
+    }
+
+    const transferred = await ticket.transferTo(newAttendee, {
+      initiatedBy: isHost ? 'host' : 'attendee',
+      transferredBy: req.user ? req.user._id : null,
+      reason
+    });
+
+    if (!transferred) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ticket changed while it was being transferred. Please try again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ticket transferred successfully',
+      data: { ticket: transferred }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Import attendees from a CSV or XLSX file
+// @route   POST /api/tickets/import/:eventId
+// @access  Private (host only)
+const importTickets = async (req, res, next) => {
+  try {
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+    const complimentary = String(req.body.complimentary || req.query.complimentary) === 'true';
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only import attendees for your own events.'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or XLSX file'
+      });
+    }
+
+    let rows;
+    try {
+      rows = await parseAttendeeFile(req.file, { formFields: event.registrationForm });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file could not be read'
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file has no attendee rows'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Imports are limited to ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    // Attendees who already hold a ticket are skipped, as are repeats in the file
+    const existingEmails = await Ticket.distinct('attendee.email', {
+      event: event._id,
+      status: { $in: ['pending', 'confirmed', 'checked-in'] },
+      isDeleted: false
+    });
+    const seenEmails = new Set(existingEmails);
+    const seenTicketNumbers = new Set();
+
+    const defaultPrice = event.getCurrentTicketPrice();
+    const report = [];
+    const validTickets = [];
+
+    for (const [index, row] of rows.entries()) {
+      const rowNumber = index + 2; // header is row 1
+      const tier = findRowTier(event, row);
+      const fields = rowToTicketFields(row, { complimentary, defaultPrice, tier });
+      const email = fields.attendee.email;
+
+      if (email && seenEmails.has(email)) {
+        report.push({
+          row: rowNumber,
+          email,
+          status: 'duplicate',
+          errors: [{ field: 'attendee.email', message: 'Attendee already has a ticket for this event' }]
+        });
+        continue;
+      }
+
+      // Answers to the event's registration questions, checked as on purchase
+      const form = validateFormAnswers(event.registrationForm, getRowAnswers(row, event.registrationForm));
+
+      const ticket = new Ticket({
+        ...fields,
+        event: event._id,
+        currency: event.ticketInfo.currency,
+        status: 'confirmed',
+        paymentStatus: 'completed',
+        formAnswers: form.answers
+      });
+
+      // Validate with the same rules the schema enforces on purchase
+      let errors = [];
+      try {
+        await ticket.validate();
+        while (seenTicketNumbers.has(ticket.ticketNumber)) {
+          ticket.ticketNumber = undefined;
+          await ticket.validate();
+        }
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+
+        errors = Object.values(error.errors).map(item => ({
+          field: item.path,
+          message: item.kind === 'enum'
+            ? `'${item.value}' is not a valid ${item.path}`
+            : item.message
+        }));
+      }
+
+      errors.push(...form.errors.map(item => ({ field: item.path, message: item.msg })));
+
+      // Events with ticket tiers sell every paid seat through a tier
+      if (tier === null) {
+        errors.push({ field: 'tier', message: `'${String(row.tier).trim()}' is not a ticket tier of this event` });
+      } else if (!tier && event.ticketTiers.length > 0 && fields.ticketType !== 'complimentary') {
+        errors.push({ field: 'tier', message: 'Ticket tier is required for this event' });
+      }
+
+      if (errors.length > 0) {
+        report.push({ row: rowNumber, email, status: 'invalid', errors });
+        continue;
+      }
+
+      seenEmails.add(email);
+      seenTicketNumbers.add(ticket.ticketNumber);
+      validTickets.push(ticket);
+      report.push({ row: rowNumber, email, status: 'valid', errors: [] });
+    }
+
+    // Complimentary tickets are priced at 0 so they never count as revenue
+    const sumRevenue = (tickets) => Math.round(
+      tickets.reduce((sum, ticket) => sum + ticket.price, 0) * 100
+    ) / 100;
+    const revenue = sumRevenue(validTickets);
+
+    // Seats are reserved per tier, with untiered tickets in their own group
+    const groups = [...validTickets.reduce((acc, ticket) => {
+      const tierId = ticket.tier && ticket.tier.tierId ? String(ticket.tier.tierId) : null;
+      if (!acc.has(tierId)) {
+        acc.set(tierId, { tierId, tier: event.getTier(tierId), tickets: [] });
+      }
+      acc.get(tierId).tickets.push(ticket);
+      return acc;
+    }, new Map()).values()].map(group => ({ ...group, revenue: sumRevenue(group.tickets) }));
+
+    const tiers = groups.filter(group => group.tier).map(({ tier, tickets }) => ({
+      tierId: tier._id,
+      name: tier.name,
+      tickets: tickets.length,
+      remaining: Math.max(0, tier.quantity - tier.sold),
+      fitsInventory: tickets.length <= tier.quantity - tier.sold
+    }));
+
+    const summary = {
+      totalRows: rows.length,
+      valid: validTickets.length,
+      invalid: report.filter(item => item.status === 'invalid').length,
+      duplicates: report.filter(item => item.status === 'duplicate').length,
+      complimentary: validTickets.filter(ticket => ticket.ticketType === 'complimentary').length,
+      revenue,
+      availableSpots: event.availableSpots,
+      fitsCapacity: validTickets.length <= event.availableSpots && tiers.every(tier => tier.fitsInventory),
+      tiers
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Dry run complete. Nothing was imported.',
+        data: { dryRun: true, summary, rows: report }
+      });
+    }
+
+    if (validTickets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid attendee rows to import',
+        data: { summary, rows: report }
+      });
+    }
+
+    const releaseGroups = async (released) => {
+      for (const group of released) {
+        await Event.releaseSpots(event._id, group.tickets.length, group.revenue, group.tierId);
+      }
+    };
+
+    const reservedGroups = [];
+    for (const group of groups) {
+      const reserved = await Event.reserveSpots(event._id, group.tickets.length, group.revenue, group.tierId);
+      if (!reserved) {
+        await releaseGroups(reservedGroups);
+        return res.status(409).json({
+          success: false,
+          message: group.tier
+            ? `Not enough '${group.tier.name}' tickets left to import ${group.tickets.length} attendees`
+            : `Not enough capacity to import ${validTickets.length} attendees`,
+          data: { summary, rows: report }
+        });
+      }
+      reservedGroups.push(group);
+    }
+
+    try {
+      await Ticket.insertMany(validTickets);
+    } catch (error) {
+      // Give the seats back if the tickets could not be created
+      await releaseGroups(reservedGroups);
+      throw error;
+    }
+
+    await LedgerEntry.recordSales(validTickets, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${validTickets.length} attendees imported successfully`,
+      data: { dryRun: false, summary, rows: report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify a scanned ticket QR payload
+// @route   POST /api/tickets/verify
+// @access  Private (host only)
+const verifyTicket = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { payload, eventId } = req.body;
+
+    const event = await Event.findById(eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only verify tickets for your own events.'
+      });
+    }
+
+    const { accepted, reason, message, ticket } = await Ticket.verifyScan(payload, event._id);
+
+    res.json({
+      success: true,
+      data: {
+        accepted,
+        reason,
+        message,
+        ticket: ticket ? {
+          ticketNumber: ticket.ticketNumber,
+          attendeeName: ticket.attendeeFullName,
+          ticketType: ticket.ticketType,
+          status: ticket.status,
+          checkInDate: ticket.checkInDate
+        } : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  purchaseTicket,
+  getEventTickets,
+  getTicket,
+  requestTicketActionLink,
+  cancelTicket,
+  deleteTicket,
+  refundTicket,
+  transferTicket,
+  importTickets,
+  verifyTicket
+};
@@ -0,0 +1,274 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const CursorLog = require('../models/CursorLog');
+const EventSeries = require('../models/EventSeries');
+const { canAccessEvent } = require('../utils/eventAccess');
+const {
+  getRetentionDays,
+  getPurgeDate,
+  restoreEvent,
+  purgeEvent
+} = require('../utils/trash');
+const { toLocalDayKey } = require('../utils/recurrence');
+
+// Item types kept in the trash, with the field that links each to its event
+const TRASH_TYPES = {
+  events: {
+    model: Event,
+    eventField: '_id',
+    select: 'title category dateTime venue.name analytics.totalRegistrations deletedAt'
+  },
+  tickets: {
+    model: Ticket,
+    eventField: 'event',
+    select: 'ticketNumber attendee.firstName attendee.lastName attendee.email status price event deletedAt'
+  },
+  'cursor-logs': {
+    model: CursorLog,
+    eventField: 'eventId',
+    select: 'sessionId eventId userId device.type sessionMetrics.startTime sessionMetrics.duration deletedAt'
+  }
+};
+
+// Resolve the type named in the route
+const getTrashType = (req, res) => {
+  const type = TRASH_TYPES[req.params.type || req.query.type || 'events'];
+
+  if (!type) {
+    res.status(400).json({
+      success: false,
+      message: `Type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`
+    });
+    return null;
+  }
+
+  return type;
+};
+
+// Ids of all events the user hosts, including trashed ones
+const getHostEventIds = (userId) => Event.find({ host: userId }).distinct('_id');
+
+// Query for the trashed items of a type that belong to the user's events
+const trashQuery = (type, userId, eventIds) => (type.model === Event
+  ? { host: userId, isDeleted: true }
+  : { [type.eventField]: { $in: eventIds }, isDeleted: true });
+
+// Load a trashed item and its event, checking the user owns the event
+const loadTrashedItem = async (req, res, type) => {
+  const item = await type.model.findOne({ _id: req.params.id, isDeleted: true });
+  const event = item && (type.model === Event
+    ? item
+    : await Event.findById(item[type.eventField]).select('host coHosts isDeleted deletedAt'));
+
+  if (!item || !event) {
+    res.status(404).json({
+      success: false,
+      message: 'Item not found in trash'
+    });
+    return null;
+  }
+
+  if (!canAccessEvent(req.user, event, 'owner')) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. Only the event owner can manage its trash.'
+    });
+    return null;
+  }
+
+  return { item, event };
+};
+
+// @desc    List trashed events, tickets or cursor logs of the current host
+// @route   GET /api/trash?type=events|tickets|cursor-logs
+// @access  Private
+const getTrash = async (req, res, next) => {
+  try {
+    const type = getTrashType(req, res);
+    if (!type) return;
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const eventIds = await getHostEventIds(req.user._id);
+    const query = trashQuery(type, req.user._id, eventIds);
+
+    let itemsQuery = type.model.find(query)
+      .select(type.select)
+      .sort({ deletedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+    if (type.model !== Event) {
+      itemsQuery = itemsQuery.populate(type.eventField, 'title isDeleted');
+    }
+
+    const [items, total, ...counts] = await Promise.all([
+      itemsQuery,
+      type.model.countDocuments(query),
+      ...Object.values(TRASH_TYPES).map(trashType =>
+        trashType.model.countDocuments(trashQuery(trashType, req.user._id, eventIds))
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        items: items.map(item => ({
+          ...item.toJSON(),
+          purgeAt: getPurgeDate(item.deletedAt)
+        })),
+        counts: Object.keys(TRASH_TYPES).reduce((acc, name, index) => {
+          acc[name] = counts[index];
+          return acc;
+        }, {}),
+        retentionDays: getRetentionDays(),
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore an item from the trash; events bring back their tickets and cursor logs
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private (event owner)
+const restoreItem = async (req, res, next) => {
+  try {
+    const type = getTrashType(req, res);
+    if (!type) return;
+
+    const trashed = await loadTrashedItem(req, res, type);
+    if (!trashed) return;
+
+    const { item, event } = trashed;
+
+    if (type.model === Event) {
+      // The series may have generated a new occurrence for the slot since
+      if (event.series) {
+        const replacement = await Event.exists({
+          _id: { $ne: event._id },
+          series: event.series,
+          occurrenceDate: event.occurrenceDate,
+          isDeleted: false
+        });
+        if (replacement) {
+          return res.status(409).json({
+            success: false,
+            message: 'The series already has another occurrence on this date'
+          });
+        }
+
+        // Skipped dates and dates a new recurrence rule dropped stay gone
+        const series = await EventSeries.findById(event.series);
+        const day = series && toLocalDayKey(event.occurrenceDate, series.timezone);
+        if (series && !series.getOccurrenceDates().some(date => toLocalDayKey(date, series.timezone) === day)) {
+          return res.status(409).json({
+            success: false,
+            message: 'The series no longer has an occurrence on this date'
+          });
+        }
+      }
+
+      const restored = await restoreEvent(event);
+
+      return res.json({
+        success: true,
+        message: 'Event restored successfully',
+        data: {
+          event,
+          restored
+        }
+      });
+    }
+
+    if (event.isDeleted) {
+      return res.status(409).json({
+        success: false,
+        message: 'The event is in the trash. Restore the event first.'
+      });
+    }
+
+    item.isDeleted = false;
+    item.deletedAt = null;
+    await item.save();
+
+    res.json({
+      success: true,
+      message: 'Item restored successfully',
+      data: { item }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Permanently delete an item from the trash
+// @route   DELETE /api/trash/:type/:id
+// @access  Private (event owner)
+const purgeItem = async (req, res, next) => {
+  try {
+    const type = getTrashType(req, res);
+    if (!type) return;
+
+    const trashed = await loadTrashedItem(req, res, type);
+    if (!trashed) return;
+
+    if (type.model === Event) {
+      await purgeEvent(trashed.event._id);
+    } else {
+      await trashed.item.deleteOne();
+    }
+
+    res.json({
+      success: true,
+      message: 'Item permanently deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Permanently delete everything in the current host's trash
+// @route   DELETE /api/trash
+// @access  Private
+const emptyTrash = async (req, res, next) => {
+  try {
+    const eventIds = await getHostEventIds(req.user._id);
+
+    const events = await Event.find(trashQuery(TRASH_TYPES.events, req.user._id)).select('_id');
+    for (const event of events) {
+      await purgeEvent(event._id);
+    }
+
+    const [tickets, cursorLogs] = await Promise.all([
+      Ticket.deleteMany(trashQuery(TRASH_TYPES.tickets, req.user._id, eventIds)),
+      CursorLog.deleteMany(trashQuery(TRASH_TYPES['cursor-logs'], req.user._id, eventIds))
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Trash emptied successfully',
+      data: {
+        events: events.length,
+        tickets: tickets.deletedCount,
+        cursorLogs: cursorLogs.deletedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreItem,
+  purgeItem,
+  emptyTrash
+};
@@ -0,0 +1,273 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { validationResult } = require('express-validator');
+const { startTicketPayment } = require('../utils/ticketPayments');
+const { canAccessEvent } = require('../utils/eventAccess');
+
+// Check if the current user can manage an event
+const canManageEvent = (user, event) => canAccessEvent(user, event, 'manage');
+
+// Load an entry with its token hash and check the caller may act on it
+const loadEntry = async (req, res) => {
+  const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, isDeleted: false })
+    .select('+claimToken')
+    .populate('event', 'host coHosts title dateTime settings ticketInfo');
+
+  if (!entry || !entry.event) {
+    res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found'
+    });
+    return null;
+  }
+
+  const token = req.body.token || req.query.token;
+  if (!canManageEvent(req.user, entry.event) && !entry.verifyClaimToken(token)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// Shape an entry for API responses
+const toEntryResponse = async (entry) => ({
+  id: entry._id,
+  event: entry.event._id || entry.event,
+  attendee: entry.attendee,
+  ticketType: entry.ticketType,
+  tier: entry.tier,
+  status: entry.status,
+  position: await entry.getPosition(),
+  offeredAt: entry.offeredAt,
+  offerExpiresAt: entry.offerExpiresAt,
+  claimedAt: entry.claimedAt,
+  ticket: entry.ticket,
+  joinedAt: entry.createdAt
+});
+
+// @desc    Get waitlist for an event
+// @route   GET /api/waitlist/event/:eventId
+// @access  Private (host only)
+const getEventWaitlist = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event || event.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view the waitlist for your own events.'
+      });
+    }
+
+    const query = { event: event._id, isDeleted: false };
+    if (status) {
+      query.status = status;
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [entries, total, metrics] = await Promise.all([
+      WaitlistEntry.find(query).sort({ createdAt: 1, _id: 1 }).skip(skip).limit(limitNum),
+      WaitlistEntry.countDocuments(query),
+      WaitlistEntry.getEventMetrics(event._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries: await Promise.all(entries.map(toEntryResponse)),
+        metrics,
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a waitlist entry
+// @route   GET /api/waitlist/:entryId
+// @access  Public (claim token or host)
+const getWaitlistEntry = async (req, res, next) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    // Make sure a stale offer is reported as expired. Only this event's
+    // offers are checked; the scheduler handles the rest.
+    const expired = await WaitlistEntry.expireOffers({ event: entry.event._id });
+    const current = expired > 0 ? await WaitlistEntry.findById(entry._id) : entry;
+
+    res.json({
+      success: true,
+      data: { waitlistEntry: await toEntryResponse(current) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Claim an offered waitlist seat
+// @route   POST /api/waitlist/:entryId/claim
+// @access  Public (claim token or host)
+const claimWaitlistOffer = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    // Flip the entry first so the same offer can never be claimed twice
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+      { status: 'claimed', claimedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: entry.status === 'offered'
+          ? 'This offer has expired'
+          : 'There is no open offer for this waitlist entry'
+      });
+    }
+
+    const event = await Event.findById(entry.event._id);
+    const tier = event.getTier(entry.tier);
+    const price = event.getCurrentTicketPrice(tier);
+
+    let ticket;
+    try {
+      ticket = await Ticket.create({
+        event: event._id,
+        attendee: entry.attendee,
+        ticketType: entry.ticketType,
+        tier: tier ? { tierId: tier._id, name: tier.name } : undefined,
+        price,
+        currency: event.ticketInfo.currency,
+        status: price === 0 ? 'confirmed' : 'pending',
+        paymentStatus: price === 0 ? 'completed' : 'pending',
+        paymentMethod: price === 0 ? 'complimentary' : req.body.paymentMethod,
+        formAnswers: entry.formAnswers
+      });
+    } catch (error) {
+      // Reopen the offer if the ticket could not be created
+      await WaitlistEntry.updateOne(
+        { _id: entry._id },
+        { status: 'offered', claimedAt: null }
+      );
+      throw error;
+    }
+
+    // Revenue is counted once the payment clears
+    const seated = await Event.claimHeldSpot(event._id, 0, tier && tier._id);
+    if (!seated) {
+      // The held seat is gone; put the entry back in line where it was
+      await Ticket.deleteOne({ _id: ticket._id });
+      await WaitlistEntry.updateOne(
+        { _id: entry._id },
+        { status: 'waiting', offeredAt: null, offerExpiresAt: null, claimedAt: null }
+      );
+      await WaitlistEntry.promoteNext(event._id);
+
+      return res.status(409).json({
+        success: false,
+        message: 'The seat held for this offer is no longer available'
+      });
+    }
+
+    claimed.ticket = ticket._id;
+    await claimed.save();
+
+    if (price === 0) {
+      return res.status(201).json({
+        success: true,
+        message: 'Waitlist seat claimed successfully',
+        data: { ticket }
+      });
+    }
+
+    const payment = await startTicketPayment(ticket);
+
+    res.status(201).json({
+      success: true,
+      message: 'Waitlist seat reserved. Complete the payment to confirm it.',
+      data: { ticket, payment }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/waitlist/:entryId
+// @access  Public (claim token or host)
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    const left = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: ['waiting', 'offered'] } },
+      { status: 'left' },
+      { new: false }
+    );
+
+    if (!left) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot leave the waitlist once the entry is ${entry.status}`
+      });
+    }
+
+    // A declined offer passes its seat to the next person in line
+    if (left.status === 'offered') {
+      await Event.releaseHeldSpot(entry.event._id);
+      await WaitlistEntry.promoteNext(entry.event._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEventWaitlist,
+  getWaitlistEntry,
+  claimWaitlistOffer,
+  leaveWaitlist
+};
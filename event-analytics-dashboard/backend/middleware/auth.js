@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { canAccessEvent } = require('../utils/eventAccess');
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -123,8 +124,9 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Check if user owns the resource
-const checkResourceOwnership = (resourceModel, resourceIdParam = 'id', ownerField = 'host') => {
+// Check if user owns the resource. For events ('host' owner field) the
+// host's co-hosts are let through when their role grants the permission.
+const checkResourceOwnership = (resourceModel, resourceIdParam = 'id', ownerField = 'host', permission = 'manage') => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -151,7 +153,10 @@ const checkResourceOwnership = (resourceModel, resourceIdParam = 'id', ownerFiel
 
       // Check if user owns the resource
       const ownerId = resource[ownerField];
-      if (ownerId.toString() !== req.user._id.toString()) {
+      const hasAccess = ownerField === 'host'
+        ? canAccessEvent(req.user, resource, permission)
+        : ownerId.toString() === req.user._id.toString();
+      if (!hasAccess) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. You can only access your own resources.'
@@ -51,6 +51,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    const message = 'Too many files';
+    error = { message, statusCode: 400 };
+  }
+
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     const message = 'Unexpected file field';
     error = { message, statusCode: 400 };
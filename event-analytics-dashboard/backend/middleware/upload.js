@@ -0,0 +1,81 @@
+const path = require('path');
+const multer = require('multer');
+
+// Build an error the error handler turns into a 400 response
+const uploadError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Attendee lists are parsed in memory, so keep them small
+const ATTENDEE_IMPORT_TYPES = {
+  '.csv': ['text/csv', 'application/vnd.ms-excel', 'text/plain', 'application/octet-stream'],
+  '.xlsx': [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream'
+  ]
+};
+
+const attendeeImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const allowedTypes = ATTENDEE_IMPORT_TYPES[extension];
+
+    if (!allowedTypes || !allowedTypes.includes(file.mimetype)) {
+      return callback(uploadError('Only CSV and XLSX files are allowed'));
+    }
+
+    callback(null, true);
+  }
+});
+
+// Images are re-encoded after upload; the declared type is checked here
+// and the file content again when it is decoded
+const IMAGE_UPLOAD_TYPES = {
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.webp': ['image/webp']
+};
+
+const imageFileFilter = (req, file, callback) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const allowedTypes = IMAGE_UPLOAD_TYPES[extension];
+
+  if (!allowedTypes || !allowedTypes.includes(file.mimetype)) {
+    return callback(uploadError('Only JPEG, PNG and WebP images are allowed'));
+  }
+
+  callback(null, true);
+};
+
+const eventImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 10
+  },
+  fileFilter: imageFileFilter
+});
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: imageFileFilter
+});
+
+module.exports = {
+  uploadError,
+  attendeeImportUpload,
+  eventImageUpload,
+  avatarUpload
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const agendaSessionSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Session title is required'],
+    trim: true,
+    maxlength: [200, 'Session title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Session description cannot exceed 5000 characters']
+  },
+  type: {
+    type: String,
+    enum: ['talk', 'keynote', 'workshop', 'panel', 'break', 'networking', 'other'],
+    default: 'talk'
+  },
+  // Ids of entries in the event's tracks and rooms arrays
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Session start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'Session end time is required']
+  },
+  speakers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Speaker'
+  }],
+  analytics: {
+    pageViews: { type: Number, default: 0 }
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+agendaSessionSchema.index({ event: 1, isDeleted: 1, startTime: 1 });
+agendaSessionSchema.index({ event: 1, room: 1, startTime: 1 });
+agendaSessionSchema.index({ speakers: 1, startTime: 1 });
+
+// Virtual for session length in minutes
+agendaSessionSchema.virtual('durationMinutes').get(function() {
+  if (!this.startTime || !this.endTime) return 0;
+  return Math.round((this.endTime - this.startTime) / (60 * 1000));
+});
+
+// Validate that the session ends after it starts
+agendaSessionSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'Session end time must be after start time');
+  }
+  next();
+});
+
+// Static method to find sessions of an event that overlap a time slot and
+// share its room or one of its speakers. Sessions that merely touch (one
+// ends as the other starts) do not conflict.
+agendaSessionSchema.statics.findConflicts = function(eventId, slot, excludeId = null) {
+  const shared = [];
+  if (slot.room) {
+    shared.push({ room: slot.room });
+  }
+  if (slot.speakers && slot.speakers.length > 0) {
+    shared.push({ speakers: { $in: slot.speakers } });
+  }
+  if (shared.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  const query = {
+    event: eventId,
+    isDeleted: false,
+    startTime: { $lt: slot.endTime },
+    endTime: { $gt: slot.startTime },
+    $or: shared
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query)
+    .select('title startTime endTime room speakers')
+    .sort({ startTime: 1 });
+};
+
+// Method to count a view of the session's page
+agendaSessionSchema.methods.incrementPageView = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { 'analytics.pageViews': 1 } }
+  );
+};
+
+module.exports = mongoose.model('AgendaSession', agendaSessionSchema);
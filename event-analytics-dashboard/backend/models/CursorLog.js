@@ -73,6 +73,12 @@ const cursorLogSchema = new mongoose.Schema({
       type: String,
       enum: ['move', 'click', 'hover', 'scroll', 'focus', 'blur'],
       default: 'move'
+    },
+    // Agenda session being viewed, when the page belongs to one
+    agendaSession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AgendaSession',
+      default: null
     }
   }],
   sessionMetrics: {
@@ -99,7 +105,8 @@ const cursorLogSchema = new mongoose.Schema({
     pagesVisited: [{
       page: { type: String, trim: true },
       timeSpent: { type: Number, default: 0 }, // in seconds
-      visitedAt: { type: Date, default: Date.now }
+      visitedAt: { type: Date, default: Date.now },
+      agendaSession: { type: mongoose.Schema.Types.ObjectId, ref: 'AgendaSession', default: null }
     }],
     isActive: {
       type: Boolean,
@@ -133,6 +140,10 @@ const cursorLogSchema = new mongoose.Schema({
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -151,6 +162,7 @@ cursorLogSchema.index({ sessionId: 1, createdAt: -1 });
 cursorLogSchema.index({ eventId: 1, createdAt: -1 });
 cursorLogSchema.index({ userId: 1, createdAt: -1 });
 cursorLogSchema.index({ 'sessionMetrics.isActive': 1 });
+cursorLogSchema.index({ isDeleted: 1, deletedAt: 1 });
 cursorLogSchema.index({ 'sessionMetrics.lastActivity': 1 });
 cursorLogSchema.index({ createdAt: 1 }); // For TTL
 
@@ -163,13 +175,14 @@ cursorLogSchema.virtual('sessionDurationMinutes').get(function() {
 });
 
 // Method to add cursor movement
-cursorLogSchema.methods.addCursorMovement = function(x, y, page, element = null, action = 'move') {
+cursorLogSchema.methods.addCursorMovement = function(x, y, page, element = null, action = 'move', agendaSession = null) {
   this.cursorData.push({
     x,
     y,
     page,
     element,
     action,
+    agendaSession,
     timestamp: new Date()
   });
   
@@ -236,8 +249,11 @@ cursorLogSchema.methods.endSession = function() {
 };
 
 // Method to add page visit
-cursorLogSchema.methods.addPageVisit = function(page, timeSpent = 0) {
-  const existingPage = this.sessionMetrics.pagesVisited.find(p => p.page === page);
+cursorLogSchema.methods.addPageVisit = function(page, timeSpent = 0, agendaSession = null) {
+  const sessionKey = agendaSession ? agendaSession.toString() : null;
+  const existingPage = this.sessionMetrics.pagesVisited.find(p =>
+    p.page === page && (p.agendaSession ? p.agendaSession.toString() : null) === sessionKey
+  );
   
   if (existingPage) {
     existingPage.timeSpent += timeSpent;
@@ -245,7 +261,8 @@ cursorLogSchema.methods.addPageVisit = function(page, timeSpent = 0) {
     this.sessionMetrics.pagesVisited.push({
       page,
       timeSpent,
-      visitedAt: new Date()
+      visitedAt: new Date(),
+      agendaSession
     });
   }
   
@@ -256,6 +273,7 @@ cursorLogSchema.methods.addPageVisit = function(page, timeSpent = 0) {
 cursorLogSchema.statics.getActiveSessions = function(eventId) {
   return this.find({
     eventId,
+    isDeleted: false,
     'sessionMetrics.isActive': true,
     'sessionMetrics.lastActivity': {
       $gte: new Date(Date.now() - 5 * 60 * 1000) // Active in last 5 minutes
@@ -299,4 +317,65 @@ cursorLogSchema.statics.getHeatmapData = function(eventId, page, startDate, endD
   ]);
 };
 
+// Static method to get cursor activity and time spent per agenda session
+cursorLogSchema.statics.getAgendaSessionEngagement = async function(eventId) {
+  const eventObjectId = new mongoose.Types.ObjectId(eventId);
+
+  const [cursorActivity, pageActivity] = await Promise.all([
+    this.aggregate([
+      { $match: { eventId: eventObjectId, isDeleted: false } },
+      { $unwind: '$cursorData' },
+      { $match: { 'cursorData.agendaSession': { $ne: null } } },
+      {
+        $group: {
+          _id: '$cursorData.agendaSession',
+          movements: { $sum: 1 },
+          clicks: {
+            $sum: { $cond: [{ $eq: ['$cursorData.action', 'click'] }, 1, 0] }
+          },
+          visitors: { $addToSet: '$_id' }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { eventId: eventObjectId, isDeleted: false } },
+      { $unwind: '$sessionMetrics.pagesVisited' },
+      { $match: { 'sessionMetrics.pagesVisited.agendaSession': { $ne: null } } },
+      {
+        $group: {
+          _id: '$sessionMetrics.pagesVisited.agendaSession',
+          visits: { $sum: 1 },
+          totalTimeSpent: { $sum: '$sessionMetrics.pagesVisited.timeSpent' },
+          visitors: { $addToSet: '$_id' }
+        }
+      }
+    ])
+  ]);
+
+  const engagement = new Map();
+  const entryFor = (id) => {
+    const key = id.toString();
+    if (!engagement.has(key)) {
+      engagement.set(key, { movements: 0, clicks: 0, visits: 0, totalTimeSpent: 0, visitors: new Set() });
+    }
+    return engagement.get(key);
+  };
+
+  cursorActivity.forEach(row => {
+    const entry = entryFor(row._id);
+    entry.movements = row.movements;
+    entry.clicks = row.clicks;
+    row.visitors.forEach(visitor => entry.visitors.add(visitor.toString()));
+  });
+
+  pageActivity.forEach(row => {
+    const entry = entryFor(row._id);
+    entry.visits = row.visits;
+    entry.totalTimeSpent = row.totalTimeSpent;
+    row.visitors.forEach(visitor => entry.visitors.add(visitor.toString()));
+  });
+
+  return engagement;
+};
+
 module.exports = mongoose.model('CursorLog', cursorLogSchema);
\ No newline at end of file
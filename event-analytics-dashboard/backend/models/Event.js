@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { CO_HOST_ROLES } = require('../utils/eventAccess');
+const { toGeoPoint } = require('../utils/geo');
+const { FORM_FIELD_TYPES, FORM_CONDITION_OPERATORS } = require('../utils/registrationForms');
+const { getSlugBase, getSlugPattern } = require('../utils/slugs');
+const EventReferrer = require('./EventReferrer');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -7,6 +12,18 @@ const eventSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Event title cannot exceed 200 characters']
   },
+  // Unique URL name derived from the title, set on save
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Slugs from earlier titles, which redirect to the current one
+  previousSlugs: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
   description: {
     type: String,
     required: [true, 'Event description is required'],
@@ -34,6 +51,65 @@ const eventSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Event host is required']
   },
+  // Organization the event is shared with; null for personal events
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Series this event is an occurrence of; null for one-off events
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries',
+    default: null
+  },
+  // Start the series rule gave this occurrence, used to match exceptions
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  // Set once an occurrence is edited on its own
+  isSeriesException: {
+    type: Boolean,
+    default: false
+  },
+  // Team members invited by the host. Invitations stay pending until the
+  // invitee accepts or declines them.
+  coHosts: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: {
+      type: String,
+      required: [true, 'Co-host email is required'],
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: CO_HOST_ROLES,
+      required: [true, 'Co-host role is required']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  }],
   venue: {
     name: {
       type: String,
@@ -52,6 +128,11 @@ const eventSchema = new mongoose.Schema({
         longitude: { type: Number }
       }
     },
+    // GeoJSON copy of the address coordinates for geo queries, set from them on every save
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
     capacity: {
       type: Number,
       required: [true, 'Venue capacity is required'],
@@ -107,13 +188,142 @@ const eventSchema = new mongoose.Schema({
     refundPolicy: {
       type: String,
       maxlength: [500, 'Refund policy cannot exceed 500 characters']
-    }
+    },
+    // e.g. 100% until 168 hours out, then 50% until 48 hours out
+    refundRules: [{
+      hoursBeforeStart: {
+        type: Number,
+        required: [true, 'Refund rule cutoff is required'],
+        min: [0, 'Refund rule cutoff cannot be negative']
+      },
+      percentage: {
+        type: Number,
+        required: [true, 'Refund rule percentage is required'],
+        min: [0, 'Refund percentage cannot be negative'],
+        max: [100, 'Refund percentage cannot exceed 100']
+      }
+    }]
   },
+  ticketTiers: [{
+    name: {
+      type: String,
+      required: [true, 'Tier name is required'],
+      trim: true,
+      maxlength: [100, 'Tier name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Tier description cannot exceed 500 characters']
+    },
+    ticketType: {
+      type: String,
+      enum: ['regular', 'early-bird', 'vip', 'student', 'group'],
+      default: 'regular'
+    },
+    price: {
+      type: Number,
+      required: [true, 'Tier price is required'],
+      min: [0, 'Tier price cannot be negative']
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Tier quantity is required'],
+      min: [1, 'Tier quantity must be at least 1']
+    },
+    sold: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tier sold count cannot be negative']
+    },
+    salesStart: {
+      type: Date,
+      default: null
+    },
+    salesEnd: {
+      type: Date,
+      default: null
+    },
+    visibility: {
+      type: String,
+      enum: ['public', 'hidden'],
+      default: 'public'
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // Extra questions attendees answer when registering; answers are stored
+  // on the ticket by key
+  registrationForm: [{
+    _id: false,
+    key: {
+      type: String,
+      required: [true, 'Question key is required'],
+      trim: true,
+      match: [/^[a-z][a-z0-9_]{0,49}$/, 'Question keys must be lowercase letters, numbers and underscores']
+    },
+    label: {
+      type: String,
+      required: [true, 'Question label is required'],
+      trim: true,
+      maxlength: [200, 'Question label cannot exceed 200 characters']
+    },
+    type: {
+      type: String,
+      enum: FORM_FIELD_TYPES,
+      required: [true, 'Question type is required']
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    helpText: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Help text cannot exceed 300 characters']
+    },
+    // Choices for single-choice and multiple-choice questions
+    options: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Option cannot exceed 100 characters']
+    }],
+    // Value range for numbers, length for text, choice count for multiple-choice
+    min: {
+      type: Number,
+      default: null
+    },
+    max: {
+      type: Number,
+      default: null
+    },
+    // Only ask the question when an earlier answer matches
+    showIf: {
+      field: { type: String, trim: true },
+      operator: { type: String, enum: FORM_CONDITION_OPERATORS },
+      value: mongoose.Schema.Types.Mixed
+    }
+  }],
   status: {
     type: String,
     enum: ['draft', 'published', 'upcoming', 'ongoing', 'completed', 'cancelled'],
     default: 'draft'
   },
+  statusChangedAt: {
+    type: Date,
+    default: null
+  },
+  registrationDeadline: {
+    type: Date,
+    default: null
+  },
+  // Set by the lifecycle scheduler once registration has been closed
+  registrationClosedAt: {
+    type: Date,
+    default: null
+  },
   visibility: {
     type: String,
     enum: ['public', 'private', 'invite-only'],
@@ -126,8 +336,22 @@ const eventSchema = new mongoose.Schema({
   }],
   images: [{
     url: { type: String, required: true },
-    alt: { type: String },
-    isPrimary: { type: Boolean, default: false }
+    alt: { type: String, maxlength: [200, 'Alt text cannot exceed 200 characters'] },
+    isPrimary: { type: Boolean, default: false },
+    // Resized copies of uploaded images
+    variants: {
+      medium: { type: String },
+      thumbnail: { type: String }
+    },
+    width: { type: Number },
+    height: { type: Number },
+    contentType: { type: String },
+    size: { type: Number },
+    // Storage keys of the uploaded file and its variants, removed when the
+    // image is deleted or the event purged
+    storageKeys: [{ type: String }],
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
   }],
   requirements: {
     ageLimit: {
@@ -137,8 +361,45 @@ const eventSchema = new mongoose.Schema({
     prerequisites: [String],
     equipmentNeeded: [String]
   },
+  // Agenda layout; sessions themselves live in AgendaSession
+  tracks: [{
+    name: {
+      type: String,
+      required: [true, 'Track name is required'],
+      trim: true,
+      maxlength: [100, 'Track name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Track description cannot exceed 500 characters']
+    },
+    color: {
+      type: String,
+      trim: true,
+      match: [/^#[0-9A-Fa-f]{6}$/, 'Track color must be a hex color such as #1E88E5']
+    }
+  }],
+  rooms: [{
+    name: {
+      type: String,
+      required: [true, 'Room name is required'],
+      trim: true,
+      maxlength: [100, 'Room name cannot exceed 100 characters']
+    },
+    capacity: {
+      type: Number,
+      min: [1, 'Room capacity must be at least 1']
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Room location cannot exceed 200 characters']
+    }
+  }],
   analytics: {
     totalRegistrations: { type: Number, default: 0 },
+    heldSpots: { type: Number, default: 0 },
     totalAttendees: { type: Number, default: 0 },
     totalRevenue: { type: Number, default: 0 },
     conversionRate: { type: Number, default: 0 },
@@ -151,7 +412,24 @@ const eventSchema = new mongoose.Schema({
   },
   settings: {
     allowWaitlist: { type: Boolean, default: true },
+    waitlistClaimWindowHours: {
+      type: Number,
+      default: 24,
+      min: [1, 'Waitlist claim window must be at least 1 hour'],
+      max: [168, 'Waitlist claim window cannot exceed 168 hours']
+    },
+    allowTicketTransfers: { type: Boolean, default: true },
+    transferCutoffHours: {
+      type: Number,
+      default: 24,
+      min: [0, 'Transfer cutoff cannot be negative'],
+      max: [720, 'Transfer cutoff cannot exceed 720 hours']
+    },
     allowGuestRegistration: { type: Boolean, default: true },
+    // Let the scheduler move the event to ongoing and completed
+    autoStatusTransitions: { type: Boolean, default: true },
+    // Receives a signed POST on every status change
+    statusWebhookUrl: { type: String, trim: true },
     sendReminders: { type: Boolean, default: true },
     collectFeedback: { type: Boolean, default: true },
     enableChat: { type: Boolean, default: false },
@@ -188,9 +466,12 @@ eventSchema.virtual('tickets', {
   justOne: false
 });
 
-// Virtual for available spots
+// Virtual for available spots (seats held for waitlist offers are not available)
 eventSchema.virtual('availableSpots').get(function() {
-  return Math.max(0, this.venue.capacity - this.analytics.totalRegistrations);
+  return Math.max(
+    0,
+    this.venue.capacity - this.analytics.totalRegistrations - (this.analytics.heldSpots || 0)
+  );
 });
 
 // Virtual for event duration in hours
@@ -220,11 +501,22 @@ eventSchema.virtual('currentStatus').get(function() {
 
 // Indexes for performance
 eventSchema.index({ host: 1, createdAt: -1 });
+eventSchema.index({ slug: 1 }, { unique: true, sparse: true });
+eventSchema.index({ previousSlugs: 1 });
+eventSchema.index({ organization: 1, isDeleted: 1, createdAt: -1 });
+eventSchema.index({ series: 1, occurrenceDate: 1 });
+eventSchema.index({ isDeleted: 1, deletedAt: 1 });
+eventSchema.index({ 'coHosts.user': 1, 'coHosts.status': 1 });
+eventSchema.index({ 'coHosts.email': 1, 'coHosts.status': 1 });
 eventSchema.index({ 'dateTime.start': 1 });
 eventSchema.index({ status: 1 });
+eventSchema.index({ status: 1, 'dateTime.start': 1 });
+eventSchema.index({ registrationDeadline: 1, registrationClosedAt: 1 });
 eventSchema.index({ category: 1 });
 eventSchema.index({ 'venue.address.city': 1 });
+eventSchema.index({ 'venue.location': '2dsphere' });
 eventSchema.index({ tags: 1 });
+eventSchema.index({ 'images.storageKeys': 1 });
 eventSchema.index({ title: 'text', description: 'text' });
 
 // Middleware to validate dates
@@ -240,9 +532,72 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
-// Middleware to update status based on dates
+// Middleware to validate ticket tiers and the registration deadline
+eventSchema.pre('validate', function(next) {
+  this.ticketTiers.forEach((tier, index) => {
+    if (tier.quantity < tier.sold) {
+      this.invalidate(`ticketTiers.${index}.quantity`, `Tier quantity cannot be lower than the ${tier.sold} tickets already sold`);
+    }
+
+    if (tier.salesStart && tier.salesEnd && tier.salesStart >= tier.salesEnd) {
+      this.invalidate(`ticketTiers.${index}.salesEnd`, 'Tier sales end must be after sales start');
+    }
+
+    if (tier.salesEnd && this.dateTime.end && tier.salesEnd > this.dateTime.end) {
+      this.invalidate(`ticketTiers.${index}.salesEnd`, 'Tier sales cannot end after the event');
+    }
+  });
+
+  if (this.registrationDeadline && this.dateTime.end && this.registrationDeadline > this.dateTime.end) {
+    this.invalidate('registrationDeadline', 'Registration cannot close after the event ends');
+  }
+
+  next();
+});
+
+// Keep venue.location in step with the address coordinates
+eventSchema.pre('validate', function(next) {
+  this.set('venue.location', toGeoPoint(this.venue && this.venue.address && this.venue.address.coordinates));
+  next();
+});
+
+eventSchema.pre('findOneAndUpdate', function() {
+  const update = this.getUpdate();
+  const venue = update.venue || (update.$set && update.$set.venue);
+  if (venue) {
+    venue.location = toGeoPoint(venue.address && venue.address.coordinates);
+  }
+});
+
+// Give new events a slug and move it along when the title changes
+eventSchema.pre('validate', async function() {
+  if (!this.title || (!this.isNew && this.slug && !this.isModified('title'))) return;
+
+  // Copies such as clones always start with a slug of their own
+  if (this.isNew) {
+    this.slug = undefined;
+    this.previousSlugs = [];
+  }
+
+  const change = await this.getSlugChange(this.title);
+  if (change) this.set(change);
+});
+
+// The same for title changes made with findOneAndUpdate
+eventSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const target = update.$set && update.$set.title !== undefined ? update.$set : update;
+  if (typeof target.title !== 'string' || !target.title.trim()) return;
+
+  const event = await this.model.findOne(this.getQuery()).select('title slug previousSlugs');
+  const change = event && await event.getSlugChange(target.title);
+  if (change) Object.assign(target, change);
+});
+
+// Middleware to update status based on dates (unless the host opted out)
 eventSchema.pre('save', function(next) {
-  if (this.status !== 'cancelled' && this.status !== 'draft') {
+  if (this.status !== 'cancelled' && this.status !== 'draft' &&
+      this.settings.autoStatusTransitions !== false) {
     const now = new Date();
     const start = this.dateTime.start;
     const end = this.dateTime.end;
@@ -251,6 +606,10 @@ eventSchema.pre('save', function(next) {
     else if (now >= start && now <= end) this.status = 'ongoing';
     else if (now > end) this.status = 'completed';
   }
+
+  if (this.isModified('status')) {
+    this.statusChangedAt = new Date();
+  }
   
   next();
 });
@@ -264,11 +623,257 @@ eventSchema.methods.updateConversionRate = function() {
   }
 };
 
-// Method to add page view
-eventSchema.methods.incrementPageView = async function() {
+// Method to add page view, crediting the referrer ({ source, url }) when known
+eventSchema.methods.incrementPageView = async function(referrer = null) {
   this.analytics.pageViews += 1;
   this.updateConversionRate();
-  return this.save();
+  await this.save();
+
+  if (referrer) {
+    await EventReferrer.recordView(this._id, referrer);
+  }
+
+  return this;
+};
+
+// Method to get the slug fields for a new title, or null when the current
+// slug still fits it. The old slug is kept so links to it can redirect.
+eventSchema.methods.getSlugChange = async function(title) {
+  const base = getSlugBase(title);
+  if (this.slug && getSlugPattern(base).test(this.slug)) return null;
+
+  const slug = await this.constructor.generateSlug(title, this._id);
+  const previousSlugs = (this.previousSlugs || []).filter(previous => previous !== slug);
+  if (this.slug) previousSlugs.push(this.slug);
+
+  return { slug, previousSlugs };
+};
+
+// Method to get the ticket price that applies right now.
+// A tier carries its own price; otherwise early bird pricing applies.
+eventSchema.methods.getCurrentTicketPrice = function(tier = null) {
+  if (tier) return tier.price;
+  if (!this.ticketInfo.isPaid) return 0;
+
+  const { price, earlyBirdPrice, earlyBirdDeadline } = this.ticketInfo;
+  if (earlyBirdPrice !== null && earlyBirdPrice !== undefined &&
+      earlyBirdDeadline && new Date() < earlyBirdDeadline) {
+    return earlyBirdPrice;
+  }
+
+  return price;
+};
+
+// Method to find a ticket tier by id
+eventSchema.methods.getTier = function(tierId) {
+  if (!tierId || !mongoose.Types.ObjectId.isValid(tierId)) return null;
+  return this.ticketTiers.id(tierId);
+};
+
+// Method to check whether a tier is on sale right now.
+// Returns null when it can be sold, otherwise the reason it cannot.
+eventSchema.methods.getTierSaleError = function(tier, quantity = 1) {
+  const now = new Date();
+
+  if (!tier.isActive) return 'Ticket tier is not available';
+  if (tier.salesStart && now < tier.salesStart) return 'Ticket tier is not on sale yet';
+  if (tier.salesEnd && now > tier.salesEnd) return 'Ticket tier sales have ended';
+  if (tier.sold + quantity > tier.quantity) return 'Ticket tier is sold out';
+
+  return null;
+};
+
+// Method to get the refund percentage the policy allows at a given time.
+// Returns null when the event has no structured refund rules.
+eventSchema.methods.getRefundPercentage = function(at = new Date()) {
+  const rules = this.ticketInfo.refundRules || [];
+  if (rules.length === 0) return null;
+
+  const hoursUntilStart = (this.dateTime.start - at) / (1000 * 60 * 60);
+
+  return rules
+    .filter(rule => hoursUntilStart >= rule.hoursBeforeStart)
+    .reduce((best, rule) => Math.max(best, rule.percentage), 0);
+};
+
+// Method to check whether the event still takes registrations
+eventSchema.methods.isRegistrationOpen = function(at = new Date()) {
+  if (!['published', 'upcoming', 'ongoing'].includes(this.status)) return false;
+  if (this.registrationClosedAt) return false;
+  return !this.registrationDeadline || at < this.registrationDeadline;
+};
+
+// Method to check whether tickets can be transferred right now.
+// Returns null when they can, otherwise the reason they cannot.
+eventSchema.methods.getTransferError = function() {
+  if (!this.settings.allowTicketTransfers) return 'Ticket transfers are disabled for this event';
+
+  const cutoffMs = (this.settings.transferCutoffHours || 0) * 60 * 60 * 1000;
+  if (new Date() > new Date(this.dateTime.start.getTime() - cutoffMs)) {
+    return 'The transfer window for this event has closed';
+  }
+
+  return null;
+};
+
+// Aggregation expression that is true while a tier has room for `quantity` more
+// tickets (and false when the tier does not exist)
+const tierInventoryCheck = (tierId, quantity) => ({
+  $let: {
+    vars: {
+      tier: {
+        $arrayElemAt: [
+          { $filter: { input: '$ticketTiers', cond: { $eq: ['$$this._id', tierId] } } },
+          0
+        ]
+      }
+    },
+    in: {
+      $and: [
+        { $gt: ['$$tier.quantity', 0] },
+        { $lte: [{ $add: ['$$tier.sold', quantity] }, '$$tier.quantity'] }
+      ]
+    }
+  }
+});
+
+// Update options that point the `$[tier]` placeholder at a tier
+const tierUpdateOptions = (tierId) => (
+  tierId ? { arrayFilters: [{ 'tier._id': new mongoose.Types.ObjectId(tierId) }] } : {}
+);
+
+// Static method to atomically reserve seats, optionally from a ticket tier;
+// resolves to null when the event or the tier is sold out
+eventSchema.statics.reserveSpots = function(eventId, quantity = 1, revenue = 0, tierId = null) {
+  const capacityCheck = {
+    $lte: [
+      { $add: ['$analytics.totalRegistrations', { $ifNull: ['$analytics.heldSpots', 0] }, quantity] },
+      '$venue.capacity'
+    ]
+  };
+
+  const inc = {
+    'analytics.totalRegistrations': quantity,
+    'analytics.totalRevenue': revenue
+  };
+  if (tierId) {
+    inc['ticketTiers.$[tier].sold'] = quantity;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      isDeleted: false,
+      status: { $in: ['published', 'upcoming', 'ongoing'] },
+      $expr: tierId
+        ? { $and: [capacityCheck, tierInventoryCheck(new mongoose.Types.ObjectId(tierId), quantity)] }
+        : capacityCheck
+    },
+    { $inc: inc },
+    { new: true, ...tierUpdateOptions(tierId) }
+  );
+};
+
+// Static method to give seats and/or revenue back
+eventSchema.statics.releaseSpots = function(eventId, quantity = 1, revenue = 0, tierId = null) {
+  const inc = {
+    'analytics.totalRegistrations': -quantity,
+    'analytics.totalRevenue': -revenue
+  };
+  const releasesTier = tierId && quantity > 0;
+  if (releasesTier) {
+    inc['ticketTiers.$[tier].sold'] = -quantity;
+  }
+
+  return this.findByIdAndUpdate(
+    eventId,
+    { $inc: inc },
+    { new: true, ...tierUpdateOptions(releasesTier ? tierId : null) }
+  );
+};
+
+// Static method to hold a free seat for a waitlist offer
+eventSchema.statics.holdSpot = function(eventId) {
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      isDeleted: false,
+      $expr: {
+        $lt: [
+          { $add: ['$analytics.totalRegistrations', { $ifNull: ['$analytics.heldSpots', 0] }] },
+          '$venue.capacity'
+        ]
+      }
+    },
+    { $inc: { 'analytics.heldSpots': 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give a held seat back to general sale
+eventSchema.statics.releaseHeldSpot = function(eventId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, 'analytics.heldSpots': { $gt: 0 } },
+    { $inc: { 'analytics.heldSpots': -1 } },
+    { new: true }
+  );
+};
+
+// Static method to turn a held seat into a registration. The held seat was
+// promised to the waitlist, so it is honoured even if its tier filled up since.
+eventSchema.statics.claimHeldSpot = function(eventId, revenue = 0, tierId = null) {
+  const inc = {
+    'analytics.heldSpots': -1,
+    'analytics.totalRegistrations': 1,
+    'analytics.totalRevenue': revenue
+  };
+  if (tierId) {
+    inc['ticketTiers.$[tier].sold'] = 1;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: eventId, 'analytics.heldSpots': { $gt: 0 } },
+    { $inc: inc },
+    { new: true, ...tierUpdateOptions(tierId) }
+  );
+};
+
+// Static method to add revenue once a payment has cleared
+eventSchema.statics.recordRevenue = function(eventId, revenue) {
+  return this.findByIdAndUpdate(
+    eventId,
+    { $inc: { 'analytics.totalRevenue': revenue } },
+    { new: true }
+  );
+};
+
+// Static method to get a slug for a title that no other event uses, now
+// or as an old slug. Taken slugs get the next free number (-2, -3, ...).
+eventSchema.statics.generateSlug = async function(title, excludeId = null) {
+  const base = getSlugBase(title);
+  const pattern = getSlugPattern(base);
+
+  const events = await this.find({
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  }).select('slug previousSlugs').lean();
+
+  const taken = new Set(events.flatMap(event => [event.slug, ...(event.previousSlugs || [])]));
+  if (!taken.has(base)) return base;
+
+  let number = 2;
+  while (taken.has(`${base}-${number}`)) number += 1;
+  return `${base}-${number}`;
+};
+
+// Static method to find an event by its slug or one of its old slugs.
+// Returns { event, redirected } where redirected means an old slug matched.
+eventSchema.statics.findBySlug = async function(slug) {
+  const event = await this.findOne({ slug });
+  if (event) return { event, redirected: false };
+
+  const renamed = await this.findOne({ previousSlugs: slug });
+  return { event: renamed, redirected: Boolean(renamed) };
 };
 
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
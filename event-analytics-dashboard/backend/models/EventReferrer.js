@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Page views of an event's landing page counted by where visitors came from
+const eventReferrerSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  // Referring host (e.g. twitter.com), campaign name from ?ref= or
+  // utm_source, or 'direct' when there was no referrer
+  source: {
+    type: String,
+    required: [true, 'Referrer source is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Referrer source cannot exceed 100 characters']
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: [0, 'Views cannot be negative']
+  },
+  // Most recent full referring URL for this source
+  lastUrl: {
+    type: String,
+    default: null
+  },
+  firstViewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+eventReferrerSchema.index({ event: 1, source: 1 }, { unique: true });
+eventReferrerSchema.index({ event: 1, views: -1 });
+
+// Static method to count one view from a source
+eventReferrerSchema.statics.recordView = async function(eventId, { source, url = null }) {
+  const now = new Date();
+  const update = {
+    $inc: { views: 1 },
+    $set: { lastViewedAt: now, ...(url && { lastUrl: url }) },
+    $setOnInsert: { firstViewedAt: now }
+  };
+
+  try {
+    return await this.updateOne({ event: eventId, source }, update, { upsert: true });
+  } catch (error) {
+    // Two first views from a source at once; the other one created it
+    if (error.code !== 11000) throw error;
+    return this.updateOne({ event: eventId, source }, update);
+  }
+};
+
+// Static method to get an event's top referrers with their share of views
+eventReferrerSchema.statics.getEventSummary = async function(eventId, limit = 20) {
+  const [referrers, totals] = await Promise.all([
+    this.find({ event: eventId })
+      .sort({ views: -1 })
+      .limit(limit)
+      .select('source views lastUrl firstViewedAt lastViewedAt -_id')
+      .lean(),
+    this.aggregate([
+      { $match: { event: eventId } },
+      { $group: { _id: null, views: { $sum: '$views' }, sources: { $sum: 1 } } }
+    ])
+  ]);
+
+  const total = totals[0] ? totals[0].views : 0;
+
+  return {
+    totalViews: total,
+    sources: totals[0] ? totals[0].sources : 0,
+    top: referrers.map(referrer => ({
+      ...referrer,
+      percentage: total > 0 ? Math.round((referrer.views / total) * 100) : 0
+    }))
+  };
+};
+
+module.exports = mongoose.model('EventReferrer', eventReferrerSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const {
+  FREQUENCIES,
+  validateRecurrence,
+  formatRRule,
+  expandOccurrences,
+  isValidTimezone
+} = require('../utils/recurrence');
+
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [200, 'Series title cannot exceed 200 characters']
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Series host is required']
+  },
+  // Organization the occurrences are shared with; null for personal series
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // IANA timezone the recurrence follows, so occurrences keep their local
+  // time of day across daylight saving changes
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+  // Start of the first occurrence; later occurrences keep its local time of day
+  firstStartDate: {
+    type: Date,
+    required: [true, 'Series start date is required']
+  },
+  durationMinutes: {
+    type: Number,
+    required: [true, 'Occurrence duration is required'],
+    min: [1, 'Occurrences must last at least a minute']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      default: 1
+    },
+    byDay: [String],
+    byMonthDay: [Number],
+    count: Number,
+    until: Date
+  },
+  // Dates (by calendar day in the series' timezone) skipped by the recurrence
+  exceptions: [Date],
+  // Event fields copied onto every occurrence, as kept by templates
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Set when the series was split off another one by a "this and following" edit
+  parentSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+eventSeriesSchema.index({ host: 1, status: 1 });
+eventSeriesSchema.index({ parentSeries: 1 });
+
+// Validate the recurrence rule
+eventSeriesSchema.pre('validate', function(next) {
+  const error = validateRecurrence(this.recurrence);
+  if (error) {
+    this.invalidate('recurrence', error);
+  }
+  next();
+});
+
+// Virtual for the RRULE string
+eventSeriesSchema.virtual('rrule').get(function() {
+  return this.recurrence && this.recurrence.frequency ? formatRRule(this.recurrence) : null;
+});
+
+// Method to list the start dates of every occurrence
+eventSeriesSchema.methods.getOccurrenceDates = function() {
+  return expandOccurrences(this.recurrence, this.firstStartDate, {
+    exceptions: this.exceptions,
+    timezone: this.timezone
+  });
+};
+
+// Method to build the event data for one occurrence
+eventSeriesSchema.methods.buildOccurrence = function(start) {
+  return {
+    ...JSON.parse(JSON.stringify(this.template || {})),
+    title: this.title,
+    host: this.host,
+    organization: this.organization,
+    dateTime: {
+      start,
+      end: new Date(start.getTime() + this.durationMinutes * 60 * 1000),
+      timezone: this.timezone
+    },
+    series: this._id,
+    occurrenceDate: start
+  };
+};
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
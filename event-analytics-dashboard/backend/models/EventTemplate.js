@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const eventTemplateSchema = new mongoose.Schema({
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Template host is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Template description cannot exceed 500 characters']
+  },
+  // Event fields a new event starts from; dates are stored as a duration
+  // because a template is not tied to a day
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Template event data is required']
+  },
+  // Event the template was saved from, if any
+  sourceEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+eventTemplateSchema.index({ host: 1, name: 1 });
+
+module.exports = mongoose.model('EventTemplate', eventTemplateSchema);
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invitation creator is required']
+  },
+  // 'personal' invitations are for one email address; 'link' invitations
+  // can be shared with anyone
+  kind: {
+    type: String,
+    enum: ['personal', 'link'],
+    default: 'link'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Invitation name cannot exceed 100 characters']
+  },
+  token: {
+    type: String,
+    required: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum uses must be at least 1']
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  openCount: {
+    type: Number,
+    default: 0
+  },
+  lastOpenedAt: {
+    type: Date,
+    default: null
+  },
+  // People who accepted the invitation; they keep access without the token
+  acceptances: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    acceptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+invitationSchema.index({ token: 1 }, { unique: true });
+invitationSchema.index({ event: 1, createdAt: -1 });
+invitationSchema.index({ event: 1, 'acceptances.user': 1 });
+invitationSchema.index({ event: 1, 'acceptances.email': 1 });
+
+// Virtual for remaining uses
+invitationSchema.virtual('remainingUses').get(function() {
+  if (this.maxUses === null || this.maxUses === undefined) return null;
+  return Math.max(0, this.maxUses - this.useCount);
+});
+
+// Middleware to require an email on personal invitations
+invitationSchema.pre('validate', function(next) {
+  if (this.kind === 'personal' && !this.email) {
+    this.invalidate('email', 'Personal invitations need an email address');
+  }
+
+  next();
+});
+
+// Method to check whether the invitation can be used right now.
+// Returns null when usable, otherwise the reason it is not.
+invitationSchema.methods.getUseError = function() {
+  if (this.revokedAt) return 'Invitation has been revoked';
+  if (this.expiresAt && new Date() > this.expiresAt) return 'Invitation has expired';
+  if (this.maxUses !== null && this.maxUses !== undefined && this.useCount >= this.maxUses) {
+    return 'Invitation has reached its usage limit';
+  }
+
+  return null;
+};
+
+// Method to check whether a user or email already accepted the invitation
+invitationSchema.methods.isAcceptedBy = function({ user = null, email = null }) {
+  return this.acceptances.some(acceptance =>
+    (user && acceptance.user && acceptance.user.toString() === user._id.toString()) ||
+    (email && acceptance.email === email)
+  );
+};
+
+// Static method to record an acceptance without exceeding the usage cap;
+// resolves to null if the invitation was used up, expired or revoked
+invitationSchema.statics.accept = function(invitationId, { user = null, email }) {
+  return this.findOneAndUpdate(
+    {
+      _id: invitationId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }] }
+      ]
+    },
+    {
+      $inc: { useCount: 1 },
+      $push: { acceptances: { user: user ? user._id : null, email, acceptedAt: new Date() } }
+    },
+    { new: true }
+  );
+};
+
+// Static method to count an invitation being opened
+invitationSchema.statics.recordOpen = function(invitationId) {
+  return this.updateOne(
+    { _id: invitationId },
+    { $inc: { openCount: 1 }, $set: { lastOpenedAt: new Date() } }
+  );
+};
+
+// Static method for the invitation funnel of an event
+invitationSchema.statics.getEventMetrics = async function(eventId) {
+  const [totals] = await this.aggregate([
+    { $match: { event: eventId } },
+    {
+      $group: {
+        _id: null,
+        invitations: { $sum: 1 },
+        personal: { $sum: { $cond: [{ $eq: ['$kind', 'personal'] }, 1, 0] } },
+        links: { $sum: { $cond: [{ $eq: ['$kind', 'link'] }, 1, 0] } },
+        revoked: { $sum: { $cond: [{ $ne: ['$revokedAt', null] }, 1, 0] } },
+        opened: { $sum: { $cond: [{ $gt: ['$openCount', 0] }, 1, 0] } },
+        opens: { $sum: '$openCount' },
+        accepted: { $sum: '$useCount' }
+      }
+    }
+  ]);
+
+  const {
+    invitations = 0,
+    personal = 0,
+    links = 0,
+    revoked = 0,
+    opened = 0,
+    opens = 0,
+    accepted = 0
+  } = totals || {};
+
+  return {
+    invitations,
+    personal,
+    links,
+    revoked,
+    opened,
+    opens,
+    accepted,
+    openRate: invitations > 0 ? Math.round((opened / invitations) * 100) : 0,
+    acceptRate: opens > 0 ? Math.round((accepted / opens) * 100) : 0
+  };
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
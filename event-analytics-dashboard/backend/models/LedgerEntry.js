@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: [true, 'Ticket reference is required']
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'refund'],
+    required: [true, 'Ledger entry type is required']
+  },
+  // Signed amount: sales are positive, refunds are negative
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR']
+  },
+  ticketNumber: {
+    type: String,
+    uppercase: true
+  },
+  paymentMethod: {
+    type: String,
+    trim: true
+  },
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  refundRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundRequest',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+ledgerEntrySchema.index({ event: 1, createdAt: -1 });
+ledgerEntrySchema.index({ ticket: 1, createdAt: 1 });
+
+// Middleware to keep the ledger append-only
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be changed'));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany'], function(next) {
+  next(new Error('Ledger entries cannot be changed'));
+});
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Build the sale entry for a ticket
+const toSaleEntry = (ticket, recordedBy) => ({
+  event: ticket.event._id || ticket.event,
+  ticket: ticket._id,
+  type: 'sale',
+  amount: roundAmount(ticket.price),
+  currency: ticket.currency,
+  ticketNumber: ticket.ticketNumber,
+  paymentMethod: ticket.paymentMethod,
+  transactionId: ticket.transactionId,
+  description: `Ticket sale (${ticket.ticketType})`,
+  recordedBy
+});
+
+// Static method to record the money taken for a ticket (free tickets are skipped)
+ledgerEntrySchema.statics.recordSale = function(ticket, recordedBy = null) {
+  if (!ticket.price) return null;
+  return this.create(toSaleEntry(ticket, recordedBy));
+};
+
+// Static method to record the sales for a batch of tickets
+ledgerEntrySchema.statics.recordSales = function(tickets, recordedBy = null) {
+  const entries = tickets
+    .filter(ticket => ticket.price > 0)
+    .map(ticket => toSaleEntry(ticket, recordedBy));
+
+  return entries.length > 0 ? this.insertMany(entries) : [];
+};
+
+// Static method to record money given back for a ticket
+ledgerEntrySchema.statics.recordRefund = function(ticket, amount, options = {}) {
+  const { refundRequest = null, recordedBy = null, reason = '' } = options;
+  if (!amount) return null;
+
+  return this.create({
+    event: ticket.event._id || ticket.event,
+    ticket: ticket._id,
+    type: 'refund',
+    amount: -roundAmount(amount),
+    currency: ticket.currency,
+    ticketNumber: ticket.ticketNumber,
+    paymentMethod: ticket.paymentMethod,
+    transactionId: ticket.transactionId,
+    refundRequest,
+    description: reason ? `Refund: ${reason}`.slice(0, 200) : 'Refund',
+    recordedBy
+  });
+};
+
+// Static method to total sales and refunds for a list of events
+ledgerEntrySchema.statics.getRevenueSummary = async function(eventIds, startDate = null) {
+  const match = { event: { $in: eventIds } };
+  if (startDate) {
+    match.createdAt = { $gte: startDate };
+  }
+
+  const [summary] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        grossSales: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$amount', 0] } },
+        refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, { $abs: '$amount' }, 0] } },
+        netRevenue: { $sum: '$amount' },
+        sales: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, 1, 0] } },
+        refundCount: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    grossSales: roundAmount(summary?.grossSales || 0),
+    refunds: roundAmount(summary?.refunds || 0),
+    netRevenue: roundAmount(summary?.netRevenue || 0),
+    sales: summary?.sales || 0,
+    refundCount: summary?.refundCount || 0
+  };
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
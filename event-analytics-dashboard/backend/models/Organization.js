@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { ORGANIZATION_ROLES } = require('../utils/organizationAccess');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Organization slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens'],
+    maxlength: [60, 'Slug cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member user is required']
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      default: 'member'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+organizationSchema.index({ 'members.user': 1, isDeleted: 1 });
+
+// Virtual for member count
+organizationSchema.virtual('memberCount').get(function() {
+  return this.members.length;
+});
+
+// Pre-validate middleware to keep exactly one owner and no duplicate members
+organizationSchema.pre('validate', function(next) {
+  const owners = this.members.filter(member => member.role === 'owner');
+  if (owners.length !== 1) {
+    this.invalidate('members', 'An organization must have exactly one owner');
+  }
+
+  const userIds = this.members.map(member => (member.user._id || member.user).toString());
+  if (new Set(userIds).size !== userIds.length) {
+    this.invalidate('members', 'A user can only be a member once');
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
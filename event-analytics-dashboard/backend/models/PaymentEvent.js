@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Webhook deliveries that have been processed, so a provider retrying the
+// same event never applies it twice
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required'],
+    trim: true
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Provider event id is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    trim: true
+  },
+  intentId: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  // What processing the event did to the ticket
+  outcome: {
+    type: String,
+    enum: ['confirmed', 'failed', 'refunded-late', 'amount-mismatch', 'ignored'],
+    default: 'ignored'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ intentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
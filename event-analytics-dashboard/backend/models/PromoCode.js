@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Promo code creator is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    trim: true,
+    uppercase: true,
+    minlength: [3, 'Promo code must be at least 3 characters'],
+    maxlength: [30, 'Promo code cannot exceed 30 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Promo code can only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum uses must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  allowedTicketTypes: [{
+    type: String,
+    enum: ['regular', 'early-bird', 'vip', 'student', 'group']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+promoCodeSchema.index(
+  { event: 1, code: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+
+// Virtual for remaining uses
+promoCodeSchema.virtual('remainingUses').get(function() {
+  if (this.maxUses === null || this.maxUses === undefined) return null;
+  return Math.max(0, this.maxUses - this.usedCount);
+});
+
+// Middleware to validate discount rules
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+
+  if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    this.invalidate('validUntil', 'Promo code end date must be after start date');
+  }
+
+  next();
+});
+
+// Method to check whether the code can be used for a ticket type right now.
+// Returns null when redeemable, otherwise the reason it is not.
+promoCodeSchema.methods.getRedemptionError = function(ticketType) {
+  const now = new Date();
+
+  if (!this.isActive || this.isDeleted) return 'Promo code is not active';
+  if (this.validFrom && now < this.validFrom) return 'Promo code is not valid yet';
+  if (this.validUntil && now > this.validUntil) return 'Promo code has expired';
+  if (this.maxUses !== null && this.maxUses !== undefined && this.usedCount >= this.maxUses) {
+    return 'Promo code has reached its usage limit';
+  }
+  if (this.allowedTicketTypes.length > 0 && !this.allowedTicketTypes.includes(ticketType)) {
+    return `Promo code is not valid for ${ticketType} tickets`;
+  }
+
+  return null;
+};
+
+// Method to calculate the discount on a price
+promoCodeSchema.methods.calculateDiscount = function(price) {
+  const discount = this.discountType === 'percentage'
+    ? (price * this.discountValue) / 100
+    : this.discountValue;
+
+  return Math.round(Math.min(price, discount) * 100) / 100;
+};
+
+// Static method to count a redemption without exceeding the usage cap;
+// resolves to null if the code was used up in the meantime
+promoCodeSchema.statics.redeem = function(promoCodeId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      isActive: true,
+      isDeleted: false,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give a redemption back
+promoCodeSchema.statics.releaseRedemption = function(promoCodeId) {
+  return this.findOneAndUpdate(
+    { _id: promoCodeId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const refundRequestSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: [true, 'Ticket reference is required']
+  },
+  requesterEmail: {
+    type: String,
+    required: [true, 'Requester email is required'],
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Refund reason cannot exceed 200 characters']
+  },
+  requestedAmount: {
+    type: Number,
+    min: [0, 'Requested amount cannot be negative']
+  },
+  // What the event's refund policy allowed when the request was made
+  eligibleAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Eligible amount cannot be negative']
+  },
+  policyPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'withdrawn'],
+    default: 'pending'
+  },
+  approvedAmount: {
+    type: Number,
+    default: null,
+    min: [0, 'Approved amount cannot be negative']
+  },
+  keepTicket: {
+    type: Boolean,
+    default: false
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Decision note cannot exceed 500 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+refundRequestSchema.index({ event: 1, status: 1, createdAt: -1 });
+refundRequestSchema.index(
+  { ticket: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('RefundRequest', refundRequestSchema);
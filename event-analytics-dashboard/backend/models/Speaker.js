@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const speakerSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Speaker name is required'],
+    trim: true,
+    maxlength: [100, 'Speaker name cannot exceed 100 characters']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Speaker title cannot exceed 100 characters']
+  },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company cannot exceed 100 characters']
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Speaker bio cannot exceed 2000 characters']
+  },
+  avatarUrl: {
+    type: String,
+    trim: true
+  },
+  // Contact address for the host; never shown on the public agenda
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    select: false,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+  links: {
+    website: { type: String, trim: true },
+    twitter: { type: String, trim: true },
+    linkedin: { type: String, trim: true }
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+speakerSchema.index({ event: 1, isDeleted: 1, name: 1 });
+
+module.exports = mongoose.model('Speaker', speakerSchema);
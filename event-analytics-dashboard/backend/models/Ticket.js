@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { signTicketPayload, verifyTicketPayload } = require('../utils/ticketSigner');
 
 const ticketSchema = new mongoose.Schema({
   event: {
@@ -45,6 +47,16 @@ const ticketSchema = new mongoose.Schema({
     enum: ['regular', 'early-bird', 'vip', 'student', 'group', 'complimentary'],
     default: 'regular'
   },
+  tier: {
+    tierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
   price: {
     type: Number,
     required: [true, 'Ticket price is required'],
@@ -70,10 +82,39 @@ const ticketSchema = new mongoose.Schema({
     enum: ['credit-card', 'debit-card', 'paypal', 'bank-transfer', 'cash', 'complimentary'],
     default: 'credit-card'
   },
+  // Payment intent id at the payment provider
   transactionId: {
     type: String,
     trim: true
   },
+  paymentProvider: {
+    type: String,
+    trim: true
+  },
+  // Pending tickets are released if payment has not arrived by then
+  paymentDueAt: {
+    type: Date,
+    default: null
+  },
+  promotion: {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    discountAmount: {
+      type: Number,
+      min: [0, 'Discount amount cannot be negative']
+    },
+    originalPrice: {
+      type: Number,
+      min: [0, 'Original price cannot be negative']
+    }
+  },
   purchaseDate: {
     type: Date,
     default: Date.now
@@ -82,6 +123,17 @@ const ticketSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  checkInGate: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Gate name cannot exceed 50 characters'],
+    default: null
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   qrCode: {
     type: String,
     required: true
@@ -99,6 +151,13 @@ const ticketSchema = new mongoose.Schema({
     phone: { type: String, trim: true },
     relationship: { type: String, trim: true }
   },
+  // Answers to the event's registration form, with the question label as asked
+  formAnswers: [{
+    _id: false,
+    key: { type: String, required: true },
+    label: { type: String },
+    value: mongoose.Schema.Types.Mixed
+  }],
   isDeleted: {
     type: Boolean,
     default: false
@@ -119,7 +178,46 @@ const ticketSchema = new mongoose.Schema({
   refundReason: {
     type: String,
     maxlength: [200, 'Refund reason cannot exceed 200 characters']
-  }
+  },
+  transferHistory: [{
+    fromAttendee: {
+      firstName: { type: String, trim: true },
+      lastName: { type: String, trim: true },
+      email: { type: String, lowercase: true, trim: true }
+    },
+    toAttendee: {
+      firstName: { type: String, trim: true },
+      lastName: { type: String, trim: true },
+      email: { type: String, lowercase: true, trim: true }
+    },
+    previousTicketNumber: {
+      type: String,
+      uppercase: true
+    },
+    newTicketNumber: {
+      type: String,
+      uppercase: true
+    },
+    initiatedBy: {
+      type: String,
+      enum: ['attendee', 'host'],
+      default: 'attendee'
+    },
+    transferredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Transfer reason cannot exceed 200 characters']
+    },
+    transferredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -137,35 +235,84 @@ ticketSchema.index({ 'attendee.email': 1 });
 ticketSchema.index({ ticketNumber: 1 });
 ticketSchema.index({ status: 1 });
 ticketSchema.index({ paymentStatus: 1 });
+ticketSchema.index({ event: 1, status: 1, checkInGate: 1 });
+ticketSchema.index({ event: 1, 'promotion.code': 1 });
+ticketSchema.index({ event: 1, 'tier.tierId': 1 });
+ticketSchema.index({ 'transferHistory.previousTicketNumber': 1 });
+ticketSchema.index({ paymentStatus: 1, paymentDueAt: 1 });
+ticketSchema.index({ isDeleted: 1, deletedAt: 1 });
+ticketSchema.index(
+  { paymentProvider: 1, transactionId: 1 },
+  { unique: true, partialFilterExpression: { transactionId: { $type: 'string' } } }
+);
+
+// Generate a unique ticket number
+const generateTicketNumber = () => {
+  const prefix = 'TKT';
+  const timestamp = Date.now().toString().slice(-6);
+  const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+  return `${prefix}-${timestamp}-${random}`;
+};
+
+// How long an emailed cancel or transfer link stays valid
+const ACTION_TOKEN_EXPIRE = '1h';
 
-// Pre-save middleware to generate ticket number and QR code
-ticketSchema.pre('save', function(next) {
+// Pre-validate middleware to generate ticket number and QR code
+// (runs before validation so the required fields are populated)
+ticketSchema.pre('validate', function(next) {
   if (!this.ticketNumber) {
-    // Generate unique ticket number
-    const prefix = 'TKT';
-    const timestamp = Date.now().toString().slice(-6);
-    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-    this.ticketNumber = `${prefix}-${timestamp}-${random}`;
+    this.ticketNumber = generateTicketNumber();
+  }
+
+  // Transfer history is append-only and only written by transferTo()
+  if (!this.isNew && this.isModified('transferHistory')) {
+    this.invalidate('transferHistory', 'Transfer history cannot be changed');
   }
   
-  if (!this.qrCode) {
-    // Generate QR code data (would be processed by frontend QR library)
-    this.qrCode = JSON.stringify({
+  if (!this.qrCode || this.isModified('ticketNumber') || this.isModified('event')) {
+    // Signed QR payload (rendered by frontend QR library)
+    this.qrCode = signTicketPayload({
       ticketNumber: this.ticketNumber,
-      eventId: this.event,
-      attendeeEmail: this.attendee.email,
-      timestamp: Date.now()
+      eventId: this.event
     });
   }
   
   next();
 });
 
-// Method to check in attendee
-ticketSchema.methods.checkIn = function() {
-  this.status = 'checked-in';
-  this.checkInDate = new Date();
-  return this.save();
+// Method to check whether the ticket still holds a seat
+ticketSchema.methods.isActive = function() {
+  return ['pending', 'confirmed', 'checked-in'].includes(this.status);
+};
+
+// Method to check in attendee. The status is switched with a conditional
+// update so two gates scanning the same ticket cannot both succeed;
+// resolves to the updated ticket, or null if it was not confirmed.
+ticketSchema.methods.checkIn = function(gate = null, checkedInBy = null) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'confirmed', isDeleted: false },
+    {
+      status: 'checked-in',
+      checkInDate: new Date(),
+      checkInGate: gate,
+      checkedInBy
+    },
+    { new: true }
+  );
+};
+
+// Method to undo a check-in; resolves to null if it was not checked in
+ticketSchema.methods.undoCheckIn = function() {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'checked-in', isDeleted: false },
+    {
+      status: 'confirmed',
+      checkInDate: null,
+      checkInGate: null,
+      checkedInBy: null
+    },
+    { new: true }
+  );
 };
 
 // Method to cancel ticket
@@ -175,14 +322,279 @@ ticketSchema.methods.cancel = function(reason = '') {
   return this.save();
 };
 
-// Method to process refund
-ticketSchema.methods.processRefund = function(amount, reason = '') {
-  this.status = 'refunded';
-  this.paymentStatus = 'refunded';
-  this.refundAmount = amount;
-  this.refundDate = new Date();
-  this.refundReason = reason;
-  return this.save();
+// Method to transfer the ticket to another attendee. The ticket number and
+// QR code are reissued so the previous holder's QR stops working. The
+// update is conditional so a ticket cannot be transferred twice at once;
+// resolves to the updated ticket, or null if it changed meanwhile.
+ticketSchema.methods.transferTo = function(newAttendee, options = {}) {
+  const { initiatedBy = 'attendee', transferredBy = null, reason = '' } = options;
+  const newTicketNumber = generateTicketNumber();
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      ticketNumber: this.ticketNumber,
+      status: 'confirmed',
+      isDeleted: false
+    },
+    {
+      $set: {
+        // Personal details belong to the previous holder
+        attendee: {
+          firstName: newAttendee.firstName,
+          lastName: newAttendee.lastName,
+          email: newAttendee.email,
+          phone: newAttendee.phone
+        },
+        dietaryRestrictions: [],
+        emergencyContact: {},
+        ticketNumber: newTicketNumber,
+        qrCode: signTicketPayload({
+          ticketNumber: newTicketNumber,
+          eventId: this.event._id || this.event
+        })
+      },
+      $unset: { specialRequests: '' },
+      $push: {
+        transferHistory: {
+          fromAttendee: {
+            firstName: this.attendee.firstName,
+            lastName: this.attendee.lastName,
+            email: this.attendee.email
+          },
+          toAttendee: {
+            firstName: newAttendee.firstName,
+            lastName: newAttendee.lastName,
+            email: newAttendee.email
+          },
+          previousTicketNumber: this.ticketNumber,
+          newTicketNumber,
+          initiatedBy,
+          transferredBy,
+          reason,
+          transferredAt: new Date()
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Method to generate a short-lived token that lets the holder cancel or
+// transfer the ticket without an account. It is tied to the ticket number,
+// so it stops working once a transfer reissues the number.
+ticketSchema.methods.generateActionToken = function() {
+  return jwt.sign(
+    { purpose: 'ticket-action', ticketNumber: this.ticketNumber },
+    process.env.JWT_SECRET,
+    { expiresIn: ACTION_TOKEN_EXPIRE }
+  );
+};
+
+// Method to check a ticket action token
+ticketSchema.methods.verifyActionToken = function(token) {
+  if (!token) return false;
+
+  try {
+    const claims = jwt.verify(token, process.env.JWT_SECRET);
+    return claims.purpose === 'ticket-action' && claims.ticketNumber === this.ticketNumber;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Method to get how much of the ticket price can still be refunded
+ticketSchema.methods.getRefundableAmount = function() {
+  return Math.max(0, Math.round((this.price - (this.refundAmount || 0)) * 100) / 100);
+};
+
+// Method to process a full or partial refund. Unless keepTicket is set the
+// ticket is marked refunded and stops being valid. The update is conditional
+// so refunds can never add up to more than the ticket price; resolves to the
+// updated ticket, or null if it was refunded meanwhile.
+ticketSchema.methods.processRefund = function(amount, reason = '', options = {}) {
+  const { keepTicket = false } = options;
+  const set = {
+    refundDate: new Date(),
+    refundReason: reason
+  };
+
+  if (!keepTicket) {
+    set.status = 'refunded';
+    set.paymentStatus = 'refunded';
+  } else if (amount >= this.getRefundableAmount()) {
+    set.paymentStatus = 'refunded';
+  }
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: { $ne: 'refunded' },
+      isDeleted: false,
+      // Half a cent of slack absorbs floating point rounding
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$refundAmount', 0] }, amount] },
+          { $add: ['$price', 0.005] }
+        ]
+      }
+    },
+    { $set: set, $inc: { refundAmount: amount } },
+    { new: true }
+  );
+};
+
+// Human readable messages for scan results
+const SCAN_MESSAGES = {
+  valid: 'Ticket is valid',
+  malformed: 'QR code could not be read',
+  forged: 'QR code signature is invalid',
+  superseded: 'QR code has been replaced by a newer one',
+  'not-found': 'Ticket not found',
+  'wrong-event': 'Ticket is for a different event',
+  'already-checked-in': 'Ticket has already been checked in',
+  refunded: 'Ticket has been refunded',
+  cancelled: 'Ticket has been cancelled',
+  'payment-pending': 'Ticket payment has not been completed',
+  transferred: 'Ticket has been transferred to another attendee'
+};
+
+// Build a scan result for a ticket that has already been identified
+const buildScanResult = (reason, ticket = null) => ({
+  accepted: reason === 'valid',
+  reason,
+  message: SCAN_MESSAGES[reason],
+  ticket
+});
+
+// Method to get the admission state of a ticket at the door
+ticketSchema.methods.getAdmissionStatus = function() {
+  if (this.status === 'checked-in') return 'already-checked-in';
+  if (this.status === 'refunded') return 'refunded';
+  if (this.status === 'cancelled') return 'cancelled';
+  if (this.status === 'pending') return 'payment-pending';
+  return 'valid';
+};
+
+// Static method to verify a scanned QR payload against an event.
+// Resolves to { accepted, reason, message, ticket }.
+ticketSchema.statics.verifyScan = async function(payload, eventId) {
+  const decoded = verifyTicketPayload(payload);
+  if (!decoded.valid) {
+    return buildScanResult(decoded.reason);
+  }
+
+  // The signature already proves which event the ticket belongs to
+  if (decoded.eventId !== eventId.toString()) {
+    return buildScanResult('wrong-event');
+  }
+
+  const ticket = await this.findOne({
+    ticketNumber: decoded.ticketNumber,
+    event: eventId,
+    isDeleted: false
+  });
+
+  if (!ticket) {
+    const transferred = await this.exists({
+      'transferHistory.previousTicketNumber': decoded.ticketNumber,
+      event: eventId,
+      isDeleted: false
+    });
+    return buildScanResult(transferred ? 'transferred' : 'not-found');
+  }
+
+  if (ticket.qrCode !== payload.trim()) {
+    return buildScanResult('superseded', ticket);
+  }
+
+  return buildScanResult(ticket.getAdmissionStatus(), ticket);
+};
+
+// Static method to verify a manually entered ticket number against an event
+ticketSchema.statics.verifyTicketNumber = async function(ticketNumber, eventId) {
+  const normalized = ticketNumber.trim().toUpperCase();
+  const ticket = await this.findOne({
+    ticketNumber: normalized,
+    isDeleted: false
+  });
+
+  if (!ticket) {
+    const transferred = await this.exists({
+      'transferHistory.previousTicketNumber': normalized,
+      event: eventId,
+      isDeleted: false
+    });
+    return buildScanResult(transferred ? 'transferred' : 'not-found');
+  }
+
+  if (ticket.event.toString() !== eventId.toString()) {
+    return buildScanResult('wrong-event');
+  }
+
+  return buildScanResult(ticket.getAdmissionStatus(), ticket);
+};
+
+// Static method to get sales per ticket tier for a list of events.
+// Resolves to one row per tier with inventory and revenue figures.
+ticketSchema.statics.getTierSales = async function(events) {
+  const sales = await this.aggregate([
+    {
+      $match: {
+        event: { $in: events.map(event => event._id) },
+        isDeleted: false,
+        'tier.tierId': { $ne: null }
+      }
+    },
+    {
+      $group: {
+        _id: { event: '$event', tier: '$tier.tierId' },
+        tickets: { $sum: 1 },
+        activeTickets: {
+          $sum: { $cond: [{ $in: ['$status', ['pending', 'confirmed', 'checked-in']] }, 1, 0] }
+        },
+        checkedIn: {
+          $sum: { $cond: [{ $eq: ['$status', 'checked-in'] }, 1, 0] }
+        },
+        // Only money actually taken counts; refunds are subtracted separately
+        grossRevenue: {
+          $sum: { $cond: [{ $in: ['$paymentStatus', ['completed', 'refunded']] }, '$price', 0] }
+        },
+        refundedAmount: { $sum: '$refundAmount' }
+      }
+    }
+  ]);
+
+  const salesByTier = new Map(
+    sales.map(item => [`${item._id.event}:${item._id.tier}`, item])
+  );
+
+  return events.flatMap(event => event.ticketTiers.map(tier => {
+    const stats = salesByTier.get(`${event._id}:${tier._id}`) || {};
+    const grossRevenue = stats.grossRevenue || 0;
+    const refundedAmount = stats.refundedAmount || 0;
+
+    return {
+      eventId: event._id,
+      eventTitle: event.title,
+      tierId: tier._id,
+      name: tier.name,
+      ticketType: tier.ticketType,
+      price: tier.price,
+      currency: event.ticketInfo.currency,
+      visibility: tier.visibility,
+      isActive: tier.isActive,
+      quantity: tier.quantity,
+      sold: tier.sold,
+      remaining: Math.max(0, tier.quantity - tier.sold),
+      tickets: stats.tickets || 0,
+      activeTickets: stats.activeTickets || 0,
+      checkedIn: stats.checkedIn || 0,
+      grossRevenue,
+      refundedAmount,
+      netRevenue: grossRevenue - refundedAmount
+    };
+  }));
 };
 
 module.exports = mongoose.model('Ticket', ticketSchema);
\ No newline at end of file
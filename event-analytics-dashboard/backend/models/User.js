@@ -41,6 +41,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  avatarThumbnail: {
+    type: String,
+    default: null
+  },
+  // Storage keys of an uploaded avatar, removed when it is replaced
+  avatarKeys: {
+    type: [String],
+    select: false
+  },
   phone: {
     type: String,
     trim: true,
@@ -82,6 +91,11 @@ const userSchema = new mongoose.Schema({
   emailVerificationToken: {
     type: String,
     select: false
+  },
+  // Secret in the URL of the user's personal calendar feed
+  calendarToken: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true,
@@ -105,6 +119,7 @@ userSchema.virtual('hostedEvents', {
 // Index for performance
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -157,4 +172,10 @@ userSchema.methods.generateResetPasswordToken = function() {
   return resetToken;
 };
 
+// Method to generate a new calendar feed token; the old feed URL stops working
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = require('crypto').randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
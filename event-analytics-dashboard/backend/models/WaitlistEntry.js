@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event reference is required']
+  },
+  attendee: {
+    firstName: {
+      type: String,
+      required: [true, 'First name is required'],
+      trim: true,
+      maxlength: [50, 'First name cannot exceed 50 characters']
+    },
+    lastName: {
+      type: String,
+      required: [true, 'Last name is required'],
+      trim: true,
+      maxlength: [50, 'Last name cannot exceed 50 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        'Please provide a valid email'
+      ]
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  ticketType: {
+    type: String,
+    enum: ['regular', 'early-bird', 'vip', 'student', 'group', 'complimentary'],
+    default: 'regular'
+  },
+  tier: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Registration form answers, copied to the ticket when the seat is claimed
+  formAnswers: [{
+    _id: false,
+    key: { type: String, required: true },
+    label: { type: String },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'left'],
+    default: 'waiting'
+  },
+  offeredAt: {
+    type: Date,
+    default: null
+  },
+  offerExpiresAt: {
+    type: Date,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  claimToken: {
+    type: String,
+    select: false
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+waitlistEntrySchema.index({ event: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ event: 1, 'attendee.email': 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+// Virtual for full name
+waitlistEntrySchema.virtual('attendeeFullName').get(function() {
+  return `${this.attendee.firstName} ${this.attendee.lastName}`;
+});
+
+// Method to generate the token the attendee uses to manage the entry
+waitlistEntrySchema.methods.generateClaimToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.claimToken = crypto.createHash('sha256').update(token).digest('hex');
+  return token;
+};
+
+// Method to check a claim token
+waitlistEntrySchema.methods.verifyClaimToken = function(token) {
+  if (!token || !this.claimToken) return false;
+  const hashed = crypto.createHash('sha256').update(token).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(hashed), Buffer.from(this.claimToken));
+};
+
+// Method to get the position of a waiting entry (1-based)
+waitlistEntrySchema.methods.getPosition = async function() {
+  if (this.status !== 'waiting') return null;
+
+  const ahead = await this.constructor.countDocuments({
+    event: this.event,
+    status: 'waiting',
+    isDeleted: false,
+    $or: [
+      { createdAt: { $lt: this.createdAt } },
+      { createdAt: this.createdAt, _id: { $lt: this._id } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
+// Static method to offer free seats to the front of the waitlist.
+// Each offer holds one seat on the event (analytics.heldSpots) until it is
+// claimed or expires. Resolves to the entries that received an offer.
+waitlistEntrySchema.statics.promoteNext = async function(eventId) {
+  const Event = mongoose.model('Event');
+  const offered = [];
+
+  while (true) {
+    const event = await Event.findById(eventId).select('settings isDeleted');
+    if (!event || event.isDeleted || !event.settings.allowWaitlist) break;
+
+    const nextEntry = await this.findOne({ event: eventId, status: 'waiting', isDeleted: false })
+      .sort({ createdAt: 1, _id: 1 });
+    if (!nextEntry) break;
+
+    const held = await Event.holdSpot(eventId);
+    if (!held) break;
+
+    const claimWindowMs = event.settings.waitlistClaimWindowHours * 60 * 60 * 1000;
+    const now = new Date();
+    const entry = await this.findOneAndUpdate(
+      { _id: nextEntry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + claimWindowMs)
+      },
+      { new: true }
+    );
+
+    if (!entry) {
+      // Entry left the queue meanwhile; give the hold back and try again
+      await Event.releaseHeldSpot(eventId);
+      continue;
+    }
+
+    offered.push(entry);
+  }
+
+  return offered;
+};
+
+// Static method to expire unclaimed offers and pass their seats on.
+// `filter` narrows the entries checked, e.g. to one event.
+waitlistEntrySchema.statics.expireOffers = async function(filter = {}) {
+  const Event = mongoose.model('Event');
+  const expired = await this.find({
+    ...filter,
+    status: 'offered',
+    offerExpiresAt: { $lte: new Date() },
+    isDeleted: false
+  });
+
+  for (const entry of expired) {
+    const updated = await this.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { status: 'expired' },
+      { new: true }
+    );
+
+    if (updated) {
+      await Event.releaseHeldSpot(entry.event);
+      await this.promoteNext(entry.event);
+    }
+  }
+
+  return expired.length;
+};
+
+// Static method to get waitlist metrics for an event
+waitlistEntrySchema.statics.getEventMetrics = async function(eventId) {
+  const counts = await this.aggregate([
+    { $match: { event: eventId, isDeleted: false } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const byStatus = counts.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {});
+
+  const waiting = byStatus.waiting || 0;
+  const offered = byStatus.offered || 0;
+  const claimed = byStatus.claimed || 0;
+  const expired = byStatus.expired || 0;
+  const offersMade = offered + claimed + expired;
+
+  return {
+    size: waiting,
+    pendingOffers: offered,
+    claimed,
+    expired,
+    left: byStatus.left || 0,
+    offersMade,
+    conversionRate: offersMade > 0 ? Math.round((claimed / offersMade) * 100) : 0
+  };
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,75 @@
+const { createMockGateway } = require('./mockGateway');
+
+// Every payment provider adapter must implement these methods:
+//   createIntent({ amount, currency, reference, metadata }) -> { id, status, amount, currency, clientSecret }
+//   confirmIntent(intentId, { paymentMethodToken, clientSecret }) -> { intent, webhook? }
+//   refund(intentId, amount) -> { id, status, amount }
+//   verifyWebhook(rawBody, headers) -> { id, type, intentId, amount, currency, data }
+// verifyWebhook must throw when the signature does not match. Normalized
+// event types are payment.succeeded, payment.failed and refund.succeeded.
+const REQUIRED_METHODS = ['createIntent', 'confirmIntent', 'refund', 'verifyWebhook'];
+
+// Adapter factories by provider name
+const factories = {
+  mock: createMockGateway
+};
+
+// Adapters are created once so in-memory providers keep their state
+const instances = new Map();
+
+// Register a payment provider adapter factory
+const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+// The configured provider name. Only development falls back to the mock
+// gateway; anywhere else PAYMENT_PROVIDER has to be set.
+const getDefaultProviderName = () => {
+  if (process.env.PAYMENT_PROVIDER) {
+    return process.env.PAYMENT_PROVIDER;
+  }
+
+  if ((process.env.NODE_ENV || 'development') !== 'development') {
+    throw new Error('PAYMENT_PROVIDER is not configured');
+  }
+
+  return 'mock';
+};
+
+// Get a payment provider adapter by name (defaults to PAYMENT_PROVIDER)
+const getPaymentProvider = (name = getDefaultProviderName()) => {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+
+  const factory = factories[name];
+  if (!factory) {
+    const error = new Error(`Unknown payment provider '${name}'`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const adapter = factory();
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider '${name}' is missing: ${missing.join(', ')}`);
+  }
+
+  adapter.name = adapter.name || name;
+  instances.set(name, adapter);
+  return adapter;
+};
+
+// Create the configured provider at startup, so a missing provider or
+// webhook secret stops the server instead of failing the first payment
+const validatePaymentConfig = () => {
+  getPaymentProvider();
+};
+
+module.exports = {
+  REQUIRED_METHODS,
+  registerPaymentProvider,
+  getPaymentProvider,
+  validatePaymentConfig
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+
+// Test tokens that make the mock gateway decline a payment
+const DECLINE_TOKENS = {
+  tok_chargeDeclined: 'card_declined',
+  tok_insufficientFunds: 'insufficient_funds',
+  tok_expiredCard: 'expired_card'
+};
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Errors the API can pass straight back to the caller
+const gatewayError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// The webhook signing secret. Outside development it must be configured;
+// in development an unset secret is generated per process, which is enough
+// because the mock gateway's webhooks are built and verified in-process.
+const getWebhookSecret = (options) => {
+  const secret = options.webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (secret) {
+    return secret;
+  }
+
+  if ((process.env.NODE_ENV || 'development') !== 'development') {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Deterministic local payment gateway for development and tests. It keeps
+// intents in memory, derives every id from its inputs so the same request
+// always produces the same result, and signs its webhooks like a real
+// provider. Confirming an intent returns the webhook the provider would
+// send, so callers can push it through the normal webhook handler.
+const createMockGateway = (options = {}) => {
+  const secret = getWebhookSecret(options);
+  const intents = new Map();
+
+  const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  // Build a signed webhook delivery for an intent
+  const buildWebhook = (type, intent, extra = {}) => {
+    const body = JSON.stringify({
+      id: `mock_evt_${hash(`${intent.id}:${type}:${extra.refundId || ''}`).slice(0, 24)}`,
+      type,
+      data: {
+        intentId: intent.id,
+        amount: extra.amount !== undefined ? extra.amount : intent.amount,
+        currency: intent.currency,
+        reference: intent.reference,
+        ...extra
+      }
+    });
+
+    return {
+      body,
+      headers: { [SIGNATURE_HEADER]: sign(body) }
+    };
+  };
+
+  return {
+    name: 'mock',
+
+    async createIntent({ amount, currency, reference, metadata = {} }) {
+      const id = `mock_pi_${hash(`${reference}:${toCents(amount)}:${currency}`).slice(0, 24)}`;
+
+      // Creating the same intent twice returns the original one
+      if (!intents.has(id)) {
+        intents.set(id, {
+          id,
+          amount,
+          currency,
+          reference: String(reference),
+          metadata,
+          status: 'requires_confirmation',
+          refunded: 0,
+          clientSecret: `${id}_secret_${hash(`${secret}:${id}`).slice(0, 16)}`
+        });
+      }
+
+      const intent = intents.get(id);
+      return {
+        id: intent.id,
+        status: intent.status,
+        amount: intent.amount,
+        currency: intent.currency,
+        clientSecret: intent.clientSecret
+      };
+    },
+
+    async confirmIntent(intentId, { paymentMethodToken = 'tok_visa', clientSecret } = {}) {
+      const intent = intents.get(intentId);
+      if (!intent) {
+        throw gatewayError('Payment intent not found', 404);
+      }
+
+      if (clientSecret !== intent.clientSecret) {
+        throw gatewayError('Invalid client secret for this payment', 403);
+      }
+
+      if (intent.status === 'requires_confirmation') {
+        const declineCode = DECLINE_TOKENS[paymentMethodToken];
+        intent.status = declineCode ? 'failed' : 'succeeded';
+        intent.declineCode = declineCode || null;
+      }
+
+      const webhook = intent.status === 'succeeded'
+        ? buildWebhook('payment.succeeded', intent)
+        : buildWebhook('payment.failed', intent, { declineCode: intent.declineCode });
+
+      return {
+        intent: { id: intent.id, status: intent.status, declineCode: intent.declineCode },
+        webhook
+      };
+    },
+
+    async refund(intentId, amount) {
+      const intent = intents.get(intentId);
+      if (!intent || intent.status !== 'succeeded') {
+        throw gatewayError('Payment cannot be refunded', 409);
+      }
+
+      if (toCents(intent.refunded + amount) > toCents(intent.amount)) {
+        throw gatewayError('Refund exceeds the amount paid', 409);
+      }
+
+      intent.refunded += amount;
+      const refundId = `mock_re_${hash(`${intentId}:${toCents(intent.refunded)}`).slice(0, 24)}`;
+
+      return {
+        id: refundId,
+        status: 'succeeded',
+        amount,
+        webhook: buildWebhook('refund.succeeded', intent, { amount, refundId })
+      };
+    },
+
+    verifyWebhook(rawBody, headers = {}) {
+      const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+      const signature = String(headers[SIGNATURE_HEADER] || '');
+      const expected = sign(body);
+
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw gatewayError('Invalid webhook signature', 400);
+      }
+
+      const event = JSON.parse(body);
+      return {
+        id: event.id,
+        type: event.type,
+        intentId: event.data.intentId,
+        amount: event.data.amount,
+        currency: event.data.currency,
+        data: event.data
+      };
+    }
+  };
+};
+
+module.exports = {
+  createMockGateway,
+  DECLINE_TOKENS
+};
@@ -0,0 +1,132 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getEventAgenda,
+  updateAgendaLayout,
+  createSpeaker,
+  getSpeaker,
+  updateSpeaker,
+  deleteSpeaker,
+  createAgendaSession,
+  getAgendaSession,
+  updateAgendaSession,
+  deleteAgendaSession,
+  getAgendaConflicts
+} = require('../controllers/agendaController');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Agenda layout validation rules
+const layoutValidation = [
+  body('tracks')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Maximum 50 tracks allowed'),
+  body('tracks.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid track ID'),
+  body('tracks.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Track name must be between 1 and 100 characters'),
+  body('tracks.*.color')
+    .optional({ checkFalsy: true })
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Track color must be a hex color such as #1E88E5'),
+  body('rooms')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Maximum 100 rooms allowed'),
+  body('rooms.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid room ID'),
+  body('rooms.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Room name must be between 1 and 100 characters'),
+  body('rooms.*.capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Room capacity must be a positive integer')
+];
+
+// Speaker validation rules
+const speakerValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Speaker name must be between 1 and 100 characters'),
+    body('bio')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Speaker bio cannot exceed 2000 characters'),
+    body('avatarUrl')
+      .optional({ checkFalsy: true })
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Avatar must be a valid http(s) URL'),
+    body('email')
+      .optional({ checkFalsy: true })
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+    body(['links.website', 'links.twitter', 'links.linkedin'])
+      .optional({ checkFalsy: true })
+      .isURL()
+      .withMessage('Speaker links must be valid URLs')
+  ];
+};
+
+// Session validation rules
+const sessionValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('title'))
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Session title must be between 1 and 200 characters'),
+    body('type')
+      .optional()
+      .isIn(['talk', 'keynote', 'workshop', 'panel', 'break', 'networking', 'other'])
+      .withMessage('Invalid session type'),
+    required(body('startTime'))
+      .isISO8601()
+      .withMessage('Start time must be a valid ISO 8601 date'),
+    required(body('endTime'))
+      .isISO8601()
+      .withMessage('End time must be a valid ISO 8601 date'),
+    body(['track', 'room'])
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid track or room ID'),
+    body('speakers')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Maximum 20 speakers per session'),
+    body('speakers.*')
+      .isMongoId()
+      .withMessage('Invalid speaker ID')
+  ];
+};
+
+// Routes
+router.get('/event/:eventId', optionalAuth, getEventAgenda);
+router.put('/event/:eventId/layout', protect, layoutValidation, updateAgendaLayout);
+router.get('/event/:eventId/conflicts', protect, getAgendaConflicts);
+router.post('/event/:eventId/speakers', protect, speakerValidation(), createSpeaker);
+router.post('/event/:eventId/sessions', protect, sessionValidation(), createAgendaSession);
+router.get('/speakers/:id', optionalAuth, getSpeaker);
+router.put('/speakers/:id', protect, speakerValidation(true), updateSpeaker);
+router.delete('/speakers/:id', protect, deleteSpeaker);
+router.get('/sessions/:id', optionalAuth, getAgendaSession);
+router.put('/sessions/:id', protect, sessionValidation(true), updateAgendaSession);
+router.delete('/sessions/:id', protect, deleteAgendaSession);
+
+module.exports = router;
@@ -3,136 +3,277 @@ const { protect } = require('../middleware/auth');
 const Event = require('../models/Event');
 const Ticket = require('../models/Ticket');
 const CursorLog = require('../models/CursorLog');
+const PromoCode = require('../models/PromoCode');
+const LedgerEntry = require('../models/LedgerEntry');
+const AgendaSession = require('../models/AgendaSession');
+const Organization = require('../models/Organization');
+const EventSeries = require('../models/EventSeries');
+const { canAccessEvent, accessibleEventsQuery } = require('../utils/eventAccess');
+const { canAccessOrganization, organizationEventsQuery } = require('../utils/organizationAccess');
+const { buildAnswerPipeline, formatAnswerBreakdown } = require('../utils/registrationForms');
 
 const router = express.Router();
 
+// Start of a dashboard time range such as '7d' or '1y'
+const getRangeStart = (timeRange) => {
+  const now = new Date();
+  let startDate;
+  
+  switch (timeRange) {
+    case '7d':
+      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+      break;
+    case '30d':
+      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+      break;
+    case '90d':
+      startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+      break;
+    case '1y':
+      startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
+      break;
+    default:
+      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  }
+
+  return startDate;
+};
+
+// Roll up the occurrences of each recurring series among the events
+const buildSeriesStats = async (events) => {
+  const seriesGroups = events.reduce((acc, event) => {
+    if (!event.series) return acc;
+    const key = event.series.toString();
+    (acc[key] = acc[key] || []).push(event);
+    return acc;
+  }, {});
+
+  const seriesIds = Object.keys(seriesGroups);
+  if (seriesIds.length === 0) return [];
+
+  const now = new Date();
+  const seriesDocs = await EventSeries.find({ _id: { $in: seriesIds } })
+    .select('title status recurrence');
+
+  return seriesDocs.map(series => {
+    const occurrences = seriesGroups[series._id.toString()];
+    const sum = (getValue) => occurrences.reduce((total, event) => total + (getValue(event) || 0), 0);
+
+    return {
+      seriesId: series._id,
+      title: series.title,
+      status: series.status,
+      rrule: series.rrule,
+      occurrences: occurrences.length,
+      upcomingOccurrences: occurrences.filter(event => event.dateTime.start > now).length,
+      completedOccurrences: occurrences.filter(event => event.dateTime.end < now).length,
+      totalCapacity: sum(event => event.venue.capacity),
+      totalRegistrations: sum(event => event.analytics.totalRegistrations),
+      totalRevenue: sum(event => event.analytics.totalRevenue),
+      totalPageViews: sum(event => event.analytics.pageViews)
+    };
+  });
+};
+
+// Aggregate tickets, engagement, trends and revenue over a set of events
+const buildDashboardAnalytics = async (events, startDate) => {
+  const eventIds = events.map(event => event._id);
+
+  // Get ticket analytics
+  const ticketAnalytics = await Ticket.aggregate([
+    {
+      $match: {
+        event: { $in: eventIds },
+        isDeleted: false,
+        createdAt: { $gte: startDate }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalTickets: { $sum: 1 },
+        confirmedTickets: {
+          $sum: { $cond: [{ $eq: ['$status', 'confirmed'] }, 1, 0] }
+        },
+        checkedInTickets: {
+          $sum: { $cond: [{ $eq: ['$status', 'checked-in'] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  // Get cursor analytics
+  const cursorAnalytics = await CursorLog.aggregate([
+    {
+      $match: {
+        eventId: { $in: eventIds },
+        isDeleted: false,
+        createdAt: { $gte: startDate }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalSessions: { $sum: 1 },
+        totalClicks: { $sum: '$sessionMetrics.totalClicks' },
+        totalScrolls: { $sum: '$sessionMetrics.totalScrolls' },
+        avgSessionDuration: { $avg: '$sessionMetrics.duration' }
+      }
+    }
+  ]);
+
+  // Get event trends
+  const eventTrends = await Event.aggregate([
+    {
+      $match: {
+        _id: { $in: eventIds }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          year: { $year: '$createdAt' },
+          month: { $month: '$createdAt' },
+          day: { $dayOfMonth: '$createdAt' }
+        },
+        count: { $sum: 1 },
+        totalRegistrations: { $sum: '$analytics.totalRegistrations' },
+        totalRevenue: { $sum: '$analytics.totalRevenue' }
+      }
+    },
+    { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+  ]);
+
+  // Get sales per ticket tier
+  const tierSales = await Ticket.getTierSales(events);
+
+  // Revenue comes from the ledger so it is net of refunds
+  const revenue = await LedgerEntry.getRevenueSummary(eventIds, startDate);
+
+  const analytics = {
+    overview: {
+      totalEvents: events.length,
+      totalTickets: ticketAnalytics[0]?.totalTickets || 0,
+      totalRevenue: revenue.netRevenue,
+      grossRevenue: revenue.grossSales,
+      totalRefunds: revenue.refunds,
+      totalSessions: cursorAnalytics[0]?.totalSessions || 0,
+      avgSessionDuration: cursorAnalytics[0]?.avgSessionDuration || 0,
+      attendanceRate: ticketAnalytics[0] ? 
+        Math.round((ticketAnalytics[0].checkedInTickets / ticketAnalytics[0].totalTickets) * 100) : 0
+    },
+    trends: eventTrends,
+    engagement: {
+      totalClicks: cursorAnalytics[0]?.totalClicks || 0,
+      totalScrolls: cursorAnalytics[0]?.totalScrolls || 0,
+      avgClicksPerSession: cursorAnalytics[0] ? 
+        Math.round(cursorAnalytics[0].totalClicks / cursorAnalytics[0].totalSessions) : 0
+    },
+    tiers: tierSales,
+    series: await buildSeriesStats(events)
+  };
+
+  return analytics;
+};
+
 // @desc    Get dashboard analytics
 // @route   GET /api/analytics/dashboard
 // @access  Private
 const getDashboardAnalytics = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const { timeRange = '30d' } = req.query;
-
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-    
-    switch (timeRange) {
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '90d':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      case '1y':
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    }
+    const startDate = getRangeStart(req.query.timeRange);
 
-    // Get user's events
-    const events = await Event.find({
-      host: userId,
+    // Get events the user hosts or co-hosts with analytics access,
+    // optionally only the occurrences of one series
+    const query = {
+      ...accessibleEventsQuery(userId, 'analytics'),
       isDeleted: false,
       createdAt: { $gte: startDate }
+    };
+    if (req.query.seriesId) {
+      query.series = req.query.seriesId;
+    }
+
+    const events = await Event.find(query);
+
+    const analytics = await buildDashboardAnalytics(events, startDate);
+
+    res.json({
+      success: true,
+      data: analytics
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const eventIds = events.map(event => event._id);
+// @desc    Get dashboard analytics across all events of an organization
+// @route   GET /api/analytics/organizations/:organizationId/dashboard
+// @access  Private (organization members)
+const getOrganizationDashboard = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.organizationId)
+      .populate('members.user', 'firstName lastName email avatar');
 
-    // Get ticket analytics
-    const ticketAnalytics = await Ticket.aggregate([
-      {
-        $match: {
-          event: { $in: eventIds },
-          isDeleted: false,
-          createdAt: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalTickets: { $sum: 1 },
-          totalRevenue: { $sum: '$price' },
-          confirmedTickets: {
-            $sum: { $cond: [{ $eq: ['$status', 'confirmed'] }, 1, 0] }
-          },
-          checkedInTickets: {
-            $sum: { $cond: [{ $eq: ['$status', 'checked-in'] }, 1, 0] }
-          }
-        }
-      }
-    ]);
+    if (!organization || organization.isDeleted || !canAccessOrganization(req.user, organization)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const startDate = getRangeStart(req.query.timeRange);
 
-    // Get cursor analytics
-    const cursorAnalytics = await CursorLog.aggregate([
+    const events = await Event.find({
+      ...organizationEventsQuery(organization._id),
+      createdAt: { $gte: startDate }
+    });
+
+    const analytics = await buildDashboardAnalytics(events, startDate);
+
+    // Break the numbers down by host so each member's share is visible
+    const revenueByEvent = await LedgerEntry.aggregate([
       {
         $match: {
-          eventId: { $in: eventIds },
+          event: { $in: events.map(event => event._id) },
           createdAt: { $gte: startDate }
         }
       },
       {
         $group: {
-          _id: null,
-          totalSessions: { $sum: 1 },
-          totalClicks: { $sum: '$sessionMetrics.totalClicks' },
-          totalScrolls: { $sum: '$sessionMetrics.totalScrolls' },
-          avgSessionDuration: { $avg: '$sessionMetrics.duration' }
+          _id: '$event',
+          netRevenue: { $sum: '$amount' }
         }
       }
     ]);
+    const revenue = new Map(revenueByEvent.map(item => [item._id.toString(), item.netRevenue]));
 
-    // Get event trends
-    const eventTrends = await Event.aggregate([
-      {
-        $match: {
-          host: userId,
-          isDeleted: false,
-          createdAt: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' },
-            day: { $dayOfMonth: '$createdAt' }
-          },
-          count: { $sum: 1 },
-          totalRegistrations: { $sum: '$analytics.totalRegistrations' },
-          totalRevenue: { $sum: '$analytics.totalRevenue' }
-        }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
-    ]);
+    const members = organization.members.filter(member => member.user).map(member => {
+      const hosted = events.filter(event => event.host.equals(member.user._id));
 
-    const analytics = {
-      overview: {
-        totalEvents: events.length,
-        totalTickets: ticketAnalytics[0]?.totalTickets || 0,
-        totalRevenue: ticketAnalytics[0]?.totalRevenue || 0,
-        totalSessions: cursorAnalytics[0]?.totalSessions || 0,
-        avgSessionDuration: cursorAnalytics[0]?.avgSessionDuration || 0,
-        attendanceRate: ticketAnalytics[0] ? 
-          Math.round((ticketAnalytics[0].checkedInTickets / ticketAnalytics[0].totalTickets) * 100) : 0
-      },
-      trends: eventTrends,
-      engagement: {
-        totalClicks: cursorAnalytics[0]?.totalClicks || 0,
-        totalScrolls: cursorAnalytics[0]?.totalScrolls || 0,
-        avgClicksPerSession: cursorAnalytics[0] ? 
-          Math.round(cursorAnalytics[0].totalClicks / cursorAnalytics[0].totalSessions) : 0
-      }
-    };
+      return {
+        user: member.user,
+        role: member.role,
+        totalEvents: hosted.length,
+        totalRegistrations: hosted.reduce((sum, event) => sum + event.analytics.totalRegistrations, 0),
+        totalRevenue: Math.round(
+          hosted.reduce((sum, event) => sum + (revenue.get(event._id.toString()) || 0), 0) * 100
+        ) / 100
+      };
+    });
 
     res.json({
       success: true,
-      data: analytics
+      data: {
+        organization: {
+          id: organization._id,
+          name: organization.name,
+          slug: organization.slug
+        },
+        ...analytics,
+        members
+      }
     });
   } catch (error) {
     next(error);
@@ -147,9 +288,9 @@ const getCursorHeatmap = async (req, res, next) => {
     const { eventId } = req.params;
     const { page, startDate, endDate } = req.query;
 
-    // Verify event ownership
+    // Verify the user may view this event's analytics
     const event = await Event.findById(eventId);
-    if (!event || event.host.toString() !== req.user._id.toString()) {
+    if (!event || !canAccessEvent(req.user, event, 'analytics')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -167,8 +308,355 @@ const getCursorHeatmap = async (req, res, next) => {
   }
 };
 
+// @desc    Get promo code redemption and revenue report
+// @route   GET /api/analytics/promo-codes/:eventId
+// @access  Private
+const getPromoCodeReport = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+
+    // Verify the user may view this event's analytics
+    const event = await Event.findById(eventId);
+    if (!event || !canAccessEvent(req.user, event, 'analytics')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [promoCodes, redemptions] = await Promise.all([
+      PromoCode.find({ event: event._id }).sort({ createdAt: 1 }),
+      Ticket.aggregate([
+        {
+          $match: {
+            event: event._id,
+            isDeleted: false,
+            'promotion.code': { $exists: true, $ne: null }
+          }
+        },
+        {
+          $group: {
+            _id: '$promotion.code',
+            redemptions: { $sum: 1 },
+            seatsSold: {
+              $sum: { $cond: [{ $in: ['$status', ['confirmed', 'checked-in']] }, 1, 0] }
+            },
+            // Unpaid redemptions (pending, failed or cancelled) brought in nothing
+            grossRevenue: {
+              $sum: { $cond: [{ $in: ['$paymentStatus', ['completed', 'refunded']] }, '$price', 0] }
+            },
+            refundedAmount: { $sum: '$refundAmount' },
+            discountGiven: { $sum: '$promotion.discountAmount' },
+            firstRedeemedAt: { $min: '$createdAt' },
+            lastRedeemedAt: { $max: '$createdAt' }
+          }
+        }
+      ])
+    ]);
+
+    const redemptionsByCode = new Map(redemptions.map(item => [item._id, item]));
+
+    const codes = promoCodes.map(promoCode => {
+      const stats = redemptionsByCode.get(promoCode.code) || {};
+      const grossRevenue = stats.grossRevenue || 0;
+      const refundedAmount = stats.refundedAmount || 0;
+
+      return {
+        code: promoCode.code,
+        description: promoCode.description,
+        discountType: promoCode.discountType,
+        discountValue: promoCode.discountValue,
+        isActive: promoCode.isActive && !promoCode.isDeleted,
+        maxUses: promoCode.maxUses,
+        redemptions: stats.redemptions || 0,
+        seatsSold: stats.seatsSold || 0,
+        grossRevenue,
+        netRevenue: grossRevenue - refundedAmount,
+        discountGiven: stats.discountGiven || 0,
+        firstRedeemedAt: stats.firstRedeemedAt || null,
+        lastRedeemedAt: stats.lastRedeemedAt || null
+      };
+    });
+
+    const totals = codes.reduce((acc, code) => ({
+      redemptions: acc.redemptions + code.redemptions,
+      seatsSold: acc.seatsSold + code.seatsSold,
+      netRevenue: acc.netRevenue + code.netRevenue,
+      discountGiven: acc.discountGiven + code.discountGiven
+    }), { redemptions: 0, seatsSold: 0, netRevenue: 0, discountGiven: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        codes: codes.sort((a, b) => b.netRevenue - a.netRevenue),
+        totals
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the answer breakdown for an event's registration form
+// @route   GET /api/analytics/registration-form/:eventId
+// @access  Private
+const getRegistrationFormReport = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+
+    // Verify the user may view this event's analytics
+    const event = await Event.findById(eventId);
+    if (!event || !canAccessEvent(req.user, event, 'analytics')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [result] = await Ticket.aggregate(buildAnswerPipeline(event._id, event.registrationForm));
+
+    res.json({
+      success: true,
+      data: formatAnswerBreakdown(event.registrationForm, result)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the money ledger for an event
+// @route   GET /api/analytics/ledger/:eventId
+// @access  Private
+const getEventLedger = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, type } = req.query;
+
+    // Verify the user may view this event's analytics
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !canAccessEvent(req.user, event, 'analytics')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const query = { event: event._id };
+    if (type) {
+      query.type = type;
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [entries, total, summary] = await Promise.all([
+      LedgerEntry.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum),
+      LedgerEntry.countDocuments(query),
+      LedgerEntry.getRevenueSummary([event._id])
+    ]);
+
+    // The running revenue counter on the event should match the ledger
+    const difference = Math.round((event.analytics.totalRevenue - summary.netRevenue) * 100) / 100;
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        summary,
+        reconciliation: {
+          ledgerNetRevenue: summary.netRevenue,
+          eventTotalRevenue: event.analytics.totalRevenue,
+          difference,
+          balanced: difference === 0
+        },
+        pagination: {
+          current: pageNum,
+          pages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get engagement per agenda session
+// @route   GET /api/analytics/sessions/:eventId
+// @access  Private
+const getAgendaSessionAnalytics = async (req, res, next) => {
+  try {
+    // Verify the user may view this event's analytics
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !canAccessEvent(req.user, event, 'analytics')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [sessions, engagement] = await Promise.all([
+      AgendaSession.find({ event: event._id, isDeleted: false })
+        .select('title type track room startTime endTime speakers analytics')
+        .populate('speakers', 'name')
+        .sort({ startTime: 1 }),
+      CursorLog.getAgendaSessionEngagement(event._id)
+    ]);
+
+    // Activity logged against sessions that were since deleted is left out
+    const sessionStats = sessions.map(session => {
+      const activity = engagement.get(session._id.toString());
+
+      return {
+        id: session._id,
+        title: session.title,
+        type: session.type,
+        track: session.track,
+        room: session.room,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        speakers: session.speakers.map(speaker => speaker.name),
+        pageViews: session.analytics.pageViews,
+        uniqueVisitors: activity ? activity.visitors.size : 0,
+        cursorMovements: activity ? activity.movements : 0,
+        clicks: activity ? activity.clicks : 0,
+        pageVisits: activity ? activity.visits : 0,
+        totalTimeSpent: activity ? activity.totalTimeSpent : 0,
+        averageTimeSpent: activity && activity.visitors.size > 0
+          ? Math.round(activity.totalTimeSpent / activity.visitors.size)
+          : 0
+      };
+    });
+
+    const ranked = [...sessionStats].sort((a, b) =>
+      (b.pageViews + b.uniqueVisitors) - (a.pageViews + a.uniqueVisitors)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessionStats,
+        topSessions: ranked.slice(0, 5).map(session => ({
+          id: session.id,
+          title: session.title,
+          pageViews: session.pageViews,
+          uniqueVisitors: session.uniqueVisitors
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Text that spreadsheets would run as a formula when the CSV is opened
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// Quote a value for a CSV cell. Text starting like a formula (e.g. a tier
+// name of "=HYPERLINK(...)") is prefixed with ' so it stays text; numbers
+// are left alone.
+const toCsvField = (value) => {
+  const text = String(value ?? '');
+  const safe = typeof value === 'string' && FORMULA_PATTERN.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+// @desc    Export event ticket sales per tier
+// @route   GET /api/analytics/export/:id
+// @access  Private
+const exportEventAnalytics = async (req, res, next) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    // Verify the user may view this event's analytics
+    const event = await Event.findById(req.params.id);
+    if (!event || event.isDeleted || !canAccessEvent(req.user, event, 'analytics')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const tiers = await Ticket.getTierSales([event]);
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          event: {
+            id: event._id,
+            title: event.title,
+            status: event.status,
+            capacity: event.venue.capacity,
+            totalRegistrations: event.analytics.totalRegistrations,
+            totalRevenue: event.analytics.totalRevenue
+          },
+          tiers
+        }
+      });
+    }
+
+    const csvHeaders = [
+      'Tier',
+      'Ticket Type',
+      'Price',
+      'Currency',
+      'Visibility',
+      'Active',
+      'Quantity',
+      'Sold',
+      'Remaining',
+      'Checked In',
+      'Gross Revenue',
+      'Refunded',
+      'Net Revenue'
+    ];
+
+    const csvData = tiers.map(tier => [
+      tier.name,
+      tier.ticketType,
+      tier.price,
+      tier.currency,
+      tier.visibility,
+      tier.isActive ? 'Yes' : 'No',
+      tier.quantity,
+      tier.sold,
+      tier.remaining,
+      tier.checkedIn,
+      tier.grossRevenue,
+      tier.refundedAmount,
+      tier.netRevenue
+    ]);
+
+    const csv = [csvHeaders, ...csvData]
+      .map(row => row.map(toCsvField).join(','))
+      .join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="event-${event._id}-analytics.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Routes
 router.get('/dashboard', protect, getDashboardAnalytics);
+router.get('/organizations/:organizationId/dashboard', protect, getOrganizationDashboard);
 router.get('/cursor/:eventId', protect, getCursorHeatmap);
+router.get('/promo-codes/:eventId', protect, getPromoCodeReport);
+router.get('/registration-form/:eventId', protect, getRegistrationFormReport);
+router.get('/ledger/:eventId', protect, getEventLedger);
+router.get('/sessions/:eventId', protect, getAgendaSessionAnalytics);
+router.get('/export/:id', protect, exportEventAnalytics);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getEventCalendar,
+  getPublicFeed,
+  getHostFeed,
+  getPersonalFeed,
+  getFeedLinks,
+  resetFeedToken
+} = require('../controllers/calendarController');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes
+router.get('/public.ics', getPublicFeed);
+router.get('/events/:id.ics', optionalAuth, getEventCalendar);
+router.get('/hosts/:hostId.ics', getHostFeed);
+router.get('/feeds', protect, getFeedLinks);
+router.post('/feeds/reset', protect, resetFeedToken);
+router.get('/feeds/:token.ics', getPersonalFeed);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  checkInTicket,
+  undoCheckIn,
+  getCheckInStats
+} = require('../controllers/checkInController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Check-in validation rules
+const checkInValidation = [
+  body('payload')
+    .optional()
+    .isString()
+    .withMessage('QR payload must be a string'),
+  body('ticketNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Ticket number must be between 1 and 50 characters'),
+  body('gate')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Gate name must be between 1 and 50 characters'),
+  body()
+    .custom((value) => {
+      if (!value.payload && !value.ticketNumber) {
+        throw new Error('QR payload or ticket number is required');
+      }
+      return true;
+    })
+];
+
+// Routes
+router.get('/:eventId/stats', protect, getCheckInStats);
+router.post('/:eventId', protect, checkInValidation, checkInTicket);
+router.delete('/:eventId/:ticketNumber', protect, undoCheckIn);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
-const { protect, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, checkResourceOwnership } = require('../middleware/auth');
+const Event = require('../models/Event');
 const CursorLog = require('../models/CursorLog');
 const { getActiveSessionsForEvent } = require('../sockets/cursorSocket');
+const { canAccessEvent } = require('../utils/eventAccess');
+const { getInvitationToken, checkInvitationAccess } = require('../utils/invitations');
 
 const router = express.Router();
 
@@ -237,6 +240,27 @@ const createOrUpdateSession = async (req, res, next) => {
     });
     
     if (!cursorLog) {
+      // Visitors of invite-only events are only tracked with an invitation
+      const event = await Event.findById(eventId).select('host coHosts visibility isDeleted');
+      if (!event || event.isDeleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const access = await checkInvitationAccess(event, {
+        user: req.user,
+        token: getInvitationToken(req)
+      });
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: access.message,
+          code: 'INVITATION_REQUIRED'
+        });
+      }
+
       cursorLog = await CursorLog.create({
         sessionId,
         userId: req.user?._id || null,
@@ -272,10 +296,48 @@ const createOrUpdateSession = async (req, res, next) => {
   }
 };
 
+// @desc    Move a recorded cursor session to the trash
+// @route   DELETE /api/cursor/sessions/:id
+// @access  Private (host only)
+const deleteSession = async (req, res, next) => {
+  try {
+    const cursorLog = await CursorLog.findOne({ _id: req.params.id, isDeleted: false });
+    if (!cursorLog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const event = await Event.findById(cursorLog.eventId).select('host coHosts');
+    if (!event || !canAccessEvent(req.user, event, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    cursorLog.isDeleted = true;
+    cursorLog.deletedAt = new Date();
+    await cursorLog.save();
+
+    res.json({
+      success: true,
+      message: 'Session moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Routes
-router.get('/active/:eventId', protect, getActiveSessions);
-router.get('/analytics/:eventId', protect, getSessionAnalytics);
-router.get('/heatmap/:eventId', protect, getHeatmapData);
+// Cursor data is readable by the host and co-hosts with analytics access
+const canViewAnalytics = checkResourceOwnership(Event, 'eventId', 'host', 'analytics');
+
+router.get('/active/:eventId', protect, canViewAnalytics, getActiveSessions);
+router.get('/analytics/:eventId', protect, canViewAnalytics, getSessionAnalytics);
+router.get('/heatmap/:eventId', protect, canViewAnalytics, getHeatmapData);
 router.post('/session', optionalAuth, createOrUpdateSession);
+router.delete('/sessions/:id', protect, deleteSession);
 
 module.exports = router;
\ No newline at end of file
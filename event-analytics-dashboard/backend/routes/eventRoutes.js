@@ -2,16 +2,29 @@ const express = require('express');
 const { body } = require('express-validator');
 const {
   getEvents,
+  searchEvents,
   getEvent,
+  getEventBySlug,
   createEvent,
   updateEvent,
   deleteEvent,
   getEventAnalytics,
   updateEventStatus,
-  getDashboardStats
+  getDashboardStats,
+  addTicketTier,
+  updateTicketTier,
+  deleteTicketTier,
+  updateRegistrationForm,
+  getEventRevisions,
+  getEventRevision,
+  compareEventRevisions,
+  restoreEventRevision,
+  cloneEvent
 } = require('../controllers/eventController');
 const { protect, optionalAuth, authorize } = require('../middleware/auth');
 const Event = require('../models/Event');
+const { FORM_FIELD_TYPES, FORM_CONDITION_OPERATORS } = require('../utils/registrationForms');
+const { assertPublicWebhookUrl } = require('../utils/webhooks');
 
 const router = express.Router();
 
@@ -43,6 +56,14 @@ const eventValidation = [
   body('venue.capacity')
     .isInt({ min: 1, max: 1000000 })
     .withMessage('Venue capacity must be between 1 and 1,000,000'),
+  body('venue.address.coordinates.latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('venue.address.coordinates.longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
   body('dateTime.start')
     .isISO8601()
     .withMessage('Start date must be a valid ISO 8601 date'),
@@ -63,6 +84,60 @@ const eventValidation = [
     .optional()
     .isIn(['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR'])
     .withMessage('Invalid currency'),
+  body('ticketInfo.refundRules')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 refund rules allowed'),
+  body('ticketInfo.refundRules.*.hoursBeforeStart')
+    .isFloat({ min: 0 })
+    .withMessage('Refund rule cutoff must be a positive number of hours'),
+  body('ticketInfo.refundRules.*.percentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Refund rule percentage must be between 0 and 100'),
+  body('settings.waitlistClaimWindowHours')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Waitlist claim window must be between 1 and 168 hours'),
+  body('settings.allowTicketTransfers')
+    .optional()
+    .isBoolean()
+    .withMessage('allowTicketTransfers must be a boolean'),
+  body('settings.transferCutoffHours')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Transfer cutoff must be between 0 and 720 hours'),
+  body('settings.autoStatusTransitions')
+    .optional()
+    .isBoolean()
+    .withMessage('autoStatusTransitions must be a boolean'),
+  body('settings.statusWebhookUrl')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Status webhook URL must be a valid http(s) URL')
+    .bail()
+    .custom(assertPublicWebhookUrl),
+  body('registrationDeadline')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Registration deadline must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.body.dateTime && new Date(value) > new Date(req.body.dateTime.end)) {
+        throw new Error('Registration cannot close after the event ends');
+      }
+      return true;
+    }),
+  body('organization')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Organization must be a valid id'),
+  body('ticketTiers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Maximum 20 ticket tiers allowed'),
+  body('registrationForm')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Maximum 50 registration questions allowed'),
   body('tags')
     .optional()
     .isArray({ max: 10 })
@@ -74,20 +149,140 @@ const eventValidation = [
     .withMessage('Each tag must be between 1 and 50 characters')
 ];
 
+// Registration form validation rules; rules across questions are checked in the controller
+const registrationFormValidation = [
+  body('fields')
+    .isArray({ max: 50 })
+    .withMessage('Fields must be an array of at most 50 questions'),
+  body('fields.*.key')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{0,49}$/)
+    .withMessage('Question keys must start with a letter and use lowercase letters, numbers and underscores'),
+  body('fields.*.label')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Question label must be between 1 and 200 characters'),
+  body('fields.*.type')
+    .isIn(FORM_FIELD_TYPES)
+    .withMessage(`Question type must be one of: ${FORM_FIELD_TYPES.join(', ')}`),
+  body('fields.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Required must be a boolean')
+    .toBoolean(),
+  body('fields.*.helpText')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Help text cannot exceed 300 characters'),
+  body('fields.*.options')
+    .optional()
+    .isArray()
+    .withMessage('Options must be an array'),
+  body('fields.*.options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Options must be between 1 and 100 characters'),
+  body(['fields.*.min', 'fields.*.max'])
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Min and max must be numbers')
+    .toFloat(),
+  body('fields.*.showIf')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Condition must be an object'),
+  body('fields.*.showIf.operator')
+    .optional()
+    .isIn(FORM_CONDITION_OPERATORS)
+    .withMessage(`Condition operator must be one of: ${FORM_CONDITION_OPERATORS.join(', ')}`)
+];
+
+// Ticket tier validation rules
+const tierValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Tier name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Tier description cannot exceed 500 characters'),
+    body('ticketType')
+      .optional()
+      .isIn(['regular', 'early-bird', 'vip', 'student', 'group'])
+      .withMessage('Invalid ticket type'),
+    required(body('price'))
+      .isFloat({ min: 0 })
+      .withMessage('Tier price must be a positive number'),
+    required(body('quantity'))
+      .isInt({ min: 1, max: 1000000 })
+      .withMessage('Tier quantity must be between 1 and 1,000,000'),
+    body('salesStart')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Sales start must be a valid ISO 8601 date'),
+    body('salesEnd')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Sales end must be a valid ISO 8601 date'),
+    body('visibility')
+      .optional()
+      .isIn(['public', 'hidden'])
+      .withMessage('Tier visibility must be public or hidden'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
 const statusValidation = [
   body('status')
     .isIn(['draft', 'published', 'upcoming', 'ongoing', 'completed', 'cancelled'])
     .withMessage('Invalid event status')
 ];
 
+const cloneValidation = [
+  body('start')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Event title must be between 3 and 200 characters'),
+  body('includeAgenda')
+    .optional()
+    .isBoolean()
+    .withMessage('includeAgenda must be a boolean')
+    .toBoolean()
+];
+
 // Routes
 router.get('/dashboard/stats', protect, getDashboardStats);
 router.get('/', protect, getEvents);
+router.get('/search', protect, searchEvents);
+router.get('/slug/:slug', optionalAuth, getEventBySlug);
 router.get('/:id', optionalAuth, getEvent);
 router.post('/', protect, eventValidation, createEvent);
 router.put('/:id', protect, eventValidation, updateEvent);
 router.delete('/:id', protect, deleteEvent);
 router.get('/:id/analytics', protect, getEventAnalytics);
 router.patch('/:id/status', protect, statusValidation, updateEventStatus);
+router.post('/:id/tiers', protect, tierValidation(), addTicketTier);
+router.put('/:id/tiers/:tierId', protect, tierValidation(true), updateTicketTier);
+router.delete('/:id/tiers/:tierId', protect, deleteTicketTier);
+router.put('/:id/registration-form', protect, registrationFormValidation, updateRegistrationForm);
+router.get('/:id/revisions', protect, getEventRevisions);
+router.get('/:id/revisions/compare', protect, compareEventRevisions);
+router.get('/:id/revisions/:version', protect, getEventRevision);
+router.post('/:id/revisions/:version/restore', protect, restoreEventRevision);
+router.post('/:id/clone', protect, cloneValidation, cloneEvent);
 
 module.exports = router;
\ No newline at end of file
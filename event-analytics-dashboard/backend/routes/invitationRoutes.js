@@ -0,0 +1,52 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createInvitations,
+  getEventInvitations,
+  revokeInvitation,
+  acceptInvitationToken
+} = require('../controllers/invitationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Invitation validation rules
+const invitationValidation = [
+  body('kind')
+    .optional()
+    .isIn(['personal', 'link'])
+    .withMessage('Invitation kind must be personal or link'),
+  body('emails')
+    .if(body('kind').equals('personal'))
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Personal invitations need between 1 and 100 emails'),
+  body('emails.*')
+    .if(body('kind').equals('personal'))
+    .isEmail()
+    .withMessage('Please provide valid emails')
+    .normalizeEmail(),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Invitation name cannot exceed 100 characters'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Maximum uses must be a positive integer')
+    .toInt()
+];
+
+// Routes
+router.get('/event/:eventId', protect, getEventInvitations);
+router.post('/event/:eventId', protect, invitationValidation, createInvitations);
+router.delete('/:id', protect, revokeInvitation);
+router.post('/token/:token/accept', protect, acceptInvitationToken);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { getEventLandingPage } = require('../controllers/landingController');
+
+const router = express.Router();
+
+// Routes
+router.get('/:slug', getEventLandingPage);
+
+module.exports = router;
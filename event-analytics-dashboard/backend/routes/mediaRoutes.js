@@ -0,0 +1,38 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  uploadEventImages,
+  updateEventImage,
+  deleteEventImage,
+  uploadAvatar,
+  deleteAvatar
+} = require('../controllers/mediaController');
+const { protect } = require('../middleware/auth');
+const { eventImageUpload, avatarUpload } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Image validation rules
+const altValidation = body('alt')
+  .optional()
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Alt text cannot exceed 200 characters');
+
+const imageUpdateValidation = [
+  altValidation,
+  body('isPrimary')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrimary must be a boolean')
+    .toBoolean()
+];
+
+// Routes
+router.post('/event/:eventId/images', protect, eventImageUpload.array('images', 10), altValidation, uploadEventImages);
+router.patch('/event/:eventId/images/:imageId', protect, imageUpdateValidation, updateEventImage);
+router.delete('/event/:eventId/images/:imageId', protect, deleteEventImage);
+router.put('/avatar', protect, avatarUpload.single('avatar'), uploadAvatar);
+router.delete('/avatar', protect, deleteAvatar);
+
+module.exports = router;
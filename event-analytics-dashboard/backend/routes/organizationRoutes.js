@@ -0,0 +1,78 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getMyOrganizations,
+  createOrganization,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  getOrganizationEvents,
+  addOrganizationEvent,
+  removeOrganizationEvent
+} = require('../controllers/organizationController');
+const { protect } = require('../middleware/auth');
+const { ORGANIZATION_ROLES } = require('../utils/organizationAccess');
+
+const router = express.Router();
+
+// The owner role is only given on creation
+const ASSIGNABLE_ROLES = ORGANIZATION_ROLES.filter(role => role !== 'owner');
+
+// Organization validation rules
+const organizationValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Organization name must be between 2 and 100 characters'),
+    body('slug')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 60 })
+      .withMessage('Slug must be between 2 and 60 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('website')
+      .optional({ checkFalsy: true })
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Website must be a valid http(s) URL')
+  ];
+};
+
+const roleValidation = body('role')
+  .isIn(ASSIGNABLE_ROLES)
+  .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+
+const memberValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+];
+
+// Routes
+router.get('/', protect, getMyOrganizations);
+router.post('/', protect, organizationValidation(), createOrganization);
+router.get('/:id', protect, getOrganization);
+router.put('/:id', protect, organizationValidation(true), updateOrganization);
+router.delete('/:id', protect, deleteOrganization);
+router.post('/:id/members', protect, memberValidation, addMember);
+router.put('/:id/members/:userId', protect, [roleValidation], updateMemberRole);
+router.delete('/:id/members/:userId', protect, removeMember);
+router.get('/:id/events', protect, getOrganizationEvents);
+router.post('/:id/events/:eventId', protect, addOrganizationEvent);
+router.delete('/:id/events/:eventId', protect, removeOrganizationEvent);
+
+module.exports = router;
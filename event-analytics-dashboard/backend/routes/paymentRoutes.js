@@ -0,0 +1,27 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  confirmPayment,
+  receiveWebhook
+} = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Payment validation rules
+const confirmValidation = [
+  body('clientSecret')
+    .trim()
+    .notEmpty()
+    .withMessage('Client secret is required'),
+  body('paymentMethodToken')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Payment method token cannot be empty')
+];
+
+// Routes
+router.post('/webhook/:provider', receiveWebhook);
+router.post('/:intentId/confirm', confirmValidation, confirmPayment);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createPromoCode,
+  getEventPromoCodes,
+  updatePromoCode,
+  deletePromoCode,
+  validatePromoCode
+} = require('../controllers/promoCodeController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+const TICKET_TYPES = ['regular', 'early-bird', 'vip', 'student', 'group'];
+
+// Promo code validation rules
+const promoCodeValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('code'))
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Promo code must be 3-30 letters, numbers, dashes or underscores'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    required(body('discountType'))
+      .isIn(['percentage', 'fixed'])
+      .withMessage('Discount type must be percentage or fixed'),
+    required(body('discountValue'))
+      .isFloat({ min: 0 })
+      .withMessage('Discount value must be a positive number'),
+    body('maxUses')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Maximum uses must be a positive integer'),
+    body('validFrom')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Valid from must be a valid ISO 8601 date'),
+    body('validUntil')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Valid until must be a valid ISO 8601 date'),
+    body('allowedTicketTypes')
+      .optional()
+      .isArray()
+      .withMessage('Allowed ticket types must be an array'),
+    body('allowedTicketTypes.*')
+      .optional()
+      .isIn(TICKET_TYPES)
+      .withMessage('Invalid ticket type'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
+const validateCodeValidation = [
+  body('eventId')
+    .isMongoId()
+    .withMessage('Valid event ID is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Promo code is required'),
+  body('ticketType')
+    .optional()
+    .isIn(TICKET_TYPES)
+    .withMessage('Invalid ticket type'),
+  body('tierId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket tier')
+];
+
+// Routes
+router.post('/validate', validateCodeValidation, validatePromoCode);
+router.get('/event/:eventId', protect, getEventPromoCodes);
+router.post('/event/:eventId', protect, promoCodeValidation(), createPromoCode);
+router.put('/:id', protect, promoCodeValidation(true), updatePromoCode);
+router.delete('/:id', protect, deletePromoCode);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createRefundRequest,
+  getEventRefundRequests,
+  getRefundRequest,
+  approveRefundRequest,
+  denyRefundRequest,
+  withdrawRefundRequest
+} = require('../controllers/refundController');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Refund validation rules
+const requestValidation = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be a positive number'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Refund reason cannot exceed 200 characters')
+];
+
+const approveValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be a positive number'),
+  body('keepTicket')
+    .optional()
+    .isBoolean()
+    .withMessage('keepTicket must be a boolean')
+    .toBoolean(),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Decision note cannot exceed 500 characters')
+];
+
+const denyValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Decision note cannot exceed 500 characters')
+];
+
+// Routes
+router.post('/ticket/:ticketNumber', optionalAuth, requestValidation, createRefundRequest);
+router.get('/event/:eventId', protect, getEventRefundRequests);
+router.get('/:id', optionalAuth, getRefundRequest);
+router.patch('/:id/approve', protect, approveValidation, approveRefundRequest);
+router.patch('/:id/deny', protect, denyValidation, denyRefundRequest);
+router.delete('/:id', optionalAuth, withdrawRefundRequest);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createSeries,
+  getMySeries,
+  getSeries,
+  updateOccurrences,
+  addException,
+  cancelSeries
+} = require('../controllers/seriesController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/recurrence');
+
+const router = express.Router();
+
+const timezoneValidation = body('dateTime.timezone')
+  .optional()
+  .custom(isValidTimezone)
+  .withMessage('Timezone must be an IANA timezone such as Europe/Berlin');
+
+// Series validation rules; the recurrence rule itself is checked in the controller
+const seriesValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Event title must be between 3 and 200 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Event description must be between 10 and 2000 characters'),
+  body('category')
+    .isIn(['conference', 'workshop', 'seminar', 'networking', 'webinar', 'exhibition', 'concert', 'sports', 'festival', 'meetup', 'other'])
+    .withMessage('Invalid event category'),
+  body('venue.name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Venue name must be between 2 and 200 characters'),
+  body('venue.address.city')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('City must be between 2 and 100 characters'),
+  body('venue.address.country')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Country must be between 2 and 100 characters'),
+  body('venue.capacity')
+    .isInt({ min: 1, max: 1000000 })
+    .withMessage('Venue capacity must be between 1 and 1,000,000'),
+  body('dateTime.start')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  body('dateTime.end')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.dateTime.start)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+  timezoneValidation,
+  body('status')
+    .optional()
+    .isIn(['draft', 'published'])
+    .withMessage('A new series must be draft or published'),
+  body('exceptions')
+    .optional()
+    .isArray({ max: 366 })
+    .withMessage('Exceptions must be an array of dates'),
+  body('exceptions.*')
+    .isISO8601()
+    .withMessage('Each exception must be a valid ISO 8601 date'),
+  body('organization')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Organization must be a valid id'),
+  body('ticketTiers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Maximum 20 ticket tiers allowed'),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 tags allowed')
+];
+
+const occurrenceValidation = [
+  body('scope')
+    .optional()
+    .isIn(['this', 'following'])
+    .withMessage('Scope must be this or following'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Event title must be between 3 and 200 characters'),
+  body('venue.capacity')
+    .optional()
+    .isInt({ min: 1, max: 1000000 })
+    .withMessage('Venue capacity must be between 1 and 1,000,000'),
+  body(['dateTime.start', 'dateTime.end'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 tags allowed')
+];
+
+const exceptionValidation = [
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date')
+];
+
+// Routes
+router.get('/', protect, getMySeries);
+router.post('/', protect, seriesValidation, createSeries);
+router.get('/:id', optionalAuth, getSeries);
+router.put('/:id/occurrences/:eventId', protect, occurrenceValidation, updateOccurrences);
+router.post('/:id/exceptions', protect, exceptionValidation, addException);
+router.delete('/:id', protect, cancelSeries);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getMyInvitations,
+  getEventTeam,
+  inviteCoHost,
+  updateCoHostRole,
+  removeCoHost,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/teamController');
+const { protect } = require('../middleware/auth');
+const { CO_HOST_ROLES } = require('../utils/eventAccess');
+
+const router = express.Router();
+
+// Team validation rules
+const roleValidation = body('role')
+  .isIn(CO_HOST_ROLES)
+  .withMessage(`Role must be one of: ${CO_HOST_ROLES.join(', ')}`);
+
+const inviteValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  roleValidation
+];
+
+// Routes
+router.get('/invitations', protect, getMyInvitations);
+router.get('/event/:eventId', protect, getEventTeam);
+router.post('/event/:eventId/members', protect, inviteValidation, inviteCoHost);
+router.put('/event/:eventId/members/:memberId', protect, [roleValidation], updateCoHostRole);
+router.delete('/event/:eventId/members/:memberId', protect, removeCoHost);
+router.post('/event/:eventId/members/:memberId/accept', protect, acceptInvitation);
+router.post('/event/:eventId/members/:memberId/decline', protect, declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  createTemplateFromEvent,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/templateController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Template validation rules
+const templateValidation = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Template name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Template description cannot exceed 500 characters'),
+    required(body('event'))
+      .isObject()
+      .withMessage('Template event data must be an object'),
+    body('event.durationMinutes')
+      .optional()
+      .isInt({ min: 1, max: 525600 })
+      .withMessage('Duration must be between 1 minute and 1 year'),
+    body('event.ticketTiers')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Maximum 20 ticket tiers allowed'),
+    body('event.tags')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Maximum 10 tags allowed')
+  ];
+};
+
+const fromEventValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Template description cannot exceed 500 characters')
+];
+
+// Routes
+router.get('/', protect, getTemplates);
+router.post('/', protect, templateValidation(), createTemplate);
+router.post('/from-event/:eventId', protect, fromEventValidation, createTemplateFromEvent);
+router.get('/:id', protect, getTemplate);
+router.put('/:id', protect, templateValidation(true), updateTemplate);
+router.delete('/:id', protect, deleteTemplate);
+
+module.exports = router;
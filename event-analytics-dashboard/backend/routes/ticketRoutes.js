@@ -0,0 +1,146 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  purchaseTicket,
+  getEventTickets,
+  getTicket,
+  requestTicketActionLink,
+  cancelTicket,
+  deleteTicket,
+  refundTicket,
+  transferTicket,
+  importTickets,
+  verifyTicket
+} = require('../controllers/ticketController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { attendeeImportUpload } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Ticket validation rules
+const purchaseValidation = [
+  body('eventId')
+    .isMongoId()
+    .withMessage('Valid event ID is required'),
+  body('attendee.firstName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters'),
+  body('attendee.lastName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters'),
+  body('attendee.email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('attendee.phone')
+    .optional()
+    .trim(),
+  body('ticketType')
+    .optional()
+    .isIn(['regular', 'early-bird', 'vip', 'student', 'group', 'complimentary'])
+    .withMessage('Invalid ticket type'),
+  body('tierId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket tier'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['credit-card', 'debit-card', 'paypal', 'bank-transfer', 'cash', 'complimentary'])
+    .withMessage('Invalid payment method'),
+  body('specialRequests')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Special requests cannot exceed 500 characters'),
+  body('dietaryRestrictions')
+    .optional()
+    .isArray()
+    .withMessage('Dietary restrictions must be an array'),
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Promo code must be between 3 and 30 characters')
+];
+
+const refundValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be a positive number'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Refund reason cannot exceed 200 characters'),
+  body('keepTicket')
+    .optional()
+    .isBoolean()
+    .withMessage('keepTicket must be a boolean')
+    .toBoolean()
+];
+
+const transferValidation = [
+  body('newAttendee.firstName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters'),
+  body('newAttendee.lastName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters'),
+  body('newAttendee.email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('newAttendee.phone')
+    .optional()
+    .trim(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Transfer reason cannot exceed 200 characters')
+];
+
+// Ticket holders look up a ticket with the email they bought with, which
+// is stored normalized, so the one they send is normalized the same way
+const holderEmailSanitizer = [
+  query('email')
+    .optional()
+    .trim()
+    .normalizeEmail()
+];
+
+const actionLinkValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const verifyValidation = [
+  body('payload')
+    .isString()
+    .notEmpty()
+    .withMessage('QR payload is required'),
+  body('eventId')
+    .isMongoId()
+    .withMessage('Valid event ID is required')
+];
+
+// Routes
+router.post('/', optionalAuth, purchaseValidation, purchaseTicket);
+router.post('/verify', protect, verifyValidation, verifyTicket);
+router.post('/import/:eventId', protect, attendeeImportUpload.single('file'), importTickets);
+router.get('/event/:eventId', protect, getEventTickets);
+router.get('/:ticketNumber', optionalAuth, holderEmailSanitizer, getTicket);
+router.post('/:ticketNumber/action-link', actionLinkValidation, requestTicketActionLink);
+router.patch('/:ticketNumber/cancel', optionalAuth, cancelTicket);
+router.delete('/:ticketNumber', protect, deleteTicket);
+router.post('/:ticketNumber/refund', protect, refundValidation, refundTicket);
+router.post('/:ticketNumber/transfer', optionalAuth, transferValidation, transferTicket);
+
+module.exports = router;
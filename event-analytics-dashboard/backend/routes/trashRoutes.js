@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getTrash,
+  restoreItem,
+  purgeItem,
+  emptyTrash
+} = require('../controllers/trashController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes
+router.get('/', protect, getTrash);
+router.delete('/', protect, emptyTrash);
+router.post('/:type/:id/restore', protect, restoreItem);
+router.delete('/:type/:id', protect, purgeItem);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getEventWaitlist,
+  getWaitlistEntry,
+  claimWaitlistOffer,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Waitlist validation rules
+const claimValidation = [
+  body('paymentMethod')
+    .optional()
+    .isIn(['credit-card', 'debit-card', 'paypal', 'bank-transfer', 'cash'])
+    .withMessage('Invalid payment method')
+];
+
+// Routes
+router.get('/event/:eventId', protect, getEventWaitlist);
+router.get('/:entryId', optionalAuth, getWaitlistEntry);
+router.post('/:entryId/claim', optionalAuth, claimValidation, claimWaitlistOffer);
+router.delete('/:entryId', optionalAuth, leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Event = require('../models/Event');
+
+// Events with usable address coordinates but no GeoJSON point yet
+const missingLocationQuery = {
+  'venue.address.coordinates.latitude': { $gte: -90, $lte: 90 },
+  'venue.address.coordinates.longitude': { $gte: -180, $lte: 180 },
+  'venue.location.coordinates': { $exists: false }
+};
+
+// Copy venue address coordinates into venue.location, then build the 2dsphere index
+const backfillEventLocations = async () => {
+  try {
+    await connectDB();
+
+    const result = await Event.updateMany(missingLocationQuery, [
+      {
+        $set: {
+          'venue.location': {
+            type: 'Point',
+            coordinates: ['$venue.address.coordinates.longitude', '$venue.address.coordinates.latitude']
+          }
+        }
+      }
+    ]);
+    console.log(`Backfilled locations for ${result.modifiedCount} events`);
+
+    await Event.createIndexes();
+    console.log('Event indexes are up to date');
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Event location backfill failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  backfillEventLocations();
+}
+
+module.exports = { backfillEventLocations };
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Event = require('../models/Event');
+
+// Give events created before slugs existed a slug from their title, oldest
+// first so earlier events keep the plain slug, then build the slug indexes
+const backfillEventSlugs = async () => {
+  try {
+    await connectDB();
+
+    const events = await Event.find({ slug: { $exists: false } })
+      .select('title slug previousSlugs')
+      .sort({ createdAt: 1 });
+
+    for (const event of events) {
+      const change = await event.getSlugChange(event.title);
+      await Event.updateOne({ _id: event._id }, { $set: change });
+    }
+    console.log(`Backfilled slugs for ${events.length} events`);
+
+    await Event.createIndexes();
+    console.log('Event indexes are up to date');
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Event slug backfill failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  backfillEventSlugs();
+}
+
+module.exports = { backfillEventSlugs };
@@ -11,17 +11,44 @@ require('dotenv').config();
 // Database connection
 const connectDB = require('./config/database');
 
+// Payment provider configuration
+const { validatePaymentConfig } = require('./payments');
+
 // Middleware
 const errorHandler = require('./middleware/errorHandler');
 
 // Socket handlers
 const { handleCursorTracking } = require('./sockets/cursorSocket');
+const { handleHostRooms } = require('./sockets/hostSocket');
 
 // Routes
 const authRoutes = require('./routes/authRoutes');
 const eventRoutes = require('./routes/eventRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const cursorRoutes = require('./routes/cursorRoutes');
+const ticketRoutes = require('./routes/ticketRoutes');
+const checkInRoutes = require('./routes/checkInRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const promoCodeRoutes = require('./routes/promoCodeRoutes');
+const refundRoutes = require('./routes/refundRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const agendaRoutes = require('./routes/agendaRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+const landingRoutes = require('./routes/landingRoutes');
+
+// Models used by background jobs
+const WaitlistEntry = require('./models/WaitlistEntry');
+const { expirePendingPayments } = require('./utils/ticketPayments');
+const { runLifecycleTransitions } = require('./utils/eventLifecycle');
+const { purgeExpiredTrash } = require('./utils/trash');
+const { getUploadDir } = require('./storage/localStorage');
 
 const app = express();
 const server = http.createServer(app);
@@ -36,6 +63,14 @@ const io = socketIo(server, {
   transports: ['websocket', 'polling']
 });
 
+// Refuse to start without a payment provider and webhook secret
+try {
+  validatePaymentConfig();
+} catch (error) {
+  console.error('Payment configuration error:', error.message);
+  process.exit(1);
+}
+
 // Connect to database
 connectDB();
 
@@ -70,9 +105,23 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Invitation-Token']
 }));
 
+// Uploaded media on the local storage driver. File names are never reused,
+// so they are cached for good, and images are embedded by the frontend
+// from another origin. Served before rate limiting like any static asset.
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(getUploadDir(), {
+    maxAge: '365d',
+    immutable: true,
+    index: false,
+    setHeaders: (res) => {
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -99,7 +148,15 @@ const authLimiter = rateLimit({
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are verified against the exact bytes the provider signed
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression
@@ -134,6 +191,24 @@ app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/cursor', cursorRoutes);
+app.use('/api/tickets', ticketRoutes);
+app.use('/api/check-in', checkInRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/agenda', agendaRoutes);
+app.use('/api/team', teamRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/media', mediaRoutes);
+
+// Server-rendered public event pages
+app.use('/events', landingRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -146,7 +221,22 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       events: '/api/events',
       analytics: '/api/analytics',
-      cursor: '/api/cursor'
+      cursor: '/api/cursor',
+      tickets: '/api/tickets',
+      checkIn: '/api/check-in',
+      waitlist: '/api/waitlist',
+      promoCodes: '/api/promo-codes',
+      refunds: '/api/refunds',
+      payments: '/api/payments',
+      agenda: '/api/agenda',
+      team: '/api/team',
+      organizations: '/api/organizations',
+      trash: '/api/trash',
+      templates: '/api/templates',
+      calendar: '/api/calendar',
+      invitations: '/api/invitations',
+      media: '/api/media',
+      landingPages: '/events/:slug'
     }
   });
 });
@@ -165,6 +255,51 @@ app.use(errorHandler);
 // Initialize Socket.IO cursor tracking
 handleCursorTracking(io);
 
+// Initialize Socket.IO host rooms (live attendance)
+handleHostRooms(io);
+
+// Expire unclaimed waitlist offers and pass their seats on
+setInterval(async () => {
+  try {
+    await WaitlistEntry.expireOffers();
+  } catch (error) {
+    console.error('Waitlist expiry error:', error);
+  }
+}, 60000); // Run every minute
+
+// Release tickets whose payment never arrived
+setInterval(async () => {
+  try {
+    await expirePendingPayments();
+  } catch (error) {
+    console.error('Payment expiry error:', error);
+  }
+}, 60000); // Run every minute
+
+// Move events to ongoing/completed and close registrations as their dates
+// pass. A run still in progress is not overlapped by the next one.
+let runningLifecycle = false;
+setInterval(async () => {
+  if (runningLifecycle) return;
+  runningLifecycle = true;
+  try {
+    await runLifecycleTransitions(io);
+  } catch (error) {
+    console.error('Event lifecycle error:', error);
+  } finally {
+    runningLifecycle = false;
+  }
+}, 60000); // Run every minute
+
+// Purge trashed events, tickets and cursor logs past the retention period
+setInterval(async () => {
+  try {
+    await purgeExpiredTrash();
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+}, 60 * 60 * 1000); // Run every hour
+
 // Server startup
 const PORT = process.env.PORT || 5000;
 
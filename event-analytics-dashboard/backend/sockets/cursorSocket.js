@@ -1,10 +1,18 @@
+const mongoose = require('mongoose');
 const CursorLog = require('../models/CursorLog');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Event = require('../models/Event');
+const { checkInvitationAccess } = require('../utils/invitations');
 
 // Store active sessions in memory (in production, use Redis)
 const activeSessions = new Map();
 
+// Agenda session a cursor payload belongs to, if it names a valid one
+const toAgendaSessionId = (value) => (
+  value && mongoose.isValidObjectId(value) ? value : null
+);
+
 // Socket authentication middleware
 const socketAuth = async (socket, next) => {
   try {
@@ -56,13 +64,31 @@ const handleCursorTracking = (io) => {
     // Join event room
     socket.on('join-event', async (data) => {
       try {
-        const { eventId, userAgent, screenResolution, location } = data;
+        const { eventId, userAgent, screenResolution, location, invitationToken } = data;
         
         if (!eventId) {
           socket.emit('error', { message: 'Event ID is required' });
           return;
         }
 
+        // Invite-only events are only tracked for people with an invitation
+        const event = mongoose.isValidObjectId(eventId)
+          ? await Event.findById(eventId).select('host coHosts visibility isDeleted')
+          : null;
+        if (!event || event.isDeleted) {
+          socket.emit('error', { message: 'Event not found' });
+          return;
+        }
+
+        const access = await checkInvitationAccess(event, {
+          user: socket.user,
+          token: invitationToken
+        });
+        if (!access.allowed) {
+          socket.emit('error', { message: access.message, code: 'INVITATION_REQUIRED' });
+          return;
+        }
+
         // Leave previous event room
         if (sessionData.currentEvent) {
           socket.leave(`event-${sessionData.currentEvent}`);
@@ -140,6 +166,7 @@ const handleCursorTracking = (io) => {
     socket.on('cursor-move', async (data) => {
       try {
         const { x, y, page, element, eventId } = data;
+        const agendaSessionId = toAgendaSessionId(data.agendaSessionId);
         
         if (!sessionData.currentEvent || sessionData.currentEvent !== eventId) {
           return;
@@ -155,6 +182,7 @@ const handleCursorTracking = (io) => {
           y,
           page,
           element,
+          agendaSessionId,
           timestamp: new Date()
         });
 
@@ -167,7 +195,7 @@ const handleCursorTracking = (io) => {
           });
 
           if (cursorLog) {
-            await cursorLog.addCursorMovement(x, y, page, element, 'move');
+            await cursorLog.addCursorMovement(x, y, page, element, 'move', agendaSessionId);
           }
         }
 
@@ -180,6 +208,7 @@ const handleCursorTracking = (io) => {
     socket.on('cursor-click', async (data) => {
       try {
         const { x, y, page, element, eventId } = data;
+        const agendaSessionId = toAgendaSessionId(data.agendaSessionId);
         
         if (!sessionData.currentEvent || sessionData.currentEvent !== eventId) {
           return;
@@ -195,6 +224,7 @@ const handleCursorTracking = (io) => {
           y,
           page,
           element,
+          agendaSessionId,
           timestamp: new Date()
         });
 
@@ -206,7 +236,7 @@ const handleCursorTracking = (io) => {
         });
 
         if (cursorLog) {
-          await cursorLog.addCursorMovement(x, y, page, element, 'click');
+          await cursorLog.addCursorMovement(x, y, page, element, 'click', agendaSessionId);
         }
 
       } catch (error) {
@@ -245,6 +275,7 @@ const handleCursorTracking = (io) => {
     socket.on('page-visit', async (data) => {
       try {
         const { page, timeSpent, eventId } = data;
+        const agendaSessionId = toAgendaSessionId(data.agendaSessionId);
         
         if (!sessionData.currentEvent || sessionData.currentEvent !== eventId) {
           return;
@@ -260,7 +291,7 @@ const handleCursorTracking = (io) => {
         });
 
         if (cursorLog) {
-          await cursorLog.addPageVisit(page, timeSpent);
+          await cursorLog.addPageVisit(page, timeSpent, agendaSessionId);
         }
 
       } catch (error) {
@@ -0,0 +1,60 @@
+const Event = require('../models/Event');
+const { getEventRole } = require('../utils/eventAccess');
+
+// Room that only the host of an event, its co-hosts and admins can join.
+// Attendee data such as check-ins is pushed here instead of the public
+// event room.
+const getHostRoom = (eventId) => `host-${eventId}`;
+
+const handleHostRooms = (io) => {
+  io.on('connection', (socket) => {
+    // Join the host room for an event
+    socket.on('join-host-room', async (data) => {
+      try {
+        const { eventId } = data || {};
+
+        if (!socket.user) {
+          socket.emit('error', { message: 'Authentication required' });
+          return;
+        }
+
+        if (!eventId) {
+          socket.emit('error', { message: 'Event ID is required' });
+          return;
+        }
+
+        const event = await Event.findById(eventId).select('host coHosts isDeleted');
+
+        if (!event || event.isDeleted) {
+          socket.emit('error', { message: 'Event not found' });
+          return;
+        }
+
+        if (socket.user.role !== 'admin' && !getEventRole(socket.user, event)) {
+          socket.emit('error', { message: 'Access denied' });
+          return;
+        }
+
+        socket.join(getHostRoom(eventId));
+        socket.emit('joined-host-room', { eventId });
+
+      } catch (error) {
+        console.error('Join host room error:', error);
+        socket.emit('error', { message: 'Failed to join host room' });
+      }
+    });
+
+    // Leave the host room for an event
+    socket.on('leave-host-room', (data) => {
+      const { eventId } = data || {};
+      if (eventId) {
+        socket.leave(getHostRoom(eventId));
+      }
+    });
+  });
+};
+
+module.exports = {
+  handleHostRooms,
+  getHostRoom
+};
@@ -0,0 +1,53 @@
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+// Every storage driver must implement these methods:
+//   put(key, body, { contentType }) -> { key, url, size }
+//   delete(key) -> resolves once the file is gone; a missing key is not an error
+//   getUrl(key) -> public URL of the file
+// Keys are slash separated paths such as events/<id>/<file>.webp and are
+// always generated by the server.
+const REQUIRED_METHODS = ['put', 'delete', 'getUrl'];
+
+// Driver factories by name
+const factories = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+// Drivers are created once so clients and directories are reused
+const instances = new Map();
+
+// Register a storage driver factory
+const registerStorageDriver = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+// Get a storage driver by name (defaults to STORAGE_DRIVER)
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver '${name}'`);
+  }
+
+  const driver = factory();
+  const missing = REQUIRED_METHODS.filter(method => typeof driver[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage driver '${name}' is missing: ${missing.join(', ')}`);
+  }
+
+  driver.name = driver.name || name;
+  instances.set(name, driver);
+  return driver;
+};
+
+module.exports = {
+  REQUIRED_METHODS,
+  registerStorageDriver,
+  getStorage
+};
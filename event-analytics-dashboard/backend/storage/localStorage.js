@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Directory local uploads are written to and served from
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+
+// Stores files on the local disk. The server serves the upload directory
+// under /uploads, so URLs point back at the API unless UPLOAD_BASE_URL
+// names another host (e.g. a CDN in front of the same directory).
+const createLocalStorage = (options = {}) => {
+  const root = path.resolve(options.root || getUploadDir());
+  const baseUrl = (options.baseUrl ||
+    process.env.UPLOAD_BASE_URL ||
+    `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/+$/, '');
+
+  // Absolute path of a key, refusing anything that escapes the root
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return file;
+  };
+
+  const getUrl = (key) => `${baseUrl}/${key}`;
+
+  const put = async (key, body) => {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Write beside the target and rename so readers never see half a file
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, body);
+    await fs.rename(temp, file);
+
+    return { key, url: getUrl(key), size: body.length };
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+    root,
+    put,
+    delete: remove,
+    getUrl
+  };
+};
+
+module.exports = {
+  getUploadDir,
+  createLocalStorage
+};
@@ -0,0 +1,72 @@
+// Keys are never reused, so stored files can be cached for good
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Stores files in an S3 bucket. S3_ENDPOINT points the client at any
+// S3-compatible service, such as a local MinIO container in development;
+// custom endpoints use path-style URLs unless S3_FORCE_PATH_STYLE=false.
+// Objects must be publicly readable, either through a bucket policy or
+// through S3_PUBLIC_URL (e.g. a CDN in front of the bucket).
+const createS3Storage = (options = {}) => {
+  // Loaded here so the local driver works without the AWS SDK
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const region = options.region || process.env.S3_REGION || 'us-east-1';
+  const endpoint = (options.endpoint || process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+  const forcePathStyle = Boolean(endpoint) && process.env.S3_FORCE_PATH_STYLE !== 'false';
+
+  const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+
+  // Without explicit keys the SDK falls back to its usual credential chain
+  const client = options.client || new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Where the bucket's objects are read from when no public URL is set
+  const getBucketUrl = () => {
+    if (forcePathStyle) return `${endpoint}/${bucket}`;
+    if (endpoint) return endpoint.replace('://', `://${bucket}.`);
+    return `https://${bucket}.s3.${region}.amazonaws.com`;
+  };
+
+  const baseUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || getBucketUrl()).replace(/\/+$/, '');
+
+  const getUrl = (key) => `${baseUrl}/${key}`;
+
+  const put = async (key, body, { contentType } = {}) => {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: CACHE_CONTROL
+    }));
+
+    return { key, url: getUrl(key), size: body.length };
+  };
+
+  // S3 deletes are idempotent, so a missing key is not an error
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  return {
+    name: 's3',
+    bucket,
+    put,
+    delete: remove,
+    getUrl
+  };
+};
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const Speaker = require('../models/Speaker');
+const AgendaSession = require('../models/AgendaSession');
+const CursorLog = require('../models/CursorLog');
+const agendaRoutes = require('../routes/agendaRoutes');
+const analyticsRoutes = require('../routes/analyticsRoutes');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/agenda', agendaRoutes);
+const analyticsApp = createApp('/api/analytics', analyticsRoutes);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let host;
+let event;
+let room;
+let speaker;
+
+// A slot `offset` hours into the event, lasting an hour
+const slot = (offset) => {
+  const startTime = new Date(event.dateTime.start.getTime() + offset * HOUR_MS);
+  return { startTime, endTime: new Date(startTime.getTime() + HOUR_MS) };
+};
+
+const buildSession = (fields) => new AgendaSession({ event: event._id, title: 'Opening Keynote', ...fields });
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  event = buildEvent({ host: host.user._id, rooms: [{ name: 'Main Stage', capacity: 500 }] });
+  [room] = event.rooms;
+  speaker = new Speaker({ event: event._id, name: 'Grace Hopper' });
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Speaker, 'countDocuments').mockResolvedValue(1);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AgendaSession.findConflicts', () => {
+  test('looks for overlapping sessions in the same room or with the same speaker', async () => {
+    jest.spyOn(AgendaSession, 'find').mockImplementation(() => mockQuery([]));
+    const { startTime, endTime } = slot(1);
+
+    await AgendaSession.findConflicts(event._id, { startTime, endTime, room: room._id, speakers: [speaker._id] });
+
+    expect(AgendaSession.find).toHaveBeenCalledWith({
+      event: event._id,
+      isDeleted: false,
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime },
+      $or: [{ room: room._id }, { speakers: { $in: [speaker._id] } }]
+    });
+  });
+
+  test('never conflicts for a session without a room or speakers', async () => {
+    jest.spyOn(AgendaSession, 'find');
+
+    const conflicts = await AgendaSession.findConflicts(event._id, slot(1));
+
+    expect(conflicts).toEqual([]);
+    expect(AgendaSession.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/agenda/event/:eventId/sessions', () => {
+  const create = (fields) => request(app)
+    .post(`/api/agenda/event/${event._id}/sessions`)
+    .set('Authorization', host.authorization)
+    .send({ title: 'Compilers for Everyone', ...fields });
+
+  test('schedules a session in a free room', async () => {
+    jest.spyOn(AgendaSession, 'find').mockImplementation(() => mockQuery([]));
+    jest.spyOn(AgendaSession, 'create').mockImplementation(async (fields) => {
+      const session = buildSession(fields);
+      jest.spyOn(session, 'populate').mockResolvedValue(session);
+      return session;
+    });
+
+    const res = await create({ ...slot(1), room: room._id.toString(), speakers: [speaker._id.toString()] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.session).toMatchObject({ title: 'Compilers for Everyone', room: room._id.toString() });
+  });
+
+  test('refuses to double-book a room or speaker', async () => {
+    const booked = buildSession({ ...slot(1), room: room._id });
+    jest.spyOn(AgendaSession, 'find').mockImplementation(() => mockQuery([booked]));
+    jest.spyOn(AgendaSession, 'create');
+
+    const res = await create({ ...slot(1), room: room._id.toString() });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data.conflicts).toHaveLength(1);
+    expect(AgendaSession.create).not.toHaveBeenCalled();
+  });
+
+  test('keeps sessions within the event', async () => {
+    const res = await create(slot(-2));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Sessions must take place between the event start and end');
+  });
+
+  test('only accepts rooms and speakers of the event', async () => {
+    Speaker.countDocuments.mockResolvedValue(0);
+
+    const res = await create({ ...slot(1), speakers: [speaker._id.toString()] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('One or more speakers were not found on this event');
+  });
+});
+
+describe('GET /api/analytics/sessions/:eventId', () => {
+  test('attributes page views and cursor activity to each session', async () => {
+    const keynote = buildSession({ ...slot(0), analytics: { pageViews: 12 } });
+    const workshop = buildSession({ ...slot(1), title: 'Hands-on Workshop', analytics: { pageViews: 40 } });
+    jest.spyOn(AgendaSession, 'find').mockImplementation(() => mockQuery([keynote, workshop]));
+    jest.spyOn(CursorLog, 'getAgendaSessionEngagement').mockResolvedValue(new Map([
+      [keynote._id.toString(), { visitors: new Set(['a', 'b']), movements: 30, clicks: 4, visits: 3, totalTimeSpent: 120 }]
+    ]));
+
+    const res = await request(analyticsApp)
+      .get(`/api/analytics/sessions/${event._id}`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sessions[0]).toMatchObject({
+      title: 'Opening Keynote',
+      pageViews: 12,
+      uniqueVisitors: 2,
+      clicks: 4,
+      averageTimeSpent: 60
+    });
+    expect(res.body.data.sessions[1]).toMatchObject({ uniqueVisitors: 0, clicks: 0 });
+    expect(res.body.data.topSessions.map(session => session.title)).toEqual(['Hands-on Workshop', 'Opening Keynote']);
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const LedgerEntry = require('../models/LedgerEntry');
+const ticketRoutes = require('../routes/ticketRoutes');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/tickets', ticketRoutes);
+
+let host;
+let event;
+
+const upload = (csv, query = {}) => request(app)
+  .post(`/api/tickets/import/${event._id}`)
+  .set('Authorization', host.authorization)
+  .query(query)
+  .attach('file', Buffer.from(csv), { filename: 'attendees.csv', contentType: 'text/csv' });
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  event = buildEvent({ host: host.user._id });
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Event, 'reserveSpots').mockImplementation(async () => event);
+  jest.spyOn(Event, 'releaseSpots').mockImplementation(async () => event);
+  jest.spyOn(Ticket, 'distinct').mockResolvedValue([]);
+  jest.spyOn(Ticket, 'insertMany').mockImplementation(async (tickets) => tickets);
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => entries);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/tickets/import/:eventId', () => {
+  test('reports every row in a dry run without importing anything', async () => {
+    const res = await upload([
+      'First Name,Last Name,Email,Dietary',
+      'Ada,Lovelace,ada@example.com,vegan;halal',
+      'Grace,Hopper,not-an-email,',
+      'Alan,Turing,alan@example.com,carnivore'
+    ].join('\n'), { dryRun: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toMatchObject({ totalRows: 3, valid: 1, invalid: 2, fitsCapacity: true });
+    expect(res.body.data.rows[0]).toEqual({ row: 2, email: 'ada@example.com', status: 'valid', errors: [] });
+    expect(res.body.data.rows[1].errors).toEqual([
+      { field: 'attendee.email', message: 'Please provide a valid email' }
+    ]);
+    expect(res.body.data.rows[2].errors).toEqual([
+      { field: 'dietaryRestrictions.0', message: "'carnivore' is not a valid dietaryRestrictions.0" }
+    ]);
+    expect(Event.reserveSpots).not.toHaveBeenCalled();
+    expect(Ticket.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('skips attendees who already hold a ticket or appear twice', async () => {
+    Ticket.distinct.mockResolvedValue(['grace@example.com']);
+
+    const res = await upload([
+      'First Name,Last Name,Email',
+      'Ada,Lovelace,ada@example.com',
+      'Ada,Lovelace,ADA@example.com',
+      'Grace,Hopper,grace@example.com'
+    ].join('\n'));
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary).toMatchObject({ valid: 1, duplicates: 2 });
+    expect(Ticket.insertMany.mock.calls[0][0]).toHaveLength(1);
+  });
+
+  test('never counts complimentary imports as revenue', async () => {
+    event = buildEvent({ host: host.user._id, ticketInfo: { isPaid: true, price: 40 } });
+
+    const res = await upload([
+      'First Name,Last Name,Email',
+      'Ada,Lovelace,ada@example.com',
+      'Grace,Hopper,grace@example.com'
+    ].join('\n'), { complimentary: 'true' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.summary).toMatchObject({ valid: 2, complimentary: 2, revenue: 0 });
+    expect(Event.reserveSpots).toHaveBeenCalledWith(event._id, 2, 0, null);
+    expect(Ticket.insertMany.mock.calls[0][0].map(ticket => ticket.price)).toEqual([0, 0]);
+  });
+
+  test('reads XLSX files', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Attendees');
+    sheet.addRow(['First Name', 'Last Name', 'Email']);
+    sheet.addRow(['Ada', 'Lovelace', 'ada@example.com']);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const res = await request(app)
+      .post(`/api/tickets/import/${event._id}`)
+      .set('Authorization', host.authorization)
+      .query({ dryRun: 'true' })
+      .attach('file', buffer, {
+        filename: 'attendees.xlsx',
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.rows).toEqual([{ row: 2, email: 'ada@example.com', status: 'valid', errors: [] }]);
+  });
+
+  test('imports nothing when the event has no room left', async () => {
+    Event.reserveSpots.mockResolvedValue(null);
+
+    const res = await upload('First Name,Last Name,Email\nAda,Lovelace,ada@example.com');
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Not enough capacity to import 1 attendees');
+    expect(Ticket.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/tickets/import/:eventId with a registration form', () => {
+  beforeEach(() => {
+    event.registrationForm = [
+      { key: 'company_size', label: 'Company size', type: 'single-choice', options: ['1-10', '11-50', '51+'], required: true },
+      { key: 'sessions', label: 'Sessions', type: 'multiple-choice', options: ['Keynote', 'Workshop', 'Panel'] },
+      { key: 'newsletter', label: 'Newsletter', type: 'checkbox' }
+    ];
+  });
+
+  test('stores the answers from columns named after the questions', async () => {
+    const res = await upload([
+      'First Name,Last Name,Email,Company Size,sessions,Newsletter',
+      'Ada,Lovelace,ada@example.com,11-50,Keynote;Panel,yes'
+    ].join('\n'));
+
+    expect(res.status).toBe(201);
+    const [[tickets]] = Ticket.insertMany.mock.calls;
+    expect(tickets[0].formAnswers.map(({ key, value }) => ({ key, value }))).toEqual([
+      { key: 'company_size', value: '11-50' },
+      { key: 'sessions', value: ['Keynote', 'Panel'] },
+      { key: 'newsletter', value: true }
+    ]);
+  });
+
+  test('reports rows whose answers break the form, row by row', async () => {
+    const res = await upload([
+      'First Name,Last Name,Email,Company Size,Sessions,Newsletter',
+      'Ada,Lovelace,ada@example.com,11-50,Keynote,no',
+      'Grace,Hopper,grace@example.com,,Keynote,',
+      'Alan,Turing,alan@example.com,enormous,Hackathon,maybe'
+    ].join('\n'), { dryRun: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toMatchObject({ valid: 1, invalid: 2 });
+    expect(res.body.data.rows[1]).toEqual({
+      row: 3,
+      email: 'grace@example.com',
+      status: 'invalid',
+      errors: [{ field: 'answers.company_size', message: 'Company size is required' }]
+    });
+    expect(res.body.data.rows[2].errors).toEqual([
+      { field: 'answers.company_size', message: 'Company size must be one of the options' },
+      { field: 'answers.sessions', message: 'Sessions must only contain the options' },
+      { field: 'answers.newsletter', message: 'Newsletter must be true or false' }
+    ]);
+    expect(Ticket.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('only imports the rows that pass', async () => {
+    const res = await upload([
+      'First Name,Last Name,Email,Company Size',
+      'Ada,Lovelace,ada@example.com,51+',
+      'Grace,Hopper,grace@example.com,'
+    ].join('\n'));
+
+    expect(res.status).toBe(201);
+    expect(Ticket.insertMany.mock.calls[0][0]).toHaveLength(1);
+    expect(Event.reserveSpots).toHaveBeenCalledWith(event._id, 1, 0, null);
+  });
+
+  test('prefers the ticket columns over a question with the same name', async () => {
+    event.registrationForm.push({ key: 'phone', label: 'Phone', type: 'text', required: true });
+
+    const res = await upload([
+      'First Name,Last Name,Email,Company Size,Phone',
+      'Ada,Lovelace,ada@example.com,1-10,555-0100'
+    ].join('\n'), { dryRun: 'true' });
+
+    expect(res.body.data.rows[0].errors).toEqual([{ field: 'answers.phone', message: 'Phone is required' }]);
+  });
+});
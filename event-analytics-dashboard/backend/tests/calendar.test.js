@@ -0,0 +1,144 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const EventRevision = require('../models/EventRevision');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const calendarRoutes = require('../routes/calendarRoutes');
+const { buildCalendar } = require('../utils/ical');
+const { createApp, mockQuery, buildEvent } = require('./helpers');
+
+const app = createApp('/api/calendar', calendarRoutes);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A plain event, the way the feeds read them with lean()
+const buildFeedEvent = (start, overrides = {}) => buildEvent({
+  dateTime: { start, end: new Date(start.getTime() + 2 * HOUR_MS), timezone: 'Europe/Berlin' },
+  ...overrides
+}).toObject();
+
+// Unfolded lines of a calendar
+const calendarLines = (text) => text.replace(/\r\n /g, '').split('\r\n');
+
+let event;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  event = buildFeedEvent(new Date(Date.UTC(2027, 0, 15, 18)));
+  jest.spyOn(EventRevision, 'aggregate').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildCalendar', () => {
+  test('writes times in the event timezone with a matching VTIMEZONE', () => {
+    const summer = buildFeedEvent(new Date(Date.UTC(2027, 6, 15, 18)));
+
+    const lines = calendarLines(buildCalendar([event, summer]));
+
+    expect(lines).toContain('DTSTART;TZID=Europe/Berlin:20270115T190000');
+    expect(lines).toContain('DTSTART;TZID=Europe/Berlin:20270715T200000');
+    expect(lines).toContain('TZID:Europe/Berlin');
+    expect(lines.filter(line => line === 'BEGIN:DAYLIGHT')).toHaveLength(1);
+    expect(lines).toContain('TZOFFSETTO:+0200');
+  });
+
+  test('falls back to UTC for unknown timezones', () => {
+    event.dateTime.timezone = 'Mars/Olympus_Mons';
+
+    const lines = calendarLines(buildCalendar([event]));
+
+    expect(lines).toContain('DTSTART:20270115T180000Z');
+    expect(lines).not.toContain('BEGIN:VTIMEZONE');
+  });
+
+  test('bumps SEQUENCE on updates and marks cancelled events', () => {
+    event.status = 'cancelled';
+
+    const lines = calendarLines(buildCalendar([event], { sequences: new Map([[event._id.toString(), 3]]) }));
+
+    expect(lines).toContain('SEQUENCE:3');
+    expect(lines).toContain('STATUS:CANCELLED');
+    expect(lines).toContain(`UID:${event._id}@event-analytics`);
+  });
+
+  test('uses the stream link as the location of online events', () => {
+    event.venue = { name: 'Livestream', isOnline: true, onlineUrl: 'https://meet.example.com/summit' };
+
+    const lines = calendarLines(buildCalendar([event]));
+
+    expect(lines).toContain('LOCATION:https://meet.example.com/summit');
+    expect(lines).toContain('URL:https://meet.example.com/summit');
+  });
+
+  test('escapes text and folds long lines', () => {
+    event.title = `Talks, demos; and more ${'x'.repeat(80)}`;
+
+    const text = buildCalendar([event]);
+
+    expect(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(calendarLines(text)).toContain(`SUMMARY:Talks\\, demos\\; and more ${'x'.repeat(80)}`);
+  });
+});
+
+describe('GET /api/calendar/events/:id.ics', () => {
+  test('downloads the event with its revision sequence', async () => {
+    jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+    EventRevision.aggregate.mockResolvedValue([{ _id: event._id, version: 3 }]);
+
+    const res = await request(app).get(`/api/calendar/events/${event._id}.ics`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/calendar; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="test-conference.ics"');
+    expect(calendarLines(res.text)).toContain('SEQUENCE:2');
+  });
+});
+
+describe('calendar feeds', () => {
+  beforeEach(() => {
+    jest.spyOn(Event, 'find').mockImplementation(() => mockQuery([event]));
+  });
+
+  test('list public events, cancelled ones included', async () => {
+    const res = await request(app).get('/api/calendar/public.ics?category=conference');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('X-WR-CALNAME:Public events');
+    expect(Event.find).toHaveBeenCalledWith({
+      isDeleted: false,
+      visibility: 'public',
+      status: { $ne: 'draft' },
+      'dateTime.end': { $gte: expect.any(Date) },
+      category: 'conference'
+    });
+  });
+
+  test('give each ticket holder the events they hold tickets to', async () => {
+    jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery({ email: 'ada@example.com' }));
+    jest.spyOn(Ticket, 'distinct').mockResolvedValue([event._id]);
+
+    const res = await request(app).get('/api/calendar/feeds/secret-token.ics');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain(`UID:${event._id}@event-analytics`);
+    expect(User.findOne).toHaveBeenCalledWith({ calendarToken: 'secret-token', isActive: true });
+    expect(Ticket.distinct).toHaveBeenCalledWith('event', {
+      'attendee.email': 'ada@example.com',
+      status: { $in: ['confirmed', 'checked-in'] },
+      isDeleted: false
+    });
+  });
+
+  test('answer 404 for an unknown feed token', async () => {
+    jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(null));
+
+    const res = await request(app).get('/api/calendar/feeds/revoked.ics');
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Calendar feed not found');
+  });
+});
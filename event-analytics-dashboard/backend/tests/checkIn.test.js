@@ -0,0 +1,146 @@
+const express = require('express');
+const request = require('supertest');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const checkInRoutes = require('../routes/checkInRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const { signIn, buildEvent, attendee } = require('./helpers');
+
+let emit;
+let io;
+
+// The app as server.js mounts it, with Socket.IO attached to each request
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.io = io;
+  next();
+});
+app.use('/api/check-in', checkInRoutes);
+app.use(errorHandler);
+
+let host;
+let event;
+let ticket;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  emit = jest.fn();
+  io = { to: jest.fn(() => ({ emit })) };
+  host = signIn();
+  event = buildEvent({ host: host.user._id });
+  event.analytics.totalRegistrations = 10;
+  ticket = new Ticket({ event: event._id, attendee, price: 0, ticketNumber: 'TKT-ABC123', status: 'confirmed' });
+
+  jest.spyOn(Event, 'findById').mockResolvedValue(event);
+  jest.spyOn(Event, 'findByIdAndUpdate').mockImplementation(async (id, { $inc }) => {
+    event.analytics.totalAttendees += $inc['analytics.totalAttendees'];
+    return event;
+  });
+  jest.spyOn(Ticket, 'findOne').mockResolvedValue(ticket);
+  jest.spyOn(Ticket, 'findOneAndUpdate').mockImplementation(async ({ status }, update) => {
+    if (ticket.status !== status) return null;
+    ticket.set(update);
+    return ticket;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const scan = (body, authorization = host.authorization) => request(app)
+  .post(`/api/check-in/${event._id}`)
+  .set('Authorization', authorization)
+  .send(body);
+
+describe('POST /api/check-in/:eventId', () => {
+  test('checks the ticket in at the gate and updates the host dashboard', async () => {
+    const res = await scan({ ticketNumber: 'tkt-abc123', gate: 'north' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ accepted: true, totalAttendees: 1 });
+    expect(ticket.status).toBe('checked-in');
+    expect(ticket.checkInGate).toBe('north');
+    expect(io.to).toHaveBeenCalledWith(`host-${event._id}`);
+    expect(emit).toHaveBeenCalledWith('attendance-update', expect.objectContaining({
+      type: 'check-in',
+      gate: 'north',
+      totalAttendees: 1,
+      totalRegistrations: 10
+    }));
+  });
+
+  test('answers a repeated scan the same way without counting it again', async () => {
+    await scan({ ticketNumber: 'TKT-ABC123' });
+    const res = await scan({ ticketNumber: 'TKT-ABC123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ accepted: false, reason: 'already-checked-in' });
+    expect(event.analytics.totalAttendees).toBe(1);
+    expect(emit).toHaveBeenCalledTimes(1);
+  });
+
+  test('lets only one of two gates check the same ticket in', async () => {
+    jest.spyOn(Ticket, 'findById').mockImplementation(async () => ticket);
+
+    const results = await Promise.all([
+      scan({ ticketNumber: 'TKT-ABC123', gate: 'north' }),
+      scan({ ticketNumber: 'TKT-ABC123', gate: 'south' })
+    ]);
+
+    expect(results.map(res => res.body.data.accepted).sort()).toEqual([false, true]);
+    expect(event.analytics.totalAttendees).toBe(1);
+  });
+
+  test('rejects a ticket for another event', async () => {
+    ticket.event = buildEvent()._id;
+
+    const res = await scan({ ticketNumber: 'TKT-ABC123' });
+
+    expect(res.body.data).toMatchObject({ accepted: false, reason: 'wrong-event' });
+    expect(Ticket.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('is open to door staff but not to analysts', async () => {
+    const doorStaff = signIn({ email: 'door@example.com' });
+    event.coHosts.push({ user: doorStaff.user._id, role: 'door-staff', status: 'accepted' });
+    const door = await scan({ ticketNumber: 'TKT-ABC123' }, doorStaff.authorization);
+
+    const analyst = signIn({ email: 'analyst@example.com' });
+    event.coHosts.push({ user: analyst.user._id, role: 'analyst', status: 'accepted' });
+    const denied = await scan({ ticketNumber: 'TKT-ABC123' }, analyst.authorization);
+
+    expect(door.body.data.accepted).toBe(true);
+    expect(denied.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/check-in/:eventId/:ticketNumber', () => {
+  const undo = () => request(app)
+    .delete(`/api/check-in/${event._id}/tkt-abc123`)
+    .set('Authorization', host.authorization);
+
+  test('puts the ticket back to confirmed and lowers the count', async () => {
+    await scan({ ticketNumber: 'TKT-ABC123', gate: 'north' });
+
+    const res = await undo();
+
+    expect(res.status).toBe(200);
+    expect(ticket.status).toBe('confirmed');
+    expect(ticket.checkInGate).toBeNull();
+    expect(res.body.data.totalAttendees).toBe(0);
+    expect(emit).toHaveBeenLastCalledWith('attendance-update', expect.objectContaining({
+      type: 'undo',
+      gate: 'north'
+    }));
+  });
+
+  test('refuses a ticket that is not checked in', async () => {
+    const res = await undo();
+
+    expect(res.status).toBe(400);
+    expect(Event.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const Event = require('../models/Event');
+const { runLifecycleTransitions } = require('../utils/eventLifecycle');
+const { mockQuery, buildEvent } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let events;
+let pending;
+
+// Webhook requests are held open until the test answers them
+const holdRequest = (url, options, callback) => {
+  const request = new EventEmitter();
+  request.end = () => {
+    pending.push(() => {
+      const response = new EventEmitter();
+      response.statusCode = 200;
+      response.resume = () => setImmediate(() => response.emit('end'));
+      callback(response);
+    });
+  };
+  return request;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  pending = [];
+
+  const started = new Date(Date.now() - HOUR_MS);
+  events = ['https://one.example.com/hook', 'https://two.example.com/hook'].map(statusWebhookUrl => buildEvent({
+    dateTime: { start: started, end: new Date(started.getTime() + 3 * HOUR_MS) },
+    settings: { statusWebhookUrl }
+  }));
+
+  jest.spyOn(Event, 'find').mockImplementation(filter =>
+    mockQuery(filter.registrationDeadline ? [] : events)
+  );
+  jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(async ({ _id }, update) => {
+    const event = events.find(candidate => candidate._id.equals(_id));
+    event.set(update);
+    return event;
+  });
+  jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  jest.spyOn(https, 'request').mockImplementation(holdRequest);
+  jest.spyOn(http, 'request').mockImplementation(holdRequest);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Let queued promise callbacks and timers run
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('runLifecycleTransitions', () => {
+  test('starts every webhook before waiting on any of them', async () => {
+    const io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+
+    const run = runLifecycleTransitions(io);
+    await settle();
+
+    expect(pending).toHaveLength(2);
+    pending.forEach(answer => answer());
+    await expect(run).resolves.toEqual({ registrationsClosed: 0, statusesChanged: 2 });
+    expect(events.map(event => event.status)).toEqual(['ongoing', 'ongoing']);
+  });
+
+  test('pushes the change to the rooms before the webhooks answer', async () => {
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+
+    const run = runLifecycleTransitions(io);
+    await settle();
+
+    expect(emit).toHaveBeenCalledWith('event-status-changed', expect.objectContaining({ status: 'ongoing' }));
+    pending.forEach(answer => answer());
+    await run;
+  });
+});
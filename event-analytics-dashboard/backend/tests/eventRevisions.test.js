@@ -0,0 +1,164 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const EventRevision = require('../models/EventRevision');
+const eventRoutes = require('../routes/eventRoutes');
+const { getRevisionSnapshot, diffSnapshots, recordEventRevision } = require('../utils/eventRevisions');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/events', eventRoutes);
+
+let host;
+let event;
+let revisions;
+
+// Store a revision of the event the way EventRevision.record numbers them
+const addRevision = (fields) => {
+  const revision = new EventRevision({
+    event: event._id,
+    version: revisions.length + 1,
+    ...fields
+  });
+  revisions.push(revision);
+  return revision;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  event = buildEvent({ host: host.user._id, ticketInfo: { isPaid: true, price: 40 } });
+  revisions = [];
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event.prototype, 'populate').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(EventRevision, 'exists').mockImplementation(async () => revisions.length > 0);
+  jest.spyOn(EventRevision, 'record').mockImplementation(async (eventId, fields) => addRevision(fields));
+  jest.spyOn(EventRevision, 'findOne').mockImplementation(({ version }) => mockQuery(
+    revisions.find(revision => revision.version === version) || null
+  ));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('diffSnapshots', () => {
+  test('lists changed fields by dot path', () => {
+    const before = getRevisionSnapshot(event);
+    event.venue.capacity = 150;
+    event.tags = ['tech'];
+
+    expect(diffSnapshots(before, getRevisionSnapshot(event))).toEqual([
+      { path: 'tags', before: [], after: ['tech'] },
+      { path: 'venue.capacity', before: 100, after: 150 }
+    ]);
+  });
+});
+
+describe('recordEventRevision', () => {
+  test('stores the author and changed fields of an update', async () => {
+    addRevision({ action: 'create', author: host.user._id, snapshot: getRevisionSnapshot(event) });
+    const before = getRevisionSnapshot(event);
+    event.ticketInfo.price = 55;
+
+    const revision = await recordEventRevision(event, { author: host.user._id, action: 'update', before });
+
+    expect(revision).toMatchObject({ version: 2, action: 'update', author: host.user._id });
+    expect(revision.changes.map(change => change.toObject()))
+      .toEqual([{ path: 'ticketInfo.price', before: 40, after: 55 }]);
+  });
+
+  test('keeps a baseline of events created before history was kept', async () => {
+    const before = getRevisionSnapshot(event);
+    event.venue.name = 'Riverside Hall';
+
+    await recordEventRevision(event, { author: host.user._id, action: 'update', before });
+
+    expect(revisions.map(revision => revision.action)).toEqual(['baseline', 'update']);
+    expect(revisions[0].snapshot.venue.name).toBe('Main Hall');
+  });
+
+  test('skips updates that changed no tracked field', async () => {
+    addRevision({ action: 'create', snapshot: getRevisionSnapshot(event) });
+
+    const revision = await recordEventRevision(event, {
+      author: host.user._id,
+      action: 'update',
+      before: getRevisionSnapshot(event)
+    });
+
+    expect(revision).toBeNull();
+    expect(revisions).toHaveLength(1);
+  });
+});
+
+describe('event revision endpoints', () => {
+  beforeEach(() => {
+    addRevision({ action: 'create', author: host.user._id, snapshot: getRevisionSnapshot(event) });
+    event.ticketInfo.price = 55;
+    event.venue.capacity = 80;
+    addRevision({ action: 'update', author: host.user._id, snapshot: getRevisionSnapshot(event) });
+  });
+
+  test('compares a revision with the current event', async () => {
+    event.venue.name = 'Riverside Hall';
+
+    const res = await request(app)
+      .get(`/api/events/${event._id}/revisions/compare?from=1`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ from: 1, to: 'current' });
+    expect(res.body.data.changes.map(change => change.path))
+      .toEqual(['ticketInfo.price', 'venue.capacity', 'venue.name']);
+  });
+
+  test('restores a previous version as a new revision', async () => {
+    const res = await request(app)
+      .post(`/api/events/${event._id}/revisions/1/restore`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(200);
+    expect(event.ticketInfo.price).toBe(40);
+    expect(event.venue.capacity).toBe(100);
+    expect(res.body.data.revision).toMatchObject({ version: 3, action: 'restore', restoredFrom: 1 });
+  });
+
+  test('refuses to restore a capacity below the tickets already sold', async () => {
+    addRevision({ action: 'update', snapshot: { ...getRevisionSnapshot(event), venue: { capacity: 20 } } });
+    event.analytics.totalRegistrations = 25;
+
+    const res = await request(app)
+      .post(`/api/events/${event._id}/revisions/3/restore`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message)
+      .toBe('Cannot restore version 3: its capacity of 20 is below the 25 spots already sold or held');
+    expect(Event.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for an unknown version', async () => {
+    const res = await request(app)
+      .get(`/api/events/${event._id}/revisions/9`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Revision 9 not found');
+  });
+
+  test('keeps the history private to the event team', async () => {
+    const stranger = signIn({ email: 'someone@example.com' });
+
+    const res = await request(app)
+      .get(`/api/events/${event._id}/revisions`)
+      .set('Authorization', stranger.authorization);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const eventRoutes = require('../routes/eventRoutes');
+const {
+  parseTerms,
+  fuzzyScore,
+  highlight,
+  parseFacetFilters,
+  buildFacetPipeline,
+  formatFacets
+} = require('../utils/eventSearch');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/events', eventRoutes);
+
+let host;
+let workshop;
+
+// $facet output of the search aggregation with `total` matching events
+const facetResult = (total, fields = {}) => ({
+  category: [],
+  city: [],
+  status: [],
+  tags: [],
+  price: [],
+  total: total ? [{ count: total }] : [],
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  workshop = buildEvent({
+    host: host.user._id,
+    title: 'Kubernetes Workshop',
+    description: 'Deploy your first cluster with Kubernetes & Helm',
+    category: 'workshop',
+    tags: ['devops']
+  }).toObject();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('search helpers', () => {
+  test('split the query into unique lowercase terms', () => {
+    expect(parseTerms('Kubernetes kubernetes, a Workshop!')).toEqual(['kubernetes', 'workshop']);
+  });
+
+  test('score exact, prefix and misspelled matches, weighting the title highest', () => {
+    expect(fuzzyScore(workshop, ['kubernetes'])).toBe(3);
+    expect(fuzzyScore(workshop, ['kube'])).toBeCloseTo(2.4);
+    expect(fuzzyScore(workshop, ['kubernets'])).toBe(1.5);
+    expect(fuzzyScore(workshop, ['devop'])).toBe(1.6);
+    expect(fuzzyScore(workshop, ['python'])).toBe(0);
+  });
+
+  test('mark matches in an escaped snippet', () => {
+    expect(highlight(workshop.description, ['helm', 'cluster']))
+      .toBe('Deploy your first <mark>cluster</mark> with Kubernetes &amp; <mark>Helm</mark>');
+  });
+
+  test('cut long texts around the first match', () => {
+    const snippet = highlight(`${'intro '.repeat(60)}the helm chart ${'outro '.repeat(60)}`, ['helm'], 40);
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('<mark>helm</mark>');
+  });
+
+  test('filter facets by any of the selected values', () => {
+    expect(parseFacetFilters({ category: 'workshop,meetup', price: 'free,25-50' })).toEqual({
+      category: { category: { $in: ['workshop', 'meetup'] } },
+      price: {
+        $or: [
+          { 'ticketInfo.price': { $lte: 0 } },
+          { 'ticketInfo.price': { $gt: 25, $lte: 50 } }
+        ]
+      }
+    });
+    expect(() => parseFacetFilters({ price: 'cheap' }))
+      .toThrow('Price must be one of: free, 0-25, 25-50, 50-100, 100-250, 250+');
+  });
+
+  test('count each facet without its own selection', () => {
+    const filters = parseFacetFilters({ category: 'workshop', city: 'Berlin' });
+
+    const [, { $facet }] = buildFacetPipeline({ isDeleted: false }, filters);
+
+    expect($facet.category[0].$match).toEqual(filters.city);
+    expect($facet.city[0].$match).toEqual(filters.category);
+    expect($facet.total[0].$match).toEqual({ $and: [filters.category, filters.city] });
+  });
+
+  test('list every price range, empty ones included', () => {
+    const facets = formatFacets(facetResult(2, { price: [{ _id: '25-50', count: 2 }] }));
+
+    expect(facets.price).toHaveLength(6);
+    expect(facets.price[2]).toEqual({ value: '25-50', min: 25, max: 50, count: 2 });
+    expect(facets.price[0].count).toBe(0);
+  });
+});
+
+describe('GET /api/events/search', () => {
+  const search = (params) => request(app)
+    .get('/api/events/search')
+    .query(params)
+    .set('Authorization', host.authorization);
+
+  test('ranks matches with the text index and returns facet counts', async () => {
+    jest.spyOn(Event, 'aggregate').mockResolvedValue([
+      facetResult(1, { category: [{ _id: 'workshop', count: 1 }] })
+    ]);
+    jest.spyOn(Event, 'find').mockImplementation(() => mockQuery([{ ...workshop, score: 1.5 }]));
+
+    const res = await search({ q: 'kubernetes' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.search).toEqual({ q: 'kubernetes', terms: ['kubernetes'], mode: 'text' });
+    expect(res.body.data.events[0].highlights.title).toBe('<mark>Kubernetes</mark> Workshop');
+    expect(res.body.data.facets.category).toEqual([{ value: 'workshop', count: 1 }]);
+    expect(res.body.data.pagination.total).toBe(1);
+    expect(Event.aggregate.mock.calls[0][0][0].$match.$text).toEqual({ $search: 'kubernetes' });
+  });
+
+  test('falls back to typo-tolerant matching when the text index finds nothing', async () => {
+    jest.spyOn(Event, 'aggregate')
+      .mockResolvedValueOnce([facetResult(0)])
+      .mockResolvedValueOnce([facetResult(1)]);
+    jest.spyOn(Event, 'find')
+      .mockImplementationOnce(() => mockQuery([workshop]))
+      .mockImplementationOnce(() => mockQuery([{ _id: workshop._id }]))
+      .mockImplementationOnce(() => mockQuery([workshop]));
+
+    const res = await search({ q: 'kubernets' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.search.mode).toBe('fuzzy');
+    expect(res.body.data.events).toHaveLength(1);
+    expect(res.body.data.events[0]).toMatchObject({ title: 'Kubernetes Workshop', score: 1.5 });
+    expect(Event.aggregate.mock.calls[1][0][0].$match._id).toEqual({ $in: [workshop._id] });
+  });
+
+  test('rejects unknown price ranges', async () => {
+    jest.spyOn(Event, 'aggregate');
+
+    const res = await search({ q: 'kubernetes', price: 'cheap' });
+
+    expect(res.status).toBe(400);
+    expect(Event.aggregate).not.toHaveBeenCalled();
+  });
+});
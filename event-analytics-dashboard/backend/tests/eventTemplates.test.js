@@ -0,0 +1,133 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const EventTemplate = require('../models/EventTemplate');
+const EventRevision = require('../models/EventRevision');
+const eventRoutes = require('../routes/eventRoutes');
+const templateRoutes = require('../routes/templateRoutes');
+const { buildTemplateData, buildEventClone } = require('../utils/eventTemplates');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const eventApp = createApp('/api/events', eventRoutes);
+const templateApp = createApp('/api/templates', templateRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let host;
+let event;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  event = buildEvent({
+    host: host.user._id,
+    ticketInfo: { isPaid: true, price: 40, earlyBirdDeadline: new Date(Date.now() + 2 * DAY_MS) },
+    settings: { enableQA: true },
+    requirements: { equipmentNeeded: ['Laptop'] },
+    tags: ['tech'],
+    ticketTiers: [{ name: 'General', price: 40, quantity: 80, sold: 30 }]
+  });
+  event.analytics.totalRegistrations = 30;
+  event.analytics.totalRevenue = 1200;
+  event.slug = 'test-conference';
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildTemplateData', () => {
+  test('keeps the reusable setup and replaces dates with a duration', () => {
+    const data = buildTemplateData(event.toObject({ virtuals: false }));
+
+    expect(data).toMatchObject({
+      title: 'Test Conference',
+      venue: { name: 'Main Hall', capacity: 100 },
+      ticketInfo: { isPaid: true, price: 40 },
+      settings: { enableQA: true },
+      requirements: { equipmentNeeded: ['Laptop'] },
+      tags: ['tech'],
+      durationMinutes: 180
+    });
+    expect(data.ticketTiers).toEqual([expect.not.objectContaining({ sold: expect.anything() })]);
+    expect(data.ticketInfo.earlyBirdDeadline).toBeUndefined();
+    expect(data.dateTime).toBeUndefined();
+    expect(data.analytics).toBeUndefined();
+  });
+});
+
+describe('buildEventClone', () => {
+  test('moves every date by the same offset and starts sales from zero', () => {
+    const start = new Date(event.dateTime.start.getTime() + 30 * DAY_MS);
+
+    const { data, offset } = buildEventClone(event, { start });
+
+    expect(offset).toBe(30 * DAY_MS);
+    expect(data.title).toBe('Test Conference (copy)');
+    expect(data.dateTime.end - event.dateTime.end).toBe(offset);
+    expect(data.ticketInfo.earlyBirdDeadline - event.ticketInfo.earlyBirdDeadline).toBe(offset);
+    expect(data.ticketTiers[0]).toMatchObject({ name: 'General', quantity: 80 });
+    expect(data.ticketTiers[0].sold).toBeUndefined();
+    ['_id', 'host', 'slug', 'analytics', 'status'].forEach(field => expect(data[field]).toBeUndefined());
+  });
+});
+
+describe('POST /api/templates/from-event/:eventId', () => {
+  const saveAsTemplate = (authorization = host.authorization) => request(templateApp)
+    .post(`/api/templates/from-event/${event._id}`)
+    .set('Authorization', authorization)
+    .send({ name: 'Yearly conference' });
+
+  test('saves an event as a reusable template', async () => {
+    jest.spyOn(EventTemplate, 'create').mockImplementation(async (fields) => new EventTemplate(fields));
+
+    const res = await saveAsTemplate();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.template).toMatchObject({
+      name: 'Yearly conference',
+      sourceEvent: event._id.toString(),
+      event: { venue: { name: 'Main Hall' }, tags: ['tech'], durationMinutes: 180 }
+    });
+  });
+
+  test('only saves events the user manages', async () => {
+    const stranger = signIn({ email: 'someone@example.com' });
+    jest.spyOn(EventTemplate, 'create');
+
+    const res = await saveAsTemplate(stranger.authorization);
+
+    expect(res.status).toBe(403);
+    expect(EventTemplate.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/events/:id/clone', () => {
+  test('creates a copy on the new date with cleared analytics', async () => {
+    jest.spyOn(Event, 'create').mockImplementation(async (fields) => new Event(fields));
+    jest.spyOn(Event.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(EventRevision, 'exists').mockResolvedValue(null);
+    jest.spyOn(EventRevision, 'record').mockResolvedValue({});
+    const start = new Date(event.dateTime.start.getTime() + 7 * DAY_MS);
+
+    const res = await request(eventApp)
+      .post(`/api/events/${event._id}/clone`)
+      .set('Authorization', host.authorization)
+      .send({ start: start.toISOString(), title: 'Test Conference 2' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.clonedFrom).toBe(event._id.toString());
+    expect(res.body.data.event).toMatchObject({
+      title: 'Test Conference 2',
+      status: 'draft',
+      host: host.user._id.toString(),
+      analytics: { totalRegistrations: 0, totalRevenue: 0 }
+    });
+    expect(new Date(res.body.data.event.dateTime.start)).toEqual(start);
+    expect(res.body.data.event.ticketTiers[0].sold).toBe(0);
+  });
+});
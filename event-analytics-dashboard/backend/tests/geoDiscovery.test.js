@@ -0,0 +1,110 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const eventRoutes = require('../routes/eventRoutes');
+const { toGeoPoint, parseBoundingBox, boundingBoxQuery, distanceKm } = require('../utils/geo');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/events', eventRoutes);
+
+const BERLIN = { latitude: 52.52, longitude: 13.405 };
+const POTSDAM = { latitude: 52.3906, longitude: 13.0645 };
+const PARIS = { latitude: 48.8566, longitude: 2.3522 };
+
+let host;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  host = signIn();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('geo helpers', () => {
+  test('turn coordinates into GeoJSON points, longitude first', () => {
+    expect(toGeoPoint(BERLIN)).toEqual({ type: 'Point', coordinates: [13.405, 52.52] });
+    expect(toGeoPoint({ latitude: 52.52 })).toBeUndefined();
+    expect(toGeoPoint({ latitude: 95, longitude: 13.405 })).toBeUndefined();
+  });
+
+  test('measure great-circle distances in kilometres', () => {
+    expect(distanceKm(toGeoPoint(BERLIN), toGeoPoint(PARIS))).toBeCloseTo(878, -1);
+  });
+
+  test('reject malformed bounding boxes', () => {
+    expect(() => parseBoundingBox('13,52,14')).toThrow('Bounding box must be minLng,minLat,maxLng,maxLat');
+    expect(() => parseBoundingBox('13,52,14,95')).toThrow('Bounding box coordinates are out of range');
+    expect(() => parseBoundingBox('13,53,14,52')).toThrow('Bounding box south edge must be below its north edge');
+  });
+
+  test('split a bounding box that crosses the antimeridian in two', () => {
+    const { $geoWithin } = boundingBoxQuery(parseBoundingBox('170,-20,-170,-10'));
+
+    expect($geoWithin.$geometry.type).toBe('MultiPolygon');
+    expect($geoWithin.$geometry.coordinates.map(([ring]) => [ring[0], ring[2]])).toEqual([
+      [[170, -20], [180, -10]],
+      [[-180, -20], [-170, -10]]
+    ]);
+  });
+});
+
+describe('Event venue location', () => {
+  test('follows the address coordinates on validation', async () => {
+    const event = buildEvent({ venue: { address: { city: 'Berlin', country: 'Germany', coordinates: BERLIN } } });
+    jest.spyOn(event, 'getSlugChange').mockResolvedValue(null);
+
+    await event.validate();
+    expect(event.venue.location.toObject()).toEqual({ type: 'Point', coordinates: [13.405, 52.52] });
+
+    event.venue.address.coordinates = undefined;
+    await event.validate();
+    expect(event.toObject().venue.location).toBeUndefined();
+  });
+});
+
+describe('GET /api/events by location', () => {
+  const search = (params) => request(app)
+    .get('/api/events')
+    .query(params)
+    .set('Authorization', host.authorization);
+
+  beforeEach(() => {
+    const nearby = buildEvent({ host: host.user._id, venue: { address: { city: 'Potsdam', country: 'Germany', coordinates: POTSDAM } } });
+    nearby.set('venue.location', toGeoPoint(POTSDAM));
+    jest.spyOn(Event, 'find').mockImplementation(() => mockQuery([nearby]));
+    jest.spyOn(Event, 'countDocuments').mockResolvedValue(1);
+  });
+
+  test('finds events within a radius, nearest first with their distance', async () => {
+    const res = await search({ lat: BERLIN.latitude, lng: BERLIN.longitude, radius: 30 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.events[0].distanceKm).toBeCloseTo(27.6, 0);
+    expect(Event.find.mock.calls[0][0]['venue.location']).toEqual({
+      $nearSphere: { $geometry: toGeoPoint(BERLIN), $maxDistance: 30000 }
+    });
+    expect(Event.countDocuments.mock.calls[0][0]['venue.location'].$geoWithin.$centerSphere[0])
+      .toEqual([13.405, 52.52]);
+  });
+
+  test('finds events inside a map bounding box', async () => {
+    const res = await search({ bbox: '12.9,52.3,13.8,52.7' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.events[0].distanceKm).toBeUndefined();
+    expect(Event.find.mock.calls[0][0]['venue.location'].$geoWithin.$geometry.type).toBe('Polygon');
+  });
+
+  test('rejects incomplete or mixed location filters', async () => {
+    const missingLng = await search({ lat: BERLIN.latitude });
+    const mixed = await search({ lat: BERLIN.latitude, lng: BERLIN.longitude, bbox: '12.9,52.3,13.8,52.7' });
+    const badBox = await search({ bbox: 'berlin' });
+
+    expect(missingLng.status).toBe(400);
+    expect(missingLng.body.message).toBe('A near query needs a valid lat, lng and a positive radius in km');
+    expect(mixed.body.message).toBe('Use either a near query or a bounding box, not both');
+    expect(badBox.body.message).toBe('Bounding box must be minLng,minLat,maxLng,maxLat');
+    expect(Event.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const errorHandler = require('../middleware/errorHandler');
+const Event = require('../models/Event');
+const User = require('../models/User');
+
+// An Express app serving one router the way server.js mounts it
+const createApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+// Stand-in for a Mongoose query: chainable like one and resolving to `result`
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// A signed-in user. Stubs the lookup the auth middleware makes and returns
+// the Authorization header to send.
+const signIn = (overrides = {}) => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'host@example.com',
+    role: 'organizer',
+    isActive: true,
+    ...overrides
+  };
+
+  jest.spyOn(User, 'findById').mockImplementation(id =>
+    mockQuery(String(id) === String(user._id) ? user : null)
+  );
+
+  return {
+    user,
+    authorization: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`
+  };
+};
+
+// An event open for registration, a week from now
+const buildEvent = (overrides = {}) => {
+  const start = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const { venue, ticketInfo, settings, ...rest } = overrides;
+
+  return new Event({
+    title: 'Test Conference',
+    description: 'An event used in tests',
+    category: 'conference',
+    host: new mongoose.Types.ObjectId(),
+    status: 'published',
+    venue: {
+      name: 'Main Hall',
+      address: { city: 'Berlin', country: 'Germany' },
+      capacity: 100,
+      ...venue
+    },
+    dateTime: {
+      start,
+      end: new Date(start.getTime() + 3 * 60 * 60 * 1000)
+    },
+    ticketInfo: { isPaid: false, price: 0, currency: 'USD', ...ticketInfo },
+    settings: { allowWaitlist: true, ...settings },
+    ...rest
+  });
+};
+
+const attendee = {
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com'
+};
+
+module.exports = {
+  createApp,
+  mockQuery,
+  signIn,
+  buildEvent,
+  attendee
+};
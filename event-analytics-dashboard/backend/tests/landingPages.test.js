@@ -0,0 +1,126 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const EventReferrer = require('../models/EventReferrer');
+const landingRoutes = require('../routes/landingRoutes');
+const { slugify, getSlugBase } = require('../utils/slugs');
+const { createApp, mockQuery, buildEvent } = require('./helpers');
+
+const app = createApp('/events', landingRoutes);
+
+let event;
+
+// The schema.org JSON-LD embedded in a landing page
+const readJsonLd = (html) => JSON.parse(html.match(/<script type="application\/ld\+json">(.*?)<\/script>/)[1]);
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  event = buildEvent({
+    title: 'Spring Tech Summit',
+    description: 'Two days of talks about <web> platforms',
+    slug: 'spring-tech-summit',
+    previousSlugs: ['tech-summit'],
+    ticketInfo: { isPaid: true, price: 40 }
+  });
+
+  jest.spyOn(Event, 'findOne').mockImplementation(({ slug, previousSlugs }) => mockQuery(
+    slug === event.slug || event.previousSlugs.includes(previousSlugs) ? event : null
+  ));
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Event.prototype, 'populate').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(EventReferrer, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('event slugs', () => {
+  test('are lowercase ASCII words joined by hyphens', () => {
+    expect(slugify('Café & Code: Zürich 2027!')).toBe('cafe-and-code-zurich-2027');
+    expect(getSlugBase('東京')).toBe('event');
+    expect(getSlugBase('507f1f77bcf86cd799439011')).toBe('event-507f1f77bcf86cd799439011');
+  });
+
+  test('get the next free number when taken, old slugs included', async () => {
+    jest.spyOn(Event, 'find').mockImplementation(() => mockQuery([
+      { slug: 'spring-tech-summit', previousSlugs: [] },
+      { slug: 'other-event', previousSlugs: ['spring-tech-summit-2'] }
+    ]));
+
+    await expect(Event.generateSlug('Spring Tech Summit')).resolves.toBe('spring-tech-summit-3');
+  });
+
+  test('move with the title and keep the old slug for redirects', async () => {
+    jest.spyOn(Event, 'find').mockImplementation(() => mockQuery([]));
+
+    await expect(event.getSlugChange('Spring Tech Summit')).resolves.toBeNull();
+    await expect(event.getSlugChange('Autumn Tech Summit')).resolves.toEqual({
+      slug: 'autumn-tech-summit',
+      previousSlugs: ['tech-summit', 'spring-tech-summit']
+    });
+  });
+});
+
+describe('GET /events/:slug', () => {
+  test('renders Open Graph, Twitter card and schema.org Event metadata', async () => {
+    const res = await request(app).get('/events/spring-tech-summit');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/html/);
+    expect(res.text).toContain('<meta property="og:title" content="Spring Tech Summit">');
+    expect(res.text).toContain('<meta name="twitter:card" content="summary">');
+    expect(res.text).toContain('<meta name="description" content="Two days of talks about &lt;web&gt; platforms">');
+    expect(readJsonLd(res.text)).toMatchObject({
+      '@type': 'Event',
+      name: 'Spring Tech Summit',
+      eventStatus: 'https://schema.org/EventScheduled',
+      location: { '@type': 'Place', name: 'Main Hall', address: { addressLocality: 'Berlin' } },
+      offers: [{ '@type': 'Offer', price: 40, priceCurrency: 'USD', availability: 'https://schema.org/InStock' }]
+    });
+  });
+
+  test('counts the view and credits the referrer', async () => {
+    await request(app).get('/events/spring-tech-summit?utm_source=Newsletter');
+
+    expect(event.analytics.pageViews).toBe(1);
+    expect(EventReferrer.updateOne).toHaveBeenCalledWith(
+      { event: event._id, source: 'newsletter' },
+      expect.objectContaining({ $inc: { views: 1 } }),
+      { upsert: true }
+    );
+  });
+
+  test('does not count link previews as views', async () => {
+    await request(app)
+      .get('/events/spring-tech-summit')
+      .set('User-Agent', 'Slackbot-LinkExpanding 1.0');
+
+    expect(event.analytics.pageViews).toBe(0);
+    expect(EventReferrer.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('redirects old slugs and ids to the current slug', async () => {
+    const renamed = await request(app).get('/events/tech-summit?ref=twitter');
+    const byId = await request(app).get(`/events/${event._id}`);
+
+    expect(renamed.status).toBe(301);
+    expect(renamed.headers.location).toBe('/events/spring-tech-summit?ref=twitter');
+    expect(byId.status).toBe(301);
+    expect(byId.headers.location).toBe('/events/spring-tech-summit');
+  });
+
+  test('has no page for drafts', async () => {
+    event.status = 'draft';
+
+    const res = await request(app).get('/events/spring-tech-summit');
+
+    expect(res.status).toBe(404);
+    expect(Event.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const EventRevision = require('../models/EventRevision');
+const mediaRoutes = require('../routes/mediaRoutes');
+const { registerStorageDriver } = require('../storage');
+const { createLocalStorage } = require('../storage/localStorage');
+const { releaseEventMedia } = require('../utils/media');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/media', mediaRoutes);
+
+let uploadDir;
+let host;
+let event;
+let photo;
+
+// Stored file for a public URL of the local storage
+const storedFile = (url) => path.join(uploadDir, url.replace('http://cdn.test/uploads/', ''));
+
+// Keys of everything in the upload directory
+const storedKeys = () => fs.readdirSync(uploadDir, { recursive: true })
+  .filter(name => fs.statSync(path.join(uploadDir, name)).isFile());
+
+beforeAll(async () => {
+  // A wide camera photo that records the camera in its EXIF data
+  photo = await sharp({ create: { width: 2400, height: 1200, channels: 3, background: '#3366aa' } })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Make: 'TestCam' } } })
+    .toBuffer();
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-media-'));
+  registerStorageDriver('local', () => createLocalStorage({ root: uploadDir, baseUrl: 'http://cdn.test/uploads' }));
+
+  host = signIn();
+  event = buildEvent({ host: host.user._id });
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(EventRevision, 'exists').mockResolvedValue({ _id: 'revision' });
+  jest.spyOn(EventRevision, 'record').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('POST /api/media/event/:eventId/images', () => {
+  const upload = (buffer, fileName, contentType, authorization = host.authorization) => request(app)
+    .post(`/api/media/event/${event._id}/images`)
+    .set('Authorization', authorization)
+    .field('alt', 'Main stage')
+    .attach('images', buffer, { filename: fileName, contentType });
+
+  test('stores resized variants without EXIF data', async () => {
+    const res = await upload(photo, 'stage.jpg', 'image/jpeg');
+
+    expect(res.status).toBe(201);
+    const [image] = res.body.data.uploaded;
+    expect(image).toMatchObject({ alt: 'Main stage', width: 1920, height: 960, contentType: 'image/jpeg', isPrimary: true });
+    expect(image.storageKeys).toHaveLength(3);
+
+    const full = await sharp(storedFile(image.url)).metadata();
+    const thumbnail = await sharp(storedFile(image.variants.thumbnail)).metadata();
+    expect((await sharp(photo).metadata()).exif).toBeDefined();
+    expect(full.exif).toBeUndefined();
+    expect([thumbnail.width, thumbnail.height]).toEqual([320, 320]);
+  });
+
+  test('refuses files that are not JPEG, PNG or WebP', async () => {
+    const res = await upload(Buffer.from('GIF89a'), 'stage.gif', 'image/gif');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Only JPEG, PNG and WebP images are allowed');
+  });
+
+  test('refuses images whose content does not match their type', async () => {
+    const png = await sharp(photo).png().toBuffer();
+
+    const res = await upload(png, 'stage.jpg', 'image/jpeg');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('stage.jpg does not match its file type');
+    expect(storedKeys()).toEqual([]);
+  });
+
+  test('only accepts images from the event team', async () => {
+    const stranger = signIn({ email: 'someone@example.com' });
+
+    const res = await upload(photo, 'stage.jpg', 'image/jpeg', stranger.authorization);
+
+    expect(res.status).toBe(403);
+    expect(storedKeys()).toEqual([]);
+  });
+});
+
+describe('PUT /api/media/avatar', () => {
+  test('replaces the previous avatar files', async () => {
+    const user = new User({ _id: host.user._id, firstName: 'Ada', lastName: 'Lovelace', email: host.user.email });
+    User.findById.mockImplementation(() => mockQuery(user));
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    const upload = () => request(app)
+      .put('/api/media/avatar')
+      .set('Authorization', host.authorization)
+      .attach('avatar', photo, { filename: 'me.jpg', contentType: 'image/jpeg' });
+
+    const first = await upload();
+    const firstKeys = user.avatarKeys;
+    const second = await upload();
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.avatar).not.toBe(first.body.data.avatar);
+    expect((await sharp(storedFile(second.body.data.avatar)).metadata()).width).toBe(512);
+    expect(storedKeys().sort()).toEqual([...user.avatarKeys].sort());
+    expect(storedKeys()).not.toContain(firstKeys[0]);
+  });
+});
+
+describe('releaseEventMedia', () => {
+  test('keeps files another event still uses', async () => {
+    const storage = createLocalStorage({ root: uploadDir });
+    const keys = ['events/a/full.jpg', 'events/a/thumbnail.jpg'];
+    await Promise.all(keys.map(key => storage.put(key, Buffer.from('image'))));
+    const clone = buildEvent({ images: [{ url: 'http://cdn.test/uploads/events/a/full.jpg', storageKeys: [keys[0]] }] });
+    jest.spyOn(Event, 'find').mockImplementation(() => mockQuery([clone]));
+
+    await releaseEventMedia(event._id, keys);
+
+    expect(storedKeys()).toEqual([keys[0]]);
+  });
+});
@@ -0,0 +1,119 @@
+const { createMockGateway } = require('../payments/mockGateway');
+
+const SECRET = 'test-webhook-secret';
+
+// Create and confirm a payment, returning the webhook the gateway sends
+const payAndGetWebhook = async (gateway, paymentMethodToken = 'tok_visa') => {
+  const intent = await gateway.createIntent({ amount: 25, currency: 'USD', reference: 'ticket-1' });
+  const { webhook } = await gateway.confirmIntent(intent.id, {
+    paymentMethodToken,
+    clientSecret: intent.clientSecret
+  });
+  return { intent, webhook };
+};
+
+describe('mock payment gateway webhooks', () => {
+  test('verifies a webhook it signed', async () => {
+    const gateway = createMockGateway({ webhookSecret: SECRET });
+    const { intent, webhook } = await payAndGetWebhook(gateway);
+
+    expect(gateway.verifyWebhook(webhook.body, webhook.headers)).toMatchObject({
+      type: 'payment.succeeded',
+      intentId: intent.id,
+      amount: 25,
+      currency: 'USD'
+    });
+  });
+
+  test('accepts the raw body as a buffer', async () => {
+    const gateway = createMockGateway({ webhookSecret: SECRET });
+    const { webhook } = await payAndGetWebhook(gateway);
+
+    expect(gateway.verifyWebhook(Buffer.from(webhook.body), webhook.headers).type).toBe('payment.succeeded');
+  });
+
+  test('reports declined payments as failed', async () => {
+    const gateway = createMockGateway({ webhookSecret: SECRET });
+    const { webhook } = await payAndGetWebhook(gateway, 'tok_chargeDeclined');
+
+    expect(gateway.verifyWebhook(webhook.body, webhook.headers)).toMatchObject({
+      type: 'payment.failed',
+      data: { declineCode: 'card_declined' }
+    });
+  });
+
+  test('rejects a webhook without a signature', async () => {
+    const gateway = createMockGateway({ webhookSecret: SECRET });
+    const { webhook } = await payAndGetWebhook(gateway);
+
+    expect(() => gateway.verifyWebhook(webhook.body, {})).toThrow('Invalid webhook signature');
+  });
+
+  test('rejects a body changed after signing', async () => {
+    const gateway = createMockGateway({ webhookSecret: SECRET });
+    const { webhook } = await payAndGetWebhook(gateway);
+    const tampered = webhook.body.replace('"amount":25', '"amount":2500');
+
+    expect(tampered).not.toBe(webhook.body);
+    expect(() => gateway.verifyWebhook(tampered, webhook.headers)).toThrow('Invalid webhook signature');
+  });
+
+  test('rejects a webhook signed with another secret', async () => {
+    const sender = createMockGateway({ webhookSecret: 'another-secret' });
+    const receiver = createMockGateway({ webhookSecret: SECRET });
+    const { webhook } = await payAndGetWebhook(sender);
+
+    expect(() => receiver.verifyWebhook(webhook.body, webhook.headers)).toThrow('Invalid webhook signature');
+  });
+
+  test('answers a bad signature with a 400 error', async () => {
+    const gateway = createMockGateway({ webhookSecret: SECRET });
+    const { webhook } = await payAndGetWebhook(gateway);
+
+    let error;
+    try {
+      gateway.verifyWebhook(webhook.body, { 'x-mock-signature': 'not-a-signature' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.statusCode).toBe(400);
+  });
+
+  test('signs refund webhooks too', async () => {
+    const gateway = createMockGateway({ webhookSecret: SECRET });
+    const { intent } = await payAndGetWebhook(gateway);
+    const refund = await gateway.refund(intent.id, 10);
+
+    expect(gateway.verifyWebhook(refund.webhook.body, refund.webhook.headers)).toMatchObject({
+      type: 'refund.succeeded',
+      amount: 10
+    });
+  });
+});
+
+describe('mock payment gateway configuration', () => {
+  const env = process.env;
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test('needs a webhook secret outside development', () => {
+    process.env = { ...env, NODE_ENV: 'production' };
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+    expect(() => createMockGateway()).toThrow('MOCK_PAYMENT_WEBHOOK_SECRET is not configured');
+  });
+
+  test('generates a secret per process in development', async () => {
+    process.env = { ...env, NODE_ENV: 'development' };
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+    const first = createMockGateway();
+    const second = createMockGateway();
+    const { webhook } = await payAndGetWebhook(first);
+
+    expect(first.verifyWebhook(webhook.body, webhook.headers).type).toBe('payment.succeeded');
+    expect(() => second.verifyWebhook(webhook.body, webhook.headers)).toThrow('Invalid webhook signature');
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Organization = require('../models/Organization');
+const organizationRoutes = require('../routes/organizationRoutes');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/organizations', organizationRoutes);
+
+let member;
+let organization;
+let events;
+
+const listEvents = (query = {}, authorization = member.authorization) => request(app)
+  .get(`/api/organizations/${organization._id}/events`)
+  .set('Authorization', authorization)
+  .query(query);
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  member = signIn();
+  organization = new Organization({
+    name: 'Acme Events',
+    slug: 'acme-events',
+    members: [
+      { user: new mongoose.Types.ObjectId(), role: 'owner' },
+      { user: member.user._id, role: 'member' }
+    ]
+  });
+  events = [buildEvent({ organization: organization._id })];
+
+  jest.spyOn(Organization, 'findById').mockImplementation(() => mockQuery(organization));
+  jest.spyOn(Event, 'find').mockImplementation(() => mockQuery(events));
+  jest.spyOn(Event, 'countDocuments').mockResolvedValue(events.length);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/organizations/:id/events', () => {
+  test('lists only the organization\'s live events', async () => {
+    const res = await listEvents();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.events).toHaveLength(1);
+    expect(Event.find).toHaveBeenCalledWith(expect.objectContaining({
+      organization: organization._id,
+      isDeleted: false
+    }));
+  });
+
+  test('matches search text literally', async () => {
+    const res = await listEvents({ search: '(a+)+$' });
+
+    expect(res.status).toBe(200);
+    const [{ $or: [{ title }] }] = Event.find.mock.calls[0];
+    expect(title.source).toBe('\\(a\\+\\)\\+\\$');
+    expect(title.test('Workshop (a+)+$ edition')).toBe(true);
+    expect(title.test('aaaa')).toBe(false);
+  });
+
+  test('keeps the organization scope whatever the filters say', async () => {
+    await listEvents({ host: member.user._id.toString(), status: 'published' });
+
+    expect(Event.find).toHaveBeenCalledWith(expect.objectContaining({
+      organization: organization._id,
+      isDeleted: false,
+      status: 'published'
+    }));
+  });
+
+  test('hides the organization from non-members', async () => {
+    const outsider = signIn({ email: 'outsider@example.com' });
+
+    const res = await listEvents({}, outsider.authorization);
+
+    expect(res.status).toBe(404);
+    expect(Event.find).not.toHaveBeenCalled();
+  });
+});
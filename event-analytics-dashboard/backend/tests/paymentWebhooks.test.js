@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const LedgerEntry = require('../models/LedgerEntry');
+const PaymentEvent = require('../models/PaymentEvent');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getPaymentProvider } = require('../payments');
+const { startTicketPayment, handlePaymentWebhook, expirePendingPayments } = require('../utils/ticketPayments');
+const { mockQuery, attendee } = require('./helpers');
+
+let provider;
+let ticket;
+
+// Pay for the pending ticket with the mock gateway and return its webhook
+const pay = async (paymentMethodToken = 'tok_visa') => {
+  const payment = await startTicketPayment(ticket);
+  const { webhook } = await provider.confirmIntent(payment.intentId, {
+    clientSecret: payment.clientSecret,
+    paymentMethodToken
+  });
+  return webhook;
+};
+
+beforeEach(() => {
+  provider = getPaymentProvider();
+  ticket = new Ticket({
+    event: new mongoose.Types.ObjectId(),
+    attendee,
+    price: 40,
+    currency: 'USD',
+    status: 'pending',
+    paymentStatus: 'pending',
+    paymentMethod: 'credit-card'
+  });
+
+  jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Ticket, 'findOne').mockImplementation(({ transactionId }) => mockQuery(
+    ticket.transactionId === transactionId ? ticket : null
+  ));
+  jest.spyOn(Ticket, 'findById').mockImplementation(() => mockQuery(ticket));
+  jest.spyOn(Ticket, 'findOneAndUpdate').mockImplementation(async ({ status, paymentStatus }, update) => {
+    if (ticket.status !== status || ticket.paymentStatus !== paymentStatus) return null;
+    ticket.set(update);
+    return ticket;
+  });
+  jest.spyOn(PaymentEvent, 'create').mockImplementation(async (fields) => new PaymentEvent(fields));
+  jest.spyOn(PaymentEvent, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(PaymentEvent, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(Event, 'recordRevenue').mockResolvedValue(null);
+  jest.spyOn(Event, 'releaseSpots').mockResolvedValue(null);
+  jest.spyOn(LedgerEntry, 'recordSale').mockResolvedValue(null);
+  jest.spyOn(WaitlistEntry, 'promoteNext').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('handlePaymentWebhook', () => {
+  test('confirms the ticket once the payment succeeded and counts the sale', async () => {
+    const webhook = await pay();
+
+    const result = await handlePaymentWebhook('mock', webhook.body, webhook.headers);
+
+    expect(result).toMatchObject({ duplicate: false, outcome: 'confirmed' });
+    expect(ticket).toMatchObject({ status: 'confirmed', paymentStatus: 'completed', paymentProvider: 'mock' });
+    expect(Event.recordRevenue).toHaveBeenCalledWith(ticket.event, 40);
+    expect(LedgerEntry.recordSale).toHaveBeenCalledWith(ticket);
+  });
+
+  test('processes a redelivered event only once', async () => {
+    const webhook = await pay();
+    await handlePaymentWebhook('mock', webhook.body, webhook.headers);
+    PaymentEvent.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    const result = await handlePaymentWebhook('mock', webhook.body, webhook.headers);
+
+    expect(result).toMatchObject({ duplicate: true, outcome: null });
+    expect(Event.recordRevenue).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancels the ticket and frees the seat when the payment failed', async () => {
+    const webhook = await pay('tok_chargeDeclined');
+
+    const result = await handlePaymentWebhook('mock', webhook.body, webhook.headers);
+
+    expect(result.outcome).toBe('failed');
+    expect(ticket).toMatchObject({ status: 'cancelled', paymentStatus: 'failed' });
+    expect(Event.releaseSpots).toHaveBeenCalledWith(ticket.event, 1, 0, null);
+    expect(WaitlistEntry.promoteNext).toHaveBeenCalledWith(ticket.event);
+    expect(Event.recordRevenue).not.toHaveBeenCalled();
+  });
+
+  test('leaves the ticket pending when the amount paid does not match', async () => {
+    const webhook = await pay();
+    ticket.price = 45;
+
+    const result = await handlePaymentWebhook('mock', webhook.body, webhook.headers);
+
+    expect(result.outcome).toBe('amount-mismatch');
+    expect(ticket.status).toBe('pending');
+  });
+
+  test('refunds a payment that arrives after the seat was released', async () => {
+    const webhook = await pay();
+    ticket.set({ status: 'cancelled', paymentStatus: 'failed' });
+    jest.spyOn(provider, 'refund');
+
+    const result = await handlePaymentWebhook('mock', webhook.body, webhook.headers);
+
+    expect(result.outcome).toBe('refunded-late');
+    expect(provider.refund).toHaveBeenCalledWith(ticket.transactionId, 40);
+  });
+
+  test('rejects a webhook that was not signed by the gateway', async () => {
+    const webhook = await pay();
+
+    await expect(handlePaymentWebhook('mock', webhook.body, { ...webhook.headers, 'x-mock-signature': 'forged' }))
+      .rejects.toThrow('Invalid webhook signature');
+    expect(PaymentEvent.create).not.toHaveBeenCalled();
+    expect(ticket.status).toBe('pending');
+  });
+});
+
+describe('expirePendingPayments', () => {
+  test('releases tickets whose payment window has passed', async () => {
+    jest.spyOn(Ticket, 'find').mockImplementation(() => mockQuery([ticket]));
+
+    const released = await expirePendingPayments();
+
+    expect(released).toBe(1);
+    expect(ticket).toMatchObject({ status: 'cancelled', paymentStatus: 'failed' });
+    expect(Ticket.find).toHaveBeenCalledWith({
+      status: 'pending',
+      paymentStatus: 'pending',
+      paymentDueAt: { $lte: expect.any(Date) }
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const PromoCode = require('../models/PromoCode');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ticketRoutes = require('../routes/ticketRoutes');
+const promoCodeRoutes = require('../routes/promoCodeRoutes');
+const analyticsRoutes = require('../routes/analyticsRoutes');
+const { createApp, mockQuery, signIn, buildEvent, attendee } = require('./helpers');
+
+const ticketApp = createApp('/api/tickets', ticketRoutes);
+const promoCodeApp = createApp('/api/promo-codes', promoCodeRoutes);
+const analyticsApp = createApp('/api/analytics', analyticsRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let event;
+let promoCode;
+
+const buildPromoCode = (fields = {}) => new PromoCode({
+  event: event._id,
+  createdBy: event.host,
+  code: 'SPRING25',
+  discountType: 'percentage',
+  discountValue: 25,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  event = buildEvent({ ticketInfo: { isPaid: true, price: 40 } });
+  promoCode = buildPromoCode();
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(PromoCode, 'findOne').mockImplementation(() => mockQuery(promoCode));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PromoCode discounts', () => {
+  test('takes a percentage or a fixed amount off, never more than the price', () => {
+    expect(promoCode.calculateDiscount(40)).toBe(10);
+    expect(buildPromoCode({ discountType: 'fixed', discountValue: 15 }).calculateDiscount(40)).toBe(15);
+    expect(buildPromoCode({ discountType: 'fixed', discountValue: 50 }).calculateDiscount(40)).toBe(40);
+  });
+
+  test('refuses a percentage over 100', async () => {
+    await expect(buildPromoCode({ discountValue: 120 }).validate())
+      .rejects.toThrow('Percentage discount cannot exceed 100');
+  });
+
+  test('only redeems inside its window, under its cap and for its ticket types', () => {
+    const now = Date.now();
+
+    expect(promoCode.getRedemptionError('regular')).toBeNull();
+    expect(buildPromoCode({ validFrom: new Date(now + DAY_MS) }).getRedemptionError('regular'))
+      .toBe('Promo code is not valid yet');
+    expect(buildPromoCode({ validUntil: new Date(now - DAY_MS) }).getRedemptionError('regular'))
+      .toBe('Promo code has expired');
+    expect(buildPromoCode({ maxUses: 5, usedCount: 5 }).getRedemptionError('regular'))
+      .toBe('Promo code has reached its usage limit');
+    expect(buildPromoCode({ allowedTicketTypes: ['student'] }).getRedemptionError('regular'))
+      .toBe('Promo code is not valid for regular tickets');
+    expect(buildPromoCode({ allowedTicketTypes: ['student'] }).getRedemptionError('student')).toBeNull();
+  });
+});
+
+describe('POST /api/promo-codes/validate', () => {
+  test('previews the discounted price', async () => {
+    const res = await request(promoCodeApp)
+      .post('/api/promo-codes/validate')
+      .send({ eventId: event._id.toString(), code: 'spring25' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      code: 'SPRING25',
+      originalPrice: 40,
+      discountAmount: 10,
+      finalPrice: 30,
+      currency: 'USD'
+    });
+    expect(PromoCode.findOne).toHaveBeenCalledWith({ event: event._id, code: 'SPRING25', isDeleted: false });
+  });
+});
+
+describe('POST /api/tickets with a promo code', () => {
+  const purchase = () => request(ticketApp)
+    .post('/api/tickets')
+    .send({ eventId: event._id.toString(), attendee, paymentMethod: 'credit-card', promoCode: 'spring25' });
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'reserveSpots').mockImplementation(async () => event);
+    jest.spyOn(Event, 'releaseSpots').mockImplementation(async () => event);
+    jest.spyOn(WaitlistEntry, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Ticket, 'create').mockImplementation(async (fields) => new Ticket(fields));
+    jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('records the redemption on the ticket', async () => {
+    jest.spyOn(PromoCode, 'redeem').mockResolvedValue(promoCode);
+
+    const res = await purchase();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.ticket).toMatchObject({
+      price: 30,
+      promotion: { code: 'SPRING25', discountAmount: 10, originalPrice: 40 }
+    });
+    expect(PromoCode.redeem).toHaveBeenCalledWith(promoCode._id);
+  });
+
+  test('gives the seat back when the code was used up meanwhile', async () => {
+    jest.spyOn(PromoCode, 'redeem').mockResolvedValue(null);
+
+    const res = await purchase();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Promo code has reached its usage limit');
+    expect(Event.releaseSpots).toHaveBeenCalledWith(event._id, 1, 0, null);
+    expect(Ticket.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/analytics/promo-codes/:eventId', () => {
+  test('reports redemptions and net revenue per code, best first', async () => {
+    const host = signIn();
+    event.host = host.user._id;
+    const student = buildPromoCode({ code: 'STUDENT', discountType: 'fixed', discountValue: 10 });
+    jest.spyOn(PromoCode, 'find').mockImplementation(() => mockQuery([promoCode, student]));
+    jest.spyOn(Ticket, 'aggregate').mockResolvedValue([
+      { _id: 'SPRING25', redemptions: 3, seatsSold: 2, grossRevenue: 60, refundedAmount: 30, discountGiven: 30 },
+      { _id: 'STUDENT', redemptions: 2, seatsSold: 2, grossRevenue: 60, refundedAmount: 0, discountGiven: 20 }
+    ]);
+
+    const res = await request(analyticsApp)
+      .get(`/api/analytics/promo-codes/${event._id}`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.codes.map(code => [code.code, code.netRevenue])).toEqual([['STUDENT', 60], ['SPRING25', 30]]);
+    expect(res.body.data.totals).toEqual({ redemptions: 5, seatsSold: 4, netRevenue: 90, discountGiven: 50 });
+  });
+});
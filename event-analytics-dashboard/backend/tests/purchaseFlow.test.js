@@ -0,0 +1,217 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Invitation = require('../models/Invitation');
+const ticketRoutes = require('../routes/ticketRoutes');
+const { verifyTicketPayload } = require('../utils/ticketSigner');
+const { createApp, mockQuery, signIn, buildEvent, attendee } = require('./helpers');
+
+const app = createApp('/api/tickets', ticketRoutes);
+
+const purchase = (body, headers = {}) => request(app)
+  .post('/api/tickets')
+  .set(headers)
+  .send({ eventId: event._id.toString(), attendee, ...body });
+
+let event;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  event = buildEvent();
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Event, 'reserveSpots').mockImplementation(async () => event);
+  jest.spyOn(Event, 'releaseSpots').mockImplementation(async () => event);
+  jest.spyOn(WaitlistEntry, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(Ticket, 'create').mockImplementation(async (fields) => {
+    const ticket = new Ticket(fields);
+    await ticket.validate();
+    return ticket;
+  });
+  jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Ticket, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/tickets', () => {
+  test('issues a confirmed ticket with a signed QR code for a free event', async () => {
+    const res = await purchase();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.ticket).toMatchObject({ status: 'confirmed', paymentStatus: 'completed', price: 0 });
+    expect(verifyTicketPayload(res.body.data.ticket.qrCode)).toMatchObject({
+      valid: true,
+      ticketNumber: res.body.data.ticket.ticketNumber,
+      eventId: event._id.toString()
+    });
+    expect(Event.reserveSpots).toHaveBeenCalledWith(event._id, 1, 0, null);
+  });
+
+  test('holds a paid ticket as pending and opens a payment', async () => {
+    event = buildEvent({ ticketInfo: { isPaid: true, price: 40 } });
+
+    const res = await purchase({ paymentMethod: 'credit-card' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.ticket).toMatchObject({ status: 'pending', paymentStatus: 'pending', price: 40 });
+    expect(res.body.data.payment).toMatchObject({ provider: 'mock', amount: 40, currency: 'USD' });
+    expect(res.body.data.payment.intentId).toMatch(/^mock_pi_/);
+    expect(Ticket.updateOne).toHaveBeenCalledWith(
+      { _id: expect.anything() },
+      expect.objectContaining({ transactionId: res.body.data.payment.intentId, paymentProvider: 'mock' })
+    );
+  });
+
+  test('sells a tiered ticket from the chosen tier', async () => {
+    event = buildEvent({
+      ticketInfo: { isPaid: true, price: 40 },
+      ticketTiers: [{ name: 'VIP', price: 120, quantity: 10, ticketType: 'vip' }]
+    });
+    const tier = event.ticketTiers[0];
+
+    const res = await purchase({ tierId: tier._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.ticket).toMatchObject({ ticketType: 'vip', price: 120, tier: { name: 'VIP' } });
+    expect(Event.reserveSpots).toHaveBeenCalledWith(event._id, 1, 0, tier._id);
+  });
+
+  test('requires a tier on events that sell through tiers', async () => {
+    event = buildEvent({ ticketTiers: [{ name: 'General', price: 20, quantity: 10 }] });
+
+    const res = await purchase();
+
+    expect(res.status).toBe(400);
+    expect(Event.reserveSpots).not.toHaveBeenCalled();
+  });
+
+  test('rejects invalid attendee details before touching inventory', async () => {
+    const res = await purchase({ attendee: { ...attendee, email: 'not-an-email' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+    expect(Event.reserveSpots).not.toHaveBeenCalled();
+  });
+
+  test('answers 409 when the event is sold out without a waitlist', async () => {
+    event = buildEvent({ settings: { allowWaitlist: false } });
+    Event.reserveSpots.mockResolvedValue(null);
+
+    const res = await purchase();
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Event is sold out');
+    expect(Ticket.create).not.toHaveBeenCalled();
+  });
+
+  test('adds the attendee to the waitlist when the event is sold out', async () => {
+    Event.reserveSpots.mockResolvedValue(null);
+    let saved;
+    jest.spyOn(WaitlistEntry, 'findOne').mockReturnValue(mockQuery(null));
+    jest.spyOn(WaitlistEntry.prototype, 'save').mockImplementation(function() {
+      saved = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(WaitlistEntry, 'promoteNext').mockResolvedValue([]);
+    jest.spyOn(WaitlistEntry, 'findById').mockImplementation(() => mockQuery(saved));
+
+    const res = await purchase();
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.waitlistEntry).toMatchObject({ status: 'waiting', position: 1 });
+    expect(saved.verifyClaimToken(res.body.data.claimToken)).toBe(true);
+    expect(Ticket.create).not.toHaveBeenCalled();
+  });
+
+  describe('invite-only events', () => {
+    let invitation;
+
+    beforeEach(() => {
+      event = buildEvent({ visibility: 'invite-only', settings: { allowWaitlist: false } });
+      invitation = new Invitation({ event: event._id, createdBy: event.host });
+
+      jest.spyOn(Invitation, 'exists').mockResolvedValue(null);
+      jest.spyOn(Ticket, 'exists').mockResolvedValue(null);
+      jest.spyOn(Invitation, 'findOne').mockImplementation(({ token }) =>
+        mockQuery(token === invitation.token ? invitation : null)
+      );
+      jest.spyOn(Invitation, 'accept').mockImplementation(async () => invitation);
+    });
+
+    test('turn away attendees without an invitation', async () => {
+      const res = await purchase();
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('INVITATION_REQUIRED');
+      expect(Event.reserveSpots).not.toHaveBeenCalled();
+    });
+
+    test('turn away anonymous buyers using an invitee\'s email', async () => {
+      Invitation.exists.mockResolvedValue({ _id: invitation._id });
+      Ticket.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      const res = await purchase();
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('INVITATION_REQUIRED');
+      expect(Invitation.exists).not.toHaveBeenCalled();
+      expect(Event.reserveSpots).not.toHaveBeenCalled();
+    });
+
+    test('let a signed-in invitee back in without a token', async () => {
+      const invitee = signIn({ email: attendee.email });
+      Invitation.exists.mockResolvedValue({ _id: invitation._id });
+
+      const res = await purchase({}, { Authorization: invitee.authorization });
+
+      expect(res.status).toBe(201);
+      expect(Invitation.exists).toHaveBeenCalledWith(expect.objectContaining({
+        $or: [{ 'acceptances.user': invitee.user._id }, { 'acceptances.email': attendee.email }]
+      }));
+    });
+
+    test('accept the invitation only after the ticket is created', async () => {
+      const res = await purchase({}, { 'X-Invitation-Token': invitation.token });
+
+      expect(res.status).toBe(201);
+      expect(Invitation.accept).toHaveBeenCalledWith(invitation._id, { user: null, email: attendee.email });
+      expect(Ticket.create.mock.invocationCallOrder[0])
+        .toBeLessThan(Invitation.accept.mock.invocationCallOrder[0]);
+    });
+
+    test('leave the invitation unused when the event is sold out', async () => {
+      Event.reserveSpots.mockResolvedValue(null);
+
+      const res = await purchase({}, { 'X-Invitation-Token': invitation.token });
+
+      expect(res.status).toBe(409);
+      expect(Invitation.accept).not.toHaveBeenCalled();
+    });
+
+    test('reject a personal invitation for another address before reserving a seat', async () => {
+      invitation.kind = 'personal';
+      invitation.email = 'someone.else@example.com';
+
+      const res = await purchase({}, { 'X-Invitation-Token': invitation.token });
+
+      expect(res.status).toBe(403);
+      expect(Event.reserveSpots).not.toHaveBeenCalled();
+      expect(Invitation.accept).not.toHaveBeenCalled();
+    });
+
+    test('undo the purchase if the invitation was used up meanwhile', async () => {
+      Invitation.accept.mockResolvedValue(null);
+
+      const res = await purchase({}, { 'X-Invitation-Token': invitation.token });
+
+      expect(res.status).toBe(403);
+      expect(Ticket.deleteOne).toHaveBeenCalledWith({ _id: expect.any(mongoose.Types.ObjectId) });
+      expect(Event.releaseSpots).toHaveBeenCalledWith(event._id, 1, 0, null);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const {
+  parseRRule,
+  toRecurrence,
+  formatRRule,
+  expandOccurrences,
+  toLocalDayKey,
+  localDayRange
+} = require('../utils/recurrence');
+
+const expand = (rule, start, options) => expandOccurrences(parseRRule(rule), new Date(start), options)
+  .map(date => date.toISOString());
+
+describe('parseRRule', () => {
+  test('reads an RRULE string, with or without the RRULE: prefix', () => {
+    expect(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=mo,we;COUNT=6')).toMatchObject({
+      frequency: 'weekly',
+      interval: 2,
+      byDay: ['MO', 'WE'],
+      count: 6
+    });
+  });
+
+  test('reads date-only and UTC UNTIL values', () => {
+    expect(parseRRule('FREQ=WEEKLY;UNTIL=20240131').until.toISOString()).toBe('2024-01-31T23:59:59.000Z');
+    expect(parseRRule('FREQ=WEEKLY;UNTIL=20240131T120000Z').until.toISOString()).toBe('2024-01-31T12:00:00.000Z');
+  });
+
+  test.each([
+    ['an unsupported frequency', 'FREQ=DAILY;COUNT=3', 'Recurrence frequency must be weekly or monthly'],
+    ['an unsupported part', 'FREQ=WEEKLY;BYHOUR=9;COUNT=3', "Unsupported RRULE part 'BYHOUR'"],
+    ['a numbered weekday on a weekly rule', 'FREQ=WEEKLY;BYDAY=2TU;COUNT=3', 'Numbered days such as 2TU are only allowed for monthly recurrence'],
+    ['an invalid weekday', 'FREQ=WEEKLY;BYDAY=XX;COUNT=3', "Invalid recurrence day 'XX'"],
+    ['a day of the month out of range', 'FREQ=MONTHLY;BYMONTHDAY=32;COUNT=3', "Invalid day of the month '32'"],
+    ['a rule without an end', 'FREQ=WEEKLY', 'Recurrence needs either a count or an end date'],
+    ['an invalid UNTIL', 'FREQ=WEEKLY;UNTIL=someday', 'RRULE UNTIL is not a valid date']
+  ])('rejects %s', (label, rule, message) => {
+    expect(() => parseRRule(rule)).toThrow(message);
+  });
+
+  test('formats back to the same rule', () => {
+    const rule = 'FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=5';
+    expect(formatRRule(parseRRule(rule))).toBe(rule);
+  });
+
+  test('accepts a recurrence object from a request', () => {
+    expect(toRecurrence({ frequency: 'Weekly', byDay: ['tu'], count: '3' })).toMatchObject({
+      frequency: 'weekly',
+      interval: 1,
+      byDay: ['TU'],
+      count: 3
+    });
+  });
+});
+
+describe('expandOccurrences', () => {
+  describe('weekly BYDAY', () => {
+    test('repeats on each listed weekday at the start time', () => {
+      expect(expand('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4', '2024-01-01T18:00:00Z')).toEqual([
+        '2024-01-01T18:00:00.000Z',
+        '2024-01-03T18:00:00.000Z',
+        '2024-01-08T18:00:00.000Z',
+        '2024-01-10T18:00:00.000Z'
+      ]);
+    });
+
+    test('skips listed weekdays that fall before the start', () => {
+      expect(expand('FREQ=WEEKLY;BYDAY=MO,FR;COUNT=3', '2024-01-03T09:00:00Z')).toEqual([
+        '2024-01-05T09:00:00.000Z',
+        '2024-01-08T09:00:00.000Z',
+        '2024-01-12T09:00:00.000Z'
+      ]);
+    });
+
+    test('honours INTERVAL', () => {
+      expect(expand('FREQ=WEEKLY;INTERVAL=2;BYDAY=TH;COUNT=3', '2024-01-04T09:00:00Z')).toEqual([
+        '2024-01-04T09:00:00.000Z',
+        '2024-01-18T09:00:00.000Z',
+        '2024-02-01T09:00:00.000Z'
+      ]);
+    });
+
+    test('defaults to the start weekday', () => {
+      expect(expand('FREQ=WEEKLY;COUNT=2', '2024-01-06T10:00:00Z')).toEqual([
+        '2024-01-06T10:00:00.000Z',
+        '2024-01-13T10:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('monthly BYDAY', () => {
+    test('-1FR is the last Friday of each month', () => {
+      expect(expand('FREQ=MONTHLY;BYDAY=-1FR;COUNT=4', '2024-01-26T19:00:00Z')).toEqual([
+        '2024-01-26T19:00:00.000Z',
+        '2024-02-23T19:00:00.000Z',
+        '2024-03-29T19:00:00.000Z',
+        '2024-04-26T19:00:00.000Z'
+      ]);
+    });
+
+    test('2TU is the second Tuesday of each month', () => {
+      expect(expand('FREQ=MONTHLY;BYDAY=2TU;COUNT=3', '2024-01-09T17:30:00Z')).toEqual([
+        '2024-01-09T17:30:00.000Z',
+        '2024-02-13T17:30:00.000Z',
+        '2024-03-12T17:30:00.000Z'
+      ]);
+    });
+
+    test('5th weekdays only fall in months that have one', () => {
+      expect(expand('FREQ=MONTHLY;BYDAY=5MO;COUNT=3', '2024-01-29T12:00:00Z')).toEqual([
+        '2024-01-29T12:00:00.000Z',
+        '2024-04-29T12:00:00.000Z',
+        '2024-07-29T12:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('days of the month', () => {
+    test('the 31st skips months that are shorter', () => {
+      expect(expand('FREQ=MONTHLY;BYMONTHDAY=31;COUNT=4', '2024-01-31T08:00:00Z')).toEqual([
+        '2024-01-31T08:00:00.000Z',
+        '2024-03-31T08:00:00.000Z',
+        '2024-05-31T08:00:00.000Z',
+        '2024-07-31T08:00:00.000Z'
+      ]);
+    });
+
+    test('a start on the 31st without BYMONTHDAY behaves the same', () => {
+      expect(expand('FREQ=MONTHLY;COUNT=3', '2024-08-31T08:00:00Z')).toEqual([
+        '2024-08-31T08:00:00.000Z',
+        '2024-10-31T08:00:00.000Z',
+        '2024-12-31T08:00:00.000Z'
+      ]);
+    });
+
+    test('-1 is the last day of every month, including leap February', () => {
+      expect(expand('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=4', '2024-01-31T08:00:00Z')).toEqual([
+        '2024-01-31T08:00:00.000Z',
+        '2024-02-29T08:00:00.000Z',
+        '2024-03-31T08:00:00.000Z',
+        '2024-04-30T08:00:00.000Z'
+      ]);
+    });
+
+    test('crosses into the next year', () => {
+      expect(expand('FREQ=MONTHLY;BYMONTHDAY=15;COUNT=3', '2024-11-15T08:00:00Z')).toEqual([
+        '2024-11-15T08:00:00.000Z',
+        '2024-12-15T08:00:00.000Z',
+        '2025-01-15T08:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('COUNT with exceptions', () => {
+    test('counts excepted dates towards COUNT, as in RFC 5545', () => {
+      const occurrences = expand('FREQ=WEEKLY;BYDAY=MO;COUNT=4', '2024-01-01T18:00:00Z', {
+        exceptions: ['2024-01-08']
+      });
+
+      expect(occurrences).toEqual([
+        '2024-01-01T18:00:00.000Z',
+        '2024-01-15T18:00:00.000Z',
+        '2024-01-22T18:00:00.000Z'
+      ]);
+    });
+
+    test('matches exceptions by calendar day, whatever their time', () => {
+      const occurrences = expand('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', '2024-01-26T19:00:00Z', {
+        exceptions: [new Date('2024-02-23T00:00:00Z')]
+      });
+
+      expect(occurrences).toEqual([
+        '2024-01-26T19:00:00.000Z',
+        '2024-03-29T19:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('UNTIL', () => {
+    test('a date-only UNTIL includes occurrences on that day', () => {
+      expect(expand('FREQ=WEEKLY;BYDAY=MO;UNTIL=20240122', '2024-01-01T18:00:00Z')).toEqual([
+        '2024-01-01T18:00:00.000Z',
+        '2024-01-08T18:00:00.000Z',
+        '2024-01-15T18:00:00.000Z',
+        '2024-01-22T18:00:00.000Z'
+      ]);
+    });
+
+    test('a UTC UNTIL before the start time excludes that day', () => {
+      expect(expand('FREQ=WEEKLY;BYDAY=MO;UNTIL=20240115T120000Z', '2024-01-01T18:00:00Z')).toEqual([
+        '2024-01-01T18:00:00.000Z',
+        '2024-01-08T18:00:00.000Z'
+      ]);
+    });
+
+    test('stops at whichever of COUNT and UNTIL comes first', () => {
+      expect(expand('FREQ=MONTHLY;BYMONTHDAY=1;COUNT=10;UNTIL=20240301', '2024-01-01T10:00:00Z')).toHaveLength(3);
+      expect(expand('FREQ=MONTHLY;BYMONTHDAY=1;COUNT=2;UNTIL=20241231', '2024-01-01T10:00:00Z')).toHaveLength(2);
+    });
+  });
+
+  describe('in a timezone', () => {
+    test('keeps the local time when daylight saving starts', () => {
+      // 18:00 in New York, which moves from UTC-5 to UTC-4 on 10 March 2024
+      expect(expand('FREQ=WEEKLY;COUNT=3', '2024-03-02T23:00:00Z', { timezone: 'America/New_York' })).toEqual([
+        '2024-03-02T23:00:00.000Z',
+        '2024-03-09T23:00:00.000Z',
+        '2024-03-16T22:00:00.000Z'
+      ]);
+    });
+
+    test('keeps the local time when daylight saving ends', () => {
+      // 20:00 in Sydney, which moves from UTC+11 to UTC+10 on 7 April 2024
+      expect(expand('FREQ=WEEKLY;BYDAY=MO;COUNT=3', '2024-03-25T09:00:00Z', { timezone: 'Australia/Sydney' })).toEqual([
+        '2024-03-25T09:00:00.000Z',
+        '2024-04-01T09:00:00.000Z',
+        '2024-04-08T10:00:00.000Z'
+      ]);
+    });
+
+    test('applies BYDAY to the local weekday', () => {
+      // Tuesday 19:00 in Los Angeles is Wednesday in UTC
+      expect(expand('FREQ=WEEKLY;BYDAY=TU,TH;COUNT=3', '2024-01-03T03:00:00Z', { timezone: 'America/Los_Angeles' })).toEqual([
+        '2024-01-03T03:00:00.000Z',
+        '2024-01-05T03:00:00.000Z',
+        '2024-01-10T03:00:00.000Z'
+      ]);
+    });
+
+    test('moves a time skipped by the clocks forward by the change', () => {
+      expect(expand('FREQ=WEEKLY;COUNT=2', '2024-03-03T07:30:00Z', { timezone: 'America/New_York' })).toEqual([
+        '2024-03-03T07:30:00.000Z',
+        '2024-03-10T07:30:00.000Z'
+      ]);
+    });
+
+    test('takes the first of a time that happens twice', () => {
+      expect(expand('FREQ=WEEKLY;COUNT=2', '2024-10-27T05:30:00Z', { timezone: 'America/New_York' })).toEqual([
+        '2024-10-27T05:30:00.000Z',
+        '2024-11-03T05:30:00.000Z'
+      ]);
+    });
+
+    test('matches exceptions by the local calendar day', () => {
+      const occurrences = expand('FREQ=WEEKLY;BYDAY=TU;COUNT=3', '2024-01-03T03:00:00Z', {
+        timezone: 'America/Los_Angeles',
+        exceptions: [new Date('2024-01-09T00:00:00Z')]
+      });
+
+      expect(occurrences).toEqual(['2024-01-03T03:00:00.000Z', '2024-01-17T03:00:00.000Z']);
+    });
+
+    test('finds the local day of a date and the moments it spans', () => {
+      expect(toLocalDayKey('2024-01-10T03:00:00Z', 'America/Los_Angeles')).toBe('2024-01-09');
+      expect(toLocalDayKey('2024-01-10', 'America/Los_Angeles')).toBe('2024-01-10');
+      expect(localDayRange('2024-03-10', 'America/New_York')).toEqual({
+        start: new Date('2024-03-10T05:00:00Z'),
+        end: new Date('2024-03-11T04:00:00Z')
+      });
+    });
+  });
+
+  test('refuses series longer than the occurrence limit', () => {
+    expect(() => expand('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20300101', '2024-01-01T09:00:00Z'))
+      .toThrow('A series cannot have more than 200 occurrences');
+  });
+});
@@ -0,0 +1,161 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const RefundRequest = require('../models/RefundRequest');
+const LedgerEntry = require('../models/LedgerEntry');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const refundRoutes = require('../routes/refundRoutes');
+const { getPaymentProvider } = require('../payments');
+const { createApp, mockQuery, signIn, buildEvent, attendee } = require('./helpers');
+
+const app = createApp('/api/refunds', refundRoutes);
+
+let host;
+let event;
+let ticket;
+let refundRequest;
+
+const approve = (body = {}, authorization = host.authorization) => request(app)
+  .patch(`/api/refunds/${refundRequest._id}/approve`)
+  .set('Authorization', authorization)
+  .send(body);
+
+// A ticket paid through the mock gateway, so the provider can refund it
+const payWithProvider = async (amount) => {
+  const provider = getPaymentProvider();
+  const intent = await provider.createIntent({ amount, currency: 'USD', reference: ticket._id.toString() });
+  await provider.confirmIntent(intent.id, { clientSecret: intent.clientSecret });
+
+  ticket.paymentProvider = provider.name;
+  ticket.transactionId = intent.id;
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  event = buildEvent({ host: host.user._id, ticketInfo: { isPaid: true, price: 50 } });
+
+  ticket = new Ticket({
+    event: event._id,
+    attendee,
+    price: 50,
+    status: 'confirmed',
+    paymentStatus: 'completed'
+  });
+  await ticket.validate();
+
+  refundRequest = new RefundRequest({
+    event,
+    ticket,
+    requesterEmail: attendee.email,
+    reason: 'Cannot attend',
+    eligibleAmount: 50
+  });
+
+  jest.spyOn(RefundRequest, 'findById').mockImplementation(() => mockQuery(refundRequest));
+  jest.spyOn(RefundRequest, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (refundRequest.status !== filter.status) return null;
+    refundRequest.set(update);
+    return refundRequest;
+  });
+  jest.spyOn(RefundRequest, 'updateOne').mockImplementation(async (filter, update) => {
+    refundRequest.set(update);
+    return { modifiedCount: 1 };
+  });
+
+  // Ticket.processRefund applies its conditional update through findOneAndUpdate
+  jest.spyOn(Ticket, 'findOneAndUpdate').mockImplementation(async (filter, { $set, $inc }) => {
+    ticket.set($set);
+    ticket.refundAmount = (ticket.refundAmount || 0) + $inc.refundAmount;
+    return ticket;
+  });
+  jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Event, 'releaseSpots').mockResolvedValue(event);
+  jest.spyOn(LedgerEntry, 'create').mockImplementation(async (fields) => fields);
+  jest.spyOn(WaitlistEntry, 'promoteNext').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PATCH /api/refunds/:id/approve', () => {
+  test('refunds the eligible amount and gives the seat back', async () => {
+    const res = await approve();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refundRequest).toMatchObject({ status: 'approved', approvedAmount: 50 });
+    expect(res.body.data.ticket).toMatchObject({ status: 'refunded', paymentStatus: 'refunded', refundAmount: 50 });
+    expect(Event.releaseSpots).toHaveBeenCalledWith(event._id, 1, 50, null);
+    expect(LedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'refund', amount: -50 }));
+    expect(WaitlistEntry.promoteNext).toHaveBeenCalledWith(event._id);
+  });
+
+  test('sends a partial refund back through the payment provider', async () => {
+    await payWithProvider(50);
+
+    const res = await approve({ amount: 20, keepTicket: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ticket).toMatchObject({ status: 'confirmed', refundAmount: 20 });
+    // The attendee keeps their seat
+    expect(Event.releaseSpots).toHaveBeenCalledWith(event._id, 0, 20, null);
+  });
+
+  test('reopens the request when the payment provider refuses the refund', async () => {
+    ticket.paymentProvider = 'mock';
+    ticket.transactionId = 'mock_pi_unknown';
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Payment cannot be refunded');
+    expect(RefundRequest.updateOne).toHaveBeenCalledWith(
+      { _id: refundRequest._id },
+      expect.objectContaining({ status: 'pending', approvedAmount: null })
+    );
+    expect(refundRequest.status).toBe('pending');
+    expect(Event.releaseSpots).not.toHaveBeenCalled();
+  });
+
+  test('reopens the request when the ticket was refunded meanwhile', async () => {
+    Ticket.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(refundRequest.status).toBe('pending');
+  });
+
+  test('never approves the same request twice', async () => {
+    refundRequest.status = 'approved';
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(Ticket.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('refuses more than is still refundable', async () => {
+    const res = await approve({ amount: 60 });
+
+    expect(res.status).toBe(400);
+    expect(RefundRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('is limited to the event team', async () => {
+    const stranger = signIn({ email: 'stranger@example.com' });
+
+    const res = await approve({}, stranger.authorization);
+
+    expect(res.status).toBe(403);
+    expect(RefundRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('needs a signed-in user', async () => {
+    const res = await request(app).patch(`/api/refunds/${refundRequest._id}/approve`).send({});
+
+    expect(res.status).toBe(401);
+  });
+});
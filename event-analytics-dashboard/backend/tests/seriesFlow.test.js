@@ -0,0 +1,303 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const EventRevision = require('../models/EventRevision');
+const Ticket = require('../models/Ticket');
+const CursorLog = require('../models/CursorLog');
+const seriesRoutes = require('../routes/seriesRoutes');
+const trashRoutes = require('../routes/trashRoutes');
+const { createApp, mockQuery, signIn, buildEvent } = require('./helpers');
+
+const app = createApp('/api/series', seriesRoutes);
+const trashApp = createApp('/api/trash', trashRoutes);
+
+const HOUR_MS = 60 * 60 * 1000;
+const YEAR_MS = 365 * 24 * HOUR_MS;
+
+// 20:00 in New York on the Saturday before the first Sunday of March next
+// year, when it is already Sunday 01:00 in UTC. Daylight saving starts there
+// on the second Sunday, between the second and third weekly occurrences.
+const saturdayEvening = () => {
+  const year = new Date(Date.now() + YEAR_MS).getUTCFullYear();
+  const firstSunday = 1 + ((7 - new Date(Date.UTC(year, 2, 1)).getUTCDay()) % 7);
+  return new Date(Date.UTC(year, 2, firstSunday, 1));
+};
+
+let host;
+let series;
+let occurrences;
+
+// A weekly series of three Saturday evenings in New York
+const buildSeries = (overrides = {}) => new EventSeries({
+  title: 'Saturday Jazz Night',
+  host: host.user._id,
+  timezone: 'America/New_York',
+  firstStartDate: saturdayEvening(),
+  durationMinutes: 180,
+  recurrence: { frequency: 'weekly', count: 3 },
+  ...overrides
+});
+
+// One event per date of a series
+const buildOccurrences = (target) => target.getOccurrenceDates().map(date => buildEvent({
+  host: target.host,
+  series: target._id,
+  occurrenceDate: date,
+  dateTime: { start: date, end: new Date(date.getTime() + 3 * HOUR_MS) }
+}));
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  host = signIn();
+  series = buildSeries();
+  occurrences = buildOccurrences(series);
+
+  jest.spyOn(EventSeries.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event, 'create').mockImplementation(async (data) => new Event(data));
+  jest.spyOn(EventSeries, 'findById').mockImplementation(() => mockQuery(series));
+  jest.spyOn(Event, 'find').mockImplementation(() => mockQuery(occurrences));
+  jest.spyOn(Event, 'findOne').mockImplementation(({ _id }) => mockQuery(
+    occurrences.find(event => event._id.equals(_id)) || null
+  ));
+  jest.spyOn(EventRevision, 'exists').mockResolvedValue({ _id: 'revision' });
+  jest.spyOn(EventRevision, 'record').mockResolvedValue({});
+  jest.spyOn(Ticket, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(CursorLog, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/series', () => {
+  const create = (body) => {
+    const start = saturdayEvening();
+    return request(app)
+      .post('/api/series')
+      .set('Authorization', host.authorization)
+      .send({
+        title: 'Saturday Jazz Night',
+        description: 'Live jazz every Saturday evening at the club',
+        category: 'concert',
+        venue: { name: 'Blue Room', address: { city: 'New York', country: 'USA' }, capacity: 80 },
+        dateTime: {
+          start: start.toISOString(),
+          end: new Date(start.getTime() + 3 * HOUR_MS).toISOString(),
+          timezone: 'America/New_York'
+        },
+        rrule: 'FREQ=WEEKLY;COUNT=3',
+        ...body
+      });
+  };
+
+  test('keeps occurrences at the same local time across daylight saving', async () => {
+    const res = await create();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.series.timezone).toBe('America/New_York');
+    expect(res.body.data.series.rrule).toBe('FREQ=WEEKLY;COUNT=3');
+    const hours = res.body.data.occurrences.map(occurrence => new Date(occurrence.dateTime.start).getUTCHours());
+    expect(hours).toEqual([1, 1, 0]);
+    expect(res.body.data.occurrences[0].status).toBe('draft');
+    expect(EventRevision.record).toHaveBeenCalledTimes(3);
+  });
+
+  test('refuses an unknown timezone', async () => {
+    const start = saturdayEvening();
+    const res = await create({
+      dateTime: {
+        start: start.toISOString(),
+        end: new Date(start.getTime() + 3 * HOUR_MS).toISOString(),
+        timezone: 'Mars/Olympus_Mons'
+      }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Timezone must be an IANA timezone such as Europe/Berlin');
+  });
+
+  test('refuses an invalid recurrence rule', async () => {
+    const res = await create({ rrule: 'FREQ=HOURLY' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(Event.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/series/:id/occurrences/:eventId', () => {
+  const edit = (event, body) => request(app)
+    .put(`/api/series/${series._id}/occurrences/${event._id}`)
+    .set('Authorization', host.authorization)
+    .send(body);
+
+  test('edits only this occurrence', async () => {
+    jest.spyOn(Event, 'exists').mockResolvedValue(null);
+    const [, second, third] = occurrences;
+
+    const res = await edit(second, { title: 'Saturday Jazz Special' });
+
+    expect(res.status).toBe(200);
+    expect(second.title).toBe('Saturday Jazz Special');
+    expect(second.isSeriesException).toBe(true);
+    expect(third.title).toBe('Test Conference');
+  });
+
+  test('splits the following occurrences off into a new series', async () => {
+    jest.spyOn(Event, 'exists').mockResolvedValue({ _id: occurrences[0]._id });
+    const [first, second, third] = occurrences;
+    Event.find.mockImplementation(() => mockQuery([second, third]));
+
+    const res = await edit(second, { scope: 'following', title: 'Late Jazz Night' });
+
+    expect(res.status).toBe(200);
+    const split = res.body.data.series;
+    expect(split.parentSeries).toBe(series._id.toString());
+    expect(split.recurrence.count).toBe(2);
+    expect([second, third].map(event => event.series.toString())).toEqual([split._id, split._id]);
+    expect(third.title).toBe('Late Jazz Night');
+    expect(first.series).toEqual(series._id);
+    expect(series.recurrence.count).toBeUndefined();
+    expect(series.getOccurrenceDates()).toHaveLength(1);
+  });
+
+  test('refuses a new rule once following occurrences have attendees', async () => {
+    jest.spyOn(Event, 'exists').mockResolvedValue(null);
+    occurrences[2].analytics.totalRegistrations = 4;
+
+    const res = await edit(occurrences[0], { scope: 'following', rrule: 'FREQ=WEEKLY;COUNT=5' });
+
+    expect(res.status).toBe(409);
+    expect(Event.create).not.toHaveBeenCalled();
+  });
+
+  test('lets an editor co-host change one occurrence but not the series', async () => {
+    const editor = signIn({ email: 'editor@example.com' });
+    const [first, second] = occurrences;
+    second.coHosts.push({ user: editor.user._id, role: 'editor', status: 'accepted' });
+
+    const own = await edit(second, { title: 'Saturday Jazz Special' })
+      .set('Authorization', editor.authorization);
+    const following = await edit(first, { scope: 'following', title: 'Late Jazz Night' })
+      .set('Authorization', editor.authorization);
+
+    expect(own.status).toBe(200);
+    expect(following.status).toBe(403);
+  });
+});
+
+describe('POST /api/series/:id/exceptions', () => {
+  const skip = (date) => request(app)
+    .post(`/api/series/${series._id}/exceptions`)
+    .set('Authorization', host.authorization)
+    .send({ date });
+
+  test('trashes the occurrence on that local day', async () => {
+    const [first] = occurrences;
+    Event.findOne.mockImplementation(() => mockQuery(first));
+
+    // The occurrence is on Saturday in New York but Sunday in UTC
+    const localDay = new Date(first.dateTime.start.getTime() - 2 * HOUR_MS).toISOString().slice(0, 10);
+    const res = await skip(first.dateTime.start.toISOString());
+
+    expect(res.status).toBe(200);
+    expect(series.exceptions.map(date => date.toISOString().slice(0, 10))).toEqual([localDay]);
+    expect(Event.findOne).toHaveBeenCalledWith({
+      series: series._id,
+      isDeleted: false,
+      occurrenceDate: {
+        $gte: new Date(`${localDay}T05:00:00.000Z`),
+        $lt: new Date(first.dateTime.start.getTime() + 4 * HOUR_MS)
+      }
+    });
+    expect(first.isDeleted).toBe(true);
+    expect(series.getOccurrenceDates()).toHaveLength(2);
+  });
+
+  test('cancels an occurrence people registered for', async () => {
+    const [first] = occurrences;
+    first.analytics.totalRegistrations = 2;
+    Event.findOne.mockImplementation(() => mockQuery(first));
+
+    const res = await skip(first.dateTime.start.toISOString());
+
+    expect(res.status).toBe(200);
+    expect(first.status).toBe('cancelled');
+    expect(first.isDeleted).toBe(false);
+  });
+});
+
+describe('DELETE /api/series/:id', () => {
+  test('cancels booked occurrences and trashes the rest', async () => {
+    const [first, second, third] = occurrences;
+    second.analytics.heldSpots = 1;
+
+    const res = await request(app)
+      .delete(`/api/series/${series._id}`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ cancelledOccurrences: 1, trashedOccurrences: 2 });
+    expect(series.status).toBe('cancelled');
+    expect(second.status).toBe('cancelled');
+    expect([first.isDeleted, third.isDeleted]).toEqual([true, true]);
+  });
+
+  test('is refused to an editor co-host', async () => {
+    const editor = signIn({ email: 'editor@example.com' });
+    occurrences.forEach(event => event.coHosts.push({ user: editor.user._id, role: 'editor', status: 'accepted' }));
+
+    const res = await request(app)
+      .delete(`/api/series/${series._id}`)
+      .set('Authorization', editor.authorization);
+
+    expect(res.status).toBe(403);
+    expect(series.status).toBe('active');
+  });
+});
+
+describe('POST /api/trash/events/:id/restore for an occurrence', () => {
+  test('refuses a date the series has since skipped', async () => {
+    const [first] = occurrences;
+    first.isDeleted = true;
+    first.deletedAt = new Date();
+    series.exceptions.push(new Date(`${new Date(first.dateTime.start.getTime() - 2 * HOUR_MS).toISOString().slice(0, 10)}T00:00:00.000Z`));
+    jest.spyOn(Event, 'exists').mockResolvedValue(null);
+
+    const res = await request(trashApp)
+      .post(`/api/trash/events/${first._id}/restore`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('The series no longer has an occurrence on this date');
+    expect(first.isDeleted).toBe(true);
+  });
+});
+
+describe('GET /api/series/:id', () => {
+  test('shows visitors only the published public occurrences', async () => {
+    const res = await request(app).get(`/api/series/${series._id}`);
+
+    expect(res.status).toBe(200);
+    expect(Event.find).toHaveBeenCalledWith({
+      series: series._id,
+      isDeleted: false,
+      visibility: 'public',
+      status: { $ne: 'draft' }
+    });
+  });
+
+  test('is not found when a visitor can see no occurrence', async () => {
+    Event.find.mockImplementation(() => mockQuery([]));
+
+    const res = await request(app).get(`/api/series/${new mongoose.Types.ObjectId()}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Tests run without a database. Configuration the app needs at runtime is
+// set here, and any query a test did not stub fails at once instead of
+// waiting for a connection.
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.TICKET_SIGNING_KEYS = 'test:test-ticket-signing-secret';
+process.env.TICKET_SIGNING_KEY_ID = 'test';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-mock-webhook-secret';
+process.env.WEBHOOK_SECRET = 'test-webhook-secret';
+
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const Ticket = require('../models/Ticket');
+const ticketRoutes = require('../routes/ticketRoutes');
+const { createApp, mockQuery, signIn, buildEvent, attendee } = require('./helpers');
+
+const app = createApp('/api/tickets', ticketRoutes);
+
+let event;
+let ticket;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  event = buildEvent();
+  // Stored the way the purchase route normalizes it
+  ticket = new Ticket({
+    event,
+    attendee: { ...attendee, email: 'adalovelace@gmail.com' },
+    price: 0,
+    status: 'confirmed'
+  });
+  await ticket.validate();
+
+  jest.spyOn(Ticket, 'findOne').mockImplementation(({ ticketNumber }) =>
+    mockQuery(ticketNumber === ticket.ticketNumber ? ticket : null)
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/tickets/:ticketNumber', () => {
+  test('finds the ticket with the email it was bought with, as typed', async () => {
+    const res = await request(app)
+      .get(`/api/tickets/${ticket.ticketNumber}`)
+      .query({ email: ' Ada.Lovelace+conference@GMail.com ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ticket.ticketNumber).toBe(ticket.ticketNumber);
+    // The event team stays private to ticket holders
+    expect(res.body.data.ticket.event.coHosts).toBeUndefined();
+  });
+
+  test('accepts a lower-case ticket number', async () => {
+    const res = await request(app)
+      .get(`/api/tickets/${ticket.ticketNumber.toLowerCase()}`)
+      .query({ email: 'adalovelace@gmail.com' });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('refuses another email', async () => {
+    const res = await request(app)
+      .get(`/api/tickets/${ticket.ticketNumber}`)
+      .query({ email: 'grace@example.com' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('refuses a request without an email', async () => {
+    const res = await request(app).get(`/api/tickets/${ticket.ticketNumber}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('lets the host look the ticket up', async () => {
+    const host = signIn();
+    event.host = host.user._id;
+
+    const res = await request(app)
+      .get(`/api/tickets/${ticket.ticketNumber}`)
+      .set('Authorization', host.authorization);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('answers 404 for an unknown ticket', async () => {
+    const res = await request(app).get('/api/tickets/TKT-UNKNOWN').query({ email: attendee.email });
+
+    expect(res.status).toBe(404);
+  });
+});
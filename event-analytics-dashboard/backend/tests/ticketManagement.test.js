@@ -0,0 +1,106 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const ticketRoutes = require('../routes/ticketRoutes');
+const { createApp, mockQuery, signIn, buildEvent, attendee } = require('./helpers');
+
+const app = createApp('/api/tickets', ticketRoutes);
+
+let host;
+let event;
+let tickets;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  event = buildEvent({ host: host.user._id });
+  tickets = [new Ticket({ event: event._id, attendee, price: 0, ticketNumber: 'TKT-ABC123' })];
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Ticket, 'find').mockImplementation(() => mockQuery(tickets));
+  jest.spyOn(Ticket, 'countDocuments').mockResolvedValue(tickets.length);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Event.reserveSpots', () => {
+  test('only takes a seat while the event has room and counts the sale', async () => {
+    jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(() => mockQuery(event));
+
+    await Event.reserveSpots(event._id, 2, 50);
+
+    const [filter, update] = Event.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: event._id, isDeleted: false });
+    expect(filter.$expr.$lte[1]).toBe('$venue.capacity');
+    expect(update).toEqual({
+      $inc: { 'analytics.totalRegistrations': 2, 'analytics.totalRevenue': 50 }
+    });
+  });
+});
+
+describe('GET /api/tickets/event/:eventId', () => {
+  const list = (query = {}, authorization = host.authorization) => request(app)
+    .get(`/api/tickets/event/${event._id}`)
+    .set('Authorization', authorization)
+    .query(query);
+
+  test('lists the live tickets of the host\'s event', async () => {
+    const res = await list();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tickets).toHaveLength(1);
+    expect(res.body.data.pagination).toEqual({ current: 1, pages: 1, total: 1, limit: 20 });
+    expect(Ticket.find).toHaveBeenCalledWith({ event: event._id, isDeleted: false });
+  });
+
+  test('matches search text literally', async () => {
+    await list({ search: 'ada+' });
+
+    const [{ $or: [{ ticketNumber }] }] = Ticket.find.mock.calls[0];
+    expect(ticketNumber.source).toBe('ada\\+');
+  });
+
+  test('is limited to the event team', async () => {
+    const stranger = signIn({ email: 'someone@example.com' });
+
+    const res = await list({}, stranger.authorization);
+
+    expect(res.status).toBe(403);
+    expect(Ticket.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/tickets/:ticketNumber', () => {
+  const remove = (ticket) => {
+    ticket.event = event;
+    jest.spyOn(Ticket, 'findOne').mockImplementation(() => mockQuery(ticket));
+    jest.spyOn(ticket, 'save').mockResolvedValue(ticket);
+    return request(app)
+      .delete(`/api/tickets/${ticket.ticketNumber}`)
+      .set('Authorization', host.authorization);
+  };
+
+  test('refuses a ticket that still holds a seat', async () => {
+    const [ticket] = tickets;
+    ticket.status = 'confirmed';
+
+    const res = await remove(ticket);
+
+    expect(res.status).toBe(400);
+    expect(ticket.isDeleted).toBe(false);
+  });
+
+  test('moves a cancelled ticket to the trash', async () => {
+    const [ticket] = tickets;
+    ticket.status = 'cancelled';
+
+    const res = await remove(ticket);
+
+    expect(res.status).toBe(200);
+    expect(ticket.isDeleted).toBe(true);
+    expect(ticket.deletedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,102 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const LedgerEntry = require('../models/LedgerEntry');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ticketRoutes = require('../routes/ticketRoutes');
+const { createApp, mockQuery, signIn, buildEvent, attendee } = require('./helpers');
+
+const app = createApp('/api/tickets', ticketRoutes);
+
+let host;
+let event;
+let ticket;
+
+const refund = (body = {}) => request(app)
+  .post(`/api/tickets/${ticket.ticketNumber}/refund`)
+  .set('Authorization', host.authorization)
+  .send(body);
+
+beforeEach(async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  event = buildEvent({ host: host.user._id, ticketInfo: { isPaid: true, price: 80 } });
+  ticket = new Ticket({
+    event,
+    attendee,
+    price: 80,
+    status: 'confirmed',
+    paymentStatus: 'completed'
+  });
+  await ticket.validate();
+
+  jest.spyOn(Ticket, 'findOne').mockImplementation(() => mockQuery(ticket));
+  // Ticket.processRefund applies its conditional update through findOneAndUpdate
+  jest.spyOn(Ticket, 'findOneAndUpdate').mockImplementation(async (filter, { $set, $inc }) => {
+    ticket.set($set);
+    ticket.refundAmount = (ticket.refundAmount || 0) + $inc.refundAmount;
+    return ticket;
+  });
+  jest.spyOn(Event, 'releaseSpots').mockResolvedValue(event);
+  jest.spyOn(LedgerEntry, 'create').mockImplementation(async (fields) => fields);
+  jest.spyOn(WaitlistEntry, 'promoteNext').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/tickets/:ticketNumber/refund', () => {
+  test('refunds the whole ticket and records it in the ledger', async () => {
+    const res = await refund({ reason: 'Event moved' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ticket).toMatchObject({ status: 'refunded', refundAmount: 80 });
+    expect(LedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'refund', amount: -80 }));
+    expect(Event.releaseSpots).toHaveBeenCalledWith(event._id, 1, 80, null);
+  });
+
+  test('keeps the ticket valid for a partial goodwill refund', async () => {
+    const res = await refund({ amount: 15, keepTicket: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ticket).toMatchObject({ status: 'confirmed', paymentStatus: 'completed', refundAmount: 15 });
+    expect(Event.releaseSpots).toHaveBeenCalledWith(event._id, 0, 15, null);
+  });
+
+  test.each(['pending', 'failed'])('refuses a ticket whose payment is %s', async (paymentStatus) => {
+    ticket.paymentStatus = paymentStatus;
+
+    const res = await refund();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(`Cannot refund a ticket whose payment is ${paymentStatus}`);
+    expect(Ticket.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(LedgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  test.each([0, -5])('refuses an amount of %s', async (amount) => {
+    const res = await refund({ amount });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+
+  test('refuses more than is still refundable', async () => {
+    ticket.refundAmount = 70;
+
+    const res = await refund({ amount: 20 });
+
+    expect(res.status).toBe(400);
+    expect(Ticket.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('is limited to the event team', async () => {
+    host = signIn({ email: 'stranger@example.com' });
+
+    const res = await refund();
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,125 @@
+const { signTicketPayload, verifyTicketPayload } = require('../utils/ticketSigner');
+
+const EVENT_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const toBase64Url = (value) => Buffer.from(value).toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+describe('ticket signer', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      ...env,
+      TICKET_SIGNING_KEYS: 'k1:first-secret,k2:second-secret',
+      TICKET_SIGNING_KEY_ID: 'k1'
+    };
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('signs a payload that verifies back to the ticket', () => {
+    const payload = signTicketPayload({ ticketNumber: 'TKT-ABC123', eventId: EVENT_ID });
+
+    expect(payload).toMatch(/^v1\.k1\.[\w-]+\.[\w-]+$/);
+    expect(verifyTicketPayload(payload)).toMatchObject({
+      valid: true,
+      ticketNumber: 'TKT-ABC123',
+      eventId: EVENT_ID,
+      keyId: 'k1'
+    });
+  });
+
+  test('ignores surrounding whitespace from scanners', () => {
+    const payload = signTicketPayload({ ticketNumber: 'TKT-ABC123', eventId: EVENT_ID });
+
+    expect(verifyTicketPayload(`  ${payload}\n`).valid).toBe(true);
+  });
+
+  describe('key rotation', () => {
+    test('signs new tickets with the active key', () => {
+      process.env.TICKET_SIGNING_KEY_ID = 'k2';
+
+      expect(signTicketPayload({ ticketNumber: 'TKT-NEW', eventId: EVENT_ID })).toMatch(/^v1\.k2\./);
+    });
+
+    test('still accepts tickets signed with an older listed key', () => {
+      const issued = signTicketPayload({ ticketNumber: 'TKT-OLD', eventId: EVENT_ID });
+      process.env.TICKET_SIGNING_KEY_ID = 'k2';
+
+      expect(verifyTicketPayload(issued)).toMatchObject({ valid: true, keyId: 'k1' });
+    });
+
+    test('rejects tickets signed with a key that was removed', () => {
+      const issued = signTicketPayload({ ticketNumber: 'TKT-OLD', eventId: EVENT_ID });
+      process.env.TICKET_SIGNING_KEYS = 'k2:second-secret';
+      process.env.TICKET_SIGNING_KEY_ID = 'k2';
+
+      expect(verifyTicketPayload(issued)).toEqual({ valid: false, reason: 'forged' });
+    });
+
+    test('rejects a payload relabelled with another key id', () => {
+      const [version, , claims, signature] = signTicketPayload({ ticketNumber: 'TKT-1', eventId: EVENT_ID }).split('.');
+
+      expect(verifyTicketPayload(`${version}.k2.${claims}.${signature}`)).toEqual({ valid: false, reason: 'forged' });
+    });
+  });
+
+  describe('forged signatures', () => {
+    test('rejects claims changed after signing', () => {
+      const [version, keyId, , signature] = signTicketPayload({ ticketNumber: 'TKT-1', eventId: EVENT_ID }).split('.');
+      const claims = toBase64Url(JSON.stringify({ t: 'TKT-2', e: EVENT_ID, iat: 1 }));
+
+      expect(verifyTicketPayload(`${version}.${keyId}.${claims}.${signature}`)).toEqual({ valid: false, reason: 'forged' });
+    });
+
+    test('rejects a signature made with a different secret', () => {
+      const payload = signTicketPayload({ ticketNumber: 'TKT-1', eventId: EVENT_ID });
+      process.env.TICKET_SIGNING_KEYS = 'k1:someone-elses-secret';
+
+      expect(verifyTicketPayload(payload)).toEqual({ valid: false, reason: 'forged' });
+    });
+
+    test('rejects a truncated signature', () => {
+      const payload = signTicketPayload({ ticketNumber: 'TKT-1', eventId: EVENT_ID });
+
+      expect(verifyTicketPayload(payload.slice(0, -4))).toEqual({ valid: false, reason: 'forged' });
+    });
+  });
+
+  describe('malformed payloads', () => {
+    test.each([
+      ['a non-string', 12345],
+      ['an empty string', ''],
+      ['too few parts', 'v1.k1.abc'],
+      ['too many parts', 'v1.k1.abc.def.ghi'],
+      ['an unknown version', 'v2.k1.abc.def']
+    ])('rejects %s', (label, payload) => {
+      expect(verifyTicketPayload(payload)).toEqual({ valid: false, reason: 'malformed' });
+    });
+
+    test('rejects correctly signed claims that are missing the ticket', () => {
+      const crypto = require('crypto');
+      const claims = toBase64Url(JSON.stringify({ e: EVENT_ID }));
+      const signature = toBase64Url(crypto
+        .createHmac('sha256', 'first-secret')
+        .update(`v1.k1.${claims}`)
+        .digest()
+        .subarray(0, 16));
+
+      expect(verifyTicketPayload(`v1.k1.${claims}.${signature}`)).toEqual({ valid: false, reason: 'malformed' });
+    });
+  });
+
+  test('refuses to sign without any key', () => {
+    delete process.env.TICKET_SIGNING_KEYS;
+    delete process.env.JWT_SECRET;
+
+    expect(() => signTicketPayload({ ticketNumber: 'TKT-1', eventId: EVENT_ID }))
+      .toThrow('No ticket signing key configured');
+  });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ticketRoutes = require('../routes/ticketRoutes');
+const analyticsRoutes = require('../routes/analyticsRoutes');
+const { createApp, mockQuery, signIn, buildEvent, attendee } = require('./helpers');
+
+const ticketApp = createApp('/api/tickets', ticketRoutes);
+const analyticsApp = createApp('/api/analytics', analyticsRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let host;
+let event;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  host = signIn();
+  event = buildEvent({
+    host: host.user._id,
+    ticketInfo: { isPaid: true, price: 40 },
+    ticketTiers: [
+      { name: 'General', price: 40, quantity: 80, sold: 30 },
+      { name: 'VIP', price: 120, quantity: 10, sold: 10, ticketType: 'vip' }
+    ]
+  });
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Event ticket tiers', () => {
+  test('are only sold while active, inside their window and in stock', () => {
+    const [general, vip] = event.ticketTiers;
+
+    expect(event.getTierSaleError(general)).toBeNull();
+    expect(event.getTierSaleError(vip)).toBe('Ticket tier is sold out');
+
+    general.salesStart = new Date(Date.now() + DAY_MS);
+    expect(event.getTierSaleError(general)).toBe('Ticket tier is not on sale yet');
+
+    general.salesStart = null;
+    general.salesEnd = new Date(Date.now() - DAY_MS);
+    expect(event.getTierSaleError(general)).toBe('Ticket tier sales have ended');
+
+    general.isActive = false;
+    expect(event.getTierSaleError(general)).toBe('Ticket tier is not available');
+  });
+
+  test('cannot shrink below the tickets already sold or sell after the event', async () => {
+    const [general, vip] = event.ticketTiers;
+    general.quantity = 20;
+    vip.salesEnd = new Date(event.dateTime.end.getTime() + DAY_MS);
+    jest.spyOn(event, 'getSlugChange').mockResolvedValue(null);
+
+    const error = await event.validate().catch(caught => caught);
+
+    expect(error.errors['ticketTiers.0.quantity'].message)
+      .toBe('Tier quantity cannot be lower than the 30 tickets already sold');
+    expect(error.errors['ticketTiers.1.salesEnd'].message).toBe('Tier sales cannot end after the event');
+  });
+});
+
+describe('POST /api/tickets for a sold-out tier', () => {
+  test('answers 409 while the event still has seats in other tiers', async () => {
+    jest.spyOn(WaitlistEntry, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Event, 'reserveSpots').mockResolvedValue(null);
+    jest.spyOn(Ticket, 'create');
+    const vip = event.ticketTiers[1];
+
+    const res = await request(ticketApp)
+      .post('/api/tickets')
+      .send({ eventId: event._id.toString(), attendee, tierId: vip._id.toString() });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Ticket tier is sold out');
+    expect(Ticket.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Ticket.getTierSales', () => {
+  test('reports inventory and paid revenue per tier', async () => {
+    const [general, vip] = event.ticketTiers;
+    jest.spyOn(Ticket, 'aggregate').mockResolvedValue([
+      { _id: { event: event._id, tier: general._id }, tickets: 32, activeTickets: 30, checkedIn: 12, grossRevenue: 1200, refundedAmount: 80 }
+    ]);
+
+    const [generalSales, vipSales] = await Ticket.getTierSales([event]);
+
+    expect(generalSales).toMatchObject({
+      name: 'General',
+      sold: 30,
+      remaining: 50,
+      checkedIn: 12,
+      grossRevenue: 1200,
+      netRevenue: 1120
+    });
+    expect(vipSales).toMatchObject({ tierId: vip._id, remaining: 0, tickets: 0, netRevenue: 0 });
+  });
+});
+
+describe('GET /api/analytics/export/:id', () => {
+  const exportSales = (authorization = host.authorization) => request(analyticsApp)
+    .get(`/api/analytics/export/${event._id}`)
+    .set('Authorization', authorization);
+
+  beforeEach(() => {
+    jest.spyOn(Ticket, 'aggregate').mockResolvedValue([]);
+  });
+
+  test('exports one CSV row per tier', async () => {
+    const res = await exportSales();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    const [header, general, vip] = res.text.split('\n');
+    expect(header).toMatch(/^"Tier","Ticket Type","Price"/);
+    expect(general).toMatch(/^"General","regular","40","USD"/);
+    expect(vip).toMatch(/^"VIP","vip","120"/);
+  });
+
+  test('keeps formula-like tier names as text', async () => {
+    event.ticketTiers[0].name = '=HYPERLINK("http://example.com")';
+
+    const res = await exportSales();
+
+    expect(res.text.split('\n')[1]).toMatch(/^"'=HYPERLINK\(""http:\/\/example.com""\)"/);
+  });
+
+  test('is limited to people who can see the event analytics', async () => {
+    const stranger = signIn({ email: 'someone@example.com' });
+
+    const res = await exportSales(stranger.authorization);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,205 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ticketRoutes = require('../routes/ticketRoutes');
+const { verifyTicketPayload } = require('../utils/ticketSigner');
+const { createApp, mockQuery, signIn, buildEvent, attendee } = require('./helpers');
+
+const app = createApp('/api/tickets', ticketRoutes);
+
+const newAttendee = {
+  firstName: 'Grace',
+  lastName: 'Hopper',
+  email: 'grace@example.com'
+};
+
+let event;
+let ticket;
+
+const transfer = (body = {}, headers = {}) => request(app)
+  .post(`/api/tickets/${ticket.ticketNumber}/transfer`)
+  .set(headers)
+  .send({ newAttendee, ...body });
+
+const cancel = (body = {}, headers = {}) => request(app)
+  .patch(`/api/tickets/${ticket.ticketNumber}/cancel`)
+  .set(headers)
+  .send(body);
+
+beforeEach(async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  event = buildEvent();
+  ticket = new Ticket({ event, attendee, price: 0, status: 'confirmed' });
+  await ticket.validate();
+
+  jest.spyOn(Ticket, 'findOne').mockImplementation(({ ticketNumber }) =>
+    mockQuery(ticketNumber === ticket.ticketNumber ? ticket : null)
+  );
+  // Ticket.transferTo applies its conditional update through findOneAndUpdate
+  jest.spyOn(Ticket, 'findOneAndUpdate').mockImplementation(async (filter, { $set, $push }) => {
+    if (filter.ticketNumber !== ticket.ticketNumber || ticket.status !== filter.status) return null;
+    ticket.set($set);
+    ticket.transferHistory.push($push.transferHistory);
+    return ticket;
+  });
+  jest.spyOn(Ticket.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Event, 'releaseSpots').mockResolvedValue(event);
+  jest.spyOn(WaitlistEntry, 'promoteNext').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/tickets/:ticketNumber/transfer', () => {
+  test('moves the ticket to the new attendee with a fresh number and QR code', async () => {
+    const previousNumber = ticket.ticketNumber;
+    const actionToken = ticket.generateActionToken();
+
+    const res = await transfer({ actionToken, reason: 'Colleague is going instead' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ticket.attendee.email).toBe(newAttendee.email);
+    expect(res.body.data.ticket.ticketNumber).not.toBe(previousNumber);
+    expect(verifyTicketPayload(res.body.data.ticket.qrCode).ticketNumber).toBe(res.body.data.ticket.ticketNumber);
+    expect(res.body.data.ticket.transferHistory).toEqual([
+      expect.objectContaining({
+        previousTicketNumber: previousNumber,
+        initiatedBy: 'attendee',
+        fromAttendee: expect.objectContaining({ email: attendee.email }),
+        toAttendee: expect.objectContaining({ email: newAttendee.email })
+      })
+    ]);
+  });
+
+  test('is refused with just the ticket number and holder email', async () => {
+    const res = await transfer({ email: attendee.email });
+
+    expect(res.status).toBe(403);
+    expect(Ticket.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('accepts the action token in a header', async () => {
+    const res = await transfer({}, { 'X-Ticket-Action-Token': ticket.generateActionToken() });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('refuses an action token once a transfer reissued the ticket number', async () => {
+    const actionToken = ticket.generateActionToken();
+    await transfer({ actionToken });
+
+    const res = await transfer({ actionToken, newAttendee: { ...newAttendee, email: 'mallory@example.com' } });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('refuses an action token for another ticket', async () => {
+    const other = new Ticket({ event, attendee, price: 0 });
+    await other.validate();
+
+    const res = await transfer({ actionToken: other.generateActionToken() });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('lets the signed-in holder transfer their own ticket', async () => {
+    const holder = signIn({ email: attendee.email });
+
+    const res = await transfer({}, { Authorization: holder.authorization });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('honours the transfer cutoff for attendees but not for the host', async () => {
+    event.settings.transferCutoffHours = 24 * 30;
+    const host = signIn();
+    event.host = host.user._id;
+
+    const attendeeRes = await transfer({ actionToken: ticket.generateActionToken() });
+    expect(attendeeRes.status).toBe(409);
+
+    const hostRes = await transfer({}, { Authorization: host.authorization });
+    expect(hostRes.status).toBe(200);
+    expect(hostRes.body.data.ticket.transferHistory[0].initiatedBy).toBe('host');
+  });
+
+  test('is closed when the event disables transfers', async () => {
+    event.settings.allowTicketTransfers = false;
+
+    const res = await transfer({ actionToken: ticket.generateActionToken() });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('refuses to hand the ticket to its current holder', async () => {
+    const res = await transfer({ actionToken: ticket.generateActionToken(), newAttendee: attendee });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PATCH /api/tickets/:ticketNumber/cancel', () => {
+  test('cancels with the action token and frees the seat', async () => {
+    const res = await cancel({ actionToken: ticket.generateActionToken() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ticket.status).toBe('cancelled');
+    expect(Event.releaseSpots).toHaveBeenCalledWith(event._id, 1, 0, null);
+    expect(WaitlistEntry.promoteNext).toHaveBeenCalledWith(event._id);
+  });
+
+  test('is refused with just the ticket number and holder email', async () => {
+    const res = await cancel({ email: attendee.email });
+
+    expect(res.status).toBe(403);
+    expect(ticket.status).toBe('confirmed');
+  });
+
+  test('refuses a forged action token', async () => {
+    const res = await cancel({ actionToken: 'not-a-token' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/tickets/:ticketNumber/action-link', () => {
+  const requestLink = (email) => request(app)
+    .post(`/api/tickets/${ticket.ticketNumber}/action-link`)
+    .send({ email });
+
+  const { NODE_ENV } = process.env;
+
+  afterEach(() => {
+    process.env.NODE_ENV = NODE_ENV;
+  });
+
+  test('answers the same whether or not the email matches', async () => {
+    const matching = await requestLink(attendee.email);
+    const other = await requestLink('grace@example.com');
+
+    expect(matching.status).toBe(200);
+    expect(other.status).toBe(200);
+    expect(matching.body).toEqual(other.body);
+    expect(matching.body.actionToken).toBeUndefined();
+  });
+
+  test('returns a working token in development', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const res = await requestLink('ADA@example.com');
+
+    expect(res.body.actionToken).toBeDefined();
+    expect(ticket.verifyActionToken(res.body.actionToken)).toBe(true);
+  });
+
+  test('needs a valid email', async () => {
+    const res = await requestLink('not-an-email');
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const waitlistRoutes = require('../routes/waitlistRoutes');
+const { createApp, mockQuery, buildEvent, attendee } = require('./helpers');
+
+const app = createApp('/api/waitlist', waitlistRoutes);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let event;
+let entry;
+let claimToken;
+
+// A waitlist entry holding an offer for a seat
+const buildOfferedEntry = (offerExpiresAt = new Date(Date.now() + HOUR_MS)) => {
+  const offered = new WaitlistEntry({
+    event,
+    attendee,
+    status: 'offered',
+    offeredAt: new Date(),
+    offerExpiresAt
+  });
+  claimToken = offered.generateClaimToken();
+  return offered;
+};
+
+const claim = (body = {}) => request(app)
+  .post(`/api/waitlist/${entry._id}/claim`)
+  .send({ token: claimToken, ...body });
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  event = buildEvent({ analytics: { totalRegistrations: 99, heldSpots: 1 } });
+  entry = buildOfferedEntry();
+
+  jest.spyOn(WaitlistEntry, 'findOne').mockImplementation(() => mockQuery(entry));
+  jest.spyOn(WaitlistEntry, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const matches = entry.status === filter.status &&
+      (!filter.offerExpiresAt || entry.offerExpiresAt > filter.offerExpiresAt.$gt);
+    if (!matches) return null;
+    entry.set(update);
+    return entry;
+  });
+  jest.spyOn(WaitlistEntry, 'updateOne').mockImplementation(async (filter, update) => {
+    entry.set(update);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(WaitlistEntry.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(WaitlistEntry, 'promoteNext').mockResolvedValue([]);
+  jest.spyOn(WaitlistEntry, 'countDocuments').mockResolvedValue(0);
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Event, 'claimHeldSpot').mockResolvedValue(event);
+  jest.spyOn(Event, 'releaseHeldSpot').mockResolvedValue(event);
+
+  jest.spyOn(Ticket, 'create').mockImplementation(async (fields) => {
+    const ticket = new Ticket(fields);
+    await ticket.validate();
+    return ticket;
+  });
+  jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Ticket, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/waitlist/:entryId/claim', () => {
+  test('turns the held seat into a ticket', async () => {
+    const res = await claim();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.ticket).toMatchObject({ status: 'confirmed', attendee: { email: attendee.email } });
+    expect(Event.claimHeldSpot).toHaveBeenCalledWith(event._id, 0, null);
+    expect(entry.status).toBe('claimed');
+    expect(String(entry.ticket)).toBe(res.body.data.ticket._id);
+  });
+
+  test('opens a payment for a paid seat', async () => {
+    event = buildEvent({ ticketInfo: { isPaid: true, price: 30 }, analytics: { heldSpots: 1 } });
+    entry = buildOfferedEntry();
+
+    const res = await claim({ paymentMethod: 'credit-card' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.ticket).toMatchObject({ status: 'pending', price: 30 });
+    expect(res.body.data.payment).toMatchObject({ provider: 'mock', amount: 30 });
+  });
+
+  test('answers 409 and puts the entry back in line when the held seat is gone', async () => {
+    Event.claimHeldSpot.mockResolvedValue(null);
+
+    const res = await claim();
+
+    expect(res.status).toBe(409);
+    expect(Ticket.deleteOne).toHaveBeenCalledWith({ _id: expect.anything() });
+    expect(entry).toMatchObject({ status: 'waiting', offerExpiresAt: null, claimedAt: null });
+    expect(WaitlistEntry.promoteNext).toHaveBeenCalledWith(event._id);
+  });
+
+  test('refuses an expired offer', async () => {
+    entry = buildOfferedEntry(new Date(Date.now() - HOUR_MS));
+
+    const res = await claim();
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('This offer has expired');
+    expect(Ticket.create).not.toHaveBeenCalled();
+  });
+
+  test('never claims the same offer twice', async () => {
+    await claim();
+    const res = await claim();
+
+    expect(res.status).toBe(409);
+    expect(Ticket.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('needs the claim token', async () => {
+    const res = await claim({ token: 'wrong-token' });
+
+    expect(res.status).toBe(403);
+    expect(WaitlistEntry.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/waitlist/:entryId', () => {
+  test('only expires offers on the entry\'s own event', async () => {
+    jest.spyOn(WaitlistEntry, 'find').mockResolvedValue([]);
+
+    const res = await request(app).get(`/api/waitlist/${entry._id}`).query({ token: claimToken });
+
+    expect(res.status).toBe(200);
+    expect(WaitlistEntry.find).toHaveBeenCalledWith(expect.objectContaining({ event: event._id, status: 'offered' }));
+    expect(res.body.data.waitlistEntry.status).toBe('offered');
+  });
+
+  test('reports a stale offer as expired', async () => {
+    entry = buildOfferedEntry(new Date(Date.now() - HOUR_MS));
+    jest.spyOn(WaitlistEntry, 'find').mockImplementation(async () => [entry]);
+    jest.spyOn(WaitlistEntry, 'findById').mockImplementation(() => mockQuery(entry));
+
+    const res = await request(app).get(`/api/waitlist/${entry._id}`).query({ token: claimToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.waitlistEntry.status).toBe('expired');
+    expect(Event.releaseHeldSpot).toHaveBeenCalled();
+  });
+
+  test('checks the claim token before expiring anything', async () => {
+    jest.spyOn(WaitlistEntry, 'find').mockResolvedValue([]);
+
+    const res = await request(app).get(`/api/waitlist/${entry._id}`);
+
+    expect(res.status).toBe(403);
+    expect(WaitlistEntry.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { mockQuery, buildEvent, attendee } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let event;
+let queue;
+let freeSeats;
+
+const buildEntry = (fields = {}) => new WaitlistEntry({ event: event._id, attendee, ...fields });
+
+beforeEach(() => {
+  event = buildEvent({ settings: { waitlistClaimWindowHours: 12 } });
+  queue = [buildEntry(), buildEntry()];
+  freeSeats = 1;
+
+  jest.spyOn(Event, 'findById').mockImplementation(() => mockQuery(event));
+  jest.spyOn(Event, 'holdSpot').mockImplementation(async () => {
+    if (freeSeats === 0) return null;
+    freeSeats -= 1;
+    return event;
+  });
+  jest.spyOn(Event, 'releaseHeldSpot').mockImplementation(async () => {
+    freeSeats += 1;
+    return event;
+  });
+  jest.spyOn(WaitlistEntry, 'findOne').mockImplementation(() => mockQuery(
+    queue.find(entry => entry.status === 'waiting') || null
+  ));
+  jest.spyOn(WaitlistEntry, 'findOneAndUpdate').mockImplementation(async ({ _id, status }, update) => {
+    const entry = queue.find(candidate => candidate._id.equals(_id));
+    if (!entry || entry.status !== status) return null;
+    entry.set(update);
+    return entry;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WaitlistEntry.promoteNext', () => {
+  test('offers each free seat to the front of the line for the claim window', async () => {
+    const offered = await WaitlistEntry.promoteNext(event._id);
+
+    expect(offered).toEqual([queue[0]]);
+    expect(queue.map(entry => entry.status)).toEqual(['offered', 'waiting']);
+    expect(queue[0].offerExpiresAt - queue[0].offeredAt).toBe(12 * HOUR_MS);
+    expect(WaitlistEntry.findOne).toHaveBeenCalledWith({ event: event._id, status: 'waiting', isDeleted: false });
+  });
+
+  test('offers nothing on events that turned the waitlist off', async () => {
+    event.settings.allowWaitlist = false;
+
+    const offered = await WaitlistEntry.promoteNext(event._id);
+
+    expect(offered).toEqual([]);
+    expect(Event.holdSpot).not.toHaveBeenCalled();
+  });
+
+  test('gives the seat back when the entry left the line meanwhile', async () => {
+    WaitlistEntry.findOneAndUpdate.mockImplementationOnce(async () => {
+      queue[0].status = 'left';
+      return null;
+    });
+
+    const offered = await WaitlistEntry.promoteNext(event._id);
+
+    expect(offered).toEqual([queue[1]]);
+    expect(Event.releaseHeldSpot).toHaveBeenCalledTimes(1);
+    expect(freeSeats).toBe(0);
+  });
+});
+
+describe('WaitlistEntry.expireOffers', () => {
+  test('passes an unclaimed seat on to the next in line', async () => {
+    freeSeats = 0;
+    const stale = buildEntry({
+      status: 'offered',
+      offeredAt: new Date(Date.now() - 13 * HOUR_MS),
+      offerExpiresAt: new Date(Date.now() - HOUR_MS)
+    });
+    queue.unshift(stale);
+    jest.spyOn(WaitlistEntry, 'find').mockImplementation(() => mockQuery([stale]));
+
+    const expired = await WaitlistEntry.expireOffers({ event: event._id });
+
+    expect(expired).toBe(1);
+    expect(queue.map(entry => entry.status)).toEqual(['expired', 'offered', 'waiting']);
+    expect(freeSeats).toBe(0);
+  });
+});
+
+describe('WaitlistEntry.getEventMetrics', () => {
+  test('reports the line size and how many offers were claimed', async () => {
+    jest.spyOn(WaitlistEntry, 'aggregate').mockResolvedValue([
+      { _id: 'waiting', count: 5 },
+      { _id: 'offered', count: 1 },
+      { _id: 'claimed', count: 3 },
+      { _id: 'expired', count: 4 }
+    ]);
+
+    const metrics = await WaitlistEntry.getEventMetrics(event._id);
+
+    expect(metrics).toEqual({
+      size: 5,
+      pendingOffers: 1,
+      claimed: 3,
+      expired: 4,
+      left: 0,
+      offersMade: 8,
+      conversionRate: 38
+    });
+  });
+});
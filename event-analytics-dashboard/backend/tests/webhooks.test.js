@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const { EventEmitter } = require('events');
+const { deliverWebhook } = require('../utils/webhooks');
+
+const URL_TO = 'http://hooks.example.com/events';
+const PUBLIC_ADDRESS = '93.184.216.34';
+
+let sent;
+
+// Stand-in for http.request that records what was sent and answers with
+// `status` once the body is written
+const fakeRequest = (status = 200) => (url, options, callback) => {
+  const request = new EventEmitter();
+  request.end = (body) => {
+    sent.push({ url, options, body });
+    const response = new EventEmitter();
+    response.statusCode = status;
+    response.resume = () => setImmediate(() => response.emit('end'));
+    callback(response);
+  };
+  return request;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  sent = [];
+  jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: PUBLIC_ADDRESS, family: 4 }]);
+  jest.spyOn(http, 'request').mockImplementation(fakeRequest());
+});
+
+afterEach(() => {
+  process.env.WEBHOOK_SECRET = 'test-webhook-secret';
+  jest.restoreAllMocks();
+});
+
+describe('deliverWebhook', () => {
+  test('posts a body signed with WEBHOOK_SECRET', async () => {
+    const result = await deliverWebhook(URL_TO, 'event-status-changed', { status: 'ongoing' });
+
+    expect(result).toEqual({ delivered: true, status: 200 });
+    const [{ options, body }] = sent;
+    expect(JSON.parse(body)).toMatchObject({ type: 'event-status-changed', data: { status: 'ongoing' } });
+    expect(options.headers['X-Webhook-Signature']).toBe(
+      crypto.createHmac('sha256', 'test-webhook-secret').update(body).digest('hex')
+    );
+  });
+
+  test('connects to the address it checked, whatever DNS answers next', async () => {
+    await deliverWebhook(URL_TO, 'event-status-changed', {});
+
+    const [{ url, options }] = sent;
+    expect(url.hostname).toBe('hooks.example.com');
+    dns.lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+    const single = jest.fn();
+    options.lookup('hooks.example.com', {}, single);
+    expect(single).toHaveBeenCalledWith(null, PUBLIC_ADDRESS, 4);
+
+    const all = jest.fn();
+    options.lookup('hooks.example.com', { all: true }, all);
+    expect(all).toHaveBeenCalledWith(null, [{ address: PUBLIC_ADDRESS, family: 4 }]);
+  });
+
+  test('is not sent without WEBHOOK_SECRET', async () => {
+    delete process.env.WEBHOOK_SECRET;
+
+    const result = await deliverWebhook(URL_TO, 'event-status-changed', {});
+
+    expect(result).toEqual({ delivered: false, error: 'WEBHOOK_SECRET is not set' });
+    expect(http.request).not.toHaveBeenCalled();
+  });
+
+  test('is not sent to a host that resolves to a private address', async () => {
+    dns.lookup.mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+
+    const result = await deliverWebhook(URL_TO, 'event-status-changed', {});
+
+    expect(result.delivered).toBe(false);
+    expect(http.request).not.toHaveBeenCalled();
+  });
+
+  test('reports a redirect as not delivered instead of following it', async () => {
+    http.request.mockImplementation(fakeRequest(302));
+
+    const result = await deliverWebhook(URL_TO, 'event-status-changed', {});
+
+    expect(result).toEqual({ delivered: false, status: 302 });
+    expect(sent).toHaveLength(1);
+  });
+});
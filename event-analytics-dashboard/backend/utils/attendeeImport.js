@@ -0,0 +1,181 @@
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+
+// Largest attendee list accepted in one upload
+const MAX_IMPORT_ROWS = 5000;
+
+// Column names we understand, keyed by their normalized header
+const COLUMN_ALIASES = {
+  firstname: 'firstName',
+  first: 'firstName',
+  givenname: 'firstName',
+  lastname: 'lastName',
+  last: 'lastName',
+  surname: 'lastName',
+  familyname: 'lastName',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phone',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  tickettype: 'ticketType',
+  type: 'ticketType',
+  tier: 'tier',
+  tiername: 'tier',
+  tickettier: 'tier',
+  price: 'price',
+  paymentmethod: 'paymentMethod',
+  dietaryrestrictions: 'dietaryRestrictions',
+  dietary: 'dietaryRestrictions',
+  specialrequests: 'specialRequests',
+  notes: 'specialRequests'
+};
+
+// "First Name", "first_name" and "﻿FirstName" all become "firstname"
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Rows keep answers to the event's registration questions under this
+// prefix, so they cannot clash with the ticket columns
+const ANSWER_PREFIX = 'answer:';
+
+// Map a header to a ticket column or, failing that, to a registration
+// question with that key or label. Ticket columns win when both match.
+const createColumnMapper = (formFields = []) => {
+  const questions = new Map();
+  formFields.forEach(field => {
+    [field.label, field.key].forEach(name => {
+      const header = normalizeHeader(name);
+      if (header && !questions.has(header)) questions.set(header, field.key);
+    });
+  });
+
+  return (header) => {
+    const normalized = normalizeHeader(header);
+    if (COLUMN_ALIASES[normalized]) return COLUMN_ALIASES[normalized];
+    return questions.has(normalized) ? `${ANSWER_PREFIX}${questions.get(normalized)}` : null;
+  };
+};
+
+// Parse a CSV buffer into rows keyed by known column names
+const parseCsv = (buffer, toColumn) => new Promise((resolve, reject) => {
+  const rows = [];
+
+  Readable.from(buffer)
+    .pipe(csv({
+      mapHeaders: ({ header }) => toColumn(header)
+    }))
+    .on('data', row => rows.push(row))
+    .on('error', reject)
+    .on('end', () => resolve(rows));
+});
+
+// Parse the first worksheet of an XLSX buffer into rows keyed by known column names
+const parseXlsx = async (buffer, toColumn) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const columns = [];
+  sheet.getRow(1).eachCell((cell, columnNumber) => {
+    columns[columnNumber] = toColumn(cell.text);
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    row.eachCell((cell, columnNumber) => {
+      const column = columns[columnNumber];
+      if (column) values[column] = cell.text;
+    });
+    rows.push(values);
+  });
+
+  return rows;
+};
+
+// Parse an uploaded attendee list (multer memory file) into plain row
+// objects. Columns named after one of `formFields` are kept as answers.
+const parseAttendeeFile = (file, { formFields = [] } = {}) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const toColumn = createColumnMapper(formFields);
+  return extension === '.xlsx' ? parseXlsx(file.buffer, toColumn) : parseCsv(file.buffer, toColumn);
+};
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// The ticket tier a row names, by tier name (in any case) or id. Returns
+// undefined when the row names no tier and null when the event has no such
+// tier.
+const findRowTier = (event, row) => {
+  const value = clean(row.tier);
+  if (!value) return undefined;
+
+  return event.getTier(value) ||
+    event.ticketTiers.find(tier => tier.name.toLowerCase() === value.toLowerCase()) ||
+    null;
+};
+
+// Spreadsheet spellings of a ticked and an unticked checkbox
+const CHECKBOX_VALUES = new Map([
+  ...['true', 'yes', 'y', 'x', '1'].map(value => [value, true]),
+  ...['false', 'no', 'n', '0'].map(value => [value, false])
+]);
+
+// Answers a row gives to the registration questions, as input for
+// validateFormAnswers. Cells are text, so multiple choices are separated by
+// `;` or `|` and checkboxes also accept yes/no.
+const getRowAnswers = (row, formFields = []) => formFields.reduce((answers, field) => {
+  const value = clean(row[`${ANSWER_PREFIX}${field.key}`]);
+  if (!value) return answers;
+
+  if (field.type === 'multiple-choice') {
+    answers[field.key] = value.split(/[;|]/).map(item => item.trim()).filter(Boolean);
+  } else if (field.type === 'checkbox' && CHECKBOX_VALUES.has(value.toLowerCase())) {
+    answers[field.key] = CHECKBOX_VALUES.get(value.toLowerCase());
+  } else {
+    answers[field.key] = value;
+  }
+  return answers;
+}, {});
+
+// Map a parsed row onto Ticket fields. Values are passed through as-is so
+// the Ticket schema decides what is valid. Tickets sold through a tier take
+// its ticket type, and its price unless the row gives one.
+const rowToTicketFields = (row, { complimentary = false, defaultPrice = 0, tier = null } = {}) => {
+  const ticketType = clean(row.ticketType).toLowerCase() || 'regular';
+  const isComplimentary = complimentary || ticketType === 'complimentary';
+  const price = clean(row.price);
+  const basePrice = tier ? tier.price : defaultPrice;
+
+  return {
+    attendee: {
+      firstName: clean(row.firstName),
+      lastName: clean(row.lastName),
+      email: clean(row.email).toLowerCase(),
+      phone: clean(row.phone) || undefined
+    },
+    ticketType: isComplimentary ? 'complimentary' : (tier ? tier.ticketType : ticketType),
+    tier: tier ? { tierId: tier._id, name: tier.name } : undefined,
+    price: isComplimentary ? 0 : (price === '' ? basePrice : Number(price)),
+    paymentMethod: isComplimentary ? 'complimentary' : clean(row.paymentMethod).toLowerCase() || undefined,
+    dietaryRestrictions: clean(row.dietaryRestrictions)
+      .split(/[;,|]/)
+      .map(item => item.trim().toLowerCase())
+      .filter(Boolean),
+    specialRequests: clean(row.specialRequests) || undefined
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseAttendeeFile,
+  findRowTier,
+  getRowAnswers,
+  rowToTicketFields
+};
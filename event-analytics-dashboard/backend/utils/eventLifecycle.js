@@ -0,0 +1,147 @@
+const Event = require('../models/Event');
+const { getHostRoom } = require('../sockets/hostSocket');
+const { deliverWebhook } = require('./webhooks');
+
+// Statuses the scheduler moves forward from
+const SCHEDULED_STATUSES = ['published', 'upcoming', 'ongoing'];
+
+// Largest number of events handled in one scheduler run
+const BATCH_SIZE = 200;
+
+// Format a date in the event's own timezone for notifications
+const toLocalTime = (date, timezone) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || 'UTC',
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    }).format(date);
+  } catch (error) {
+    return date.toISOString();
+  }
+};
+
+// The status an event should have at a given moment, based on its dates
+const getScheduledStatus = (event, at = new Date()) => {
+  if (at > event.dateTime.end) return 'completed';
+  if (at >= event.dateTime.start) return 'ongoing';
+  return null;
+};
+
+const toNotification = (event, extra) => ({
+  eventId: event._id,
+  title: event.title,
+  status: event.status,
+  start: event.dateTime.start,
+  end: event.dateTime.end,
+  timezone: event.dateTime.timezone,
+  localStart: toLocalTime(event.dateTime.start, event.dateTime.timezone),
+  localEnd: toLocalTime(event.dateTime.end, event.dateTime.timezone),
+  ...extra,
+  timestamp: new Date()
+});
+
+// Tell the event room, the host room and the host's webhook about a change
+const notifyEvent = (io, event, type, payload) => {
+  if (io) {
+    io.to(`event-${event._id}`).emit(type, payload);
+    io.to(getHostRoom(event._id)).emit(type, payload);
+  }
+
+  return deliverWebhook(event.settings && event.settings.statusWebhookUrl, type, payload);
+};
+
+// Notify listeners that an event changed status
+const notifyStatusChange = (io, event, previousStatus, source = 'scheduler') => notifyEvent(
+  io,
+  event,
+  'event-status-changed',
+  toNotification(event, { previousStatus, source })
+);
+
+// Move events whose start or end has passed to ongoing or completed.
+// Only events that crossed a boundary are selected, so a full batch of
+// events still in progress cannot hold back the ones behind it. Each change
+// is conditional on the status we read, so a host editing the event at the
+// same moment is never overwritten. Webhooks are sent side by side, each
+// with its own timeout, so one slow receiver cannot hold up the rest.
+const advanceEventStatuses = async (io, at = new Date()) => {
+  const candidates = await Event.find({
+    isDeleted: false,
+    'settings.autoStatusTransitions': { $ne: false },
+    $or: [
+      {
+        status: { $in: SCHEDULED_STATUSES.filter(status => status !== 'ongoing') },
+        'dateTime.start': { $lte: at }
+      },
+      {
+        status: 'ongoing',
+        'dateTime.end': { $lt: at }
+      }
+    ]
+  })
+    .sort({ 'dateTime.start': 1 })
+    .limit(BATCH_SIZE);
+
+  let changed = 0;
+  const notifications = [];
+  for (const event of candidates) {
+    const nextStatus = getScheduledStatus(event, at);
+    if (!nextStatus || nextStatus === event.status) continue;
+
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, status: event.status },
+      { status: nextStatus, statusChangedAt: at },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    changed += 1;
+    notifications.push(notifyStatusChange(io, updated, event.status));
+  }
+
+  await Promise.allSettled(notifications);
+  return changed;
+};
+
+// Close registration for events whose registration deadline has passed
+const closeExpiredRegistrations = async (io, at = new Date()) => {
+  const candidates = await Event.find({
+    isDeleted: false,
+    registrationDeadline: { $lte: at },
+    registrationClosedAt: null
+  }).limit(BATCH_SIZE);
+
+  let closed = 0;
+  const notifications = [];
+  for (const event of candidates) {
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, registrationClosedAt: null },
+      { registrationClosedAt: at },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    closed += 1;
+    notifications.push(notifyEvent(io, updated, 'registration-closed', toNotification(updated, {
+      registrationDeadline: updated.registrationDeadline
+    })));
+  }
+
+  await Promise.allSettled(notifications);
+  return closed;
+};
+
+// One scheduler run
+const runLifecycleTransitions = async (io) => {
+  const at = new Date();
+  const registrationsClosed = await closeExpiredRegistrations(io, at);
+  const statusesChanged = await advanceEventStatuses(io, at);
+  return { registrationsClosed, statusesChanged };
+};
+
+module.exports = {
+  getScheduledStatus,
+  notifyStatusChange,
+  runLifecycleTransitions
+};
@@ -0,0 +1,124 @@
+const EventRevision = require('../models/EventRevision');
+
+// Event fields kept in the revision history. Host, team, tiers, agenda
+// layout and counters have their own endpoints and are not versioned.
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'venue',
+  'dateTime',
+  'ticketInfo',
+  'status',
+  'registrationDeadline',
+  'visibility',
+  'tags',
+  'images',
+  'requirements',
+  'settings',
+  'socialLinks'
+];
+
+// Status follows the event lifecycle and images own stored files that may
+// since have been deleted, so a restore leaves both as they are
+const RESTORE_SKIPPED_FIELDS = ['status', 'images'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// JSON copy of the tracked fields; dates and ids become strings so
+// snapshots compare the same way whether fresh or read back from MongoDB
+const getRevisionSnapshot = (event) => {
+  const source = event.toObject({ depopulate: true, virtuals: false });
+
+  const snapshot = JSON.parse(JSON.stringify(TRACKED_FIELDS.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {})));
+
+  // The venue's GeoJSON point is rebuilt from its coordinates
+  if (snapshot.venue) {
+    delete snapshot.venue.location;
+  }
+
+  return snapshot;
+};
+
+// Flatten nested objects into dot paths; arrays are compared as a whole
+const flatten = (value, prefix = '', acc = {}) => {
+  Object.keys(value).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (key === '_id') return;
+
+    if (isPlainObject(value[key])) {
+      flatten(value[key], path, acc);
+    } else {
+      acc[path] = value[key];
+    }
+  });
+  return acc;
+};
+
+// Field-level changes between two snapshots
+const diffSnapshots = (before = {}, after = {}) => {
+  const left = flatten(before);
+  const right = flatten(after);
+  const paths = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+  return paths
+    .filter(path => JSON.stringify(left[path]) !== JSON.stringify(right[path]))
+    .map(path => ({
+      path,
+      before: left[path] === undefined ? null : left[path],
+      after: right[path] === undefined ? null : right[path]
+    }));
+};
+
+// Store a revision for an event change. Events created before history was
+// kept get a baseline revision of their previous state first.
+const recordEventRevision = async (event, { author, action, before = null, restoredFrom = null }) => {
+  const snapshot = getRevisionSnapshot(event);
+
+  if (before) {
+    const hasHistory = await EventRevision.exists({ event: event._id });
+    if (!hasHistory) {
+      await EventRevision.record(event._id, {
+        action: 'baseline',
+        author: null,
+        snapshot: before
+      });
+    }
+  }
+
+  const changes = diffSnapshots(before || {}, snapshot);
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  return EventRevision.record(event._id, {
+    action,
+    author,
+    changes,
+    snapshot,
+    restoredFrom
+  });
+};
+
+// iCalendar SEQUENCE numbers for events, keyed by event id. Every recorded
+// change bumps the revision version, so the first version is sequence 0.
+const getEventSequences = async (eventIds) => {
+  const latest = await EventRevision.aggregate([
+    { $match: { event: { $in: eventIds } } },
+    { $group: { _id: '$event', version: { $max: '$version' } } }
+  ]);
+
+  return new Map(latest.map(({ _id, version }) => [_id.toString(), version - 1]));
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  RESTORE_SKIPPED_FIELDS,
+  getRevisionSnapshot,
+  diffSnapshots,
+  recordEventRevision,
+  getEventSequences
+};
@@ -0,0 +1,268 @@
+// Fields events can be narrowed by, each with its own facet counts
+const FACET_FIELDS = {
+  category: 'category',
+  city: 'venue.address.city',
+  status: 'status',
+  tags: 'tags'
+};
+
+// Price buckets, checked in order: a price belongs to the first bucket
+// whose max it does not exceed
+const PRICE_RANGES = [
+  { key: 'free', max: 0 },
+  { key: '0-25', min: 0, max: 25 },
+  { key: '25-50', min: 25, max: 50 },
+  { key: '50-100', min: 50, max: 100 },
+  { key: '100-250', min: 100, max: 250 },
+  { key: '250+', min: 250 }
+];
+
+const PRICE_FIELD = 'ticketInfo.price';
+
+// Facet values returned for open-ended fields like city and tags
+const FACET_LIMIT = 20;
+
+// Largest number of events scored by the fuzzy fallback
+const FUZZY_CANDIDATE_LIMIT = 1000;
+
+// Weight of a match in each field for the fuzzy fallback
+const FUZZY_FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  description: 1
+};
+
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(WORD_PATTERN) || [])
+  .filter(token => token.length > 1);
+
+// Unique search terms from the query string
+const parseTerms = (q) => [...new Set(tokenize(q))].slice(0, 10);
+
+// Typos allowed for a term: none for short words, more for long ones
+const maxTypos = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 7) return 1;
+  return 2;
+};
+
+// Levenshtein distance, giving up once it is over `limit`
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// How well a word matches a term: 1 exact, 0.8 prefix, 0.5 within the typo limit, 0 otherwise
+const matchWord = (term, word) => {
+  if (word === term) return 1;
+  if (term.length >= 3 && word.startsWith(term)) return 0.8;
+
+  const typos = maxTypos(term);
+  if (typos > 0 && editDistance(term, word, typos) <= typos) return 0.5;
+  return 0;
+};
+
+const matchesAnyTerm = (word, terms) => terms.some(term => matchWord(term, word) > 0);
+
+// Relevance of an event for the fuzzy fallback; 0 means no term matched
+const fuzzyScore = (event, terms) => {
+  const fields = {
+    title: tokenize(event.title),
+    tags: (event.tags || []).flatMap(tokenize),
+    description: tokenize(event.description)
+  };
+
+  return terms.reduce((score, term) => {
+    const best = Object.keys(FUZZY_FIELD_WEIGHTS).reduce((max, field) => {
+      const match = fields[field].reduce((top, word) => Math.max(top, matchWord(term, word)), 0);
+      return Math.max(max, match * FUZZY_FIELD_WEIGHTS[field]);
+    }, 0);
+    return score + best;
+  }, 0);
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// HTML-escaped excerpt of `text` around the first matching word, with
+// matches wrapped in <mark>. Short texts are returned whole.
+const highlight = (text, terms, length = SNIPPET_LENGTH) => {
+  const source = String(text || '');
+  const matches = [...source.matchAll(WORD_PATTERN)]
+    .filter(match => matchesAnyTerm(match[0].toLowerCase(), terms));
+
+  let start = 0;
+  let end = source.length;
+  if (source.length > length) {
+    start = matches.length ? Math.max(0, matches[0].index - Math.floor(length / 4)) : 0;
+    end = Math.min(source.length, start + length);
+
+    // Cut at word boundaries rather than mid-word
+    const lastSpace = source.lastIndexOf(' ', end);
+    if (end < source.length && lastSpace > start) end = lastSpace;
+    const firstSpace = source.indexOf(' ', start);
+    if (start > 0 && firstSpace !== -1 && firstSpace < end) start = firstSpace + 1;
+  }
+
+  let snippet = '';
+  let cursor = start;
+  matches
+    .filter(match => match.index >= start && match.index + match[0].length <= end)
+    .forEach(match => {
+      snippet += escapeHtml(source.slice(cursor, match.index));
+      snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+      cursor = match.index + match[0].length;
+    });
+  snippet += escapeHtml(source.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < source.length ? '…' : ''}`;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const priceRangeQuery = ({ min, max }) => {
+  const condition = {};
+  if (min !== undefined) condition.$gt = min;
+  if (max !== undefined) condition.$lte = max;
+  return condition;
+};
+
+// Facet filters from the query string. Each takes a comma-separated list
+// of values; an event matches a facet if it has any of them.
+const parseFacetFilters = (params) => {
+  const filters = {};
+
+  Object.entries(FACET_FIELDS).forEach(([facet, field]) => {
+    if (params[facet]) {
+      filters[facet] = { [field]: { $in: toList(params[facet]) } };
+    }
+  });
+
+  if (params.price) {
+    const keys = toList(params.price);
+    const ranges = PRICE_RANGES.filter(range => keys.includes(range.key));
+    if (ranges.length !== keys.length) {
+      throw new Error(`Price must be one of: ${PRICE_RANGES.map(range => range.key).join(', ')}`);
+    }
+    filters.price = { $or: ranges.map(range => ({ [PRICE_FIELD]: priceRangeQuery(range) })) };
+  }
+
+  return filters;
+};
+
+// All facet filters except one, so a facet's counts are not narrowed by its own selection
+const combineFilters = (filters, except) => {
+  const conditions = Object.entries(filters)
+    .filter(([facet]) => facet !== except)
+    .map(([, condition]) => condition);
+
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+// A query narrowed by all facet filters
+const withFilters = (query, filters) => {
+  const condition = combineFilters(filters);
+  if (Object.keys(condition).length === 0) return query;
+  return { ...query, $and: [...(query.$and || []), condition] };
+};
+
+const priceRangeExpression = {
+  $switch: {
+    branches: PRICE_RANGES
+      .filter(range => range.max !== undefined)
+      .map(range => ({
+        case: { $lte: [{ $ifNull: [`$${PRICE_FIELD}`, 0] }, range.max] },
+        then: range.key
+      })),
+    default: PRICE_RANGES[PRICE_RANGES.length - 1].key
+  }
+};
+
+// One aggregation counting every facet. `match` must come first so a $text
+// query can use the index.
+const buildFacetPipeline = (match, filters) => {
+  const countBy = (facet, groupBy, unwind) => [
+    { $match: combineFilters(filters, facet) },
+    ...(unwind ? [{ $unwind: `$${unwind}` }] : []),
+    { $group: { _id: groupBy, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT }
+  ];
+
+  return [
+    { $match: match },
+    {
+      $facet: {
+        category: countBy('category', `$${FACET_FIELDS.category}`),
+        city: countBy('city', `$${FACET_FIELDS.city}`),
+        status: countBy('status', `$${FACET_FIELDS.status}`),
+        tags: countBy('tags', `$${FACET_FIELDS.tags}`, FACET_FIELDS.tags),
+        price: countBy('price', priceRangeExpression),
+        total: [
+          { $match: combineFilters(filters) },
+          { $count: 'count' }
+        ]
+      }
+    }
+  ];
+};
+
+// Turn the $facet output into { facet: [{ value, count }] }; price ranges
+// are listed in order with their bounds, including empty ones
+const formatFacets = (result = {}) => {
+  const facets = {};
+
+  Object.keys(FACET_FIELDS).forEach(facet => {
+    facets[facet] = (result[facet] || []).map(({ _id, count }) => ({ value: _id, count }));
+  });
+
+  const priceCounts = new Map((result.price || []).map(({ _id, count }) => [_id, count]));
+  facets.price = PRICE_RANGES.map(range => ({
+    value: range.key,
+    min: range.min !== undefined ? range.min : null,
+    max: range.max !== undefined ? range.max : null,
+    count: priceCounts.get(range.key) || 0
+  }));
+
+  return facets;
+};
+
+module.exports = {
+  FUZZY_CANDIDATE_LIMIT,
+  PRICE_RANGES,
+  parseTerms,
+  fuzzyScore,
+  highlight,
+  parseFacetFilters,
+  withFilters,
+  buildFacetPipeline,
+  formatFacets
+};
@@ -0,0 +1,109 @@
+// Event fields a template carries. Dates, sales counters, the team and
+// analytics always belong to a single event and are left out.
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'venue',
+  'ticketInfo',
+  'ticketTiers',
+  'registrationForm',
+  'settings',
+  'requirements',
+  'tags',
+  'visibility'
+];
+
+// Tier fields that carry over to a new event
+const TIER_TEMPLATE_FIELDS = ['name', 'description', 'ticketType', 'price', 'quantity', 'visibility', 'isActive'];
+
+// Fields that never carry over to a clone
+const CLONE_EXCLUDED_FIELDS = [
+  '_id',
+  'id',
+  '__v',
+  'host',
+  'coHosts',
+  'series',
+  'occurrenceDate',
+  'isSeriesException',
+  'slug',
+  'previousSlugs',
+  'analytics',
+  'status',
+  'statusChangedAt',
+  'registrationClosedAt',
+  'isDeleted',
+  'deletedAt',
+  'createdAt',
+  'updatedAt'
+];
+
+const MINUTE_MS = 60 * 1000;
+
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+// Template data from an event document or a request body. Absolute dates
+// are dropped; the event length is kept as durationMinutes.
+const buildTemplateData = (source) => {
+  const data = JSON.parse(JSON.stringify(pick(source, TEMPLATE_FIELDS)));
+
+  if (data.ticketInfo) {
+    delete data.ticketInfo.earlyBirdDeadline;
+  }
+
+  if (Array.isArray(data.ticketTiers)) {
+    data.ticketTiers = data.ticketTiers.map(tier => pick(tier, TIER_TEMPLATE_FIELDS));
+  }
+
+  const dateTime = source.dateTime || {};
+  if (dateTime.start && dateTime.end) {
+    data.durationMinutes = Math.round((new Date(dateTime.end) - new Date(dateTime.start)) / MINUTE_MS);
+  } else if (source.durationMinutes) {
+    data.durationMinutes = source.durationMinutes;
+  }
+
+  if (dateTime.timezone) {
+    data.timezone = dateTime.timezone;
+  }
+
+  return data;
+};
+
+// Data for a copy of an event that starts at `start`. Every date moves by
+// the same offset; analytics, tickets and tier sales start from zero.
+const buildEventClone = (event, { start, title }) => {
+  const offset = new Date(start) - event.dateTime.start;
+  const shift = (date) => (date ? new Date(new Date(date).getTime() + offset) : date);
+
+  const data = event.toObject({ depopulate: true, virtuals: false });
+  CLONE_EXCLUDED_FIELDS.forEach(field => delete data[field]);
+
+  data.title = title || `${event.title} (copy)`.slice(0, 200);
+  data.dateTime = {
+    ...data.dateTime,
+    start: shift(data.dateTime.start),
+    end: shift(data.dateTime.end)
+  };
+  data.registrationDeadline = shift(data.registrationDeadline);
+
+  if (data.ticketInfo) {
+    data.ticketInfo.earlyBirdDeadline = shift(data.ticketInfo.earlyBirdDeadline);
+  }
+
+  data.ticketTiers = (data.ticketTiers || []).map(tier => ({
+    ...pick(tier, TIER_TEMPLATE_FIELDS),
+    salesStart: shift(tier.salesStart),
+    salesEnd: shift(tier.salesEnd)
+  }));
+
+  return { data, offset };
+};
+
+module.exports = {
+  buildTemplateData,
+  buildEventClone
+};
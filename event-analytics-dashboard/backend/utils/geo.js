@@ -0,0 +1,95 @@
+// Mean Earth radius, used to turn kilometres into radians and back
+const EARTH_RADIUS_KM = 6378.1;
+
+// Radius used by a near query that does not give one
+const DEFAULT_RADIUS_KM = 50;
+
+const isValidLatitude = (value) => typeof value === 'number' && value >= -90 && value <= 90;
+const isValidLongitude = (value) => typeof value === 'number' && value >= -180 && value <= 180;
+
+// GeoJSON point for a { latitude, longitude } pair, or undefined if either is missing
+const toGeoPoint = (coordinates) => {
+  const { latitude, longitude } = coordinates || {};
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) return undefined;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Parse "minLng,minLat,maxLng,maxLat". Throws on anything else.
+// A box whose west edge is east of its east edge crosses the antimeridian.
+const parseBoundingBox = (value) => {
+  const parts = String(value).split(',').map(part => parseFloat(part));
+
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    throw new Error('Bounding box must be minLng,minLat,maxLng,maxLat');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (![minLng, maxLng].every(isValidLongitude) || ![minLat, maxLat].every(isValidLatitude)) {
+    throw new Error('Bounding box coordinates are out of range');
+  }
+  if (minLat >= maxLat) {
+    throw new Error('Bounding box south edge must be below its north edge');
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+const boxRing = (west, south, east, north) => [[
+  [west, south],
+  [east, south],
+  [east, north],
+  [west, north],
+  [west, south]
+]];
+
+// Filter for points inside a bounding box
+const boundingBoxQuery = ({ minLng, minLat, maxLng, maxLat }) => ({
+  $geoWithin: {
+    $geometry: minLng <= maxLng
+      ? { type: 'Polygon', coordinates: boxRing(minLng, minLat, maxLng, maxLat) }
+      : {
+        type: 'MultiPolygon',
+        coordinates: [
+          boxRing(minLng, minLat, 180, maxLat),
+          boxRing(-180, minLat, maxLng, maxLat)
+        ]
+      }
+  }
+});
+
+// Filter for points within a radius, nearest first. Cannot be counted.
+const nearQuery = (point, radiusKm) => ({
+  $nearSphere: {
+    $geometry: point,
+    $maxDistance: radiusKm * 1000
+  }
+});
+
+// The same area as nearQuery, without the sort, for countDocuments
+const withinRadiusQuery = (point, radiusKm) => ({
+  $geoWithin: {
+    $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM]
+  }
+});
+
+// Great-circle distance between two GeoJSON points in kilometres
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const [lng1, lat1] = from.coordinates;
+  const [lng2, lat2] = to.coordinates;
+
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)) * 100) / 100;
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  toGeoPoint,
+  parseBoundingBox,
+  boundingBoxQuery,
+  nearQuery,
+  withinRadiusQuery,
+  distanceKm
+};
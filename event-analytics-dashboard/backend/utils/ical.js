@@ -0,0 +1,219 @@
+// Builds iCalendar (RFC 5545) files for events
+
+const PRODUCT_ID = '-//Event Analytics//Event Calendar//EN';
+
+// Suffix that makes event UIDs globally unique
+const UID_DOMAIN = 'event-analytics';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatters = new Map();
+
+// Cached formatter that gives the wall-clock parts of a date in a timezone
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+// The timezone if Intl knows it, otherwise UTC
+const resolveTimezone = (timezone) => {
+  if (!timezone || timezone === 'UTC') return 'UTC';
+  try {
+    getFormatter(timezone);
+    return timezone;
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+// Wall-clock time of a date in a timezone, as milliseconds on a UTC clock
+const toWallClock = (date, timezone) => {
+  const parts = getFormatter(timezone).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// UTC offset of a timezone at a moment, in minutes
+const offsetAt = (time, timezone) => Math.round((toWallClock(new Date(time), timezone) - time) / MINUTE_MS);
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// YYYYMMDDTHHMMSS from the UTC fields of a date
+const formatStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '').replace('Z', '');
+
+const formatUtc = (date) => `${formatStamp(date)}Z`;
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+// Moments the offset changes between two times, found a day at a time and
+// then narrowed down to the minute
+const findTransitions = (timezone, from, to) => {
+  const transitions = [];
+  let previous = offsetAt(from, timezone);
+
+  for (let time = from + DAY_MS; time < to + DAY_MS; time += DAY_MS) {
+    const offset = offsetAt(time, timezone);
+    if (offset === previous) continue;
+
+    let low = time - DAY_MS;
+    let high = time;
+    while (high - low > MINUTE_MS) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (offsetAt(middle, timezone) === previous) low = middle;
+      else high = middle;
+    }
+
+    transitions.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return transitions;
+};
+
+// A VTIMEZONE covering the given span, with one observance per offset change
+const buildTimezone = (timezone, from, to) => {
+  const start = from - DAY_MS;
+  const initial = offsetAt(start, timezone);
+  const observances = [{ at: start, from: initial, to: initial }, ...findTransitions(timezone, start, to)];
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone}`,
+    ...observances.flatMap(observance => {
+      const kind = observance.to > observance.from ? 'DAYLIGHT' : 'STANDARD';
+      return [
+        `BEGIN:${kind}`,
+        // Observance onsets are written in the local time before the change
+        `DTSTART:${formatStamp(new Date(observance.at + observance.from * MINUTE_MS))}`,
+        `TZOFFSETFROM:${formatOffset(observance.from)}`,
+        `TZOFFSETTO:${formatOffset(observance.to)}`,
+        `END:${kind}`
+      ];
+    }),
+    'END:VTIMEZONE'
+  ];
+};
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets, without splitting multi-byte characters
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const chunks = [];
+  let chunk = '';
+  for (const character of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(chunk + character) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += character;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+const formatLocation = (venue = {}) => {
+  if (venue.isOnline) return venue.onlineUrl || venue.name;
+
+  const address = venue.address || {};
+  return [venue.name, address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+const toDateProperty = (name, date, timezone) => (timezone === 'UTC'
+  ? `${name}:${formatUtc(date)}`
+  : `${name};TZID=${timezone}:${formatStamp(new Date(toWallClock(date, timezone)))}`);
+
+const ICAL_STATUS = {
+  cancelled: 'CANCELLED',
+  draft: 'TENTATIVE'
+};
+
+// VEVENT lines for an event. `sequence` must grow whenever the event changes
+// so calendar clients replace their copy.
+const buildEventLines = (event, { sequence = 0, url } = {}) => {
+  const timezone = resolveTimezone(event.dateTime.timezone);
+  const venue = event.venue || {};
+  const location = venue.location && venue.location.coordinates;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    toDateProperty('DTSTART', event.dateTime.start, timezone),
+    toDateProperty('DTEND', event.dateTime.end, timezone),
+    `SEQUENCE:${sequence}`,
+    `STATUS:${ICAL_STATUS[event.status] || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    formatLocation(venue) && `LOCATION:${escapeText(formatLocation(venue))}`,
+    location && location.length === 2 && `GEO:${location[1]};${location[0]}`,
+    event.category && `CATEGORIES:${escapeText(event.category)}`,
+    (url || (venue.isOnline && venue.onlineUrl)) && `URL:${url || venue.onlineUrl}`,
+    event.updatedAt && `LAST-MODIFIED:${formatUtc(event.updatedAt)}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// A VCALENDAR with one VEVENT per event and the VTIMEZONEs they use.
+// `sequences` maps event ids to SEQUENCE numbers; `getUrl` gives each event's page.
+const buildCalendar = (events, { name, sequences = new Map(), getUrl } = {}) => {
+  const spans = new Map();
+  events.forEach(event => {
+    const timezone = resolveTimezone(event.dateTime.timezone);
+    if (timezone === 'UTC') return;
+
+    const span = spans.get(timezone) || { from: Infinity, to: -Infinity };
+    span.from = Math.min(span.from, event.dateTime.start.getTime());
+    span.to = Math.max(span.to, event.dateTime.end.getTime());
+    spans.set(timezone, span);
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...[...spans].flatMap(([timezone, span]) => buildTimezone(timezone, span.from, span.to)),
+    ...events.flatMap(event => buildEventLines(event, {
+      sequence: sequences.get(event._id.toString()) || 0,
+      url: getUrl && getUrl(event)
+    })),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildCalendar
+};
@@ -0,0 +1,98 @@
+const Invitation = require('../models/Invitation');
+const Ticket = require('../models/Ticket');
+const { getEventRole } = require('./eventAccess');
+
+// Header clients can send an invitation token in, instead of the
+// `invitation` query parameter or `invitationToken` body field
+const INVITATION_HEADER = 'X-Invitation-Token';
+
+// Ticket holders keep access to an invite-only event without an invitation,
+// e.g. attendees the host imported or issued complimentary tickets to
+const ACCESS_TICKET_STATUSES = ['pending', 'confirmed', 'checked-in'];
+
+const INVITATION_REQUIRED = 'This event is invite-only. A valid invitation is required.';
+
+// Invitation token sent with a request, if any
+const getInvitationToken = (req) => req.get(INVITATION_HEADER) ||
+  req.query.invitation ||
+  (req.body && req.body.invitationToken) ||
+  null;
+
+// Link that opens an event with an invitation
+const getInvitationUrl = (invitation) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/events/${invitation.event._id || invitation.event}?invitation=${invitation.token}`;
+
+// Check whether someone may view, register for or be tracked on an event.
+// Only invite-only events are restricted: the team, admins, signed-in users
+// who accepted an invitation or hold a ticket get in, anyone else needs a
+// usable invitation token. Emails typed into a request prove nothing, so
+// only the signed-in user's own id and email count as earlier access.
+// Resolves to { allowed, invitation, message }, where `invitation` is the
+// one the token matched.
+const checkInvitationAccess = async (event, { user = null, token = null }) => {
+  if (event.visibility !== 'invite-only') return { allowed: true };
+  if (user && (user.role === 'admin' || getEventRole(user, event))) return { allowed: true };
+
+  if (user) {
+    const [accepted, ticket] = await Promise.all([
+      Invitation.exists({
+        event: event._id,
+        revokedAt: null,
+        $or: [{ 'acceptances.user': user._id }, { 'acceptances.email': user.email }]
+      }),
+      Ticket.exists({
+        event: event._id,
+        'attendee.email': user.email,
+        status: { $in: ACCESS_TICKET_STATUSES },
+        isDeleted: false
+      })
+    ]);
+    if (accepted || ticket) return { allowed: true };
+  }
+
+  if (!token) return { allowed: false, message: INVITATION_REQUIRED };
+
+  const invitation = await Invitation.findOne({ token, event: event._id });
+  if (!invitation) return { allowed: false, message: INVITATION_REQUIRED };
+
+  const useError = invitation.getUseError();
+  if (useError) return { allowed: false, invitation, message: useError };
+
+  return { allowed: true, invitation };
+};
+
+// Why an invitation cannot be accepted for an email, or null if it can.
+// Personal invitations only work for the address they were sent to.
+const getAcceptanceError = (invitation, { email }) => (
+  invitation.kind === 'personal' && invitation.email !== email
+    ? 'This invitation was sent to a different email address'
+    : null
+);
+
+// Accept an invitation for a user or attendee email; accepting twice uses
+// it once. Resolves to { invitation, message }, with a message when it failed.
+const acceptInvitation = async (invitation, { user = null, email }) => {
+  const acceptanceError = getAcceptanceError(invitation, { email });
+  if (acceptanceError) {
+    return { message: acceptanceError };
+  }
+
+  if (invitation.isAcceptedBy({ user, email })) {
+    return { invitation };
+  }
+
+  const accepted = await Invitation.accept(invitation._id, { user, email });
+  if (!accepted) {
+    return { message: 'Invitation is no longer valid' };
+  }
+
+  return { invitation: accepted };
+};
+
+module.exports = {
+  getInvitationToken,
+  getInvitationUrl,
+  checkInvitationAccess,
+  getAcceptanceError,
+  acceptInvitation
+};
@@ -0,0 +1,264 @@
+// Server-rendered public event pages with Open Graph, Twitter card and
+// schema.org Event metadata for search engines and link previews
+
+const SITE_NAME = 'Event Analytics';
+
+// Longest description used in meta tags
+const META_DESCRIPTION_LENGTH = 200;
+
+const SCHEMA = 'https://schema.org/';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+
+// Description on one line, cut at a word boundary
+const summarize = (text = '', length = META_DESCRIPTION_LENGTH) => {
+  const plain = text.replace(/\s+/g, ' ').trim();
+  if (plain.length <= length) return plain;
+
+  const cut = plain.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+// Date and time in the event's own timezone
+const formatLocalTime = (date, timezone) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || 'UTC',
+      dateStyle: 'full',
+      timeStyle: 'short'
+    }).format(date);
+  } catch (error) {
+    return date.toUTCString();
+  }
+};
+
+// The primary image, or the first one
+const getPrimaryImage = (event) => (event.images || []).find(image => image.isPrimary) ||
+  (event.images || [])[0] ||
+  null;
+
+const getAddressLine = (address = {}) => [address.street, address.city, address.state, address.zipCode, address.country]
+  .filter(Boolean)
+  .join(', ');
+
+// Tiers anyone can buy, or null when the event has no tiers
+const getPublicTiers = (event) => {
+  const tiers = (event.ticketTiers || []).filter(tier => tier.isActive && tier.visibility === 'public');
+  return tiers.length > 0 ? tiers : null;
+};
+
+const getOrganizer = (event) => {
+  if (event.organization && event.organization.name) {
+    return { '@type': 'Organization', name: event.organization.name };
+  }
+  if (event.host && event.host.firstName) {
+    return { '@type': 'Person', name: `${event.host.firstName} ${event.host.lastName}` };
+  }
+  return undefined;
+};
+
+// schema.org offers for the ticket tiers, or the event's single price
+const getOffers = (event, ticketUrl) => {
+  const currency = event.ticketInfo.currency;
+  const soldOut = event.availableSpots === 0;
+  const common = {
+    '@type': 'Offer',
+    priceCurrency: currency,
+    url: ticketUrl,
+    ...(event.registrationDeadline && { validThrough: event.registrationDeadline.toISOString() })
+  };
+
+  const tiers = getPublicTiers(event);
+  if (!tiers) {
+    return [{
+      ...common,
+      price: event.getCurrentTicketPrice(),
+      availability: `${SCHEMA}${soldOut ? 'SoldOut' : 'InStock'}`
+    }];
+  }
+
+  return tiers.map(tier => ({
+    ...common,
+    name: tier.name,
+    price: tier.price,
+    availability: `${SCHEMA}${soldOut || tier.sold >= tier.quantity ? 'SoldOut' : 'InStock'}`,
+    ...(tier.salesStart && { validFrom: tier.salesStart.toISOString() })
+  }));
+};
+
+// schema.org Event JSON-LD. Online events point at the landing page rather
+// than their join link, which is only for attendees.
+const buildEventJsonLd = (event, { url, ticketUrl }) => {
+  const { venue } = event;
+  const coordinates = venue.address && venue.address.coordinates;
+  const hasCoordinates = coordinates && typeof coordinates.latitude === 'number' && typeof coordinates.longitude === 'number';
+
+  const location = venue.isOnline
+    ? { '@type': 'VirtualLocation', url }
+    : {
+      '@type': 'Place',
+      name: venue.name,
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: venue.address.street,
+        addressLocality: venue.address.city,
+        addressRegion: venue.address.state,
+        postalCode: venue.address.zipCode,
+        addressCountry: venue.address.country
+      },
+      ...(hasCoordinates && {
+        geo: {
+          '@type': 'GeoCoordinates',
+          latitude: coordinates.latitude,
+          longitude: coordinates.longitude
+        }
+      })
+    };
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: event.title,
+    description: event.description,
+    url,
+    startDate: event.dateTime.start.toISOString(),
+    endDate: event.dateTime.end.toISOString(),
+    eventStatus: `${SCHEMA}${event.status === 'cancelled' ? 'EventCancelled' : 'EventScheduled'}`,
+    eventAttendanceMode: `${SCHEMA}${venue.isOnline ? 'OnlineEventAttendanceMode' : 'OfflineEventAttendanceMode'}`,
+    location,
+    image: (event.images || []).map(image => image.url),
+    organizer: getOrganizer(event),
+    isAccessibleForFree: !event.ticketInfo.isPaid,
+    maximumAttendeeCapacity: venue.capacity,
+    remainingAttendeeCapacity: event.availableSpots,
+    offers: getOffers(event, ticketUrl),
+    keywords: (event.tags || []).join(', ') || undefined
+  };
+};
+
+// Open Graph and Twitter card tags as [attribute, name, content] rows
+const buildMetaTags = (event, { url, description }) => {
+  const image = getPrimaryImage(event);
+
+  return [
+    ['name', 'description', description],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', event.title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ...(image ? [
+      ['property', 'og:image', image.url],
+      ['property', 'og:image:alt', image.alt || event.title],
+      ...(image.width ? [['property', 'og:image:width', image.width]] : []),
+      ...(image.height ? [['property', 'og:image:height', image.height]] : [])
+    ] : []),
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', event.title],
+    ['name', 'twitter:description', description],
+    ...(image ? [
+      ['name', 'twitter:image', image.url],
+      ['name', 'twitter:image:alt', image.alt || event.title]
+    ] : [])
+  ];
+};
+
+// JSON safe to place inside a script element
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const STYLES = `
+  body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; background: #f9fafb; }
+  main { max-width: 760px; margin: 0 auto; padding: 32px 20px 64px; }
+  img.hero { width: 100%; max-height: 420px; object-fit: cover; border-radius: 12px; }
+  h1 { font-size: 2rem; margin: 24px 0 8px; }
+  .status { display: inline-block; padding: 4px 10px; border-radius: 999px; background: #fee2e2; color: #991b1b; font-weight: 600; }
+  .meta { color: #4b5563; margin: 4px 0; }
+  .description p { line-height: 1.6; }
+  a.register { display: inline-block; margin-top: 24px; padding: 12px 24px; border-radius: 8px; background: #2563eb; color: #fff; text-decoration: none; font-weight: 600; }
+`;
+
+// Full HTML landing page for an event. `noindex` keeps unlisted events out
+// of search results.
+const renderLandingPage = (event, { url, ticketUrl, noindex = false }) => {
+  const description = summarize(event.description);
+  const image = getPrimaryImage(event);
+  const { venue, dateTime } = event;
+
+  const location = venue.isOnline
+    ? 'Online event'
+    : `${venue.name}${getAddressLine(venue.address) ? `, ${getAddressLine(venue.address)}` : ''}`;
+  const tiers = getPublicTiers(event);
+  const price = tiers
+    ? tiers.map(tier => `${tier.name}: ${tier.price} ${event.ticketInfo.currency}`).join(' · ')
+    : event.ticketInfo.isPaid ? `${event.getCurrentTicketPrice()} ${event.ticketInfo.currency}` : 'Free';
+
+  const meta = buildMetaTags(event, { url, description })
+    .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+    .join('\n    ');
+
+  const paragraphs = event.description
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(event.title)} | ${SITE_NAME}</title>
+    <link rel="canonical" href="${escapeHtml(url)}">
+    ${noindex ? '<meta name="robots" content="noindex">\n    ' : ''}${meta}
+    <script type="application/ld+json">${toScriptJson(buildEventJsonLd(event, { url, ticketUrl }))}</script>
+    <style>${STYLES}</style>
+  </head>
+  <body>
+    <main>
+      ${image ? `<img class="hero" src="${escapeHtml(image.url)}" alt="${escapeHtml(image.alt || event.title)}">` : ''}
+      <h1>${escapeHtml(event.title)}</h1>
+      ${event.status === 'cancelled' ? '<p class="status">This event has been cancelled</p>' : ''}
+      <p class="meta"><time datetime="${dateTime.start.toISOString()}">${escapeHtml(formatLocalTime(dateTime.start, dateTime.timezone))}</time>
+        – <time datetime="${dateTime.end.toISOString()}">${escapeHtml(formatLocalTime(dateTime.end, dateTime.timezone))}</time>
+        (${escapeHtml(dateTime.timezone || 'UTC')})</p>
+      <p class="meta">${escapeHtml(location)}</p>
+      <p class="meta">${escapeHtml(price)}</p>
+      <section class="description">
+        ${paragraphs}
+      </section>
+      ${event.status === 'cancelled' ? '' : `<a class="register" href="${escapeHtml(ticketUrl)}">Register</a>`}
+    </main>
+  </body>
+</html>
+`;
+};
+
+const renderNotFoundPage = () => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="robots" content="noindex">
+    <title>Event not found | ${SITE_NAME}</title>
+  </head>
+  <body>
+    <h1>Event not found</h1>
+  </body>
+</html>
+`;
+
+module.exports = {
+  buildEventJsonLd,
+  buildMetaTags,
+  renderLandingPage,
+  renderNotFoundPage
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Event = require('../models/Event');
+const { getStorage } = require('../storage');
+const { uploadError } = require('../middleware/upload');
+
+// Most images an event can have
+const MAX_EVENT_IMAGES = 20;
+
+// Images larger than this many pixels are refused before decoding
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Formats accepted after decoding, with the MIME type each must be sent as
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', options: { quality: 82, mozjpeg: true } },
+  png: { contentType: 'image/png', extension: 'png', options: { compressionLevel: 9 } },
+  webp: { contentType: 'image/webp', extension: 'webp', options: { quality: 82 } }
+};
+
+// Sizes stored for each kind of image; `full` is the main file. `inside`
+// keeps the whole picture and never enlarges it, `cover` crops it to fill
+// the box so avatars and thumbnails are always the same shape.
+const IMAGE_VARIANTS = {
+  event: {
+    full: { width: 1920, height: 1920, fit: 'inside' },
+    medium: { width: 800, height: 800, fit: 'inside' },
+    thumbnail: { width: 320, height: 320, fit: 'cover' }
+  },
+  avatar: {
+    full: { width: 512, height: 512, fit: 'cover' },
+    thumbnail: { width: 128, height: 128, fit: 'cover' }
+  }
+};
+
+// Check an uploaded file really is an image of the type it claims to be
+const inspectImage = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw uploadError(`${file.originalname} is not a valid image`);
+  }
+
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format || format.contentType !== file.mimetype) {
+    throw uploadError(`${file.originalname} does not match its file type`);
+  }
+
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    throw uploadError(`${file.originalname} is too large (at most ${MAX_INPUT_PIXELS / 1000000} megapixels)`);
+  }
+
+  return metadata;
+};
+
+// Resize and re-encode one variant. The EXIF orientation is applied first;
+// sharp writes no metadata unless asked, so EXIF data such as the camera
+// and GPS position is left behind.
+const renderVariant = async (buffer, format, { width, height, fit }) => {
+  try {
+    return await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+      .toFormat(format, IMAGE_FORMATS[format].options)
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw uploadError('Image could not be processed');
+  }
+};
+
+// Remove stored files. Failures are logged rather than thrown so cleanup
+// never fails the request that triggered it.
+const deleteStoredFiles = async (keys = []) => {
+  if (keys.length === 0) return;
+
+  const storage = getStorage();
+  const results = await Promise.allSettled(keys.map(key => storage.delete(key)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Failed to delete stored file ${keys[index]}:`, result.reason.message);
+    }
+  });
+};
+
+// Process an uploaded image and store each of its variants under prefix.
+// Returns { files, contentType, width, height, keys } with the stored files
+// ({ key, url, size, width, height }) by variant name.
+const storeImage = async (file, { kind, prefix }) => {
+  const metadata = await inspectImage(file);
+  const format = IMAGE_FORMATS[metadata.format];
+  const storage = getStorage();
+  const id = crypto.randomBytes(12).toString('hex');
+
+  const files = {};
+  try {
+    // One variant at a time keeps memory use flat for large uploads
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS[kind])) {
+      const { data, info } = await renderVariant(file.buffer, metadata.format, size);
+      const stored = await storage.put(`${prefix}/${id}-${name}.${format.extension}`, data, {
+        contentType: format.contentType
+      });
+      files[name] = { ...stored, width: info.width, height: info.height };
+    }
+  } catch (error) {
+    // Do not leave part of an image behind
+    await deleteStoredFiles(Object.values(files).map(stored => stored.key));
+    throw error;
+  }
+
+  return {
+    files,
+    contentType: format.contentType,
+    width: files.full.width,
+    height: files.full.height,
+    keys: Object.values(files).map(stored => stored.key)
+  };
+};
+
+// Event image fields for a stored image
+const toEventImage = (stored, { alt, uploadedBy }) => ({
+  url: stored.files.full.url,
+  alt,
+  variants: {
+    medium: stored.files.medium.url,
+    thumbnail: stored.files.thumbnail.url
+  },
+  width: stored.width,
+  height: stored.height,
+  contentType: stored.contentType,
+  size: stored.files.full.size,
+  storageKeys: stored.keys,
+  uploadedBy
+});
+
+// Delete an event's stored image files that no other event still uses.
+// Clones copy their source's images, so files can be shared.
+const releaseEventMedia = async (eventId, keys = []) => {
+  if (keys.length === 0) return;
+
+  const others = await Event.find({
+    _id: { $ne: eventId },
+    'images.storageKeys': { $in: keys }
+  }).select('images.storageKeys');
+
+  const inUse = new Set(others.flatMap(event => event.images.flatMap(image => image.storageKeys)));
+  await deleteStoredFiles(keys.filter(key => !inUse.has(key)));
+};
+
+module.exports = {
+  MAX_EVENT_IMAGES,
+  IMAGE_VARIANTS,
+  storeImage,
+  toEventImage,
+  deleteStoredFiles,
+  releaseEventMedia
+};
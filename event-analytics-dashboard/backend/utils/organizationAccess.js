@@ -0,0 +1,54 @@
+// Member roles on an organization. There is exactly one owner; admins help
+// manage the members, and every member sees the organization's events and
+// dashboards.
+const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['owner', 'manage', 'view'],
+  admin: ['manage', 'view'],
+  member: ['view']
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// The user's role in an organization, or null if they are not a member.
+// Works with documents, lean objects and populated members.
+const getOrganizationRole = (user, organization) => {
+  if (!user || !organization) return null;
+
+  const userId = user._id.toString();
+  const member = (organization.members || []).find(entry =>
+    entry.user && toId(entry.user).toString() === userId
+  );
+  return member ? member.role : null;
+};
+
+// Check if the user may do something in an organization; admins may do anything
+const canAccessOrganization = (user, organization, permission = 'view') => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const role = getOrganizationRole(user, organization);
+  return Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+};
+
+// Query matching the live events of one organization. Every organization-wide
+// read starts from this so a missing id can never widen to other tenants.
+const organizationEventsQuery = (organizationId) => {
+  if (!organizationId) {
+    throw new Error('Organization id is required to scope an event query');
+  }
+
+  return {
+    organization: toId(organizationId),
+    isDeleted: false
+  };
+};
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  ROLE_PERMISSIONS,
+  getOrganizationRole,
+  canAccessOrganization,
+  organizationEventsQuery
+};
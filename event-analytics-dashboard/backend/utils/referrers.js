@@ -0,0 +1,51 @@
+// Link previews and search crawlers fetch landing pages for their metadata;
+// these are not visitors
+const CRAWLER_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|whatsapp|telegram|discord|skype|vkshare|pinterest|quora link/i;
+
+const MAX_SOURCE_LENGTH = 100;
+const MAX_URL_LENGTH = 500;
+
+// Whether a request comes from a crawler or link preview rather than a person
+const isCrawler = (req) => CRAWLER_PATTERN.test(req.get('user-agent') || '');
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Where a landing page visitor came from, as { source, url }. A `ref` or
+// `utm_source` query parameter names a campaign and wins over the Referer
+// header. Visits with no referrer are `direct`, and links from the API
+// itself or the frontend are `internal`.
+const getReferrer = (req) => {
+  const campaign = [req.query.ref, req.query.utm_source].find(value => typeof value === 'string' && value.trim());
+  const url = (req.get('referer') || '').slice(0, MAX_URL_LENGTH) || null;
+
+  if (campaign) {
+    return { source: campaign.trim().toLowerCase().slice(0, MAX_SOURCE_LENGTH), url };
+  }
+
+  if (!url) {
+    return { source: 'direct', url };
+  }
+
+  const host = hostOf(url);
+  if (!host) {
+    return { source: 'unknown', url: null };
+  }
+
+  const ownHosts = [hostOf(`http://${req.get('host')}`), hostOf(process.env.FRONTEND_URL || 'http://localhost:3000')];
+  if (ownHosts.includes(host)) {
+    return { source: 'internal', url };
+  }
+
+  return { source: host.slice(0, MAX_SOURCE_LENGTH), url };
+};
+
+module.exports = {
+  isCrawler,
+  getReferrer
+};
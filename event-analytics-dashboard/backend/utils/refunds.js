@@ -0,0 +1,80 @@
+const Event = require('../models/Event');
+const LedgerEntry = require('../models/LedgerEntry');
+const Ticket = require('../models/Ticket');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getPaymentProvider } = require('../payments');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Work out how much a ticket may be refunded under its event's policy.
+// Without structured refund rules the full remaining amount is eligible.
+const getEligibleRefund = (event, ticket, at = new Date()) => {
+  const refundable = ticket.getRefundableAmount();
+  const percentage = event.getRefundPercentage(at);
+
+  if (percentage === null) {
+    return { percentage: null, eligibleAmount: refundable };
+  }
+
+  const allowed = roundAmount((ticket.price * percentage) / 100 - (ticket.refundAmount || 0));
+  return {
+    percentage,
+    eligibleAmount: Math.max(0, Math.min(refundable, allowed))
+  };
+};
+
+// Refund a ticket and keep seats, revenue, the ledger and the waitlist in
+// step. Resolves to the refunded ticket, or null if the ticket was refunded
+// by someone else in the meantime.
+const issueRefund = async (ticket, amount, options = {}) => {
+  const { reason = '', keepTicket = false, refundRequest = null, recordedBy = null } = options;
+  const eventId = ticket.event._id || ticket.event;
+
+  // A cancelled ticket has already given its seat back
+  const releasesSeat = !keepTicket && ticket.isActive();
+
+  const refunded = await ticket.processRefund(roundAmount(amount), reason, { keepTicket });
+  if (!refunded) return null;
+
+  // Send the money back through the provider that took it. If the provider
+  // refuses, undo the refund on the ticket so it can be tried again.
+  if (refunded.paymentProvider && refunded.transactionId) {
+    try {
+      await getPaymentProvider(refunded.paymentProvider)
+        .refund(refunded.transactionId, roundAmount(amount));
+    } catch (error) {
+      await Ticket.updateOne(
+        { _id: ticket._id },
+        {
+          $set: {
+            status: ticket.status,
+            paymentStatus: ticket.paymentStatus,
+            refundDate: ticket.refundDate || null,
+            refundReason: ticket.refundReason || null
+          },
+          $inc: { refundAmount: -roundAmount(amount) }
+        }
+      );
+      throw error;
+    }
+  }
+
+  await Event.releaseSpots(
+    eventId,
+    releasesSeat ? 1 : 0,
+    roundAmount(amount),
+    ticket.tier && ticket.tier.tierId
+  );
+  await LedgerEntry.recordRefund(refunded, roundAmount(amount), { refundRequest, recordedBy, reason });
+
+  if (releasesSeat) {
+    await WaitlistEntry.promoteNext(eventId);
+  }
+
+  return refunded;
+};
+
+module.exports = {
+  getEligibleRefund,
+  issueRefund
+};
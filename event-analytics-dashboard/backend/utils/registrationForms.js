@@ -0,0 +1,319 @@
+// Question types a registration form can use
+const FORM_FIELD_TYPES = [
+  'text',
+  'textarea',
+  'email',
+  'number',
+  'date',
+  'single-choice',
+  'multiple-choice',
+  'checkbox'
+];
+
+// How a question's `showIf` compares the answer to an earlier question:
+// `equals` and `not-equals` take a value or a list of values, `includes`
+// checks a multiple-choice answer and `answered` needs no value
+const FORM_CONDITION_OPERATORS = ['equals', 'not-equals', 'includes', 'answered'];
+
+const CHOICE_TYPES = ['single-choice', 'multiple-choice'];
+
+// Types `min` and `max` apply to
+const RANGE_TYPES = ['text', 'textarea', 'number', 'multiple-choice'];
+
+const MAX_FORM_FIELDS = 50;
+
+// Longest answer accepted for each text type
+const TEXT_LIMITS = {
+  text: 500,
+  textarea: 5000,
+  email: 254
+};
+
+// Ticket statuses whose answers count in analytics
+const REPORTED_TICKET_STATUSES = ['pending', 'confirmed', 'checked-in'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isAnswered = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// Problems with a form definition that the schema cannot catch, as
+// { path, msg } entries like express-validator errors
+const getFormDefinitionErrors = (fields) => {
+  const errors = [];
+  const seen = new Map();
+
+  if (fields.length > MAX_FORM_FIELDS) {
+    errors.push({ path: 'fields', msg: `Maximum ${MAX_FORM_FIELDS} questions allowed` });
+  }
+
+  fields.forEach((field, index) => {
+    const path = `fields[${index}]`;
+
+    if (seen.has(field.key)) {
+      errors.push({ path: `${path}.key`, msg: `Question key "${field.key}" is used more than once` });
+    }
+
+    const options = field.options || [];
+    if (CHOICE_TYPES.includes(field.type)) {
+      if (options.length === 0 || options.length > 50) {
+        errors.push({ path: `${path}.options`, msg: 'Choice questions need between 1 and 50 options' });
+      } else if (new Set(options).size !== options.length) {
+        errors.push({ path: `${path}.options`, msg: 'Options must be unique' });
+      }
+    } else if (options.length > 0) {
+      errors.push({ path: `${path}.options`, msg: 'Only choice questions can have options' });
+    }
+
+    const hasMin = field.min !== undefined && field.min !== null;
+    const hasMax = field.max !== undefined && field.max !== null;
+    if ((hasMin || hasMax) && !RANGE_TYPES.includes(field.type)) {
+      errors.push({ path: `${path}.min`, msg: `Only ${RANGE_TYPES.join(', ')} questions can have a min or max` });
+    } else if (hasMin && hasMax && field.min > field.max) {
+      errors.push({ path: `${path}.max`, msg: 'Max must not be less than min' });
+    }
+
+    // Conditions point back at an earlier question, so they can never loop
+    const condition = field.showIf;
+    if (condition && condition.field) {
+      const target = seen.get(condition.field);
+
+      if (!target) {
+        errors.push({ path: `${path}.showIf.field`, msg: 'Conditions must refer to an earlier question' });
+      } else if (!FORM_CONDITION_OPERATORS.includes(condition.operator)) {
+        errors.push({ path: `${path}.showIf.operator`, msg: `Operator must be one of: ${FORM_CONDITION_OPERATORS.join(', ')}` });
+      } else if (condition.operator === 'includes' && target.type !== 'multiple-choice') {
+        errors.push({ path: `${path}.showIf.operator`, msg: 'Only multiple-choice answers can be checked with includes' });
+      } else if (condition.operator !== 'answered') {
+        const values = toList(condition.value);
+        if (values.length === 0 || !values.every(isAnswered)) {
+          errors.push({ path: `${path}.showIf.value`, msg: 'Condition value is required' });
+        } else if (CHOICE_TYPES.includes(target.type) && !values.every(value => target.options.includes(value))) {
+          errors.push({ path: `${path}.showIf.value`, msg: 'Condition value must be one of the options of the earlier question' });
+        }
+      }
+    }
+
+    if (!seen.has(field.key)) seen.set(field.key, field);
+  });
+
+  return errors;
+};
+
+// Whether a question is asked, given the answers to earlier questions
+const isFieldShown = (field, answers) => {
+  const condition = field.showIf;
+  if (!condition || !condition.field) return true;
+
+  const answer = answers[condition.field];
+  const values = toList(condition.value);
+
+  switch (condition.operator) {
+    case 'answered':
+      return isAnswered(answer);
+    case 'includes':
+      return Array.isArray(answer) && values.some(value => answer.includes(value));
+    case 'not-equals':
+      return !values.includes(answer);
+    default:
+      return values.includes(answer);
+  }
+};
+
+// Check one answer. Returns { value } with the cleaned value, or { error }.
+const normalizeAnswer = (field, raw) => {
+  const hasMin = field.min !== undefined && field.min !== null;
+  const hasMax = field.max !== undefined && field.max !== null;
+
+  switch (field.type) {
+    case 'text':
+    case 'textarea':
+    case 'email': {
+      if (typeof raw !== 'string') return { error: 'must be text' };
+      const value = field.type === 'email' ? raw.trim().toLowerCase() : raw.trim();
+      if (value === '') return { value: null };
+      if (value.length > TEXT_LIMITS[field.type]) return { error: `cannot exceed ${TEXT_LIMITS[field.type]} characters` };
+      if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return { error: 'must be a valid email' };
+      if (hasMin && value.length < field.min) return { error: `must be at least ${field.min} characters` };
+      if (hasMax && value.length > field.max) return { error: `cannot exceed ${field.max} characters` };
+      return { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (hasMin && value < field.min) return { error: `must be at least ${field.min}` };
+      if (hasMax && value > field.max) return { error: `cannot exceed ${field.max}` };
+      return { value };
+    }
+    case 'date': {
+      if (typeof raw !== 'string' || !DATE_PATTERN.test(raw) || Number.isNaN(Date.parse(raw))) {
+        return { error: 'must be a date (YYYY-MM-DD)' };
+      }
+      return { value: raw };
+    }
+    case 'single-choice':
+      if (!field.options.includes(raw)) return { error: 'must be one of the options' };
+      return { value: raw };
+    case 'multiple-choice': {
+      const value = [...new Set(toList(raw))];
+      if (!value.every(choice => field.options.includes(choice))) return { error: 'must only contain the options' };
+      if (hasMin && value.length < field.min) return { error: `needs at least ${field.min} choices` };
+      if (hasMax && value.length > field.max) return { error: `allows at most ${field.max} choices` };
+      return { value };
+    }
+    case 'checkbox':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    default:
+      return { error: 'has an unknown type' };
+  }
+};
+
+// Validate registration answers, given as { key: value }, against a form.
+// Questions hidden by their condition are dropped. Returns { errors, answers }
+// with answers ready to store on a ticket.
+const validateFormAnswers = (fields = [], input = {}) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: [{ path: 'answers', msg: 'Answers must be an object keyed by question' }], answers: [] };
+  }
+
+  const errors = Object.keys(input)
+    .filter(key => !fields.some(field => field.key === key))
+    .map(key => ({ path: `answers.${key}`, msg: 'Unknown question' }));
+
+  const values = {};
+  const answers = [];
+
+  fields.forEach(field => {
+    if (!isFieldShown(field, values)) return;
+
+    const raw = input[field.key];
+    const { value, error } = isAnswered(raw) ? normalizeAnswer(field, raw) : { value: null };
+
+    if (error) {
+      errors.push({ path: `answers.${field.key}`, msg: `${field.label} ${error}` });
+      return;
+    }
+
+    // A required checkbox is a consent box and has to be ticked
+    if (field.required && (!isAnswered(value) || (field.type === 'checkbox' && value !== true))) {
+      errors.push({ path: `answers.${field.key}`, msg: `${field.label} is required` });
+      return;
+    }
+
+    if (isAnswered(value)) {
+      values[field.key] = value;
+      answers.push({ key: field.key, label: field.label, value });
+    }
+  });
+
+  return { errors, answers };
+};
+
+// Aggregation over an event's tickets counting answers per question, with
+// per-option counts for choice and checkbox questions and stats for numbers
+const buildAnswerPipeline = (eventId, fields) => {
+  const keysOf = (types) => fields.filter(field => types.includes(field.type)).map(field => field.key);
+
+  return [
+    {
+      $match: {
+        event: eventId,
+        isDeleted: false,
+        status: { $in: REPORTED_TICKET_STATUSES }
+      }
+    },
+    {
+      $facet: {
+        registrations: [{ $count: 'count' }],
+        responses: [
+          { $unwind: '$formAnswers' },
+          { $group: { _id: '$formAnswers.key', count: { $sum: 1 } } }
+        ],
+        choices: [
+          { $unwind: '$formAnswers' },
+          { $match: { 'formAnswers.key': { $in: keysOf([...CHOICE_TYPES, 'checkbox']) } } },
+          { $unwind: '$formAnswers.value' },
+          {
+            $group: {
+              _id: { key: '$formAnswers.key', value: '$formAnswers.value' },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        numbers: [
+          { $unwind: '$formAnswers' },
+          { $match: { 'formAnswers.key': { $in: keysOf(['number']) } } },
+          {
+            $group: {
+              _id: '$formAnswers.key',
+              average: { $avg: '$formAnswers.value' },
+              min: { $min: '$formAnswers.value' },
+              max: { $max: '$formAnswers.value' }
+            }
+          }
+        ]
+      }
+    }
+  ];
+};
+
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+// Per-question breakdown from the answer pipeline. Options are listed in
+// form order, followed by answers to options that have since been removed.
+const formatAnswerBreakdown = (fields, result = {}) => {
+  const registrations = result.registrations && result.registrations[0] ? result.registrations[0].count : 0;
+  const responses = new Map((result.responses || []).map(({ _id, count }) => [_id, count]));
+  const numbers = new Map((result.numbers || []).map(({ _id, ...stats }) => [_id, stats]));
+
+  const questions = fields.map(field => {
+    const answered = responses.get(field.key) || 0;
+    const question = {
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      required: field.required,
+      responses: answered,
+      responseRate: percentage(answered, registrations)
+    };
+
+    if ([...CHOICE_TYPES, 'checkbox'].includes(field.type)) {
+      const counts = new Map((result.choices || [])
+        .filter(({ _id }) => _id.key === field.key)
+        .map(({ _id, count }) => [_id.value, count]));
+      const values = field.type === 'checkbox' ? [true, false] : field.options;
+
+      question.options = [...values, ...[...counts.keys()].filter(value => !values.includes(value))]
+        .map(value => ({
+          value,
+          count: counts.get(value) || 0,
+          percentage: percentage(counts.get(value) || 0, answered)
+        }));
+    }
+
+    if (field.type === 'number') {
+      const stats = numbers.get(field.key);
+      question.stats = stats
+        ? { average: Math.round(stats.average * 100) / 100, min: stats.min, max: stats.max }
+        : { average: null, min: null, max: null };
+    }
+
+    return question;
+  });
+
+  return { registrations, questions };
+};
+
+module.exports = {
+  FORM_FIELD_TYPES,
+  FORM_CONDITION_OPERATORS,
+  getFormDefinitionErrors,
+  validateFormAnswers,
+  buildAnswerPipeline,
+  formatAnswerBreakdown
+};
@@ -0,0 +1,34 @@
+const MAX_SLUG_LENGTH = 80;
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+// Lowercase ASCII words joined by hyphens; accents are dropped and
+// anything else becomes a separator
+const slugify = (text = '') => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+// Slug an event title starts from before a number is added to make it
+// unique. Titles without any latin letters or digits fall back to
+// `event`, and slugs that look like ObjectIds are prefixed so event URLs
+// can take either.
+const getSlugBase = (title) => {
+  const slug = slugify(title) || 'event';
+  return OBJECT_ID_PATTERN.test(slug) ? `event-${slug}` : slug;
+};
+
+// Matches a slug base on its own or with a number added
+const getSlugPattern = (base) => new RegExp(`^${base}(-\\d+)?$`);
+
+module.exports = {
+  OBJECT_ID_PATTERN,
+  slugify,
+  getSlugBase,
+  getSlugPattern
+};
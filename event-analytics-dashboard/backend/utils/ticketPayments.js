@@ -0,0 +1,197 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const LedgerEntry = require('../models/LedgerEntry');
+const PromoCode = require('../models/PromoCode');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const PaymentEvent = require('../models/PaymentEvent');
+const { getPaymentProvider } = require('../payments');
+
+// How long a pending ticket holds its seat while waiting for payment
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Open a payment for a pending ticket. Resolves to the details the client
+// needs to complete the payment with the provider.
+const startTicketPayment = async (ticket) => {
+  const provider = getPaymentProvider();
+
+  try {
+    const intent = await provider.createIntent({
+      amount: ticket.price,
+      currency: ticket.currency,
+      reference: ticket._id.toString(),
+      metadata: {
+        ticketNumber: ticket.ticketNumber,
+        event: (ticket.event._id || ticket.event).toString()
+      }
+    });
+
+    const paymentDueAt = new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+    await Ticket.updateOne(
+      { _id: ticket._id },
+      { transactionId: intent.id, paymentProvider: provider.name, paymentDueAt }
+    );
+
+    ticket.transactionId = intent.id;
+    ticket.paymentProvider = provider.name;
+    ticket.paymentDueAt = paymentDueAt;
+
+    return {
+      provider: provider.name,
+      intentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount: intent.amount,
+      currency: intent.currency,
+      dueAt: paymentDueAt
+    };
+  } catch (error) {
+    // Without a payment the ticket can never be confirmed
+    await failTicketPayment(ticket);
+    throw error;
+  }
+};
+
+// Confirm a pending ticket once its payment has cleared. Resolves to the
+// confirmed ticket, or null if it was no longer pending.
+const confirmTicketPayment = async (ticket) => {
+  const confirmed = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, status: 'pending', paymentStatus: 'pending', isDeleted: false },
+    { status: 'confirmed', paymentStatus: 'completed', paymentDueAt: null },
+    { new: true }
+  );
+  if (!confirmed) return null;
+
+  await Event.recordRevenue(confirmed.event, confirmed.price);
+  await LedgerEntry.recordSale(confirmed);
+
+  return confirmed;
+};
+
+// Cancel a pending ticket whose payment failed or never arrived, and give
+// its seat, tier inventory and promo code redemption back. Resolves to the
+// cancelled ticket, or null if it was no longer pending.
+const failTicketPayment = async (ticket) => {
+  const failed = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, status: 'pending', paymentStatus: 'pending' },
+    { status: 'cancelled', paymentStatus: 'failed', paymentDueAt: null },
+    { new: true }
+  );
+  if (!failed) return null;
+
+  const eventId = failed.event;
+  await Event.releaseSpots(eventId, 1, 0, failed.tier && failed.tier.tierId);
+  if (failed.promotion && failed.promotion.promoCode) {
+    await PromoCode.releaseRedemption(failed.promotion.promoCode);
+  }
+  await WaitlistEntry.promoteNext(eventId);
+
+  return failed;
+};
+
+// Apply a verified provider event to the ticket it belongs to. Tickets are
+// matched on their transactionId and only ever move out of pending once, so
+// replays are harmless.
+const applyPaymentEvent = async (provider, event) => {
+  // Refund ledger entries are written when the refund is issued
+  if (!['payment.succeeded', 'payment.failed'].includes(event.type)) {
+    return { outcome: 'ignored', ticket: null };
+  }
+
+  const ticket = await Ticket.findOne({
+    paymentProvider: provider.name,
+    transactionId: event.intentId
+  });
+
+  if (!ticket) {
+    return { outcome: 'ignored', ticket: null };
+  }
+
+  if (event.type === 'payment.failed') {
+    const failed = await failTicketPayment(ticket);
+    return { outcome: failed ? 'failed' : 'ignored', ticket: failed || ticket };
+  }
+
+  if (toCents(event.amount) !== toCents(ticket.price)) {
+    return { outcome: 'amount-mismatch', ticket };
+  }
+
+  const confirmed = await confirmTicketPayment(ticket);
+  if (confirmed) {
+    return { outcome: 'confirmed', ticket: confirmed };
+  }
+
+  // The money arrived after the ticket had already been released or
+  // cancelled, so hand it straight back
+  const current = await Ticket.findById(ticket._id);
+  if (['pending', 'failed'].includes(current.paymentStatus)) {
+    await provider.refund(event.intentId, event.amount);
+    return { outcome: 'refunded-late', ticket: current };
+  }
+
+  return { outcome: 'ignored', ticket: current };
+};
+
+// Verify and process a webhook delivery. Each provider event is processed
+// at most once; redeliveries resolve with duplicate set.
+const handlePaymentWebhook = async (providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, headers);
+
+  let record;
+  try {
+    record = await PaymentEvent.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      intentId: event.intentId,
+      amount: event.amount
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { duplicate: true, event, outcome: null, ticket: null };
+    }
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await applyPaymentEvent(provider, event);
+  } catch (error) {
+    // Let the provider's retry process the event again
+    await PaymentEvent.deleteOne({ _id: record._id });
+    throw error;
+  }
+
+  await PaymentEvent.updateOne(
+    { _id: record._id },
+    { outcome: result.outcome, ticket: result.ticket ? result.ticket._id : null }
+  );
+
+  return { duplicate: false, event, ...result };
+};
+
+// Release tickets whose payment window has passed
+const expirePendingPayments = async () => {
+  const expired = await Ticket.find({
+    status: 'pending',
+    paymentStatus: 'pending',
+    paymentDueAt: { $lte: new Date() }
+  }).limit(100);
+
+  let released = 0;
+  for (const ticket of expired) {
+    if (await failTicketPayment(ticket)) {
+      released += 1;
+    }
+  }
+
+  return released;
+};
+
+module.exports = {
+  PAYMENT_TIMEOUT_MINUTES,
+  startTicketPayment,
+  handlePaymentWebhook,
+  expirePendingPayments
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+// QR payload format: v1.<keyId>.<base64url(claims)>.<base64url(signature)>
+const PAYLOAD_VERSION = 'v1';
+// Truncated HMAC-SHA256 keeps the QR code small while staying unforgeable
+const SIGNATURE_BYTES = 16;
+
+// Load signing keys from TICKET_SIGNING_KEYS ("id1:secret1,id2:secret2").
+// The key named by TICKET_SIGNING_KEY_ID signs new tickets; every listed key
+// is still accepted for verification so keys can be rotated without
+// invalidating tickets that were already issued.
+const loadKeys = () => {
+  const keys = new Map();
+
+  (process.env.TICKET_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        keys.set(entry.slice(0, separator), entry.slice(separator + 1));
+      }
+    });
+
+  // Fall back to a key derived from the JWT secret so development works
+  // without extra configuration
+  if (keys.size === 0 && process.env.JWT_SECRET) {
+    keys.set('default', crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update('ticket-signing')
+      .digest('hex'));
+  }
+
+  return keys;
+};
+
+const getCurrentKeyId = (keys) => {
+  const keyId = process.env.TICKET_SIGNING_KEY_ID;
+  if (keyId && keys.has(keyId)) return keyId;
+  return keys.keys().next().value;
+};
+
+const toBase64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64Url = (value) => Buffer.from(
+  value.replace(/-/g, '+').replace(/_/g, '/'),
+  'base64'
+);
+
+const computeSignature = (secret, signedPart) => crypto
+  .createHmac('sha256', secret)
+  .update(signedPart)
+  .digest()
+  .subarray(0, SIGNATURE_BYTES);
+
+// Sign the claims that identify a ticket
+const signTicketPayload = ({ ticketNumber, eventId }) => {
+  const keys = loadKeys();
+  const keyId = getCurrentKeyId(keys);
+
+  if (!keyId) {
+    throw new Error('No ticket signing key configured');
+  }
+
+  const claims = toBase64Url(Buffer.from(JSON.stringify({
+    t: ticketNumber,
+    e: eventId.toString(),
+    iat: Math.floor(Date.now() / 1000)
+  })));
+
+  const signedPart = `${PAYLOAD_VERSION}.${keyId}.${claims}`;
+  const signature = toBase64Url(computeSignature(keys.get(keyId), signedPart));
+
+  return `${signedPart}.${signature}`;
+};
+
+// Decode and verify a scanned payload without touching the database.
+// Returns { valid: true, ticketNumber, eventId, keyId } or
+// { valid: false, reason } where reason is 'malformed' or 'forged'.
+const verifyTicketPayload = (payload) => {
+  if (typeof payload !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const parts = payload.trim().split('.');
+  if (parts.length !== 4 || parts[0] !== PAYLOAD_VERSION) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [version, keyId, claimsPart, signaturePart] = parts;
+  const secret = loadKeys().get(keyId);
+
+  // An unknown key id means the payload was not issued by us
+  if (!secret) {
+    return { valid: false, reason: 'forged' };
+  }
+
+  const expected = computeSignature(secret, `${version}.${keyId}.${claimsPart}`);
+  const provided = fromBase64Url(signaturePart);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { valid: false, reason: 'forged' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(fromBase64Url(claimsPart).toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (!claims.t || !claims.e) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  return {
+    valid: true,
+    ticketNumber: claims.t,
+    eventId: claims.e,
+    issuedAt: claims.iat ? new Date(claims.iat * 1000) : null,
+    keyId
+  };
+};
+
+module.exports = {
+  signTicketPayload,
+  verifyTicketPayload
+};
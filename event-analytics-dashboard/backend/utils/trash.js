@@ -0,0 +1,124 @@
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const CursorLog = require('../models/CursorLog');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const PromoCode = require('../models/PromoCode');
+const Invitation = require('../models/Invitation');
+const AgendaSession = require('../models/AgendaSession');
+const Speaker = require('../models/Speaker');
+const EventRevision = require('../models/EventRevision');
+const EventReferrer = require('../models/EventReferrer');
+const { releaseEventMedia } = require('./media');
+
+// Days an item stays in the trash before it is purged; 0 keeps it forever
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Largest number of events purged in one scheduler run
+const PURGE_BATCH_SIZE = 100;
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+// When a trashed item will be purged, or null if it never is
+const getPurgeDate = (deletedAt) => {
+  const days = getRetentionDays();
+  if (!days || !deletedAt) return null;
+  return new Date(deletedAt.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+// Move an event to the trash together with its tickets and cursor logs.
+// They share the event's deletedAt so a restore brings back exactly these.
+const trashEvent = async (event) => {
+  const deletedAt = new Date();
+
+  event.isDeleted = true;
+  event.deletedAt = deletedAt;
+  await event.save();
+
+  await Promise.all([
+    Ticket.updateMany({ event: event._id, isDeleted: false }, { isDeleted: true, deletedAt }),
+    CursorLog.updateMany({ eventId: event._id, isDeleted: false }, { isDeleted: true, deletedAt })
+  ]);
+};
+
+// Bring an event back along with the tickets and cursor logs trashed with it
+const restoreEvent = async (event) => {
+  const cascade = { isDeleted: true, deletedAt: event.deletedAt };
+
+  const [tickets, cursorLogs] = await Promise.all([
+    Ticket.updateMany({ event: event._id, ...cascade }, { isDeleted: false, deletedAt: null }),
+    CursorLog.updateMany({ eventId: event._id, ...cascade }, { isDeleted: false, deletedAt: null })
+  ]);
+
+  event.isDeleted = false;
+  event.deletedAt = null;
+  await event.save();
+
+  return {
+    tickets: tickets.modifiedCount,
+    cursorLogs: cursorLogs.modifiedCount
+  };
+};
+
+// Permanently remove an event and everything that only exists for it,
+// including its uploaded images. Ledger, payment and refund records are
+// kept for accounting.
+const purgeEvent = async (eventId) => {
+  const event = await Event.findById(eventId).select('images.storageKeys');
+
+  await Promise.all([
+    Ticket.deleteMany({ event: eventId }),
+    CursorLog.deleteMany({ eventId }),
+    WaitlistEntry.deleteMany({ event: eventId }),
+    PromoCode.deleteMany({ event: eventId }),
+    Invitation.deleteMany({ event: eventId }),
+    AgendaSession.deleteMany({ event: eventId }),
+    Speaker.deleteMany({ event: eventId }),
+    EventRevision.deleteMany({ event: eventId }),
+    EventReferrer.deleteMany({ event: eventId })
+  ]);
+
+  await Event.deleteOne({ _id: eventId });
+
+  if (event) {
+    await releaseEventMedia(eventId, event.images.flatMap(image => image.storageKeys));
+  }
+};
+
+// Purge everything that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const days = getRetentionDays();
+  if (!days) {
+    return { events: 0, tickets: 0, cursorLogs: 0 };
+  }
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const expired = { isDeleted: true, deletedAt: { $lte: cutoff } };
+
+  const events = await Event.find(expired).select('_id').limit(PURGE_BATCH_SIZE);
+  for (const event of events) {
+    await purgeEvent(event._id);
+  }
+
+  const [tickets, cursorLogs] = await Promise.all([
+    Ticket.deleteMany(expired),
+    CursorLog.deleteMany(expired)
+  ]);
+
+  return {
+    events: events.length,
+    tickets: tickets.deletedCount,
+    cursorLogs: cursorLogs.deletedCount
+  };
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  trashEvent,
+  restoreEvent,
+  purgeEvent,
+  purgeExpiredTrash
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Webhooks may only go to the public internet, never to loopback, private,
+// link-local, carrier-grade NAT, multicast or reserved addresses.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+// Whether an IP address is publicly routable
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolve a webhook URL's host and throw unless it is an http(s) URL whose
+// every address is public. Returns the parsed URL and the first address.
+const assertPublicWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Webhook URL is not a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Webhook URL must use http or https');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`Webhook host ${host} could not be resolved`);
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error('Webhook URL must not point to a loopback, private or link-local address');
+  }
+
+  return { url: parsed, address: addresses[0] };
+};
+
+// Sign a webhook body so receivers can check it came from us
+const signWebhookBody = (body) => crypto
+  .createHmac('sha256', process.env.WEBHOOK_SECRET)
+  .update(body)
+  .digest('hex');
+
+// POST a body to the address we checked. The `lookup` hands the socket that
+// address instead of resolving the host again, so a DNS answer that changes
+// after the check cannot send the request somewhere private. The URL's host
+// is still used for the Host header and for TLS (SNI and the certificate).
+const postToAddress = (url, { address, family }, headers, body) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: (hostname, options, callback) => (options && options.all
+      ? callback(null, [{ address, family }])
+      : callback(null, address, family)),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  }, (response) => {
+    // Redirects are not followed, so they cannot lead somewhere private
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+// POST a signed notification to a host's webhook URL. Delivery is best
+// effort: failures are logged and reported, never thrown. Nothing is sent
+// without WEBHOOK_SECRET, since receivers could not verify it. The host is
+// checked again on every delivery since its DNS may have changed.
+const deliverWebhook = async (url, type, data) => {
+  if (!url) return { delivered: false };
+
+  if (!process.env.WEBHOOK_SECRET) {
+    console.error(`Webhook ${type} to ${url} skipped: WEBHOOK_SECRET is not set`);
+    return { delivered: false, error: 'WEBHOOK_SECRET is not set' };
+  }
+
+  const body = JSON.stringify({
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  });
+
+  try {
+    const target = await assertPublicWebhookUrl(url);
+
+    const status = await postToAddress(target.url, target.address, {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': type,
+      'X-Webhook-Signature': signWebhookBody(body)
+    }, body);
+
+    const delivered = status >= 200 && status < 300;
+    if (!delivered) {
+      console.error(`Webhook ${type} to ${url} failed with status ${status}`);
+    }
+    return { delivered, status };
+  } catch (error) {
+    console.error(`Webhook ${type} to ${url} failed:`, error.message);
+    return { delivered: false, error: error.message };
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  assertPublicWebhookUrl,
+  signWebhookBody,
+  deliverWebhook
+};
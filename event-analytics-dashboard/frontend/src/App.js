@@ -21,6 +21,7 @@ import DashboardPage from './pages/DashboardPage';
 import EventsPage from './pages/EventsPage';
 import EventDetailsPage from './pages/EventDetailsPage';
 import CreateEventPage from './pages/CreateEventPage';
+import CheckInScannerPage from './pages/CheckInScannerPage';
 import AnalyticsPage from './pages/AnalyticsPage';
 import ProfilePage from './pages/ProfilePage';
 import NotFoundPage from './pages/NotFoundPage';
@@ -197,6 +198,16 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/events/:id/check-in"
+            element={
+              <ProtectedRoute>
+                <AuthenticatedLayout>
+                  <CheckInScannerPage />
+                </AuthenticatedLayout>
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/analytics"
             element={
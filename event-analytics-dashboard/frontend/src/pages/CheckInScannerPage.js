@@ -0,0 +1,289 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { io } from 'socket.io-client';
+import toast from 'react-hot-toast';
+import { FiCamera, FiCameraOff, FiCheckCircle, FiXCircle, FiRotateCcw, FiArrowLeft } from 'react-icons/fi';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
+const GATE_STORAGE_KEY = 'checkInGate';
+// Ignore the same code for a moment so one scan is not submitted twice
+const RESCAN_DELAY_MS = 2500;
+
+const authHeaders = () => ({
+  headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+});
+
+function CheckInScannerPage() {
+  const { id: eventId } = useParams();
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const lastScanRef = useRef({ value: null, at: 0 });
+
+  const [gate, setGate] = useState(() => localStorage.getItem(GATE_STORAGE_KEY) || 'main');
+  const [manualTicket, setManualTicket] = useState('');
+  const [cameraOn, setCameraOn] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const [stats, setStats] = useState({
+    totalAttendees: 0,
+    totalRegistrations: 0,
+    recentCheckIns: []
+  });
+
+  const cameraSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  useEffect(() => {
+    localStorage.setItem(GATE_STORAGE_KEY, gate);
+  }, [gate]);
+
+  // Load counters once, then keep them live over the host room
+  useEffect(() => {
+    axios.get(`${API_URL}/api/check-in/${eventId}/stats`, authHeaders())
+      .then(({ data }) => setStats(data.data))
+      .catch(() => toast.error('Could not load attendance counters'));
+
+    const socket = io(SOCKET_URL, {
+      auth: { token: localStorage.getItem('token') },
+      transports: ['websocket', 'polling']
+    });
+
+    socket.on('connect', () => socket.emit('join-host-room', { eventId }));
+    socket.on('attendance-update', (update) => {
+      setStats((current) => ({
+        ...current,
+        totalAttendees: update.totalAttendees,
+        totalRegistrations: update.totalRegistrations,
+        recentCheckIns: update.type === 'check-in'
+          ? [update.ticket, ...current.recentCheckIns].slice(0, 10)
+          : current.recentCheckIns.filter((t) => t.ticketNumber !== update.ticket.ticketNumber)
+      }));
+    });
+
+    return () => {
+      socket.emit('leave-host-room', { eventId });
+      socket.disconnect();
+    };
+  }, [eventId]);
+
+  const submitCheckIn = useCallback(async (body) => {
+    setSubmitting(true);
+    try {
+      const { data } = await axios.post(
+        `${API_URL}/api/check-in/${eventId}`,
+        { ...body, gate },
+        authHeaders()
+      );
+      setLastResult(data.data);
+      if (data.data.accepted) {
+        toast.success(`${data.data.ticket.attendeeName} checked in`);
+      } else {
+        toast.error(data.data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Check-in failed');
+    } finally {
+      setSubmitting(false);
+    }
+  }, [eventId, gate]);
+
+  const handleUndo = async (ticketNumber) => {
+    try {
+      await axios.delete(`${API_URL}/api/check-in/${eventId}/${ticketNumber}`, authHeaders());
+      toast.success('Check-in undone');
+      setLastResult(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not undo check-in');
+    }
+  };
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (!manualTicket.trim()) return;
+    submitCheckIn({ ticketNumber: manualTicket.trim() });
+    setManualTicket('');
+  };
+
+  const stopCamera = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+    }
+    setCameraOn(false);
+  };
+
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' }
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setCameraOn(true);
+    } catch (error) {
+      toast.error('Camera access was denied');
+    }
+  };
+
+  // Poll the video stream for QR codes while the camera is on
+  useEffect(() => {
+    if (!cameraOn || !cameraSupported) return undefined;
+
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    let cancelled = false;
+
+    const scanFrame = async () => {
+      if (cancelled || !videoRef.current) return;
+      try {
+        const codes = await detector.detect(videoRef.current);
+        const value = codes[0]?.rawValue;
+        const now = Date.now();
+        const last = lastScanRef.current;
+
+        if (value && (value !== last.value || now - last.at > RESCAN_DELAY_MS)) {
+          lastScanRef.current = { value, at: now };
+          await submitCheckIn({ payload: value });
+        }
+      } catch (error) {
+        // Frames that cannot be decoded are skipped
+      }
+      if (!cancelled) setTimeout(scanFrame, 300);
+    };
+
+    scanFrame();
+    return () => {
+      cancelled = true;
+    };
+  }, [cameraOn, cameraSupported, submitCheckIn]);
+
+  useEffect(() => stopCamera, []);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <Link
+            to={`/events/${eventId}`}
+            className="inline-flex items-center text-sm text-gray-500 hover:text-primary-600 dark:text-gray-400"
+          >
+            <FiArrowLeft className="mr-1" /> Back to event
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Door Check-in</h1>
+        </div>
+        <div className="text-right">
+          <p className="text-3xl font-bold text-primary-600">
+            {stats.totalAttendees} / {stats.totalRegistrations}
+          </p>
+          <p className="text-sm text-gray-500 dark:text-gray-400">checked in</p>
+        </div>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <div className="card p-6 space-y-4 bg-white dark:bg-gray-800 rounded-xl shadow">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Gate</span>
+            <input
+              type="text"
+              value={gate}
+              onChange={(e) => setGate(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 dark:bg-gray-700 dark:border-gray-600"
+            />
+          </label>
+
+          <div className="relative aspect-square bg-gray-900 rounded-lg overflow-hidden">
+            <video ref={videoRef} className="w-full h-full object-cover" muted playsInline />
+            {!cameraOn && (
+              <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-sm px-4 text-center">
+                {cameraSupported
+                  ? 'Start the camera to scan ticket QR codes'
+                  : 'QR scanning is not supported in this browser. Enter ticket numbers below.'}
+              </div>
+            )}
+          </div>
+
+          {cameraSupported && (
+            <button
+              type="button"
+              onClick={cameraOn ? stopCamera : startCamera}
+              className="btn btn-primary w-full inline-flex items-center justify-center"
+            >
+              {cameraOn ? <FiCameraOff className="mr-2" /> : <FiCamera className="mr-2" />}
+              {cameraOn ? 'Stop camera' : 'Start camera'}
+            </button>
+          )}
+
+          <form onSubmit={handleManualSubmit} className="flex gap-2">
+            <input
+              type="text"
+              value={manualTicket}
+              onChange={(e) => setManualTicket(e.target.value)}
+              placeholder="TKT-123456-ABCD"
+              className="flex-1 rounded-md border-gray-300 uppercase dark:bg-gray-700 dark:border-gray-600"
+            />
+            <button type="submit" disabled={submitting} className="btn btn-secondary">
+              Check in
+            </button>
+          </form>
+        </div>
+
+        <div className="space-y-4">
+          {lastResult && (
+            <div
+              className={`p-6 rounded-xl shadow text-white ${
+                lastResult.accepted ? 'bg-green-600' : 'bg-red-600'
+              }`}
+            >
+              <div className="flex items-center text-xl font-semibold">
+                {lastResult.accepted ? <FiCheckCircle className="mr-2" /> : <FiXCircle className="mr-2" />}
+                {lastResult.message}
+              </div>
+              {lastResult.ticket && (
+                <div className="mt-2 text-sm opacity-90">
+                  <p>{lastResult.ticket.attendeeName} · {lastResult.ticket.ticketType}</p>
+                  <p>{lastResult.ticket.ticketNumber}</p>
+                  {lastResult.ticket.checkInDate && (
+                    <p>
+                      Checked in {new Date(lastResult.ticket.checkInDate).toLocaleTimeString()}
+                      {lastResult.ticket.checkInGate && ` at ${lastResult.ticket.checkInGate}`}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Recent arrivals</h2>
+            {stats.recentCheckIns.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No check-ins yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {stats.recentCheckIns.map((ticket) => (
+                  <li key={ticket.ticketNumber} className="py-2 flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900 dark:text-white">{ticket.attendeeName}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {ticket.ticketNumber} · {ticket.checkInGate}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleUndo(ticket.ticketNumber)}
+                      className="text-sm text-gray-500 hover:text-red-600 inline-flex items-center"
+                    >
+                      <FiRotateCcw className="mr-1" /> Undo
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CheckInScannerPage;
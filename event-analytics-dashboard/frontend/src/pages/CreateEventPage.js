@@ -0,0 +1,380 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiArrowLeft, FiCopy, FiSave } from 'react-icons/fi';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+const CATEGORIES = [
+  'conference', 'workshop', 'seminar', 'networking', 'webinar', 'exhibition',
+  'concert', 'sports', 'festival', 'meetup', 'other'
+];
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR'];
+const MINUTE_MS = 60 * 1000;
+
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  category: 'conference',
+  venueName: '',
+  city: '',
+  country: '',
+  capacity: 100,
+  start: '',
+  end: '',
+  isPaid: false,
+  price: 0,
+  currency: 'USD',
+  visibility: 'public',
+  tags: ''
+};
+
+const authHeaders = () => ({
+  headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+});
+
+// Value for a datetime-local input, in the browser's time zone
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * MINUTE_MS);
+  return local.toISOString().slice(0, 16);
+};
+
+// Form fields prefilled from a template's event data
+const formFromTemplate = (data) => ({
+  ...EMPTY_FORM,
+  title: data.title || '',
+  description: data.description || '',
+  category: data.category || EMPTY_FORM.category,
+  venueName: data.venue?.name || '',
+  city: data.venue?.address?.city || '',
+  country: data.venue?.address?.country || '',
+  capacity: data.venue?.capacity || EMPTY_FORM.capacity,
+  isPaid: Boolean(data.ticketInfo?.isPaid),
+  price: data.ticketInfo?.price || 0,
+  currency: data.ticketInfo?.currency || EMPTY_FORM.currency,
+  visibility: data.visibility || EMPTY_FORM.visibility,
+  tags: (data.tags || []).join(', ')
+});
+
+function CreateEventPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState(searchParams.get('template') || '');
+  // Template fields the form does not edit (tiers, settings, requirements...)
+  const [templateData, setTemplateData] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saveAsTemplate, setSaveAsTemplate] = useState(false);
+  const [templateName, setTemplateName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/templates`, { ...authHeaders(), params: { limit: 100 } })
+      .then(({ data }) => setTemplates(data.data.templates))
+      .catch(() => toast.error('Could not load templates'));
+  }, []);
+
+  // Prefill the form when a template is picked
+  useEffect(() => {
+    if (!templateId) {
+      setTemplateData(null);
+      return;
+    }
+
+    axios.get(`${API_URL}/api/templates/${templateId}`, authHeaders())
+      .then(({ data }) => {
+        const { event } = data.data.template;
+        setTemplateData(event);
+        setForm((current) => ({
+          ...formFromTemplate(event),
+          start: current.start,
+          end: current.start && event.durationMinutes
+            ? toLocalInput(new Date(new Date(current.start).getTime() + event.durationMinutes * MINUTE_MS))
+            : current.end
+        }));
+      })
+      .catch(() => toast.error('Could not load template'));
+  }, [templateId]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((current) => ({ ...current, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // A template knows the event length, so the end follows the start
+  const handleStartChange = (e) => {
+    const start = e.target.value;
+    setForm((current) => ({
+      ...current,
+      start,
+      end: start && templateData?.durationMinutes
+        ? toLocalInput(new Date(new Date(start).getTime() + templateData.durationMinutes * MINUTE_MS))
+        : current.end
+    }));
+  };
+
+  const buildEvent = () => {
+    const { durationMinutes, timezone, ...extras } = templateData || {};
+
+    return {
+      ...extras,
+      title: form.title,
+      description: form.description,
+      category: form.category,
+      venue: {
+        ...extras.venue,
+        name: form.venueName,
+        address: { ...extras.venue?.address, city: form.city, country: form.country },
+        capacity: Number(form.capacity)
+      },
+      dateTime: {
+        start: new Date(form.start).toISOString(),
+        end: new Date(form.end).toISOString(),
+        timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+      },
+      ticketInfo: {
+        ...extras.ticketInfo,
+        isPaid: form.isPaid,
+        price: form.isPaid ? Number(form.price) : 0,
+        currency: form.currency
+      },
+      visibility: form.visibility,
+      tags: form.tags.split(',').map((tag) => tag.trim()).filter(Boolean)
+    };
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.start || !form.end) {
+      toast.error('Pick a start and end time');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const { data } = await axios.post(`${API_URL}/api/events`, buildEvent(), authHeaders());
+      const { event } = data.data;
+
+      if (saveAsTemplate) {
+        await axios.post(
+          `${API_URL}/api/templates/from-event/${event._id}`,
+          { name: templateName.trim() || undefined },
+          authHeaders()
+        ).catch(() => toast.error('Event created, but the template could not be saved'));
+      }
+
+      toast.success('Event created');
+      navigate(`/events/${event._id}`);
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+      toast.error(errors?.[0]?.msg || error.response?.data?.message || 'Could not create event');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = 'mt-1 block w-full rounded-md border-gray-300 dark:bg-gray-700 dark:border-gray-600';
+  const labelClass = 'text-sm font-medium text-gray-700 dark:text-gray-300';
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div>
+        <Link
+          to="/events"
+          className="inline-flex items-center text-sm text-gray-500 hover:text-primary-600 dark:text-gray-400"
+        >
+          <FiArrowLeft className="mr-1" /> Back to events
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Create Event</h1>
+      </div>
+
+      <div className="p-6 bg-white dark:bg-gray-800 rounded-xl shadow">
+        <label className="block">
+          <span className={`${labelClass} inline-flex items-center`}>
+            <FiCopy className="mr-1" /> Start from a template
+          </span>
+          <select
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Blank event</option>
+            {templates.map((template) => (
+              <option key={template._id} value={template._id}>{template.name}</option>
+            ))}
+          </select>
+        </label>
+        {templateData && (
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Ticket tiers, settings and requirements from the template are included.
+            {templateData.durationMinutes && ` Events last ${templateData.durationMinutes} minutes.`}
+          </p>
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} className="p-6 space-y-4 bg-white dark:bg-gray-800 rounded-xl shadow">
+        <label className="block">
+          <span className={labelClass}>Title</span>
+          <input name="title" value={form.title} onChange={handleChange} required className={inputClass} />
+        </label>
+
+        <label className="block">
+          <span className={labelClass}>Description</span>
+          <textarea
+            name="description"
+            value={form.description}
+            onChange={handleChange}
+            rows={4}
+            required
+            className={inputClass}
+          />
+        </label>
+
+        <div className="grid gap-4 md:grid-cols-2">
+          <label className="block">
+            <span className={labelClass}>Category</span>
+            <select name="category" value={form.category} onChange={handleChange} className={inputClass}>
+              {CATEGORIES.map((category) => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className={labelClass}>Visibility</span>
+            <select name="visibility" value={form.visibility} onChange={handleChange} className={inputClass}>
+              <option value="public">Public</option>
+              <option value="private">Private</option>
+              <option value="invite-only">Invite only</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="grid gap-4 md:grid-cols-2">
+          <label className="block">
+            <span className={labelClass}>Starts</span>
+            <input
+              type="datetime-local"
+              name="start"
+              value={form.start}
+              onChange={handleStartChange}
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className={labelClass}>Ends</span>
+            <input
+              type="datetime-local"
+              name="end"
+              value={form.end}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <div className="grid gap-4 md:grid-cols-2">
+          <label className="block">
+            <span className={labelClass}>Venue</span>
+            <input name="venueName" value={form.venueName} onChange={handleChange} required className={inputClass} />
+          </label>
+          <label className="block">
+            <span className={labelClass}>Capacity</span>
+            <input
+              type="number"
+              min="1"
+              name="capacity"
+              value={form.capacity}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className={labelClass}>City</span>
+            <input name="city" value={form.city} onChange={handleChange} required className={inputClass} />
+          </label>
+          <label className="block">
+            <span className={labelClass}>Country</span>
+            <input name="country" value={form.country} onChange={handleChange} required className={inputClass} />
+          </label>
+        </div>
+
+        <div className="grid gap-4 md:grid-cols-3 items-end">
+          <label className="inline-flex items-center">
+            <input type="checkbox" name="isPaid" checked={form.isPaid} onChange={handleChange} className="mr-2" />
+            <span className={labelClass}>Paid event</span>
+          </label>
+          <label className="block">
+            <span className={labelClass}>Price</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              name="price"
+              value={form.price}
+              onChange={handleChange}
+              disabled={!form.isPaid}
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className={labelClass}>Currency</span>
+            <select name="currency" value={form.currency} onChange={handleChange} className={inputClass}>
+              {CURRENCIES.map((currency) => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <label className="block">
+          <span className={labelClass}>Tags</span>
+          <input
+            name="tags"
+            value={form.tags}
+            onChange={handleChange}
+            placeholder="tech, networking"
+            className={inputClass}
+          />
+        </label>
+
+        <div className="pt-4 border-t border-gray-200 dark:border-gray-700 space-y-2">
+          <label className="inline-flex items-center">
+            <input
+              type="checkbox"
+              checked={saveAsTemplate}
+              onChange={(e) => setSaveAsTemplate(e.target.checked)}
+              className="mr-2"
+            />
+            <span className={labelClass}>Also save as a template</span>
+          </label>
+          {saveAsTemplate && (
+            <input
+              type="text"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              placeholder="Template name (defaults to the event title)"
+              maxLength={100}
+              className={inputClass}
+            />
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="btn btn-primary w-full inline-flex items-center justify-center"
+        >
+          <FiSave className="mr-2" />
+          {submitting ? 'Creating...' : 'Create event'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default CreateEventPage;